@@ -116,45 +116,5 @@ if (typeof window !== 'undefined') {
 
 // Page content extraction function (backward compatibility)
 function extractPageContentFunction() {
-  try {
-    let content = '';
-    let title = document.title || '';
-    let url = window.location.href || '';
-
-    // Try main content selectors
-    const selectors = ['main', 'article', '.content', '#content'];
-    for (const selector of selectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        content = element.innerText || '';
-        if (content.trim().length > 200) break;
-      }
-    }
-
-    // Fallback to body
-    if (!content || content.trim().length < 100) {
-      content = document.body.innerText || '';
-    }
-
-    // Clean content
-    content = content.replace(/\s+/g, ' ').trim();
-    if (content.length > 50000) {
-      content = content.substring(0, 50000) + '...';
-    }
-
-    return {
-      title,
-      url,
-      content,
-      timestamp: new Date().toISOString(),
-      wordCount: content.split(/\s+/).length
-    };
-  } catch (error) {
-    return {
-      title: document.title || '',
-      url: window.location.href || '',
-      content: '',
-      error: error.message
-    };
-  }
+  return PageExtractor.extract(document);
 }
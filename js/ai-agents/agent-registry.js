@@ -0,0 +1,218 @@
+// Agent Registry Module
+// Central list of AI agents: each agent declares its intents, actions, availability check and UI entries.
+// Triage prompts, dispatch, capability reporting and the popup accordion are all generated from here.
+//
+// Registering an agent (see the bottom of summarizer.js for a full example):
+//
+//   AgentRegistry.register({
+//     name: 'glossary',                 // Agent key used in execution plans and capabilities
+//     className: 'GlossaryAgent',       // Global class instantiated by AIAgents (or provide create())
+//     description: 'Builds glossaries of technical terms',
+//     order: 70,                        // Position in prompts and the popup accordion
+//     intents: {
+//       glossary: {
+//         description: 'User wants a glossary of terms used on the page',
+//         rule: 'If the user mentions glossary, terms or definitions → "glossary"',
+//         missingInput: 'the text to build a glossary from',   // Hint shown when the request has no input
+//         fallback: { keywords: ['glossary'], patterns: [/glossary/i] },
+//         handle: async (ai, { craftedPrompt, pageContext, intentAnalysis, onChunk, signal, regenerate, agent }) => '...'
+//       }
+//     },
+//     actions: {
+//       build_glossary: {
+//         description: 'Build a glossary from text',
+//         input: 'text', output: 'text', params: { max_terms: 'number' },
+//         requiredParams: [],             // Checked by ExecutionPlan before a plan runs
+//         timeoutMs: 180000,              // Optional, overrides AIAgents.stepTimeoutMs for this action
+//         run: async (ai, { input, params, pageContext, onChunk, signal, regenerate, agent }) => '...'
+//                                         // signal: AbortSignal, pass it on to the Chrome AI calls
+//                                         // regenerate: the user asked for a fresh result, skip ResultCache
+//       }
+//     },
+//     getCapabilities: async (agent) => ({ available: true }),
+//     test: async (agent) => ({ success: true }),
+//     ui: { title: 'Glossary Agent', icon: 'fas fa-book', prompts: [{ label: 'Build Glossary', icon: 'fas fa-list', prompt: 'Build a glossary for this page' }] }
+//   });
+
+class AgentRegistry {
+  // Register (or replace) an agent definition
+  static register(definition) {
+    if (!definition || typeof definition.name !== 'string' || definition.name.trim().length === 0) {
+      throw new Error('Agent registration failed: a name is required');
+    }
+    if (!definition.className && typeof definition.create !== 'function') {
+      throw new Error(`Agent registration failed for ${definition.name}: provide className or create()`);
+    }
+
+    const name = definition.name;
+    const normalized = {
+      order: 100,
+      description: '',
+      intents: {},
+      actions: {},
+      ...definition
+    };
+
+    // Intents must be unique across agents
+    for (const intentName of Object.keys(normalized.intents)) {
+      const owner = AgentRegistry.findByIntent(intentName);
+      if (owner && owner.agent.name !== name) {
+        throw new Error(`Agent registration failed for ${name}: intent "${intentName}" is already handled by ${owner.agent.name}`);
+      }
+      if (typeof normalized.intents[intentName].handle !== 'function') {
+        throw new Error(`Agent registration failed for ${name}: intent "${intentName}" has no handle()`);
+      }
+    }
+
+    for (const [actionName, action] of Object.entries(normalized.actions)) {
+      if (typeof action.run !== 'function') {
+        throw new Error(`Agent registration failed for ${name}: action "${actionName}" has no run()`);
+      }
+    }
+
+    if (AgentRegistry.agents.has(name)) {
+      console.warn(`⚠️ Agent "${name}" is already registered - replacing definition`);
+    }
+
+    AgentRegistry.agents.set(name, normalized);
+    console.log(`🧩 Agent registered: ${name} (intents: ${Object.keys(normalized.intents).join(', ') || 'none'}, actions: ${Object.keys(normalized.actions).join(', ') || 'none'})`);
+    return normalized;
+  }
+
+  // Remove an agent definition
+  static unregister(name) {
+    return AgentRegistry.agents.delete(name);
+  }
+
+  // Get an agent definition by name
+  static get(name) {
+    return AgentRegistry.agents.get(name) || null;
+  }
+
+  // All agent definitions, sorted by their declared order
+  static list() {
+    return Array.from(AgentRegistry.agents.values()).sort((a, b) => a.order - b.order);
+  }
+
+  // Names of all registered agents
+  static getAgentNames() {
+    return AgentRegistry.list().map(agent => agent.name);
+  }
+
+  // Global class names the registered agents need (used to wait for scripts to load)
+  static getRequiredClasses() {
+    return AgentRegistry.list()
+      .map(agent => agent.className)
+      .filter(Boolean);
+  }
+
+  // All intents handled by registered agents
+  static getIntentNames() {
+    return AgentRegistry.list().flatMap(agent => Object.keys(agent.intents));
+  }
+
+  // Find the agent and intent definition for an intent name
+  static findByIntent(intentName) {
+    for (const agent of AgentRegistry.agents.values()) {
+      if (agent.intents[intentName]) {
+        return { agent, intent: agent.intents[intentName] };
+      }
+    }
+    return null;
+  }
+
+  // Get an action definition for an agent
+  static getAction(agentName, actionName) {
+    const agent = AgentRegistry.get(agentName);
+    return agent && agent.actions[actionName] ? agent.actions[actionName] : null;
+  }
+
+  // Create an agent instance from its definition
+  static createInstance(name) {
+    const agent = AgentRegistry.get(name);
+    if (!agent) {
+      throw new Error(`Unknown agent: ${name}`);
+    }
+    if (typeof agent.create === 'function') {
+      return agent.create();
+    }
+
+    const AgentClass = typeof window !== 'undefined' ? window[agent.className] : undefined;
+    if (typeof AgentClass !== 'function') {
+      throw new Error(`Agent class ${agent.className} for ${name} is not loaded`);
+    }
+    return new AgentClass();
+  }
+
+  // Intent categories and classification rules for intent-detection prompts
+  static describeIntentsForPrompt() {
+    const intents = AgentRegistry.list().flatMap(agent =>
+      Object.entries(agent.intents).map(([intentName, intent]) => ({ intentName, intent }))
+    );
+
+    const categories = intents
+      .map(({ intentName, intent }, index) => `${index + 1}. "${intentName}" - ${intent.description || intentName}`)
+      .join('\n');
+    const rules = intents
+      .filter(({ intent }) => intent.rule)
+      .map(({ intent }) => `- ${intent.rule}`)
+      .join('\n');
+
+    return { categories, rules };
+  }
+
+  // Agents, actions and parameters for execution-plan prompts
+  static describeActionsForPrompt() {
+    return AgentRegistry.list()
+      .filter(agent => Object.keys(agent.actions).length > 0)
+      .map(agent => {
+        const actions = Object.entries(agent.actions).map(([actionName, action]) => {
+          const params = action.params && Object.keys(action.params).length > 0
+            ? ` params: ${Object.entries(action.params).map(([key, value]) => `${key} "${value}"`).join(', ')}`
+            : '';
+          const io = `input: ${action.input || 'text'} → output: ${action.output || 'text'}`;
+          return `  - ${actionName}: ${action.description || actionName} (${io}${params ? ';' + params : ''})`;
+        });
+        return `- ${agent.name}: ${agent.description}\n${actions.join('\n')}`;
+      })
+      .join('\n');
+  }
+
+  // Keyword/pattern tables for the pattern-based intent fallback
+  static getFallbackIntents() {
+    const table = {};
+    for (const agent of AgentRegistry.list()) {
+      for (const [intentName, intent] of Object.entries(agent.intents)) {
+        if (intent.fallback) {
+          table[intentName] = {
+            keywords: intent.fallback.keywords || [],
+            patterns: intent.fallback.patterns || []
+          };
+        }
+      }
+    }
+    return table;
+  }
+
+  // Accordion sections for the popup quick actions
+  static getUIEntries() {
+    return AgentRegistry.list()
+      .filter(agent => agent.ui && Array.isArray(agent.ui.prompts) && agent.ui.prompts.length > 0)
+      .map(agent => ({
+        name: agent.name,
+        title: agent.ui.title || agent.name,
+        icon: agent.ui.icon || 'fas fa-robot',
+        prompts: agent.ui.prompts
+      }));
+  }
+}
+
+// Registered agent definitions, keyed by agent name
+AgentRegistry.agents = new Map();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AgentRegistry;
+} else if (typeof window !== 'undefined') {
+  window.AgentRegistry = AgentRegistry;
+}
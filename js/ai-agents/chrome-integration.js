@@ -12,6 +12,8 @@ class ChromeIntegration {
     const hasTranslator = hasWindow && 'Translator' in window;
     const hasLanguageDetector = hasWindow && 'LanguageDetector' in window;
     const hasWriter = hasWindow && 'Writer' in window;
+    const hasRewriter = hasWindow && 'Rewriter' in window;
+    const hasProofreader = hasWindow && 'Proofreader' in window;
     
     console.log('AI Support Check (Chrome Built-in AI):', {
       hasWindow,
@@ -20,6 +22,8 @@ class ChromeIntegration {
       hasTranslator,
       hasLanguageDetector,
       hasWriter,
+      hasRewriter,
+      hasProofreader,
       summarizerType: hasWindow && window.Summarizer ? typeof window.Summarizer : 'not found',
       languageModelType: hasWindow && window.LanguageModel ? typeof window.LanguageModel : 'not found',
       translatorType: hasWindow && window.Translator ? typeof window.Translator : 'not found',
@@ -33,6 +37,8 @@ class ChromeIntegration {
       translator: hasTranslator,
       languageDetector: hasLanguageDetector,
       writer: hasWriter,
+      rewriter: hasRewriter,
+      proofreader: hasProofreader,
       prompter: hasLanguageModel, // Prompt API uses LanguageModel
       hasWindow: hasWindow
     };
@@ -152,6 +158,12 @@ class ChromeIntegration {
         case 'Writer':
           availability = await window.Writer.availability();
           break;
+        case 'Rewriter':
+          availability = await window.Rewriter.availability();
+          break;
+        case 'Proofreader':
+          availability = await window.Proofreader.availability(checkOptions.proofreaderOptions || {});
+          break;
         case 'LanguageDetector':
           availability = await window.LanguageDetector.availability();
           break;
@@ -159,8 +171,12 @@ class ChromeIntegration {
           throw new Error(`Unknown API: ${apiName}`);
       }
       
-      result.availability = availability;
+      // Newer Chrome builds report 'unavailable' / 'downloadable' / 'downloading' / 'available'
       result.details.availabilityStatus = availability;
+      if (availability === 'unavailable') {
+        availability = 'no';
+      }
+      result.availability = availability;
 
       if (availability === 'no') {
         result.error = `${apiName} API is not available on this device`;
@@ -168,13 +184,13 @@ class ChromeIntegration {
       }
 
       // Step 3: Check Ready state (availability === 'readily')
-      result.ready = availability === 'readily';
+      result.ready = availability === 'readily' || availability === 'available';
       result.details.readyStatus = result.ready;
-      result.details.needsDownload = availability === 'after-download';
+      result.details.needsDownload = ['after-download', 'downloadable', 'downloading'].includes(availability);
 
       // Step 4: Determine if all checks passed
       // According to Chrome documentation, both 'readily' and 'after-download' states are usable
-      result.passed = result.supported && (result.availability === 'readily' || result.availability === 'after-download');
+      result.passed = result.supported && (result.ready || result.details.needsDownload);
       
       console.log(`${apiName} comprehensive check result:`, {
         supported: result.supported,
@@ -211,7 +227,7 @@ class ChromeIntegration {
     };
 
     // List of APIs to check comprehensively
-    const apisToCheck = ['Summarizer', 'LanguageModel', 'Translator', 'Writer'];
+    const apisToCheck = ['Summarizer', 'LanguageModel', 'Translator', 'Writer', 'Rewriter', 'Proofreader'];
     
     // Perform comprehensive checks for each API
     for (const apiName of apisToCheck) {
@@ -353,50 +369,7 @@ class ChromeIntegration {
         throw new Error('No active tab found');
       }
 
-      // Check if we can access the page
-      if (tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
-        throw new Error('Cannot access Chrome internal pages or extension pages');
-      }
-
-      // Inject content script to extract page content
-      let results;
-      try {
-        results = await chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          function: extractPageContentFunction
-        });
-      } catch (scriptError) {
-        console.error('Script injection error:', scriptError);
-        throw new Error(`Cannot access page content. This might be due to page restrictions or permissions. Error: ${scriptError.message}`);
-      }
-
-      if (!results || !results[0]) {
-        throw new Error('No results returned from content extraction');
-      }
-
-      if (!results[0].result) {
-        throw new Error('Content extraction returned empty result');
-      }
-
-      const pageData = results[0].result;
-      
-      if (!pageData) {
-        throw new Error('Failed to extract page data');
-      }
-
-      if (pageData.error) {
-        throw new Error(`Content extraction error: ${pageData.error}`);
-      }
-      
-      if (!pageData.content || pageData.content.trim().length === 0) {
-        throw new Error('No meaningful content found on this page. The page might be loading or have restricted content.');
-      }
-
-      if (pageData.content.trim().length < 50) {
-        throw new Error('Page content is too short to process effectively.');
-      }
-
-      return pageData;
+      return await ChromeIntegration.extractTabContent(tab);
 
     } catch (error) {
       console.error('Error extracting current page content:', error);
@@ -420,87 +393,91 @@ class ChromeIntegration {
       throw error;
     }
   }
-}
 
-// Standalone function for page content extraction (used with chrome.scripting.executeScript)
-function extractPageContentFunction() {
-  try {
-    // Get main content areas (don't remove scripts as this could break the page)
-    const contentSelectors = [
-      'main',
-      'article', 
-      '[role="main"]',
-      '.content',
-      '.post-content',
-      '.entry-content',
-      '#content',
-      '#main-content',
-      '.article-content',
-      '.blog-content',
-      '.text-content'
-    ];
-
-    let content = '';
-    let title = document.title || '';
-    let url = window.location.href || '';
-
-    // Try to find main content area
-    for (const selector of contentSelectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        content = element.innerText || element.textContent || '';
-        if (content.trim().length > 200) {
-          break;
-        }
-      }
+  // Run the shared page extractor (site handler or generic extraction) in a tab
+  static async extractTabContent(tab) {
+    // Check if we can access the page
+    if (!tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
+      throw new Error('Cannot access Chrome internal pages or extension pages');
     }
 
-    // If no main content found, try to get meaningful content from body
-    if (!content || content.trim().length < 200) {
-      // Try to get content excluding navigation, headers, footers, etc.
-      const elementsToExclude = 'nav, header, footer, aside, .navigation, .menu, .sidebar, .ad, .advertisement, script, style, noscript, .comments';
-      const bodyClone = document.body.cloneNode(true);
-      
-      // Remove excluded elements
-      bodyClone.querySelectorAll(elementsToExclude).forEach(el => el.remove());
-      
-      content = bodyClone.innerText || bodyClone.textContent || '';
+    let results;
+    try {
+      await ChromeIntegration.injectPageExtractor(tab.id);
+      results = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: () => PageExtractor.extractPage(document)
+      });
+    } catch (scriptError) {
+      console.error('Script injection error:', scriptError);
+      throw new Error(`Cannot access page content. This might be due to page restrictions or permissions. Error: ${scriptError.message}`);
     }
 
-    // If still no content, fallback to full body
-    if (!content || content.trim().length < 100) {
-      content = document.body.innerText || document.body.textContent || '';
+    if (!results || !results[0]) {
+      throw new Error('No results returned from content extraction');
     }
 
-    // Clean up the content
-    content = content
-      .replace(/\n\s*\n\s*\n/g, '\n\n') // Remove excessive newlines
-      .replace(/\s+/g, ' ') // Normalize whitespace
-      .replace(/\t/g, ' ') // Replace tabs with spaces
-      .trim();
+    if (!results[0].result) {
+      throw new Error('Content extraction returned empty result');
+    }
 
-    // Limit content length to prevent issues with very long pages
-    if (content.length > 50000) {
-      content = content.substring(0, 50000) + '...';
+    const pageData = results[0].result;
+    
+    if (pageData.error) {
+      throw new Error(`Content extraction error: ${pageData.error}`);
+    }
+    
+    if (!pageData.content || pageData.content.trim().length === 0) {
+      throw new Error('No meaningful content found on this page. The page might be loading or have restricted content.');
     }
 
-    return {
-      title,
-      url,
-      content,
-      timestamp: new Date().toISOString(),
-      wordCount: content.split(/\s+/).filter(word => word.length > 0).length
-    };
+    if (pageData.content.trim().length < 50) {
+      throw new Error('Page content is too short to process effectively.');
+    }
 
-  } catch (error) {
-    console.error('Error extracting page content:', error);
-    return {
-      title: document.title || 'Unknown',
-      url: window.location.href || '',
-      content: '',
-      timestamp: new Date().toISOString(),
-      error: error.message
-    };
+    return pageData;
+  }
+
+  // Extract several tabs for multi-tab research, one after another
+  // A tab that cannot be read gets an entry with an error instead of failing the others
+  static async extractTabsContent(tabIds) {
+    const pages = [];
+    for (const tabId of tabIds) {
+      let tab = null;
+      try {
+        tab = await chrome.tabs.get(tabId);
+        if (tab.discarded) {
+          throw new Error('The tab is unloaded; open it once and try again');
+        }
+        const pageData = await ChromeIntegration.extractTabContent(tab);
+        pages.push({ ...pageData, tabId, title: pageData.title || tab.title, url: tab.url });
+      } catch (error) {
+        console.warn(`⚠️ Could not extract tab ${tabId}:`, error.message);
+        pages.push({
+          tabId,
+          title: tab ? tab.title : 'Unknown tab',
+          url: tab ? tab.url : '',
+          content: '',
+          error: error.message
+        });
+      }
+    }
+    return pages;
+  }
+
+  // Load the page extractor and site handlers into the tab unless the content scripts already did
+  // (pages opened before the extension was installed or reloaded have no content scripts)
+  static async injectPageExtractor(tabId) {
+    const [check] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => typeof PageExtractor !== 'undefined'
+    });
+    if (!check || !check.result) {
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        files: ['js/ai-agents/page-extractor.js', 'js/ai-agents/site-extractors.js']
+      });
+    }
   }
 }
 
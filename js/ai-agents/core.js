@@ -3,12 +3,31 @@
 
 class AIAgents {
   constructor() {
-    this.summarizer = new SummarizerAgent();
-    this.translator = new TranslatorAgent();
-    this.prompter = new PrompterAgent();
-    this.writer = new WriterAgent();
+    // Agent instances are created from the AgentRegistry so new agents plug in without core changes
+    this.agents = {};
+    for (const agentName of AgentRegistry.getAgentNames()) {
+      this.getAgent(agentName);
+    }
     this.initialized = false;
     this.preferredLanguage = 'en'; // Default to English, supported: 'en', 'es', 'ja'
+    this.maxPlanRepairAttempts = 2; // Re-prompts when the smart triage plan fails validation
+    this.stepTimeoutMs = 120000; // Per plan step, unless the step or its action sets timeoutMs
+  }
+
+  // Get (and lazily create) the instance of a registered agent
+  getAgent(agentName) {
+    if (!this.agents[agentName]) {
+      const agent = AgentRegistry.createInstance(agentName);
+      if (this.preferredLanguage && typeof agent.setPreferredLanguage === 'function') {
+        agent.setPreferredLanguage(this.preferredLanguage);
+      }
+      this.agents[agentName] = agent;
+      // Keep this.summarizer, this.translator, ... for existing callers
+      if (!(agentName in this)) {
+        this[agentName] = agent;
+      }
+    }
+    return this.agents[agentName];
   }
 
   // Initialize the AI Agents system
@@ -31,6 +50,12 @@ class AIAgents {
       if (support.writer) {
         console.log('✓ Writer API available');
       }
+      if (support.rewriter) {
+        console.log('✓ Rewriter API available');
+      }
+      if (support.proofreader) {
+        console.log('✓ Proofreader API available');
+      }
       
       if (!support.summarizer && !support.prompter && !support.translator && !support.writer) {
         console.warn('⚠️ No Chrome Built-in AI APIs detected');
@@ -65,10 +90,11 @@ class AIAgents {
     }
     
     // Update all agents with the new language preference
-    this.summarizer.setPreferredLanguage(this.preferredLanguage);
-    this.translator.setPreferredLanguage(this.preferredLanguage);
-    this.prompter.setPreferredLanguage(this.preferredLanguage);
-    this.writer.setPreferredLanguage(this.preferredLanguage);
+    for (const agent of Object.values(this.agents)) {
+      if (typeof agent.setPreferredLanguage === 'function') {
+        agent.setPreferredLanguage(this.preferredLanguage);
+      }
+    }
     
     return supportedLanguages.includes(language);
   }
@@ -116,19 +142,39 @@ class AIAgents {
   // SUMMARIZATION METHODS
   
   // Summarize text content
-  async summarizeText(text, context = '', intentResult = null) {
+  async summarizeText(text, context = '', intentResult = null, options = {}) {
     try {
-      return await this.summarizer.summarizeText(text, context, intentResult);
+      return await this.summarizer.summarizeText(text, context, intentResult, options);
     } catch (error) {
       console.error('Error in summarizeText:', error);
       throw error;
     }
   }
 
+  // Summarize text content with streaming output
+  async summarizeStreaming(text, context = '', intentResult = null, onChunk = null, options = {}) {
+    try {
+      return await this.summarizer.summarizeStreaming(text, context, intentResult, onChunk, options);
+    } catch (error) {
+      console.error('Error in summarizeStreaming:', error);
+      throw error;
+    }
+  }
+
+  // Summarize several extracted tabs, one numbered section per tab
+  async summarizePages(pages, intentAnalysis = null, onChunk = null, options = {}) {
+    try {
+      return await this.summarizer.summarizePages(pages, intentAnalysis, onChunk, options);
+    } catch (error) {
+      console.error('Error in summarizePages:', error);
+      throw error;
+    }
+  }
+
   // Summarize current page content
-  async summarizeCurrentPage(intentAnalysis = null) {
+  async summarizeCurrentPage(intentAnalysis = null, onChunk = null, options = {}) {
     try {
-      return await this.summarizer.summarizeCurrentPage(intentAnalysis);
+      return await this.summarizer.summarizeCurrentPage(intentAnalysis, onChunk, options);
     } catch (error) {
       console.error('Error in summarizeCurrentPage:', error);
       throw error;
@@ -138,9 +184,9 @@ class AIAgents {
   // TRANSLATION METHODS
   
   // Translate text content
-  async translateText(text, targetLang = 'en', sourceLang = 'auto', intentAnalysis = null) {
+  async translateText(text, targetLang = 'en', sourceLang = 'auto', intentAnalysis = null, options = {}) {
     try {
-      return await this.translator.translateText(text, targetLang, sourceLang, intentAnalysis);
+      return await this.translator.translateText(text, targetLang, sourceLang, intentAnalysis, options);
     } catch (error) {
       console.error('Error in translateText:', error);
       throw error;
@@ -148,15 +194,25 @@ class AIAgents {
   }
 
   // Translate current page content
-  async translateCurrentPage(targetLang = 'en', intentAnalysis = null) {
+  async translateCurrentPage(targetLang = 'en', intentAnalysis = null, options = {}) {
     try {
-      return await this.translator.translateCurrentPage(targetLang, intentAnalysis);
+      return await this.translator.translateCurrentPage(targetLang, intentAnalysis, options);
     } catch (error) {
       console.error('Error in translateCurrentPage:', error);
       throw error;
     }
   }
 
+  // Translate the current page in place, keeping the page DOM
+  async translatePageInPlace(targetLang = 'en', sourceLang = 'auto') {
+    try {
+      return await this.translator.translatePageInPlace(targetLang, sourceLang);
+    } catch (error) {
+      console.error('Error in translatePageInPlace:', error);
+      throw error;
+    }
+  }
+
   // Detect language of given text
   async detectLanguage(text) {
     try {
@@ -190,9 +246,9 @@ class AIAgents {
   // PROMPTING AND INTENT DETECTION METHODS
   
   // Intelligent intent detection using Gemini Nano
-  async detectIntentWithAI(userMessage, pageContext = null) {
+  async detectIntentWithAI(userMessage, pageContext = null, options = {}) {
     try {
-      return await this.prompter.detectIntentWithAI(userMessage, pageContext);
+      return await this.prompter.detectIntentWithAI(userMessage, pageContext, options);
     } catch (error) {
       console.error('Error in detectIntentWithAI:', error);
       throw error;
@@ -200,25 +256,45 @@ class AIAgents {
   }
 
   // Handle research queries using the prompter
-  async handleResearchQuery(query, pageContext = null) {
+  async handleResearchQuery(query, pageContext = null, onChunk = null, options = {}) {
     try {
-      return await this.prompter.handleResearchQuery(query, pageContext);
+      return await this.prompter.handleResearchQuery(query, pageContext, onChunk, options);
     } catch (error) {
       console.error('Error in handleResearchQuery:', error);
       throw error;
     }
   }
 
+  // Compare or synthesize per-tab summaries, citing the source tabs
+  async compareSources(summaries, params = {}, onChunk = null, options = {}) {
+    try {
+      return await this.prompter.compareSources(summaries, params, onChunk, options);
+    } catch (error) {
+      console.error('Error in compareSources:', error);
+      throw error;
+    }
+  }
+
+  // Answer a question about the current page from its best-matching passages, with citations
+  // Uses the page content already in pageContext when the popup extracted it
+  async answerPageQuestion(question, pageContext = null, onChunk = null, options = {}) {
+    try {
+      const pageData = pageContext && pageContext.content
+        ? pageContext
+        : await ChromeIntegration.extractCurrentPageContent();
+      return await this.prompter.answerPageQuestion(question, pageData, onChunk, options);
+    } catch (error) {
+      console.error('Error in answerPageQuestion:', error);
+      throw error;
+    }
+  }
+
   // Enhanced intent detection with smart multi-step analysis
-  async detectSmartIntent(userMessage, pageContext = null) {
+  // options: { signal } to cancel the triage prompt
+  async detectSmartIntent(userMessage, pageContext = null, options = {}) {
     try {
       console.log('🧠 Advanced multi-step intent detection for:', userMessage);
       
-      // Initialize prompter if needed
-      if (!this.prompter) {
-        await this.prompter.createPrompter();
-      }
-
       // Enhanced system prompt for smart triage
       const smartTriagePrompt = `You are an advanced AI coordinator that analyzes user requests to identify complex multi-step tasks. Your job is to determine if a user request requires multiple AI agents working in sequence or parallel, and create an optimal execution plan.
 
@@ -246,10 +322,18 @@ CRITICAL MULTI-STEP PATTERNS - Always detect these as multi-step:
 - "Overview and generate [code/sample]": SUMMARIZE → WRITE (sequential)
 - "Explain and show [code/example]": RESEARCH → WRITE (sequential)
 - "Research [topic] and write code": RESEARCH → WRITE (sequential)
+- "Rewrite this more formally: [text]": REWRITE (single, agent "rewriter", action "rewrite_text")
+- "Proofread/fix the grammar of: [text]": PROOFREAD (single, agent "proofreader", action "proofread_text")
+- "Proofread and translate to [language]": PROOFREAD → TRANSLATE (sequential)
+- "Compare these tabs" / "What do these articles agree on?" (tabs selected): SUMMARIZE PAGES → COMPARE PAGES (sequential, agents "summarizer" action "summarize_pages" then "prompter" action "compare_pages")
+
+AGENTS AND ACTIONS:
+${AgentRegistry.describeActionsForPrompt()}
 
 EXECUTION TYPES:
 - "sequential": Output of first agent becomes input of second agent (USE THIS when one task needs the result of another)
 - "parallel": Agents can work simultaneously on same input (USE THIS when tasks are independent)
+- "graph": Steps branch off and join (USE THIS when several steps use the same output, e.g. one summary translated into several languages, then merged with coordinator.join_results)
 - "single": Only one agent needed (USE THIS only when truly single-step)
 
 LANGUAGE DETECTION - Common patterns:
@@ -265,13 +349,19 @@ IMPORTANT RULES:
 3. For "translate_text" action, the input MUST be the output variable from the previous step
 4. Use "summarize_page" when summarizing current page, "summarize_text" when summarizing text from previous step
 5. Use "translate_page" when translating current page, "translate_text" when translating output from previous step
+6. Every step "input" must be "current_page", "multi_page", "user_message" or the "output" name of another step - never invent variable names
+7. A step runs as soon as its inputs exist, so steps with the same input run at the same time
+8. "input" can be a list of names (e.g. ["summary_es", "summary_fr"]) when a step needs several outputs; use coordinator.join_results to merge branches into one answer
+9. "dependsOn" (optional) lists outputs of other steps that must finish before a step starts although it does not use them as input; a step whose input or dependsOn fails is skipped
+10. Use "graph" when the steps branch off and join or use "dependsOn"; "sequential" when each step uses the output of the one before
+11. "multi_page" is the list of tabs the user selected (see SELECTED TABS). When tabs are selected, read them with summarizer.summarize_pages (input "multi_page") and combine the result with prompter.compare_pages; never use it when no tabs are selected
 
 RESPONSE FORMAT (JSON only, no extra text):
 {
   "primary": "main_intent",
   "secondary": ["secondary_intent1", "secondary_intent2"],
   "isMultiStep": true/false,
-  "executionType": "sequential|parallel|single",
+  "executionType": "sequential|parallel|graph|single",
   "executionPlan": [
     {
       "step": 1,
@@ -279,6 +369,7 @@ RESPONSE FORMAT (JSON only, no extra text):
       "action": "specific_action",
       "input": "input_source",
       "output": "output_destination",
+      "dependsOn": ["output_of_a_step_to_wait_for (optional)"],
       "params": {"key": "value"}
     }
   ],
@@ -490,6 +581,24 @@ Response: {
   "finalOutputLanguage": null,
   "reasoning": "User wants overview first, then code example based on that overview - sequential execution",
   "confidence": 0.88
+}
+
+User: "Summarize this page in Spanish, French and German"
+Response: {
+  "primary": "summarize",
+  "secondary": ["translate"],
+  "isMultiStep": true,
+  "executionType": "graph",
+  "executionPlan": [
+    {"step": 1, "agent": "summarizer", "action": "summarize_page", "input": "current_page", "output": "summary_text", "params": {"type": "key-points", "length": "medium"}},
+    {"step": 2, "agent": "translator", "action": "translate_text", "input": "summary_text", "output": "summary_es", "params": {"target_language": "es", "source_language": "auto"}},
+    {"step": 2, "agent": "translator", "action": "translate_text", "input": "summary_text", "output": "summary_fr", "params": {"target_language": "fr", "source_language": "auto"}},
+    {"step": 2, "agent": "translator", "action": "translate_text", "input": "summary_text", "output": "summary_de", "params": {"target_language": "de", "source_language": "auto"}},
+    {"step": 3, "agent": "coordinator", "action": "join_results", "input": ["summary_es", "summary_fr", "summary_de"], "output": "final_result", "params": {"labels": {"summary_es": "Spanish", "summary_fr": "French", "summary_de": "German"}}}
+  ],
+  "finalOutputLanguage": null,
+  "reasoning": "One summary feeds three independent translations that run concurrently, then a join step merges them",
+  "confidence": 0.9
 }`;
 
       // Add page context if available
@@ -500,6 +609,10 @@ Title: ${pageContext.title || 'Unknown'}
 URL: ${pageContext.url || 'Unknown'}
 Content available: ${pageContext.content ? 'Yes' : 'No'}`;
       }
+      if (pageContext && Array.isArray(pageContext.pages) && pageContext.pages.length > 0) {
+        contextInfo += `\n\nSELECTED TABS (input "multi_page"):
+${pageContext.pages.map((page, index) => `${index + 1}. ${page.title || 'Untitled'} (${page.url})`).join('\n')}`;
+      }
 
       const fullPrompt = `${smartTriagePrompt}${contextInfo}
 
@@ -507,59 +620,56 @@ USER MESSAGE: "${userMessage}"
 
 Analyze this message and provide the smart triage plan as JSON:`;
 
-      // Get AI response with timeout
-      console.log('📤 Sending smart triage prompt to AI...');
-      let response;
-      
-      try {
-        const timeoutPromise = new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Smart triage timeout after 120 seconds')), 120000)
-        );
-        
-        const promptPromise = this.prompter.prompt(fullPrompt);
-        response = await Promise.race([promptPromise, timeoutPromise]);
-        
-        console.log('📥 Smart triage AI response received:', response);
-        
-      } catch (promptError) {
-        console.error('❌ Error getting smart triage response:', promptError);
-        throw new Error(`Smart triage AI prompt failed: ${promptError.message}`);
-      }
-
-      // Parse and validate AI response
-      let result;
-      try {
-        const jsonMatch = response.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          result = JSON.parse(jsonMatch[0]);
-        } else {
-          result = JSON.parse(response);
+      // Ask for a plan constrained to the ExecutionPlan schema, re-prompting with the problems if it is invalid
+      const schema = ExecutionPlan.getSchema();
+      let prompt = fullPrompt;
+      let result = null;
+      let planErrors = [];
+
+      for (let attempt = 0; attempt <= this.maxPlanRepairAttempts; attempt++) {
+        console.log(attempt === 0 ? '📤 Sending smart triage prompt to AI...' : `🔧 Re-prompting for a corrected plan (attempt ${attempt}/${this.maxPlanRepairAttempts})...`);
+        let response;
+
+        try {
+          response = await this.prompter.promptWithSchema(prompt, schema, { timeoutMs: 120000, signal: options.signal });
+          console.log('📥 Smart triage AI response received:', response);
+        } catch (promptError) {
+          if (AIUtils.isAbortError(promptError)) {
+            throw promptError;
+          }
+          console.error('❌ Error getting smart triage response:', promptError);
+          throw new Error(`Smart triage AI prompt failed: ${promptError.message}`);
         }
-        
-        // Validate required fields
-        if (!result.primary || !result.hasOwnProperty('isMultiStep')) {
-          throw new Error('Smart triage response missing required fields');
+
+        const validation = ExecutionPlan.parseAndValidate(response);
+        if (validation.errors.length === 0) {
+          result = validation.plan;
+          break;
         }
-        
-        console.log('✅ Smart Triage Analysis successful:', {
-          primary: result.primary,
-          isMultiStep: result.isMultiStep,
-          executionType: result.executionType,
-          planSteps: result.executionPlan?.length || 0
-        });
-        
-      } catch (parseError) {
-        console.error('❌ Failed to parse smart triage response:', parseError);
-        throw new Error(`Smart triage response parsing failed: ${parseError.message}`);
+
+        planErrors = validation.errors;
+        console.warn('⚠️ Smart triage plan failed validation:', planErrors);
+        prompt = ExecutionPlan.buildRepairPrompt(fullPrompt, response, planErrors);
       }
 
+      if (!result) {
+        throw new Error(`Smart triage response parsing failed: ${planErrors.join('; ')}`);
+      }
+
+      console.log('✅ Smart Triage Analysis successful:', {
+        primary: result.primary,
+        isMultiStep: result.isMultiStep,
+        executionType: result.executionType,
+        planSteps: result.executionPlan.length
+      });
+
       // Return enhanced result
       return {
         primary: result.primary,
         secondary: result.secondary || [],
         isMultiStep: result.isMultiStep || false,
         executionType: result.executionType || 'single',
-        executionPlan: result.executionPlan || [],
+        executionPlan: ExecutionPlan.sortSteps(result.executionPlan),
         finalOutputLanguage: result.finalOutputLanguage || null,
         reasoning: result.reasoning || 'Smart triage analysis completed',
         confidence: Math.max(0, Math.min(1, result.confidence || 0.8)),
@@ -575,15 +685,60 @@ Analyze this message and provide the smart triage plan as JSON:`;
   }
 
   // Process a user message with intelligent prompt handling
-  async processPrompt(prompt, systemContext = null) {
+  async processPrompt(prompt, systemContext = null, onChunk = null, options = {}) {
     try {
-      return await this.prompter.processPrompt(prompt, systemContext);
+      return await this.prompter.processPrompt(prompt, systemContext, onChunk, options);
     } catch (error) {
       console.error('Error in processPrompt:', error);
       throw error;
     }
   }
 
+  // Prompt the Language Model with streaming output
+  async promptStreaming(prompt, onChunk = null, options = {}) {
+    try {
+      return await this.prompter.promptStreaming(prompt, onChunk, null, options);
+    } catch (error) {
+      console.error('Error in promptStreaming:', error);
+      throw error;
+    }
+  }
+
+  // CONVERSATION MEMORY METHODS
+
+  // Start or restore a conversation for multi-turn prompting
+  async startConversation(conversationId, storedMessages = []) {
+    try {
+      return await this.prompter.startConversation(conversationId, storedMessages);
+    } catch (error) {
+      console.error('Error in startConversation:', error);
+      throw error;
+    }
+  }
+
+  // Clear conversation memory for a new chat
+  async resetConversation() {
+    try {
+      return await this.prompter.resetConversation();
+    } catch (error) {
+      console.error('Error in resetConversation:', error);
+      throw error;
+    }
+  }
+
+  // Keep conversation memory in sync with exchanges handled by any agent
+  async recordConversationExchange(userMessage, response, conversationId = null) {
+    try {
+      if (conversationId) {
+        this.prompter.setConversationId(conversationId);
+      }
+      return await this.prompter.recordConversationExchange(userMessage, response);
+    } catch (error) {
+      console.error('Error in recordConversationExchange:', error);
+      throw error;
+    }
+  }
+
   // WRITING METHODS
   
   // Write content based on prompt
@@ -596,6 +751,71 @@ Analyze this message and provide the smart triage plan as JSON:`;
     }
   }
 
+  // Write content with streaming output
+  async writeContentStreaming(prompt, context = '', options = {}, onChunk = null) {
+    try {
+      return await this.writer.writeContentStreaming(prompt, context, options, onChunk);
+    } catch (error) {
+      console.error('Error in writeContentStreaming:', error);
+      throw error;
+    }
+  }
+
+  // REWRITING AND PROOFREADING METHODS
+
+  // Rewrite existing text (tone/length changes) while keeping its meaning
+  async rewriteText(text, instruction = '', options = {}) {
+    try {
+      return await this.rewriter.rewriteText(text, instruction, options);
+    } catch (error) {
+      console.error('Error in rewriteText:', error);
+      throw error;
+    }
+  }
+
+  // Rewrite text with streaming output
+  async rewriteStreaming(text, instruction = '', options = {}, onChunk = null) {
+    try {
+      return await this.rewriter.rewriteStreaming(text, instruction, options, onChunk);
+    } catch (error) {
+      console.error('Error in rewriteStreaming:', error);
+      throw error;
+    }
+  }
+
+  // Proofread text and return corrections
+  async proofreadText(text, options = {}) {
+    try {
+      return await this.proofreader.proofreadText(text, options);
+    } catch (error) {
+      console.error('Error in proofreadText:', error);
+      throw error;
+    }
+  }
+
+  // Extract the text a rewrite/proofread request should operate on
+  // Supports quoted text, text after a colon, or text on the lines after the instruction
+  extractTextFromRequest(message) {
+    if (!message) return '';
+
+    const quoted = message.match(/"([^"]{3,})"|“([^”]{3,})”|'([^']{12,})'/);
+    if (quoted) {
+      return (quoted[1] || quoted[2] || quoted[3]).trim();
+    }
+
+    const newlineIndex = message.indexOf('\n');
+    if (newlineIndex !== -1 && message.substring(newlineIndex).trim().length > 0) {
+      return message.substring(newlineIndex + 1).trim();
+    }
+
+    const colonIndex = message.indexOf(':');
+    if (colonIndex !== -1 && message.substring(colonIndex + 1).trim().length > 0) {
+      return message.substring(colonIndex + 1).trim();
+    }
+
+    return '';
+  }
+
   // Help with different types of writing tasks
   async helpWithWriting(task, details, context = '') {
     try {
@@ -607,6 +827,30 @@ Analyze this message and provide the smart triage plan as JSON:`;
   }
 
   // COORDINATION AND DISPATCH METHODS
+
+  // Safely invoke a streaming callback (onStepStart, onStepComplete, onChunk)
+  emitStreamEvent(callbacks, eventName, payload) {
+    if (!callbacks || typeof callbacks[eventName] !== 'function') {
+      return;
+    }
+    try {
+      callbacks[eventName](payload);
+    } catch (callbackError) {
+      console.warn(`⚠️ ${eventName} callback failed:`, callbackError);
+    }
+  }
+
+  // Build a per-step chunk handler that accumulates text and forwards onChunk events
+  createStepChunkHandler(callbacks, stepInfo) {
+    if (!callbacks || typeof callbacks.onChunk !== 'function') {
+      return null;
+    }
+    let text = '';
+    return (chunk) => {
+      text += chunk;
+      this.emitStreamEvent(callbacks, 'onChunk', { ...stepInfo, chunk, text });
+    };
+  }
   
   // Extract displayable result from coordination response
   getDisplayableResult(coordinationResult) {
@@ -689,6 +933,25 @@ Analyze this message and provide the smart triage plan as JSON:`;
       }
     }
     
+    // For graph plans, show the furthest outputs that succeeded (results no successful step consumed)
+    if (executionType === 'graph') {
+      const successfulResults = results.filter(r => r.success);
+      const consumed = new Set(successfulResults.flatMap(r => r.inputs || []));
+      const finalResults = successfulResults.filter(r => !consumed.has(r.output));
+      if (finalResults.length > 0) {
+        const toText = (result) => typeof result.result === 'string' ? result.result : ExecutionPlan.toText(result.result);
+        const body = finalResults.length === 1
+          ? toText(finalResults[0])
+          : finalResults.map(result => `### ${ExecutionPlan.formatLabel(result.output)}\n\n${toText(result)}`).join('\n\n---\n\n');
+        
+        const processingNote = `\n\n---\n\n*✨ Multi-Step Processing Completed*\n*📊 Steps:* ${successfulResults.length} of ${results.length} succeeded`;
+        if (coordinationResult.finalOutputLanguage) {
+          return body + processingNote + `\n*🌐 Output Language:* ${coordinationResult.finalOutputLanguage}`;
+        }
+        return body + processingNote;
+      }
+    }
+    
     // For parallel execution, combine results meaningfully with markdown formatting
     if (executionType === 'parallel') {
       const successfulResults = results.filter(r => r.success);
@@ -730,10 +993,10 @@ Analyze this message and provide the smart triage plan as JSON:`;
   }
 
   // Simplified method for chat interfaces - returns just the displayable result
-  async processUserMessage(userMessage, pageContext = null) {
+  async processUserMessage(userMessage, pageContext = null, callbacks = {}) {
     try {
       // Use smart triage for intelligent multi-step coordination
-      const coordinationResult = await this.smartTriage(userMessage, pageContext);
+      const coordinationResult = await this.smartTriage(userMessage, pageContext, callbacks);
       return this.getDisplayableResult(coordinationResult);
     } catch (error) {
       console.error('Error processing user message:', error);
@@ -742,8 +1005,13 @@ Analyze this message and provide the smart triage plan as JSON:`;
   }
 
   // Smart triage method that handles complex multi-step requests
-  async smartTriage(userMessage, pageContext = null) {
+  // callbacks: optional { onStepStart, onStepComplete, onChunk } for streaming progress,
+  // plus an optional AbortSignal in callbacks.signal to stop all in-flight agent work and
+  // callbacks.regenerate to skip cached summaries and translations (see ResultCache)
+  async smartTriage(userMessage, pageContext = null, callbacks = {}) {
+    const signal = callbacks.signal || null;
     try {
+      AIUtils.throwIfAborted(signal);
       console.log('🧠 Smart Triage initiated for:', userMessage);
       console.log('🎯 Context available:', !!pageContext);
 
@@ -762,13 +1030,15 @@ Analyze this message and provide the smart triage plan as JSON:`;
         }
       }
 
+      const hasSelectedTabs = !!(pageContext && Array.isArray(pageContext.pages) && pageContext.pages.length > 0);
+
       // Enhanced intent detection with multi-step analysis
       console.log('🔍 Enhanced Intent Analysis via Smart Triage');
       let intentResult;
       
       try {
         console.log('🤖 Attempting AI-powered smart intent detection...');
-        intentResult = await this.detectSmartIntent(userMessage, pageContext);
+        intentResult = await this.detectSmartIntent(userMessage, pageContext, { signal });
         console.log('✅ AI-powered smart intent detected successfully:', {
           primary: intentResult.primary,
           secondary: intentResult.secondary,
@@ -778,13 +1048,22 @@ Analyze this message and provide the smart triage plan as JSON:`;
           aiPowered: intentResult.aiPowered
         });
       } catch (intentError) {
+        if (signal && signal.aborted) {
+          throw AIUtils.createAbortError();
+        }
         console.error('❌ AI-powered smart intent detection failed:', intentError);
         console.log('🔄 Trying pattern-based multi-step fallback...');
         
-        // Try pattern-based multi-step detection
-        const multiStepFallback = this.prompter.detectMultiStepIntentFallback(userMessage);
+        // Try pattern-based multi-step detection (selected tabs always get the multi-tab plan)
+        const multiStepFallback = hasSelectedTabs
+          ? this.prompter.detectMultiPageIntentFallback(userMessage)
+          : this.prompter.detectMultiStepIntentFallback(userMessage);
+        const fallbackErrors = multiStepFallback ? ExecutionPlan.validate(multiStepFallback) : [];
+        if (fallbackErrors.length > 0) {
+          console.warn('⚠️ Pattern-based plan failed validation:', fallbackErrors);
+        }
         
-        if (multiStepFallback && multiStepFallback.isMultiStep) {
+        if (multiStepFallback && multiStepFallback.isMultiStep && fallbackErrors.length === 0) {
           console.log('✅ Pattern-based multi-step detection successful:', {
             primary: multiStepFallback.primary,
             secondary: multiStepFallback.secondary,
@@ -796,23 +1075,34 @@ Analyze this message and provide the smart triage plan as JSON:`;
         } else {
           // Fallback to regular coordination
           console.log('ℹ️ No multi-step pattern found, falling back to regular coordination...');
-          return await this.coordinateTask(userMessage, pageContext);
+          return await this.coordinateTask(userMessage, pageContext, callbacks);
         }
       }
 
+      // Selected tabs are an explicit request to work across them, whatever the plan chose
+      if (hasSelectedTabs && !(intentResult.executionPlan || []).some(step => ExecutionPlan.getInputs(step).includes('multi_page'))) {
+        console.log('🗂️ Plan does not read the selected tabs, using the multi-tab plan');
+        intentResult = this.prompter.detectMultiPageIntentFallback(userMessage);
+      }
+
       // Execute smart coordination based on the execution plan
       if (intentResult.isMultiStep && intentResult.executionPlan) {
         console.log('🚀 Multi-step execution detected!');
         console.log(`📋 Execution Plan: ${intentResult.executionPlan.length} steps (${intentResult.executionType})`);
         console.log(`� Agent Chain: ${intentResult.executionPlan.map(step => step.agent).join(' → ')}`);
         console.log(`🌐 Final Output Language: ${intentResult.finalOutputLanguage || 'original'}`);
-        return await this.executeMultiStepPlan(intentResult, userMessage, pageContext);
+        return await this.executeMultiStepPlan(intentResult, userMessage, pageContext, callbacks);
       } else {
         console.log('🎯 Single-step request detected, using regular coordination');
-        return await this.coordinateTask(userMessage, pageContext);
+        return await this.coordinateTask(userMessage, pageContext, callbacks);
       }
 
     } catch (error) {
+      // A stopped request must not fall back to another agent
+      if (AIUtils.isAbortError(error) || (signal && signal.aborted)) {
+        console.log('⏹️ Smart Triage stopped');
+        throw AIUtils.createAbortError();
+      }
       console.error('💥 Smart Triage failed:', error);
       console.log('🔄 Falling back to regular coordination...');
       
@@ -821,14 +1111,19 @@ Analyze this message and provide the smart triage plan as JSON:`;
         console.warn('⚠️ AI model unavailable for smart triage, using pattern-based coordination');
       } else if (error.message.includes('Smart triage response parsing failed')) {
         console.warn('⚠️ AI model gave invalid response for smart triage, using pattern-based coordination');
+      } else if (error.message.includes('Invalid execution plan')) {
+        console.warn('⚠️ Execution plan failed validation, using pattern-based coordination');
       } else {
         console.warn('⚠️ Unknown smart triage error, using pattern-based coordination');
       }
       
       // Fallback to regular coordination on any error
       try {
-        return await this.coordinateTask(userMessage, pageContext);
+        return await this.coordinateTask(userMessage, pageContext, callbacks);
       } catch (fallbackError) {
+        if (AIUtils.isAbortError(fallbackError)) {
+          throw fallbackError;
+        }
         console.error('💥 Even fallback coordination failed:', fallbackError);
         // Ultimate fallback - create a basic error response
         return {
@@ -865,137 +1160,165 @@ Your request: "${userMessage}"
     }
   }
 
-  // Execute multi-step coordination plan
-  async executeMultiStepPlan(intentResult, userMessage, pageContext = null) {
+  // Execute a multi-step plan as a dependency graph
+  // Each step starts as soon as all of its named inputs are available, so independent branches run concurrently
+  // seedResults: result entries of an earlier run to keep instead of re-running their steps (see retryPlanStep)
+  async executeMultiStepPlan(intentResult, userMessage, pageContext = null, callbacks = {}, seedResults = null) {
+    const signal = callbacks.signal || null;
     try {
+      // Plans are validated against the registered agents before anything runs
+      ExecutionPlan.assertValid(intentResult);
+      
+      const steps = ExecutionPlan.sortSteps(intentResult.executionPlan);
+      const totalSteps = steps.length;
+      
+      // Steps nobody consumes are the plan's final outputs
+      const consumed = new Set(steps.flatMap(step => ExecutionPlan.getInputs(step)));
+      const finalSteps = steps.filter(step => !consumed.has(step.output));
+      
       console.log('🚀 Multi-Step Execution Starting...');
-      console.log(`📊 Plan Overview: ${intentResult.executionType.toUpperCase()} execution with ${intentResult.executionPlan.length} steps`);
-      console.log('📋 Execution plan:', intentResult.executionPlan);
+      console.log(`📊 Plan Overview: ${intentResult.executionType.toUpperCase()} plan with ${totalSteps} steps`);
+      console.log('📋 Execution plan:', steps);
 
+      const values = new Map([['current_page', pageContext], ['user_message', userMessage]]);
+      const failures = new Map(); // output name → reason
+      
+      // Tabs selected for a multi-tab request; steps reading them are skipped when there are none
+      if (pageContext && Array.isArray(pageContext.pages) && pageContext.pages.length > 0) {
+        values.set('multi_page', pageContext.pages);
+      } else {
+        failures.set('multi_page', 'No tabs selected');
+      }
       const results = [];
-      let intermediateResults = new Map(); // Store intermediate results for sequential processing
-
-      if (intentResult.executionType === 'sequential') {
-        console.log('➡️ Sequential execution mode - steps will run one after another');
-        console.log(`🔗 Chain: ${intentResult.executionPlan.map(s => s.agent).join(' → ')}`);
-        
-        // Execute steps in sequence, passing output from one to the next
-        for (let i = 0; i < intentResult.executionPlan.length; i++) {
-          const step = intentResult.executionPlan[i];
-          console.log(`\n🔄 [STEP ${step.step}/${intentResult.executionPlan.length}] Executing: ${step.agent}.${step.action}`);
-          console.log(`   Input: ${step.input}`);
-          console.log(`   Output destination: ${step.output}`);
-          
-          try {
-            let stepInput;
-            let stepResult;
-            
-            // Determine input for this step
-            if (step.input === 'current_page') {
-              stepInput = pageContext;
-              console.log(`   📄 Using current page as input`);
-            } else if (step.input === 'user_message') {
-              stepInput = userMessage;
-              console.log(`   💬 Using user message as input`);
-            } else if (intermediateResults.has(step.input)) {
-              stepInput = intermediateResults.get(step.input);
-              console.log(`   🔗 Using output from previous step: ${step.input}`);
-              console.log(`   📝 Input preview: ${typeof stepInput === 'string' ? stepInput.substring(0, 80) + '...' : typeof stepInput}`);
-            } else {
-              stepInput = userMessage; // fallback
-              console.log(`   ⚠️ Using user message as fallback input`);
-            }
-            
-            // Execute the step based on agent and action
-            console.log(`   ⚙️ Executing ${step.agent}.${step.action}...`);
-            stepResult = await this.executeAgentStep(step.agent, step.action, stepInput, step.params, pageContext);
-            
-            // Store result for next steps
-            if (step.output) {
-              intermediateResults.set(step.output, stepResult);
-              console.log(`   💾 Result stored as: ${step.output}`);
-            }
-            
-            results.push({
-              step: step.step,
-              agent: step.agent,
-              action: step.action,
-              result: stepResult,
-              success: true,
-              type: i === intentResult.executionPlan.length - 1 ? 'primary' : 'intermediate'
-            });
-            
-            console.log(`   ✅ [STEP ${step.step}] Completed successfully!`);
-            
-          } catch (stepError) {
-            console.error(`   ❌ [STEP ${step.step}] Failed:`, stepError);
-            results.push({
-              step: step.step,
-              agent: step.agent,
-              action: step.action,
-              result: `Error in step ${step.step}: ${stepError.message}`,
-              success: false,
-              error: stepError.message,
-              type: 'failed'
-            });
-            
-            // For sequential execution, if a step fails, we can't continue
-            console.warn('⚠️ Sequential execution stopped due to step failure');
-            break;
-          }
+      
+      for (const entry of seedResults || []) {
+        results.push(entry);
+        if (entry.success) {
+          values.set(entry.output, entry.result);
+        } else {
+          failures.set(entry.output, entry.error);
         }
+      }
+      
+      const seeded = new Set(results.map(entry => entry.output));
+      const pending = new Set(steps.filter(step => !seeded.has(step.output)));
+      const running = new Map(); // step → promise
+      
+      const resultType = (step) => {
+        if (!finalSteps.includes(step)) return 'intermediate';
+        return step === finalSteps[0] ? 'primary' : 'secondary';
+      };
+      
+      const runStep = async (step, concurrent) => {
+        const stepInfo = {
+          step: step.step,
+          agent: step.agent,
+          action: step.action,
+          output: step.output,
+          totalSteps,
+          executionType: intentResult.executionType,
+          concurrent
+        };
+        const inputNames = ExecutionPlan.getInputs(step);
+        const inputValues = Object.fromEntries(inputNames.map(name => [name, values.get(name)]));
+        const stepInput = inputNames.length === 1 ? inputValues[inputNames[0]] : ExecutionPlan.combineInputs(inputValues);
         
-      } else if (intentResult.executionType === 'parallel') {
-        console.log('🔀 Parallel execution mode - steps will run simultaneously');
+        console.log(`\n🔄 [STEP ${step.step}/${totalSteps}] Executing: ${step.agent}.${step.action}`);
+        console.log(`   Inputs: ${inputNames.join(', ')} → Output: ${step.output}`);
+        this.emitStreamEvent(callbacks, 'onStepStart', stepInfo);
         
-        // Execute all steps in parallel
-        const stepPromises = intentResult.executionPlan.map(async (step) => {
-          console.log(`🔄 Starting parallel step ${step.step}: ${step.agent} - ${step.action}`);
+        try {
+          const stepResult = await this.executeAgentStep(
+            step.agent, step.action, stepInput, step.params, pageContext,
+            this.createStepChunkHandler(callbacks, stepInfo),
+            { inputs: inputValues, signal, timeoutMs: step.timeoutMs, regenerate: callbacks.regenerate === true }
+          );
           
-          try {
-            let stepInput;
-            
-            // Determine input for this step
-            if (step.input === 'current_page') {
-              stepInput = pageContext;
-            } else if (step.input === 'user_message') {
-              stepInput = userMessage;
-            } else {
-              stepInput = userMessage; // fallback for parallel execution
+          values.set(step.output, stepResult);
+          console.log(`   ✅ [STEP ${step.step}] Completed, stored as: ${step.output}`);
+          this.emitStreamEvent(callbacks, 'onStepComplete', { ...stepInfo, success: true, result: stepResult });
+          
+          return {
+            step: step.step,
+            agent: step.agent,
+            action: step.action,
+            inputs: inputNames,
+            output: step.output,
+            result: stepResult,
+            success: true,
+            type: resultType(step)
+          };
+          
+        } catch (stepError) {
+          console.error(`   ❌ [STEP ${step.step}] Failed:`, stepError);
+          failures.set(step.output, stepError.message);
+          this.emitStreamEvent(callbacks, 'onStepComplete', { ...stepInfo, success: false, error: stepError.message });
+          
+          return {
+            step: step.step,
+            agent: step.agent,
+            action: step.action,
+            inputs: inputNames,
+            output: step.output,
+            result: `Error in step ${step.step}: ${stepError.message}`,
+            success: false,
+            error: stepError.message,
+            type: 'failed'
+          };
+        }
+      };
+      
+      // Skip steps whose inputs failed, then start every step whose inputs are ready
+      const schedule = () => {
+        let skipped = true;
+        while (skipped) {
+          skipped = false;
+          for (const step of pending) {
+            const failedInput = ExecutionPlan.getDependencies(step).find(name => failures.has(name));
+            if (failedInput) {
+              pending.delete(step);
+              skipped = true;
+              const reason = `Skipped because ${ExecutionPlan.getInputs(step).includes(failedInput) ? 'input' : 'dependency'} "${failedInput}" failed`;
+              failures.set(step.output, reason);
+              console.warn(`⏭️ [STEP ${step.step}] ${reason}`);
+              results.push({
+                step: step.step,
+                agent: step.agent,
+                action: step.action,
+                inputs: ExecutionPlan.getInputs(step),
+                output: step.output,
+                result: `Error in step ${step.step}: ${reason}`,
+                success: false,
+                skipped: true,
+                error: reason,
+                type: 'failed'
+              });
             }
-            
-            const stepResult = await this.executeAgentStep(step.agent, step.action, stepInput, step.params, pageContext);
-            
-            console.log(`✅ Parallel step ${step.step} completed`);
-            
-            return {
-              step: step.step,
-              agent: step.agent,
-              action: step.action,
-              result: stepResult,
-              success: true,
-              type: step.step === 1 ? 'primary' : 'secondary' // First step is primary in parallel
-            };
-            
-          } catch (stepError) {
-            console.error(`❌ Parallel step ${step.step} failed:`, stepError);
-            return {
-              step: step.step,
-              agent: step.agent,
-              action: step.action,
-              result: `Error in parallel step ${step.step}: ${stepError.message}`,
-              success: false,
-              error: stepError.message,
-              type: 'failed'
-            };
           }
-        });
+        }
         
-        // Wait for all parallel steps to complete
-        const parallelResults = await Promise.all(stepPromises);
-        results.push(...parallelResults);
+        const ready = [...pending].filter(step => ExecutionPlan.getDependencies(step).every(name => values.has(name)));
+        const concurrent = ready.length + running.size > 1;
+        for (const step of ready) {
+          pending.delete(step);
+          running.set(step, runStep(step, concurrent).then(entry => ({ step, entry })));
+        }
+      };
+      
+      schedule();
+      while (running.size > 0) {
+        const { step, entry } = await Promise.race(running.values());
+        running.delete(step);
+        results.push(entry);
+        // Once stopped, running steps are aborted through the signal and nothing new is started
+        if (!(signal && signal.aborted)) {
+          schedule();
+        }
       }
       
+      AIUtils.throwIfAborted(signal);
+      results.sort((a, b) => a.step - b.step);
+      
       // Validate we have at least one successful result
       const successfulResults = results.filter(r => r.success);
       if (successfulResults.length === 0) {
@@ -1004,7 +1327,6 @@ Your request: "${userMessage}"
       
       console.log('\n🎉 Multi-step plan execution completed!');
       console.log(`📊 Final Results: ${successfulResults.length} successful, ${results.filter(r => !r.success).length} failed`);
-      console.log(`🎯 Final output from: ${successfulResults[successfulResults.length - 1].agent}`);
       
       return {
         intentAnalysis: intentResult,
@@ -1012,6 +1334,8 @@ Your request: "${userMessage}"
         success: true,
         executionType: intentResult.executionType,
         finalOutputLanguage: intentResult.finalOutputLanguage,
+        userMessage,
+        pageContext,
         timestamp: new Date().toISOString(),
         processingStats: {
           totalSteps: results.length,
@@ -1022,124 +1346,98 @@ Your request: "${userMessage}"
       };
       
     } catch (error) {
+      if (AIUtils.isAbortError(error)) {
+        console.log('⏹️ Multi-step plan execution stopped');
+        throw error;
+      }
       console.error('💥 Multi-step plan execution failed:', error);
       throw new Error(`Multi-step execution failed: ${error.message}`);
     }
   }
 
+  // Re-run one failed step of a finished plan, together with the steps that were skipped because of it
+  // Successful steps keep their results and other failed steps are left as they were
+  async retryPlanStep(coordinationResult, output, callbacks = {}) {
+    const plan = coordinationResult && coordinationResult.intentAnalysis;
+    const entry = coordinationResult && (coordinationResult.results || []).find(result => result.output === output);
+    
+    if (!plan || !Array.isArray(plan.executionPlan) || !entry) {
+      throw new Error(`Retry failed: no plan step produces "${output}"`);
+    }
+    if (entry.success) {
+      throw new Error(`Retry failed: ${ExecutionPlan.describeStep(entry)} already succeeded`);
+    }
+    if (entry.skipped) {
+      throw new Error(`Retry failed: ${ExecutionPlan.describeStep(entry)} was skipped, retry the step it depends on`);
+    }
+    
+    // The retried step and every step downstream of it run again
+    const rerun = new Set([output]);
+    let grown = true;
+    while (grown) {
+      grown = false;
+      for (const step of plan.executionPlan) {
+        if (!rerun.has(step.output) && ExecutionPlan.getDependencies(step).some(name => rerun.has(name))) {
+          rerun.add(step.output);
+          grown = true;
+        }
+      }
+    }
+    
+    console.log(`🔁 Retrying ${ExecutionPlan.describeStep(entry)} (${rerun.size} step(s) to run)`);
+    const seedResults = coordinationResult.results.filter(result => !rerun.has(result.output));
+    return await this.executeMultiStepPlan(
+      plan,
+      coordinationResult.userMessage ?? plan.originalMessage,
+      coordinationResult.pageContext ?? null,
+      callbacks,
+      seedResults
+    );
+  }
+
   // Execute a specific agent step with given parameters
-  async executeAgentStep(agentName, action, input, params = {}, pageContext = null) {
+  // onChunk: optional streaming callback, receives text chunks as they are generated
+  // options.inputs: named values of a multi-input step (input then holds them merged into one text)
+  // options.signal: AbortSignal that cancels the step
+  // options.timeoutMs: step timeout (defaults to the action's timeoutMs, then this.stepTimeoutMs)
+  // options.regenerate: run the agent even when a cached result exists
+  async executeAgentStep(agentName, action, input, params = {}, pageContext = null, onChunk = null, options = {}) {
     console.log(`🎯 Executing ${agentName} step: ${action}`);
     console.log('📝 Step parameters:', params);
     
     try {
-      switch (agentName) {
-        case 'summarizer':
-          if (action === 'summarize_page') {
-            // Create intent analysis object for summarizer
-            const summarizeIntent = {
-              summarizationType: params.type || 'key-points',
-              summarizationLength: params.length || 'medium'
-            };
-            const pageResult = await this.summarizeCurrentPage(summarizeIntent);
-            
-            // For multi-step operations, return just the summary text for clean chaining
-            // The final result formatting will be done by the last step
-            console.log('📄 Summary generated, returning clean text for chaining');
-            return pageResult.summary; // Return just the summary text, not formatted
-          } else if (action === 'summarize_text') {
-            const summarizeIntent = {
-              summarizationType: params.type || 'key-points', 
-              summarizationLength: params.length || 'medium'
-            };
-            // When summarizing text for chaining, return the raw summary (markdown from API)
-            const result = await this.summarizeText(input, '', summarizeIntent);
-            
-            // Return the summary text - it's already in markdown format from the API
-            if (typeof result === 'string') {
-              return result;
-            } else if (result && typeof result === 'object') {
-              // Handle object results (shouldn't happen but defensive coding)
-              return result.summary || result.text || result.result || JSON.stringify(result);
-            } else {
-              return String(result || 'Summarization completed but no text returned');
-            }
-          }
-          break;
-          
-        case 'translator':
-          if (action === 'translate_page') {
-            const translateIntent = {
-              targetLanguage: params.target_language,
-              sourceLanguage: params.source_language || 'auto'
-            };
-            const result = await this.translateCurrentPage(params.target_language, translateIntent);
-            
-            // Format the result consistently
-            if (result.translation.skipped) {
-              return `**Page Translation**\n\n${result.translation.message}\n\n*Page: "${result.title}"*`;
-            }
-            
-            return `**Translation of "${result.title}"**\n\n${result.translation.translatedText}\n\n*Translated from ${result.sourceLanguage} to ${result.targetLanguage}*`;
-            
-          } else if (action === 'translate_text') {
-            // For translate_text, input should be text (from previous step)
-            // Since we now return clean text from summarizer, we can use it directly
-            const textToTranslate = typeof input === 'string' ? input : String(input);
-            
-            console.log('📝 Input to translate_text (length):', textToTranslate.length);
-            console.log('📝 Text preview:', textToTranslate.substring(0, 200) + '...');
-            
-            // Validate we have text to translate
-            if (!textToTranslate || textToTranslate.trim().length === 0) {
-              throw new Error('No text content found to translate');
-            }
-            
-            const result = await this.translateText(
-              textToTranslate, 
-              params.target_language, 
-              params.source_language || 'auto',
-              { targetLanguage: params.target_language, sourceLanguage: params.source_language || 'auto' }
-            );
-            
-            if (result.skipped) {
-              return `**Translation Result**\n\n${result.message || 'Translation skipped'}`;
-            }
-            
-            // Extract the translated text
-            const translatedText = typeof result.translatedText === 'string' ? result.translatedText :
-                                  (result && typeof result === 'object' ? 
-                                   (result.text || result.translation || JSON.stringify(result)) :
-                                   String(result || 'Translation completed but no text returned'));
-            
-            console.log('✅ Translation completed (length):', translatedText.length);
-            console.log('✅ Translated text preview:', translatedText.substring(0, 200) + '...');
-            
-            // Return the translated text with formatting for display
-            return `**Translation (${params.target_language})**\n\n${translatedText}`;
-          }
-          break;
-          
-        case 'writer':
-          if (action === 'write_content') {
-            const contextInfo = pageContext ? `Context: ${pageContext.title} - ${pageContext.url}` : '';
-            return await this.writeContent(input, contextInfo, params);
-          }
-          break;
-          
-        case 'prompter':
-          if (action === 'research_query') {
-            return await this.handleResearchQuery(input, pageContext);
-          } else if (action === 'process_prompt') {
-            return await this.processPrompt(input, pageContext);
-          }
-          break;
-          
-        default:
-          throw new Error(`Unknown agent: ${agentName}`);
+      const definition = AgentRegistry.get(agentName);
+      if (!definition) {
+        throw new Error(`Unknown agent: ${agentName}`);
       }
       
-      throw new Error(`Unknown action ${action} for agent ${agentName}`);
+      const step = AgentRegistry.getAction(agentName, action);
+      if (!step) {
+        throw new Error(`Unknown action ${action} for agent ${agentName}`);
+      }
+      
+      // The step gets its own controller so a timeout aborts the underlying API calls too
+      const timeoutMs = options.timeoutMs || step.timeoutMs || this.stepTimeoutMs;
+      const controller = AIUtils.createLinkedController(options.signal);
+      try {
+        return await AIUtils.withTimeout(step.run(this, {
+          input,
+          inputs: options.inputs || {},
+          params: params || {},
+          pageContext,
+          onChunk,
+          signal: controller.signal,
+          regenerate: options.regenerate === true,
+          agent: this.getAgent(agentName)
+        }), {
+          timeoutMs,
+          signal: options.signal,
+          label: `${agentName}.${action}`,
+          onTimeout: () => controller.abort()
+        });
+      } finally {
+        controller.release();
+      }
       
     } catch (error) {
       console.error(`❌ Agent step execution failed: ${agentName}.${action}`, error);
@@ -1284,7 +1582,9 @@ Your request: "${userMessage}"
   }
 
   // Coordinate and dispatch tasks to appropriate agents
-  async coordinateTask(userMessage, pageContext = null) {
+  // callbacks: same as smartTriage(), including the optional AbortSignal in callbacks.signal
+  async coordinateTask(userMessage, pageContext = null, callbacks = {}) {
+    const signal = callbacks.signal || null;
     try {
       console.log('🚀 Multi-Agent Coordination started for:', userMessage);
 
@@ -1308,7 +1608,7 @@ Your request: "${userMessage}"
       let intentResult;
       
       try {
-        intentResult = await this.detectIntentWithAI(userMessage, pageContext);
+        intentResult = await this.detectIntentWithAI(userMessage, pageContext, { signal });
         console.log('✅ Intent detected successfully:', {
           primary: intentResult.primary,
           confidence: intentResult.confidence,
@@ -1316,6 +1616,7 @@ Your request: "${userMessage}"
           secondary: intentResult.secondary
         });
       } catch (intentError) {
+        AIUtils.throwIfAborted(signal);
         console.error('❌ Intent detection failed:', intentError);
         // Use fallback intent detection
         console.log('📋 Using fallback intent detection...');
@@ -1341,13 +1642,23 @@ Your request: "${userMessage}"
       
       // Handle primary intent
       console.log(`📤 Dispatching to PRIMARY agent: ${intentResult.primary}`);
+      const primaryStepInfo = {
+        step: 1,
+        agent: intentResult.primary,
+        action: intentResult.primary,
+        executionType: 'single'
+      };
+      this.emitStreamEvent(callbacks, 'onStepStart', primaryStepInfo);
       try {
         const primaryResult = await this.dispatchToAgent(
           intentResult.primary, 
           intentResult.craftedPrompt || userMessage, 
           pageContext, 
-          intentResult
+          intentResult,
+          this.createStepChunkHandler(callbacks, primaryStepInfo),
+          { signal, regenerate: callbacks.regenerate === true }
         );
+        this.emitStreamEvent(callbacks, 'onStepComplete', { ...primaryStepInfo, success: true, result: primaryResult });
         
         results.push({
           intent: intentResult.primary,
@@ -1358,7 +1669,9 @@ Your request: "${userMessage}"
         console.log(`✅ PRIMARY agent (${intentResult.primary}) completed successfully`);
         
       } catch (primaryError) {
+        AIUtils.throwIfAborted(signal);
         console.error(`❌ PRIMARY agent (${intentResult.primary}) failed:`, primaryError);
+        this.emitStreamEvent(callbacks, 'onStepComplete', { ...primaryStepInfo, success: false, error: primaryError.message });
         results.push({
           intent: intentResult.primary,
           type: 'primary',
@@ -1371,7 +1684,7 @@ Your request: "${userMessage}"
       // Handle secondary intents if present
       if (intentResult.secondary && Array.isArray(intentResult.secondary) && intentResult.secondary.length > 0) {
         console.log('📤 Processing SECONDARY intents:', intentResult.secondary);
-        const validIntents = ['summarize', 'translate', 'write', 'research'];
+        const validIntents = AgentRegistry.getIntentNames();
         
         for (const secondaryIntent of intentResult.secondary) {
           if (secondaryIntent !== intentResult.primary) {
@@ -1393,7 +1706,9 @@ Your request: "${userMessage}"
                 secondaryIntent, 
                 intentResult.craftedPrompt || userMessage, 
                 pageContext, 
-                intentResult
+                intentResult,
+                null,
+                { signal, regenerate: callbacks.regenerate === true }
               );
               
               results.push({
@@ -1405,6 +1720,7 @@ Your request: "${userMessage}"
               console.log(`✅ SECONDARY agent (${secondaryIntent}) completed successfully`);
               
             } catch (secondaryError) {
+              AIUtils.throwIfAborted(signal);
               console.error(`❌ SECONDARY agent (${secondaryIntent}) failed:`, secondaryError);
               results.push({
                 intent: secondaryIntent,
@@ -1439,6 +1755,10 @@ Your request: "${userMessage}"
       };
 
     } catch (error) {
+      if (AIUtils.isAbortError(error)) {
+        console.log('⏹️ Multi-Agent Coordination stopped');
+        throw error;
+      }
       console.error('💥 Multi-Agent Coordination failed:', error);
       console.error('Error details:', {
         name: error.name,
@@ -1462,7 +1782,8 @@ Your request: "${userMessage}"
   }
 
   // Dispatch to specific agent based on intent
-  async dispatchToAgent(intent, craftedPrompt, pageContext = null, intentAnalysis = null) {
+  // options: { signal } to cancel the agent call, { regenerate } to skip cached results
+  async dispatchToAgent(intent, craftedPrompt, pageContext = null, intentAnalysis = null, onChunk = null, options = {}) {
     console.log(`🎯 Dispatching to ${intent} agent with prompt:`, craftedPrompt);
 
     // Validate inputs
@@ -1474,208 +1795,30 @@ Your request: "${userMessage}"
       throw new Error('Invalid prompt provided for agent dispatch');
     }
 
-    const validIntents = ['summarize', 'translate', 'write', 'research'];
-    if (!validIntents.includes(intent)) {
-      throw new Error(`Unknown intent: ${intent}. Valid intents: ${validIntents.join(', ')}`);
+    const match = AgentRegistry.findByIntent(intent);
+    if (!match) {
+      throw new Error(`Unknown intent: ${intent}. Valid intents: ${AgentRegistry.getIntentNames().join(', ')}`);
     }
 
     // Check agent availability before dispatching
-    const capabilities = await this.getCapabilities();
-    const agentMap = {
-      'summarize': 'summarizer',
-      'translate': 'translator', 
-      'write': 'writer',
-      'research': 'prompter'
-    };
-
-    const agentName = agentMap[intent];
-    if (capabilities[agentName] && !capabilities[agentName].available) {
-      console.warn(`⚠️ ${agentName} agent not available, capabilities:`, capabilities[agentName]);
+    const agentName = match.agent.name;
+    const agent = this.getAgent(agentName);
+    if (typeof match.agent.getCapabilities === 'function') {
+      try {
+        const agentCaps = await match.agent.getCapabilities(agent);
+        if (agentCaps && !agentCaps.available) {
+          console.warn(`⚠️ ${agentName} agent not available, capabilities:`, agentCaps);
+        }
+      } catch (capError) {
+        console.warn(`⚠️ Could not check ${agentName} capabilities:`, capError);
+      }
     }
 
     try {
-      switch (intent) {
-        case 'summarize':
-          console.log('📝 Processing SUMMARIZE request');
-          
-          // Check summarizer availability first
-          try {
-            const summarizerCaps = await this.summarizer.getCapabilities();
-            console.log('📊 Summarizer capabilities:', summarizerCaps);
-            
-            if (!summarizerCaps.supported) {
-              throw new Error('Summarizer API is not supported in this browser. Please ensure you have Chrome 138+ with AI features enabled.');
-            }
-            
-            if (!summarizerCaps.available) {
-              throw new Error('Summarizer API is not available on this device. Please check system requirements: 16GB+ RAM, 22GB+ storage space.');
-            }
-            
-            if (summarizerCaps.availability === 'after-download' && (!navigator.userActivation || !navigator.userActivation.isActive)) {
-              throw new Error('User interaction required for AI model download. Please click a button or interact with the page first.');
-            }
-            
-          } catch (capError) {
-            console.error('❌ Summarizer capability check failed:', capError);
-            throw new Error(`Summarizer not ready: ${capError.message}`);
-          }
-          
-          // Check if user wants to summarize current page or provided text
-          const isPageSummary = craftedPrompt.toLowerCase().includes('page') || 
-                               craftedPrompt.toLowerCase().includes('this') || 
-                               craftedPrompt.toLowerCase().includes('current');
-          
-          if (isPageSummary && pageContext) {
-            console.log('📄 Summarizing current page');
-            console.log('📊 Using intent analysis for page summarization:', {
-              type: intentAnalysis?.summarizationType || intentAnalysis?.summarization_type,
-              length: intentAnalysis?.summarizationLength || intentAnalysis?.summarization_length
-            });
-            try {
-              const pageResult = await this.summarizeCurrentPage(intentAnalysis);
-              return `**${pageResult.title}**\n\n${pageResult.summary}\n\n*Source: ${pageResult.url}*\n*Word count: ${pageResult.wordCount}*`;
-            } catch (pageError) {
-              console.error('❌ Page summarization failed:', pageError);
-              throw new Error(`Page summarization failed: ${pageError.message}`);
-            }
-          } else {
-            console.log('📃 Summarizing provided text');
-            // For text summarization, extract text from the prompt
-            const textMatch = craftedPrompt.match(/"([^"]+)"|'([^']+)'|summarize\s+(.+)$/i);
-            const textToSummarize = textMatch ? (textMatch[1] || textMatch[2] || textMatch[3]) : craftedPrompt;
-            
-            if (!textToSummarize || textToSummarize.trim().length === 0) {
-              throw new Error('No text provided for summarization. Please specify what you want to summarize.');
-            }
-            
-            try {
-              return await this.summarizeText(textToSummarize, '', intentAnalysis);
-            } catch (textError) {
-              console.error('❌ Text summarization failed:', textError);
-              throw new Error(`Text summarization failed: ${textError.message}`);
-            }
-          }
-
-        case 'translate':
-          console.log('🌐 Processing TRANSLATE request');
-          
-          // Check translator availability first
-          try {
-            const translatorCaps = await this.translator.getCapabilities();
-            console.log('📊 Translator capabilities:', translatorCaps);
-            
-            if (!translatorCaps.translator.supported) {
-              throw new Error('Translator API is not supported in this browser. Please ensure you have Chrome 138+ with AI features enabled.');
-            }
-            
-            if (!translatorCaps.translator.available) {
-              throw new Error('Translator API is not available on this device. Please check system requirements: 16GB+ RAM, 22GB+ storage space.');
-            }
-            
-            if (translatorCaps.translator.availability === 'after-download' && (!navigator.userActivation || !navigator.userActivation.isActive)) {
-              throw new Error('User interaction required for AI model download. Please click a button or interact with the page first.');
-            }
-            
-          } catch (capError) {
-            console.error('❌ Translator capability check failed:', capError);
-            throw new Error(`Translator not ready: ${capError.message}`);
-          }
-          
-          // Extract translation preferences from intent analysis and prompt
-          const translationOptions = {};
-          if (intentAnalysis) {
-            if (intentAnalysis.targetLanguage) {
-              translationOptions.targetLang = intentAnalysis.targetLanguage;
-              console.log(`🎯 Using detected target language: ${intentAnalysis.targetLanguage}`);
-            }
-            if (intentAnalysis.sourceLanguage) {
-              translationOptions.sourceLang = intentAnalysis.sourceLanguage;
-              console.log(`🔍 Using detected source language: ${intentAnalysis.sourceLanguage}`);
-            }
-          }
-
-          // Check if user wants to translate current page or provided text
-          const isPageTranslation = craftedPrompt.toLowerCase().includes('page') || 
-                                   craftedPrompt.toLowerCase().includes('this') || 
-                                   craftedPrompt.toLowerCase().includes('current');
-          
-          if (isPageTranslation && pageContext) {
-            console.log('📄 Translating current page');
-            console.log('📊 Using intent analysis for page translation:', {
-              targetLang: intentAnalysis?.targetLanguage,
-              sourceLang: intentAnalysis?.sourceLanguage
-            });
-            try {
-              const translationResult = await this.translateCurrentPage(translationOptions.targetLang, intentAnalysis);
-              
-              if (translationResult.translation.skipped) {
-                return `**Page Translation**\n\n${translationResult.translation.message}\n\n*Page: "${translationResult.title}"*\n*Source: ${translationResult.url}*`;
-              }
-              
-              return `**Translation of "${translationResult.title}"**\n\n${translationResult.translation.translatedText}\n\n*Translated from ${translationResult.sourceLanguage} to ${translationResult.targetLanguage}*\n*Source: ${translationResult.url}*${translationResult.truncated ? '\n*Note: Content was truncated for translation*' : ''}`;
-            } catch (pageTransError) {
-              console.error('❌ Page translation failed:', pageTransError);
-              throw new Error(`Page translation failed: ${pageTransError.message}`);
-            }
-          } else {
-            console.log('📃 Translating provided text');
-            // For text translation, extract text from the prompt
-            const textMatch = craftedPrompt.match(/"([^"]+)"|'([^']+)'|translate\s+(.+?)(?:\s+to\s+\w+)?$/i);
-            const textToTranslate = textMatch ? (textMatch[1] || textMatch[2] || textMatch[3]) : craftedPrompt;
-            
-            if (!textToTranslate || textToTranslate.trim().length === 0) {
-              throw new Error('No text provided for translation. Please specify what you want to translate.');
-            }
-            
-            // Use intent analysis parameters or fallback to extraction
-            const finalTargetLang = translationOptions.targetLang || 
-                                   (intentAnalysis?.targetLanguage) || 
-                                   this.extractTargetLanguage(craftedPrompt);
-            const finalSourceLang = translationOptions.sourceLang || 
-                                   (intentAnalysis?.sourceLanguage) || 
-                                   'auto';
-            
-            console.log(`🎯 Translation parameters: ${finalSourceLang} → ${finalTargetLang}`);
-            
-            try {
-              const translationResult = await this.translateText(textToTranslate, finalTargetLang, finalSourceLang, intentAnalysis);
-              
-              if (translationResult.skipped) {
-                return `**Translation Result**\n\n${translationResult.message}`;
-              }
-              
-              return `**Translation**\n\n${translationResult.translatedText}\n\n*Translated from ${translationResult.sourceLanguage} to ${translationResult.targetLanguage}*\n*Word count: ${translationResult.wordCount}*`;
-            } catch (textTransError) {
-              console.error('❌ Text translation failed:', textTransError);
-              throw new Error(`Text translation failed: ${textTransError.message}`);
-            }
-          }
-
-        case 'write':
-          console.log('✍️ Processing WRITE request');
-          
-          if (!craftedPrompt || craftedPrompt.trim().length === 0) {
-            throw new Error('No writing prompt provided');
-          }
-          
-          const contextInfo = pageContext ? `Context: ${pageContext.title} - ${pageContext.url}` : '';
-          return await this.writeContent(craftedPrompt, contextInfo);
-
-        case 'research':
-          console.log('🔍 Processing RESEARCH request');
-          
-          if (!craftedPrompt || craftedPrompt.trim().length === 0) {
-            throw new Error('No research query provided');
-          }
-          
-          return await this.handleResearchQuery(craftedPrompt, pageContext);
-
-        default:
-          // This should never happen due to validation above, but keeping for safety
-          throw new Error(`Unknown intent: ${intent}`);
-      }
+      return await match.intent.handle(this, { craftedPrompt, pageContext, intentAnalysis, onChunk, signal: options.signal || null, regenerate: options.regenerate === true, agent });
       
     } catch (agentError) {
+      AIUtils.throwIfAborted(options.signal);
       console.error(`❌ Agent ${intent} failed:`, agentError);
       
       // Provide specific error messages based on the type of error
@@ -1689,7 +1832,7 @@ Your request: "${userMessage}"
         // Generic "not available" - add browser requirement info
         errorMessage = `${intent} functionality: ${agentError.message}\n\nPlease check:\n1. Chrome version 138+ (Canary/Dev)\n2. chrome://flags/#translation-api enabled\n3. Chrome restarted after enabling flag`;
       } else if (agentError.message.includes('No text provided') || agentError.message.includes('No') && agentError.message.includes('provided')) {
-        errorMessage = `Please provide ${intent === 'translate' ? 'text to translate' : intent === 'summarize' ? 'text to summarize' : 'more specific information'} in your request.`;
+        errorMessage = `Please provide ${match.intent.missingInput || 'more specific information'} in your request.`;
       } else if (agentError.message.includes('timeout')) {
         errorMessage = `${intent} request timed out. Please try again with a shorter or simpler request.`;
       }
@@ -1702,18 +1845,19 @@ Your request: "${userMessage}"
   
   // Get capabilities and status of all AI agents
   async getCapabilities() {
-    const summarizerCaps = await this.summarizer.getCapabilities();
-    const translatorCaps = await this.translator.getCapabilities();
-    const prompterCaps = await this.prompter.getCapabilities();
-    const writerCaps = await this.writer.getCapabilities();
+    const capabilities = {};
+
+    for (const definition of AgentRegistry.list()) {
+      const agent = this.getAgent(definition.name);
+      if (typeof definition.reportCapabilities === 'function') {
+        // Agents backed by more than one API report each of them
+        Object.assign(capabilities, await definition.reportCapabilities(agent));
+      } else if (typeof definition.getCapabilities === 'function') {
+        capabilities[definition.name] = await definition.getCapabilities(agent);
+      }
+    }
 
-    return {
-      summarizer: summarizerCaps,
-      translator: translatorCaps.translator,
-      languageDetector: translatorCaps.languageDetector,
-      prompter: prompterCaps,
-      writer: writerCaps
-    };
+    return capabilities;
   }
 
   // Comprehensive diagnostic function
@@ -1732,6 +1876,7 @@ Your request: "${userMessage}"
       },
       browserSupport: support,
       capabilities: capabilities,
+      sessionPool: typeof SessionPool !== 'undefined' ? SessionPool.shared.getStats() : null,
       recommendations: []
     };
 
@@ -1752,6 +1897,10 @@ Your request: "${userMessage}"
       diagnostics.recommendations.push('The Language Model API may not be available in your region or Chrome build');
     }
 
+    if ((!support.rewriter || !support.proofreader) && support.hasWindow) {
+      diagnostics.recommendations.push('Rewriter/Proofreader APIs are missing; rewriting and proofreading will use the Language Model API instead');
+    }
+
     return diagnostics;
   }
 
@@ -1768,28 +1917,12 @@ Your request: "${userMessage}"
     // Test each agent individually
     const testResults = {};
     
-    try {
-      testResults.summarizer = await this.summarizer.testSummarizer();
-    } catch (error) {
-      testResults.summarizer = { success: false, error: error.message };
-    }
-    
-    try {
-      testResults.translator = await this.translator.testTranslator();
-    } catch (error) {
-      testResults.translator = { success: false, error: error.message };
-    }
-    
-    try {
-      testResults.prompter = await this.prompter.testPrompter();
-    } catch (error) {
-      testResults.prompter = { success: false, error: error.message };
-    }
-    
-    try {
-      testResults.writer = await this.writer.testWriter();
-    } catch (error) {
-      testResults.writer = { success: false, error: error.message };
+    for (const agentName of AgentRegistry.getAgentNames()) {
+      try {
+        testResults[agentName] = await this.testAgent(agentName);
+      } catch (error) {
+        testResults[agentName] = { success: false, error: error.message };
+      }
     }
     
     console.log('Agent Test Results:', testResults);
@@ -1808,25 +1941,10 @@ Your request: "${userMessage}"
     };
     
     // Test each agent
-    const agents = ['summarizer', 'translator', 'prompter', 'writer'];
-    
-    for (const agentName of agents) {
+    for (const agentName of AgentRegistry.getAgentNames()) {
       try {
         console.log(`Testing ${agentName}...`);
-        switch (agentName) {
-          case 'summarizer':
-            results.agents[agentName] = await this.summarizer.testSummarizer();
-            break;
-          case 'translator':
-            results.agents[agentName] = await this.translator.testTranslator();
-            break;
-          case 'prompter':
-            results.agents[agentName] = await this.prompter.testPrompter();
-            break;
-          case 'writer':
-            results.agents[agentName] = await this.writer.testWriter();
-            break;
-        }
+        results.agents[agentName] = await this.testAgent(agentName);
         
         if (results.agents[agentName].success) {
           console.log(`✓ ${agentName} test passed`);
@@ -1842,12 +1960,28 @@ Your request: "${userMessage}"
     return results;
   }
 
+  // Run the self-test declared by a registered agent
+  async testAgent(agentName) {
+    const definition = AgentRegistry.get(agentName);
+    if (!definition) {
+      throw new Error(`Unknown agent: ${agentName}`);
+    }
+    if (typeof definition.test !== 'function') {
+      return { success: false, error: `No test defined for ${agentName}` };
+    }
+    return await definition.test(this.getAgent(agentName));
+  }
+
   // Cleanup method
   async cleanup() {
-    await this.summarizer.destroy();
-    await this.translator.destroy();
-    await this.prompter.destroy();
-    await this.writer.destroy();
+    for (const agent of Object.values(this.agents)) {
+      if (typeof agent.destroy === 'function') {
+        await agent.destroy();
+      }
+    }
+    if (typeof SessionPool !== 'undefined') {
+      SessionPool.shared.clear();
+    }
     this.initialized = false;
     console.log('AI Agents cleaned up');
   }
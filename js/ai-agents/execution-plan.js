@@ -0,0 +1,340 @@
+// Execution Plan Module
+// JSON Schema for smart-triage execution plans, plus validation against the registered agents.
+// The schema is passed to the Prompt API as responseConstraint so Gemini Nano returns structured output;
+// the same schema and the registry checks run again before a plan is executed.
+// Steps name their inputs and output; AIAgents.executeMultiStepPlan() runs them as a dependency graph.
+
+class ExecutionPlan {
+  // Step inputs that are available without a previous step ("multi_page" only when the user selected tabs)
+  static get BUILT_IN_INPUTS() {
+    return ['current_page', 'multi_page', 'user_message'];
+  }
+
+  // All types run through the same dependency-graph executor; "graph" marks plans that fan out and join
+  static get EXECUTION_TYPES() {
+    return ['sequential', 'parallel', 'graph', 'single'];
+  }
+
+  // JSON Schema for a smart-triage plan, built from the agents in AgentRegistry
+  static getSchema() {
+    const intents = AgentRegistry.getIntentNames();
+    const agents = AgentRegistry.getAgentNames();
+    const actions = [...new Set(AgentRegistry.list().flatMap(agent => Object.keys(agent.actions)))];
+
+    return {
+      type: 'object',
+      properties: {
+        primary: { type: 'string', enum: intents },
+        secondary: { type: 'array', items: { type: 'string', enum: intents } },
+        isMultiStep: { type: 'boolean' },
+        executionType: { type: 'string', enum: ExecutionPlan.EXECUTION_TYPES },
+        executionPlan: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              step: { type: 'integer', minimum: 1 },
+              agent: { type: 'string', enum: agents },
+              action: { type: 'string', enum: actions },
+              input: { type: ['string', 'array'], items: { type: 'string' } },
+              output: { type: 'string' },
+              dependsOn: { type: 'array', items: { type: 'string' } },
+              params: { type: 'object' },
+              timeoutMs: { type: 'integer', minimum: 1000 }
+            },
+            required: ['step', 'agent', 'action', 'input', 'output']
+          }
+        },
+        finalOutputLanguage: { type: ['string', 'null'] },
+        reasoning: { type: 'string' },
+        confidence: { type: 'number', minimum: 0, maximum: 1 }
+      },
+      required: ['primary', 'isMultiStep', 'executionType', 'executionPlan']
+    };
+  }
+
+  // Check a value against the subset of JSON Schema used by getSchema()
+  static validateSchema(value, schema, path = 'plan') {
+    const errors = [];
+    const types = Array.isArray(schema.type) ? schema.type : (schema.type ? [schema.type] : []);
+
+    if (types.length > 0 && !types.some(type => ExecutionPlan.matchesType(value, type))) {
+      errors.push(`${path} must be ${types.join(' or ')}`);
+      return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} must be one of: ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} must be <= ${schema.maximum}`);
+      }
+    }
+
+    if (ExecutionPlan.matchesType(value, 'object')) {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          errors.push(`${path}.${key} is required`);
+        }
+      }
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        if (value[key] !== undefined) {
+          errors.push(...ExecutionPlan.validateSchema(value[key], propertySchema, `${path}.${key}`));
+        }
+      }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...ExecutionPlan.validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+
+    return errors;
+  }
+
+  static matchesType(value, type) {
+    switch (type) {
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array': return Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && !Number.isNaN(value);
+      case 'null': return value === null;
+      default: return typeof value === type;
+    }
+  }
+
+  // Check agents, actions, parameters and step inputs against AgentRegistry
+  // Returns a list of human-readable errors (empty when the plan is valid)
+  static validate(plan) {
+    const errors = ExecutionPlan.validateSchema(plan, ExecutionPlan.getSchema());
+    if (errors.length > 0 || !plan) {
+      return errors;
+    }
+
+    const steps = plan.executionPlan;
+    if (plan.isMultiStep && steps.length === 0) {
+      errors.push('plan.executionPlan must contain at least one step for a multi-step request');
+    }
+    if (plan.isMultiStep && plan.executionType === 'single') {
+      errors.push('plan.executionType "single" cannot be used for a multi-step request');
+    }
+
+    const producers = new Map();
+
+    ExecutionPlan.sortSteps(steps).forEach(step => {
+      const label = ExecutionPlan.describeStep(step);
+      const action = AgentRegistry.getAction(step.agent, step.action);
+
+      if (!action) {
+        const known = Object.keys(AgentRegistry.get(step.agent)?.actions || {});
+        errors.push(`${label}: agent "${step.agent}" has no action "${step.action}"${known.length ? ` (available: ${known.join(', ')})` : ''}`);
+      } else {
+        const params = step.params || {};
+        for (const param of action.requiredParams || []) {
+          if (params[param] === undefined || params[param] === null || params[param] === '') {
+            errors.push(`${label}: missing required parameter "${param}"`);
+          }
+        }
+        if ((action.input === 'current_page' || action.input === 'multi_page') && step.input !== action.input) {
+          errors.push(`${label}: input must be "${action.input}"`);
+        }
+      }
+
+      if (ExecutionPlan.getInputs(step).length === 0) {
+        errors.push(`${label}: at least one input is required`);
+      }
+
+      if (producers.has(step.output)) {
+        errors.push(`${label}: output "${step.output}" is already produced by ${ExecutionPlan.describeStep(producers.get(step.output))}`);
+      } else if (ExecutionPlan.BUILT_IN_INPUTS.includes(step.output)) {
+        errors.push(`${label}: output "${step.output}" is reserved`);
+      } else {
+        producers.set(step.output, step);
+      }
+    });
+
+    // Every named input must be produced by some step (in any order) or be built in
+    const available = [...ExecutionPlan.BUILT_IN_INPUTS, ...producers.keys()];
+    for (const step of steps) {
+      for (const input of ExecutionPlan.getInputs(step)) {
+        if (input === step.output) {
+          errors.push(`${ExecutionPlan.describeStep(step)}: input "${input}" is the step's own output`);
+        } else if (!available.includes(input)) {
+          errors.push(`${ExecutionPlan.describeStep(step)}: input "${input}" is not produced by any step (available: ${available.join(', ')})`);
+        }
+      }
+      for (const output of step.dependsOn || []) {
+        if (output === step.output) {
+          errors.push(`${ExecutionPlan.describeStep(step)}: dependsOn "${output}" is the step's own output`);
+        } else if (!producers.has(output)) {
+          errors.push(`${ExecutionPlan.describeStep(step)}: dependsOn "${output}" is not produced by any step`);
+        }
+      }
+    }
+
+    if (errors.length === 0) {
+      const cycle = ExecutionPlan.findCycle(steps);
+      if (cycle) {
+        errors.push(`plan has a dependency cycle: ${cycle.join(' → ')}`);
+      }
+    }
+
+    return errors;
+  }
+
+  // Named inputs of a step ("input" may be a single name or a list)
+  static getInputs(step) {
+    const inputs = Array.isArray(step.input) ? step.input : [step.input];
+    return inputs.filter(input => typeof input === 'string' && input.length > 0);
+  }
+
+  // Everything a step waits for: its inputs plus the outputs in "dependsOn", which only order the
+  // step after others (e.g. a write step after a proofread of something else) without passing their results
+  static getDependencies(step) {
+    const dependsOn = (Array.isArray(step.dependsOn) ? step.dependsOn : []).filter(output => typeof output === 'string' && output.length > 0);
+    return [...new Set([...ExecutionPlan.getInputs(step), ...dependsOn])];
+  }
+
+  static describeStep(step) {
+    return `Step ${step.step} (${step.agent}.${step.action})`;
+  }
+
+  // Output names along a dependency cycle, or null when the plan is acyclic
+  static findCycle(steps) {
+    const producers = new Map(steps.map(step => [step.output, step]));
+    const state = new Map(); // output → 'visiting' | 'done'
+
+    const visit = (output, trail) => {
+      if (state.get(output) === 'done') return null;
+      if (state.get(output) === 'visiting') return [...trail.slice(trail.indexOf(output)), output];
+      state.set(output, 'visiting');
+      for (const input of ExecutionPlan.getDependencies(producers.get(output))) {
+        if (producers.has(input)) {
+          const cycle = visit(input, [...trail, output]);
+          if (cycle) return cycle;
+        }
+      }
+      state.set(output, 'done');
+      return null;
+    };
+
+    for (const step of steps) {
+      const cycle = visit(step.output, []);
+      if (cycle) return cycle;
+    }
+    return null;
+  }
+
+  // Readable label for a variable name ("summary_de" → "Summary de")
+  static formatLabel(name) {
+    const text = String(name).replace(/[_-]+/g, ' ').trim();
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  // Text form of a step value (page context objects contribute their content)
+  static toText(value) {
+    if (typeof value === 'string') return value;
+    if (value && typeof value === 'object') {
+      return value.content || value.text || value.summary || JSON.stringify(value);
+    }
+    return String(value ?? '');
+  }
+
+  // Merge several named values into one markdown document, one section per value
+  static combineInputs(values, labels = {}) {
+    return Object.entries(values)
+      .map(([name, value]) => `### ${labels[name] || ExecutionPlan.formatLabel(name)}\n\n${ExecutionPlan.toText(value)}`)
+      .join('\n\n---\n\n');
+  }
+
+  // Parse a model response into a plan object
+  static parse(response) {
+    if (response && typeof response === 'object') {
+      return response;
+    }
+    try {
+      return JSON.parse(response);
+    } catch (error) {
+      throw new Error(`Execution plan is not valid JSON: ${error.message}`);
+    }
+  }
+
+  // Parse and validate a model response; returns { plan, errors }
+  static parseAndValidate(response) {
+    let plan;
+    try {
+      plan = ExecutionPlan.parse(response);
+    } catch (error) {
+      return { plan: null, errors: [error.message] };
+    }
+    return { plan, errors: ExecutionPlan.validate(plan) };
+  }
+
+  // Throw when a plan is invalid (used before execution)
+  static assertValid(plan) {
+    const errors = ExecutionPlan.validate(plan);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid execution plan: ${errors.join('; ')}`);
+      error.planErrors = errors;
+      throw error;
+    }
+    return plan;
+  }
+
+  // Steps in execution order
+  static sortSteps(steps) {
+    return [...steps].sort((a, b) => a.step - b.step);
+  }
+
+  // Follow-up prompt asking the model to fix an invalid plan
+  static buildRepairPrompt(originalPrompt, response, errors) {
+    return `${originalPrompt}
+
+YOUR PREVIOUS RESPONSE WAS INVALID:
+${typeof response === 'string' ? response : JSON.stringify(response)}
+
+PROBLEMS:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return a corrected plan as JSON. Each step's "input" must be "current_page", "multi_page", "user_message" or the "output" of another step, without cycles.`;
+  }
+}
+
+// Coordinator pseudo-agent: joins the branches of a plan without calling a model
+if (typeof AgentRegistry !== 'undefined') {
+  AgentRegistry.register({
+    name: 'coordinator',
+    create: () => ({}),
+    description: 'Combines the outputs of earlier plan steps (no AI call)',
+    order: 90,
+    actions: {
+      join_results: {
+        description: 'Merge the outputs of several steps into one result, one section per input',
+        input: 'list of step outputs',
+        output: 'text',
+        params: { heading: 'optional title for the merged result', labels: 'optional map of input name to section title' },
+        async run(ai, { inputs, params }) {
+          if (!inputs || Object.keys(inputs).length === 0) {
+            throw new Error('No step outputs to join');
+          }
+          const body = ExecutionPlan.combineInputs(inputs, params.labels || {});
+          return params.heading ? `## ${params.heading}\n\n${body}` : body;
+        }
+      }
+    },
+    test: async () => ({ success: true, message: 'Join step available' })
+  });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExecutionPlan;
+} else if (typeof window !== 'undefined') {
+  window.ExecutionPlan = ExecutionPlan;
+}
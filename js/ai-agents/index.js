@@ -17,13 +17,17 @@
   if (isBrowser) {
     // Ensure all dependencies are loaded before initializing
     function checkDependencies() {
+      // Agent classes come from the registrations at the bottom of each agent module
+      if (typeof window.AgentRegistry === 'undefined') {
+        console.warn('AI Agents: AgentRegistry not loaded yet');
+        return false;
+      }
+
       const requiredClasses = [
         'AIUtils',
-        'ChromeIntegration', 
-        'SummarizerAgent',
-        'TranslatorAgent',
-        'PrompterAgent',
-        'WriterAgent'
+        'ChromeIntegration',
+        'ExecutionPlan',
+        ...window.AgentRegistry.getRequiredClasses()
       ];
       
       for (const className of requiredClasses) {
@@ -89,10 +93,9 @@
       
       // Log the multi-agent architecture
       console.log('🎯 Multi-Agent System Components:');
-      console.log('  • Prompter Agent: Intent detection and research');
-      console.log('  • Summarizer Agent: Content summarization');
-      console.log('  • Translator Agent: Language translation');
-      console.log('  • Writer Agent: Content creation');
+      window.AgentRegistry.list().forEach(definition => {
+        console.log(`  • ${definition.ui?.title || definition.name}: ${definition.description}`);
+      });
       console.log('  • Coordination System: Task routing and management');
       
       // Dispatch event to notify that modular system is ready
@@ -102,7 +105,7 @@
             hasCompatibilityLayer: hasCompatibilityLayer,
             instance: window.aiAgents,
             multiAgentSystem: true,
-            agents: ['prompter', 'summarizer', 'translator', 'writer'],
+            agents: window.AgentRegistry.getAgentNames(),
             coordinator: true
           }
         });
@@ -121,84 +124,7 @@
       // Standalone function for page content extraction (backward compatibility)
       if (typeof window.extractPageContentFunction === 'undefined') {
         window.extractPageContentFunction = function() {
-          try {
-            // Get main content areas (don't remove scripts as this could break the page)
-            const contentSelectors = [
-              'main',
-              'article', 
-              '[role="main"]',
-              '.content',
-              '.post-content',
-              '.entry-content',
-              '#content',
-              '#main-content',
-              '.article-content',
-              '.blog-content',
-              '.text-content'
-            ];
-
-            let content = '';
-            let title = document.title || '';
-            let url = window.location.href || '';
-
-            // Try to find main content area
-            for (const selector of contentSelectors) {
-              const element = document.querySelector(selector);
-              if (element) {
-                content = element.innerText || element.textContent || '';
-                if (content.trim().length > 200) {
-                  break;
-                }
-              }
-            }
-
-            // If no main content found, try to get meaningful content from body
-            if (!content || content.trim().length < 200) {
-              // Try to get content excluding navigation, headers, footers, etc.
-              const elementsToExclude = 'nav, header, footer, aside, .navigation, .menu, .sidebar, .ad, .advertisement, script, style, noscript, .comments';
-              const bodyClone = document.body.cloneNode(true);
-              
-              // Remove excluded elements
-              bodyClone.querySelectorAll(elementsToExclude).forEach(el => el.remove());
-              
-              content = bodyClone.innerText || bodyClone.textContent || '';
-            }
-
-            // If still no content, fallback to full body
-            if (!content || content.trim().length < 100) {
-              content = document.body.innerText || document.body.textContent || '';
-            }
-
-            // Clean up the content
-            content = content
-              .replace(/\n\s*\n\s*\n/g, '\n\n') // Remove excessive newlines
-              .replace(/\s+/g, ' ') // Normalize whitespace
-              .replace(/\t/g, ' ') // Replace tabs with spaces
-              .trim();
-
-            // Limit content length to prevent issues with very long pages
-            if (content.length > 50000) {
-              content = content.substring(0, 50000) + '...';
-            }
-
-            return {
-              title,
-              url,
-              content,
-              timestamp: new Date().toISOString(),
-              wordCount: content.split(/\s+/).filter(word => word.length > 0).length
-            };
-
-          } catch (error) {
-            console.error('Error extracting page content:', error);
-            return {
-              title: document.title || 'Unknown',
-              url: window.location.href || '',
-              content: '',
-              timestamp: new Date().toISOString(),
-              error: error.message
-            };
-          }
+          return PageExtractor.extract(document);
         };
       }
     }
@@ -399,10 +325,14 @@
     module.exports = {
       AIUtils: require('./utils'),
       ChromeIntegration: require('./chrome-integration'),
+      AgentRegistry: require('./agent-registry'),
+      ExecutionPlan: require('./execution-plan'),
       SummarizerAgent: require('./summarizer'),
       TranslatorAgent: require('./translator'),
       PrompterAgent: require('./prompter'),
       WriterAgent: require('./writer'),
+      RewriterAgent: require('./rewriter'),
+      ProofreaderAgent: require('./proofreader'),
       AIAgents: require('./core')
     };
   }
@@ -0,0 +1,624 @@
+// Page Extractor Module
+// Shared page content extraction for the content script, chrome.scripting injections and the
+// compatibility layer. Content blocks are scored the way Readability does (paragraph length, commas,
+// class/id hints, link density, scores propagated to ancestors); the best block and its related
+// siblings are converted to markdown so headings, lists, tables and code survive for the agents.
+// Navigation, ads, comments, forms and other boilerplate are dropped.
+// Sites where generic extraction fails (video transcripts, code hosts, PDFs, Q&A, docs) register a
+// handler with PageExtractor.registerSite(); see site-extractors.js.
+
+class PageExtractor {
+  // Register a site handler: { name, label, matches(location, doc), extract(doc, location) }
+  // extract() may be async and returns { content, title?, byline?, contentType?, ... } (content is
+  // labeled markdown), or null to fall back to generic extraction
+  static registerSite(handler) {
+    PageExtractor.sites = PageExtractor.sites.filter(site => site.name !== handler.name);
+    PageExtractor.sites.push(handler);
+  }
+
+  static findSite(location, doc) {
+    return PageExtractor.sites.find(site => {
+      try {
+        return site.matches(location, doc);
+      } catch (error) {
+        return false;
+      }
+    }) || null;
+  }
+
+  // Extract with the matching site handler, falling back to generic extraction
+  // This is what chrome.scripting injections and the content script use
+  static async extractPage(doc = document, options = {}) {
+    const site = doc.location ? PageExtractor.findSite(doc.location, doc) : null;
+    if (site) {
+      try {
+        const result = await site.extract(doc, doc.location);
+        if (result && result.content && result.content.trim()) {
+          console.log(`📄 Extracted page with the ${site.name} extractor`);
+          return PageExtractor.buildSiteResult(doc, site, result);
+        }
+        console.warn(`⚠️ ${site.name} extractor found no content, using generic extraction`);
+      } catch (error) {
+        console.warn(`⚠️ ${site.name} extractor failed, using generic extraction:`, error);
+      }
+    }
+    return PageExtractor.extract(doc, options);
+  }
+
+  // Same shape as extract(); fields the handler leaves out come from the page metadata
+  static buildSiteResult(doc, site, result) {
+    const markdown = PageExtractor.normalizeMarkdown(result.content);
+    const wordCount = PageExtractor.countWords(markdown);
+    const fields = {};
+    Object.keys(result).forEach(name => {
+      if (result[name] !== undefined && result[name] !== null && name !== 'content') {
+        fields[name] = result[name];
+      }
+    });
+
+    return {
+      ...PageExtractor.getMetadata(doc),
+      url: doc.location.href,
+      readingTimeMinutes: Math.max(1, Math.ceil(wordCount / PageExtractor.WORDS_PER_MINUTE)),
+      outline: PageExtractor.getMarkdownOutline(markdown),
+      contentType: site.label,
+      ...fields,
+      content: markdown,
+      markdown,
+      source: site.name,
+      wordCount,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Extract the main content of a document as markdown plus metadata
+  // Returns { title, url, content, markdown, excerpt, byline, publishedTime, language, siteName,
+  //           readingTimeMinutes, outline, wordCount, timestamp }
+  static extract(doc = document, options = {}) {
+    const { minContentLength = 200 } = options;
+
+    try {
+      const body = doc.body;
+      if (!body) {
+        throw new Error('Document has no body');
+      }
+
+      const scores = PageExtractor.scoreCandidates(body);
+      const root = PageExtractor.findContentRoot(doc, scores, minContentLength);
+      const blocks = root === body ? [body] : PageExtractor.collectSiblings(root, scores);
+      const markdown = PageExtractor.normalizeMarkdown(
+        blocks.map(block => PageExtractor.toMarkdown(block)).join('\n\n')
+      );
+      const metadata = PageExtractor.getMetadata(doc, blocks);
+      const wordCount = PageExtractor.countWords(markdown);
+
+      return {
+        title: metadata.title,
+        url: doc.location ? doc.location.href : '',
+        content: markdown,
+        markdown,
+        excerpt: metadata.excerpt,
+        byline: metadata.byline,
+        publishedTime: metadata.publishedTime,
+        language: metadata.language,
+        siteName: metadata.siteName,
+        readingTimeMinutes: Math.max(1, Math.ceil(wordCount / PageExtractor.WORDS_PER_MINUTE)),
+        outline: PageExtractor.getOutline(blocks),
+        source: 'generic',
+        wordCount,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error extracting page content:', error);
+      return {
+        title: doc.title || 'Unknown',
+        url: doc.location ? doc.location.href : '',
+        content: '',
+        timestamp: new Date().toISOString(),
+        error: error.message
+      };
+    }
+  }
+
+  // Highest scoring content candidate, falling back to <main>/<article> and then <body>
+  static findContentRoot(doc, scores, minContentLength = 200) {
+    let best = null;
+    for (const [element, score] of scores) {
+      if (!best || score > scores.get(best)) {
+        best = element;
+      }
+    }
+
+    if (best && PageExtractor.getTextLength(best) >= minContentLength) {
+      return best;
+    }
+
+    const landmark = doc.querySelector('main, article, [role="main"]');
+    if (landmark && PageExtractor.getTextLength(landmark) >= minContentLength) {
+      return landmark;
+    }
+    return doc.body;
+  }
+
+  // Score paragraphs and propagate their score to parent (full), grandparent (half) and further
+  // ancestors (score / (level * 3)); final scores are scaled by (1 - link density)
+  // Returns a Map of candidate element → score
+  static scoreCandidates(body) {
+    const scores = new Map();
+    const paragraphs = body.querySelectorAll('p, pre, td, blockquote, section > div, article > div, main > div');
+
+    paragraphs.forEach(paragraph => {
+      if (PageExtractor.isBoilerplate(paragraph) || !PageExtractor.isVisible(paragraph)) {
+        return;
+      }
+      if (paragraph.tagName === 'DIV' && paragraph.querySelector(PageExtractor.BLOCK_SELECTOR)) {
+        return; // Only divs that are used as paragraphs
+      }
+
+      const text = PageExtractor.getText(paragraph);
+      if (text.length < 25) {
+        return;
+      }
+
+      const commas = text.split(/[,،、，]/).length - 1;
+      const contentScore = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+
+      let ancestor = paragraph.parentElement;
+      for (let level = 0; ancestor && ancestor !== body.parentElement && level < 5; level++) {
+        if (!scores.has(ancestor)) {
+          scores.set(ancestor, PageExtractor.initialScore(ancestor));
+        }
+        const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+        scores.set(ancestor, scores.get(ancestor) + contentScore / divider);
+        ancestor = ancestor.parentElement;
+      }
+    });
+
+    const candidates = new Map();
+    scores.forEach((score, element) => {
+      if (!PageExtractor.isBoilerplate(element)) {
+        candidates.set(element, score * (1 - PageExtractor.getLinkDensity(element)));
+      }
+    });
+    return candidates;
+  }
+
+  // Starting score from the tag name and class/id hints
+  static initialScore(element) {
+    const tagScores = {
+      DIV: 5, ARTICLE: 10, MAIN: 10, SECTION: 3, PRE: 3, TD: 3, BLOCKQUOTE: 3,
+      ADDRESS: -3, OL: -3, UL: -3, DL: -3, DD: -3, DT: -3, LI: -3, FORM: -3,
+      H1: -5, H2: -5, H3: -5, H4: -5, H5: -5, H6: -5, TH: -5
+    };
+    return (tagScores[element.tagName] || 0) + PageExtractor.getClassWeight(element);
+  }
+
+  // +25 for content-like class/id names, -25 for boilerplate-like ones
+  static getClassWeight(element) {
+    const { positive, negative } = PageExtractor.patterns;
+    let weight = 0;
+    for (const name of [element.className, element.id]) {
+      if (typeof name !== 'string' || !name) {
+        continue;
+      }
+      if (negative.test(name)) {
+        weight -= 25;
+      }
+      if (positive.test(name)) {
+        weight += 25;
+      }
+    }
+    if (element.getAttribute && (element.getAttribute('itemprop') === 'articleBody' || element.getAttribute('role') === 'main')) {
+      weight += 25;
+    }
+    return weight;
+  }
+
+  // Top candidate plus siblings that look like part of the same article
+  static collectSiblings(root, scores) {
+    const parent = root.parentElement;
+    if (!parent || parent.tagName === 'HTML') {
+      return [root];
+    }
+
+    const rootScore = scores.get(root) || 0;
+    const threshold = Math.max(10, rootScore * 0.2);
+    const rootClass = root.className;
+
+    return [...parent.children].filter(sibling => {
+      if (sibling === root) {
+        return true;
+      }
+      if (PageExtractor.isBoilerplate(sibling) || !PageExtractor.isVisible(sibling)) {
+        return false;
+      }
+
+      let bonus = 0;
+      if (rootClass && sibling.className === rootClass) {
+        bonus += rootScore * 0.2;
+      }
+      if (scores.has(sibling) && scores.get(sibling) + bonus >= threshold) {
+        return true;
+      }
+
+      if (sibling.tagName === 'P') {
+        const text = PageExtractor.getText(sibling);
+        const linkDensity = PageExtractor.getLinkDensity(sibling);
+        return (text.length > 80 && linkDensity < 0.25) || (text.length > 0 && linkDensity === 0 && /\.( |$)/.test(text));
+      }
+      return false;
+    });
+  }
+
+  // Elements that are never part of the content: scripts, navigation, ads, comments, forms, ...
+  // A <header> inside an article or main element holds the article title, so it is kept
+  static isBoilerplate(element) {
+    if (PageExtractor.SKIP_TAGS.includes(element.tagName)) {
+      return true;
+    }
+    if (element.tagName === 'HEADER' && !element.closest('article, main, [role="main"]')) {
+      return true;
+    }
+    if (element.matches && element.matches(PageExtractor.SKIP_SELECTOR)) {
+      return true;
+    }
+    if (element.getAttribute) {
+      const role = element.getAttribute('role');
+      if (role && PageExtractor.SKIP_ROLES.includes(role)) {
+        return true;
+      }
+    }
+
+    const { unlikely, maybe } = PageExtractor.patterns;
+    const hint = `${typeof element.className === 'string' ? element.className : ''} ${element.id || ''}`;
+    return unlikely.test(hint) && !maybe.test(hint) && element.tagName !== 'BODY' && element.tagName !== 'A';
+  }
+
+  // Same visibility check as Readability: inline styles and attributes only, no layout
+  static isVisible(element) {
+    if (element.hidden || (element.getAttribute && element.getAttribute('aria-hidden') === 'true')) {
+      return false;
+    }
+    const style = element.style;
+    return !style || (style.display !== 'none' && style.visibility !== 'hidden');
+  }
+
+  // Lists, tables and divs inside the content that are mostly links or ads (related posts, share bars)
+  static isClutter(element) {
+    if (!['DIV', 'SECTION', 'UL', 'OL', 'TABLE', 'FORM', 'ASIDE'].includes(element.tagName)) {
+      return false;
+    }
+    if (PageExtractor.getClassWeight(element) < 0) {
+      return true;
+    }
+
+    const textLength = PageExtractor.getTextLength(element);
+    const linkDensity = PageExtractor.getLinkDensity(element);
+    if (element.tagName === 'TABLE') {
+      return linkDensity > 0.5; // Data tables are short on text but still content
+    }
+    const isList = element.tagName === 'UL' || element.tagName === 'OL';
+    if (isList) {
+      return linkDensity > 0.8 && textLength < 400 && !element.closest('nav') && element.querySelectorAll('li').length > 3;
+    }
+    return (textLength < 25 && element.querySelectorAll('img').length === 0 && !element.querySelector('pre, code, table'))
+      || (linkDensity > 0.5 && textLength < 500);
+  }
+
+  // Convert an element to markdown, keeping headings, lists, tables, code and quotes
+  static toMarkdown(element, listDepth = 0) {
+    let output = '';
+
+    for (const node of element.childNodes) {
+      if (node.nodeType === 3) { // Text node
+        output += node.textContent.replace(/\s+/g, ' ');
+        continue;
+      }
+      if (node.nodeType !== 1 || PageExtractor.isBoilerplate(node) || !PageExtractor.isVisible(node)) {
+        continue;
+      }
+      if (PageExtractor.isClutter(node)) {
+        continue;
+      }
+
+      const tag = node.tagName;
+      switch (tag) {
+        case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': {
+          const text = PageExtractor.getHeadingText(node);
+          if (text) {
+            output += `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n`;
+          }
+          break;
+        }
+        case 'P': case 'DIV': case 'SECTION': case 'ARTICLE': case 'MAIN': case 'FIGURE': case 'DL':
+        case 'ADDRESS': case 'DETAILS':
+          output += `\n\n${PageExtractor.toMarkdown(node, listDepth)}\n\n`;
+          break;
+        case 'BR':
+          output += '\n';
+          break;
+        case 'HR':
+          output += '\n\n---\n\n';
+          break;
+        case 'UL': case 'OL':
+          output += `\n\n${PageExtractor.listToMarkdown(node, listDepth)}\n\n`;
+          break;
+        case 'PRE':
+          output += `\n\n${PageExtractor.codeToMarkdown(node)}\n\n`;
+          break;
+        case 'CODE': {
+          const code = node.textContent;
+          output += code.includes('\n') ? `\n\n${PageExtractor.codeToMarkdown(node)}\n\n` : `\`${code}\``;
+          break;
+        }
+        case 'BLOCKQUOTE': {
+          const quote = PageExtractor.normalizeMarkdown(PageExtractor.toMarkdown(node, listDepth));
+          output += `\n\n${quote.split('\n').map(line => `> ${line}`.trimEnd()).join('\n')}\n\n`;
+          break;
+        }
+        case 'TABLE':
+          output += `\n\n${PageExtractor.tableToMarkdown(node)}\n\n`;
+          break;
+        case 'STRONG': case 'B': {
+          const text = PageExtractor.toMarkdown(node, listDepth).trim();
+          output += text ? `**${text}**` : '';
+          break;
+        }
+        case 'EM': case 'I': {
+          const text = PageExtractor.toMarkdown(node, listDepth).trim();
+          output += text ? `*${text}*` : '';
+          break;
+        }
+        case 'FIGCAPTION': case 'DT':
+          output += `\n${PageExtractor.toMarkdown(node, listDepth).trim()}\n`;
+          break;
+        case 'DD':
+          output += `\n: ${PageExtractor.toMarkdown(node, listDepth).trim()}\n`;
+          break;
+        case 'IMG': case 'PICTURE': case 'VIDEO': case 'AUDIO':
+          break; // Media adds nothing to text the agents can use
+        default:
+          output += PageExtractor.toMarkdown(node, listDepth);
+      }
+    }
+
+    return output;
+  }
+
+  // Bulleted or numbered list; nested lists are indented two spaces per level
+  static listToMarkdown(list, depth = 0) {
+    const ordered = list.tagName === 'OL';
+    const indent = '  '.repeat(depth);
+    let index = Number(list.getAttribute('start')) || 1;
+    const lines = [];
+
+    for (const item of list.children) {
+      if (item.tagName !== 'LI' || !PageExtractor.isVisible(item)) {
+        continue;
+      }
+      const marker = ordered ? `${index++}.` : '-';
+      const text = PageExtractor.normalizeMarkdown(PageExtractor.toMarkdown(item, depth + 1));
+      if (!text) {
+        continue;
+      }
+      const [first, ...rest] = text.split('\n').filter(line => line.trim());
+      lines.push(`${indent}${marker} ${first.trim()}`);
+      rest.forEach(line => {
+        lines.push(/^\s*(?:[-*]|\d+\.) /.test(line) ? line : `${indent}  ${line.trim()}`);
+      });
+    }
+
+    return lines.join('\n');
+  }
+
+  // Fenced code block, with the language taken from language-*/lang-* classes when present
+  static codeToMarkdown(pre) {
+    const code = pre.tagName === 'PRE' && pre.querySelector('code') ? pre.querySelector('code') : pre;
+    const hint = `${pre.className || ''} ${code.className || ''}`;
+    const match = hint.match(/(?:language|lang)-([\w+#-]+)/);
+    const text = code.textContent.replace(/\n+$/, '');
+    const fence = text.includes('```') ? '~~~' : '```';
+    return `${fence}${match ? match[1] : ''}\n${text}\n${fence}`;
+  }
+
+  // Pipe table; the first row is the header. Layout tables (nested tables or a single column)
+  // are converted as plain blocks instead
+  static tableToMarkdown(table) {
+    const rows = [...table.querySelectorAll('tr')].filter(row => row.closest('table') === table);
+    const cellRows = rows.map(row => [...row.children]
+      .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+      .map(cell => PageExtractor.normalizeMarkdown(PageExtractor.toMarkdown(cell))
+        .replace(/\n+/g, ' ')
+        .replace(/\|/g, '\\|')));
+
+    const columns = Math.max(0, ...cellRows.map(cells => cells.length));
+    if (table.querySelector('table') || columns < 2) {
+      return cellRows.map(cells => cells.join(' ')).filter(Boolean).join('\n\n');
+    }
+
+    const pad = cells => [...cells, ...Array(columns - cells.length).fill('')];
+    const [header, ...body] = cellRows.map(pad);
+    const caption = table.querySelector('caption');
+    const lines = [
+      `| ${header.join(' | ')} |`,
+      `| ${header.map(() => '---').join(' | ')} |`,
+      ...body.map(cells => `| ${cells.join(' | ')} |`)
+    ];
+    return caption ? `${PageExtractor.getText(caption)}\n\n${lines.join('\n')}` : lines.join('\n');
+  }
+
+  // Title, byline, publish date, language, site name and excerpt from meta tags, JSON-LD and the content
+  static getMetadata(doc, blocks = []) {
+    const meta = (...names) => {
+      for (const name of names) {
+        const element = doc.querySelector(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`);
+        const value = element && element.getAttribute('content');
+        if (value && value.trim()) {
+          return value.trim();
+        }
+      }
+      return null;
+    };
+    const jsonLd = PageExtractor.getJsonLdArticle(doc);
+
+    let byline = meta('author', 'article:author', 'dc.creator', 'twitter:creator', 'parsely-author')
+      || PageExtractor.getJsonLdAuthor(jsonLd);
+    if (!byline) {
+      const element = doc.querySelector('[rel="author"], [itemprop="author"], .byline, .author, .post-author');
+      const text = element ? PageExtractor.getText(element) : '';
+      byline = text && text.length < 100 ? text : null;
+    }
+
+    let publishedTime = meta('article:published_time', 'datePublished', 'date', 'pubdate', 'publishdate', 'dc.date', 'dcterms.created')
+      || (jsonLd && jsonLd.datePublished) || null;
+    if (!publishedTime) {
+      const time = blocks.map(block => block.querySelector('time[datetime]')).find(Boolean)
+        || doc.querySelector('[itemprop="datePublished"], time[datetime]');
+      publishedTime = time ? (time.getAttribute('datetime') || time.getAttribute('content') || PageExtractor.getText(time)) : null;
+    }
+
+    const httpLanguage = doc.querySelector('meta[http-equiv="content-language" i]');
+    const language = (doc.documentElement && doc.documentElement.getAttribute('lang'))
+      || (httpLanguage && httpLanguage.getAttribute('content'))
+      || meta('content-language', 'language', 'og:locale')
+      || null;
+
+    return {
+      title: meta('og:title', 'twitter:title') || (jsonLd && jsonLd.headline) || doc.title || '',
+      byline,
+      publishedTime,
+      language: language ? language.replace('_', '-') : null,
+      siteName: meta('og:site_name', 'application-name') || null,
+      excerpt: meta('description', 'og:description', 'twitter:description') || (jsonLd && jsonLd.description) || null
+    };
+  }
+
+  // First Article-like object from JSON-LD scripts (handles arrays and @graph)
+  static getJsonLdArticle(doc) {
+    const types = /Article|BlogPosting|NewsArticle|Report|WebPage/;
+    for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const data = JSON.parse(script.textContent);
+        const items = [].concat(data).flatMap(item => (item && item['@graph']) ? item['@graph'] : [item]);
+        const article = items.find(item => item && types.test([].concat(item['@type'] || '').join(' ')));
+        if (article) {
+          return article;
+        }
+      } catch (error) {
+        // Invalid JSON-LD is common; ignore it
+      }
+    }
+    return null;
+  }
+
+  static getJsonLdAuthor(jsonLd) {
+    if (!jsonLd || !jsonLd.author) {
+      return null;
+    }
+    const names = [].concat(jsonLd.author)
+      .map(author => typeof author === 'string' ? author : author && author.name)
+      .filter(Boolean);
+    return names.length > 0 ? names.join(', ') : null;
+  }
+
+  // Headings of the extracted content: [{ level, text }]
+  static getOutline(blocks) {
+    const outline = [];
+    blocks.forEach(block => {
+      const headings = /^H[1-6]$/.test(block.tagName) ? [block] : [...block.querySelectorAll('h1, h2, h3, h4, h5, h6')];
+      headings.forEach(heading => {
+        const text = PageExtractor.getHeadingText(heading);
+        if (text && PageExtractor.isVisible(heading) && !heading.closest('nav, aside, footer, form, dialog')) {
+          outline.push({ level: Number(heading.tagName[1]), text });
+        }
+      });
+    });
+    return outline;
+  }
+
+  // Headings of markdown content (outside code fences): [{ level, text }]
+  static getMarkdownOutline(markdown) {
+    const outline = [];
+    let inFence = false;
+    markdown.split('\n').forEach(line => {
+      if (/^(?:```|~~~)/.test(line)) {
+        inFence = !inFence;
+        return;
+      }
+      const match = !inFence && line.match(/^(#{1,6}) (.+)$/);
+      if (match) {
+        outline.push({ level: match[1].length, text: match[2].trim() });
+      }
+    });
+    return outline;
+  }
+
+  // Heading text without permalink anchors ("#", "¶")
+  static getHeadingText(heading) {
+    return PageExtractor.toMarkdown(heading).replace(/\s+/g, ' ').trim();
+  }
+
+  static getText(element) {
+    return (element.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  static getTextLength(element) {
+    return PageExtractor.getText(element).length;
+  }
+
+  // Share of the element's text that sits inside links (in-page anchors count for less)
+  static getLinkDensity(element) {
+    const textLength = PageExtractor.getTextLength(element);
+    if (textLength === 0) {
+      return 0;
+    }
+    let linkLength = 0;
+    element.querySelectorAll('a').forEach(link => {
+      const href = link.getAttribute('href');
+      const coefficient = href && href.startsWith('#') ? 0.3 : 1;
+      linkLength += PageExtractor.getTextLength(link) * coefficient;
+    });
+    return Math.min(1, linkLength / textLength);
+  }
+
+  static countWords(text) {
+    return text.split(/\s+/).filter(word => word.length > 0 && /[\p{L}\p{N}]/u.test(word)).length;
+  }
+
+  // Collapse whitespace while keeping blank lines between blocks, the indentation of nested list
+  // items and the content of code fences
+  static normalizeMarkdown(markdown) {
+    const parts = markdown.split(/(^|\n)((?:```|~~~)[^\n]*\n[\s\S]*?\n(?:```|~~~))(?=\n|$)/);
+    return parts
+      .map(part => /^(?:```|~~~)/.test(part) ? part : part
+        .replace(/(\S)[ \t\f\v\u00a0]+/g, '$1 ')
+        .replace(/ *\n( *)((?:[-*]|\d+\.) )?/g, (match, indent, marker) => marker ? `\n${indent}${marker}` : '\n')
+        .replace(/\n{3,}/g, '\n\n'))
+      .join('')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+PageExtractor.WORDS_PER_MINUTE = 200;
+PageExtractor.sites = [];
+PageExtractor.BLOCK_SELECTOR = 'p, div, section, article, table, ul, ol, pre, blockquote, h1, h2, h3, h4, h5, h6';
+PageExtractor.SKIP_TAGS = [
+  'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'IFRAME', 'OBJECT', 'EMBED',
+  'NAV', 'ASIDE', 'FOOTER', 'FORM', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'DIALOG', 'MENU'
+];
+PageExtractor.SKIP_SELECTOR = 'a.headerlink, a.hash-link, a.anchorjs-link, .sr-only-focusable';
+PageExtractor.SKIP_ROLES = ['navigation', 'banner', 'contentinfo', 'complementary', 'search', 'menu', 'menubar', 'dialog', 'alert'];
+PageExtractor.patterns = {
+  unlikely: /-ad-|ad-break|agegate|banner|breadcrumbs|combx|comment|community|cookie|cover-wrap|disqus|extra|gdpr|legends|menu|newsletter|pager|pagination|popup|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|yom-remote/i,
+  maybe: /and|article|body|column|content|main|shadow/i,
+  positive: /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i,
+  negative: /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PageExtractor;
+} else if (typeof window !== 'undefined') {
+  window.PageExtractor = PageExtractor;
+}
@@ -0,0 +1,259 @@
+// Page QA Module
+// Retrieval for questions about the current page: the extracted markdown is split into passages,
+// passages are ranked against the question with BM25, and the Language Model answers from the top
+// passages only, citing them by number. Citations become links that carry a quote of the passage so
+// the popup can ask the content script to scroll to and highlight it.
+
+class PageQA {
+  // Split page markdown into passages of about maxWords words, each labeled with its section heading
+  // Code fences and tables are never split
+  static chunk(markdown, { maxWords = 150 } = {}) {
+    const blocks = MarkdownBlocks.split(markdown);
+    const chunks = [];
+    let heading = '';
+    let current = [];
+    let words = 0;
+
+    const flush = () => {
+      if (current.length > 0) {
+        chunks.push({ id: chunks.length + 1, heading, text: current.join('\n\n') });
+      }
+      current = [];
+      words = 0;
+    };
+
+    for (const block of blocks) {
+      const headingMatch = block.match(/^(#{1,6}) (.+)$/);
+      if (headingMatch) {
+        flush();
+        heading = headingMatch[2].trim();
+        continue;
+      }
+
+      const blockWords = PageQA.countWords(block);
+      if (blockWords > maxWords * 1.5 && !/^(?:```|~~~|\|)/.test(block)) {
+        // Long paragraph: split on sentence ends
+        flush();
+        let sentences = [];
+        let sentenceWords = 0;
+        for (const sentence of PageQA.splitSentences(block)) {
+          sentences.push(sentence);
+          sentenceWords += PageQA.countWords(sentence);
+          if (sentenceWords >= maxWords) {
+            chunks.push({ id: chunks.length + 1, heading, text: sentences.join(' ') });
+            sentences = [];
+            sentenceWords = 0;
+          }
+        }
+        if (sentences.length > 0) {
+          chunks.push({ id: chunks.length + 1, heading, text: sentences.join(' ') });
+        }
+        continue;
+      }
+
+      if (words + blockWords > maxWords) {
+        flush();
+      }
+      current.push(block);
+      words += blockWords;
+    }
+    flush();
+    return chunks;
+  }
+
+  static splitSentences(text) {
+    return text.match(/[^.!?。！？]+(?:[.!?。！？]+["')\]]*|$)\s*/g) || [text];
+  }
+
+  static countWords(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+  }
+
+  // Lowercased terms without stop words; plurals and -ing/-ed endings are stripped so
+  // "install", "installs" and "installing" match
+  static tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(term => term && !PageQA.STOP_WORDS.has(term))
+      .map(term => {
+        if (term.length > 5 && /(?:ing|ed)$/.test(term)) {
+          return term.replace(/(?:ing|ed)$/, '');
+        }
+        if (term.length > 3 && /s$/.test(term) && !/ss$/.test(term)) {
+          return term.replace(/(?:es|s)$/, '');
+        }
+        return term;
+      });
+  }
+
+  // BM25 over the passages (section headings count as passage text); returns the topK passages
+  // with a score above zero, best first
+  static rank(question, chunks, { topK = 4, k1 = 1.2, b = 0.75 } = {}) {
+    const queryTerms = [...new Set(PageQA.tokenize(question))];
+    if (queryTerms.length === 0 || chunks.length === 0) {
+      return [];
+    }
+
+    const documents = chunks.map(chunk => {
+      const terms = PageQA.tokenize(`${chunk.heading} ${chunk.text}`);
+      const frequencies = new Map();
+      terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+      return { chunk, length: terms.length, frequencies };
+    });
+    const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length || 1;
+
+    const documentFrequency = new Map();
+    queryTerms.forEach(term => {
+      documentFrequency.set(term, documents.filter(doc => doc.frequencies.has(term)).length);
+    });
+
+    return documents
+      .map(doc => {
+        let score = 0;
+        queryTerms.forEach(term => {
+          const frequency = doc.frequencies.get(term) || 0;
+          if (frequency === 0) {
+            return;
+          }
+          const df = documentFrequency.get(term);
+          const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+          score += idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * doc.length / averageLength));
+        });
+        return { ...doc.chunk, score };
+      })
+      .filter(passage => passage.score > 0)
+      .sort((a, c) => c.score - a.score)
+      .slice(0, topK);
+  }
+
+  // Passages to answer from: the best BM25 matches, or the start of the page when nothing matches
+  // (questions like "what is this page about?" share no terms with the content)
+  static selectPassages(question, chunks, topK = PageQA.TOP_K) {
+    const ranked = PageQA.rank(question, chunks, { topK });
+    const passages = ranked.length > 0 ? ranked : chunks.slice(0, topK).map(chunk => ({ ...chunk, score: 0 }));
+    const queryTerms = new Set(PageQA.tokenize(question));
+    return passages.map((passage, index) => ({
+      ...passage,
+      number: index + 1,
+      quote: PageQA.bestSentence(passage.text, queryTerms)
+    }));
+  }
+
+  // Sentence of a passage that shares most terms with the question (used to find it on the page)
+  static bestSentence(text, queryTerms) {
+    const plain = PageQA.toPlainText(text);
+    let best = '';
+    let bestScore = -1;
+    for (const sentence of PageQA.splitSentences(plain)) {
+      const trimmed = sentence.trim();
+      if (trimmed.length < 20) {
+        continue;
+      }
+      const score = PageQA.tokenize(trimmed).filter(term => queryTerms.has(term)).length;
+      if (score > bestScore) {
+        best = trimmed;
+        bestScore = score;
+      }
+    }
+    return (best || plain).slice(0, PageQA.QUOTE_LENGTH).trim();
+  }
+
+  // Markdown to the text a reader sees on the page
+  static toPlainText(markdown) {
+    return markdown
+      .replace(/^(?:```|~~~).*$/gm, '')
+      .replace(/^\s*(?:[-*]|\d+\.)\s+/gm, '')
+      .replace(/^>\s?/gm, '')
+      .replace(/^\|?\s*-{3,}.*$/gm, '')
+      .replace(/\|/g, ' ')
+      .replace(/\*\*|__|`/g, '')
+      .replace(/(^|\s)\*(\S[^*]*\S|\S)\*/g, '$1$2')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  static buildPrompt(question, passages, pageData = {}) {
+    const sources = passages
+      .map(passage => `[${passage.number}]${passage.heading ? ` (section: ${passage.heading})` : ''}\n${passage.text}`)
+      .join('\n\n');
+    return `Answer the question using only the numbered passages from the page "${pageData.title || 'Unknown'}" (${pageData.url || 'Unknown'}).
+Cite every passage you use with its number in square brackets, for example [1] or [2][3].
+If the passages do not contain the answer, say that the page does not answer the question; do not answer from general knowledge.
+
+Passages:
+${sources}
+
+Question: ${question}`;
+  }
+
+  // Turn [n] markers into citation links and list the cited passages under the answer
+  static formatAnswer(answer, passages) {
+    const byNumber = new Map(passages.map(passage => [passage.number, passage]));
+    const cited = new Set();
+
+    const text = String(answer || '').replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, (match, numbers) => {
+      const links = numbers.split(',').map(value => Number(value.trim())).map(number => {
+        const passage = byNumber.get(number);
+        if (!passage) {
+          return null;
+        }
+        cited.add(number);
+        return `[${PageQA.toSuperscript(number)}](${PageQA.citationHref(passage.quote)})`;
+      });
+      return links.every(Boolean) ? links.join('') : match;
+    });
+
+    const sources = passages.filter(passage => cited.has(passage.number));
+    if (sources.length === 0) {
+      return text;
+    }
+    const list = sources.map(passage => {
+      const label = `${passage.heading ? `${passage.heading}: ` : ''}“${PageQA.shorten(passage.quote, 90)}”`;
+      return `${passage.number}. [${label.replace(/[[\]]/g, '')}](${PageQA.citationHref(passage.quote)})`;
+    });
+    return `${text}\n\n**Sources on this page** (click to highlight)\n${list.join('\n')}`;
+  }
+
+  // Link target for a citation; the quote is percent-encoded so markdown never reads it as formatting
+  static citationHref(quote) {
+    return PageQA.CITATION_PREFIX + encodeURIComponent(quote).replace(/[()*_~!']/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  }
+
+  // Quote from a citation link, or null for any other link
+  static parseCitationHref(href) {
+    if (!href || !href.startsWith(PageQA.CITATION_PREFIX)) {
+      return null;
+    }
+    try {
+      return decodeURIComponent(href.slice(PageQA.CITATION_PREFIX.length));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static toSuperscript(number) {
+    return String(number).replace(/\d/g, digit => '⁰¹²³⁴⁵⁶⁷⁸⁹'[digit]);
+  }
+
+  static shorten(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+  }
+}
+
+PageQA.TOP_K = 4;
+PageQA.QUOTE_LENGTH = 200;
+PageQA.CITATION_PREFIX = '#agenwork-cite=';
+PageQA.STOP_WORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'could', 'do', 'does', 'for', 'from',
+  'how', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'page', 'say', 'says', 'should',
+  'tell', 'that', 'the', 'this', 'to', 'was', 'were', 'what', 'when', 'where', 'which', 'who', 'why',
+  'will', 'with', 'would', 'you', 'article', 'according', 'mention', 'mentioned', 'there'
+]);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PageQA;
+} else if (typeof window !== 'undefined') {
+  window.PageQA = PageQA;
+}
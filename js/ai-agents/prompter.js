@@ -5,6 +5,13 @@ class PrompterAgent {
   constructor() {
     this.prompter = null;
     this.preferredLanguage = 'en';
+
+    // Conversation-scoped memory for research/prompt follow-ups
+    this.conversation = this.createEmptyConversation(null);
+    this.maxHistoryChars = 12000; // Rough budget for history replayed via initialPrompts
+    this.maxMessageChars = 4000; // Long responses are clipped when replayed
+    this.compactionThreshold = 0.8; // Compact history when inputUsage reaches 80% of inputQuota
+    this.recentMessagesToKeep = 4; // Messages kept verbatim when compacting
   }
 
   // Set preferred language
@@ -29,6 +36,12 @@ class PrompterAgent {
 
   // Create prompter/language model instance with proper availability checking
   async createPrompter(options = {}) {
+    this.prompter = await this.createLanguageModelSession(options);
+    return this.prompter;
+  }
+
+  // Create a Language Model session (shared by the base prompter and conversation sessions)
+  async createLanguageModelSession(options = {}) {
     try {
       console.log('Creating Language Model session...');
       
@@ -88,10 +101,10 @@ class PrompterAgent {
       console.log('Creating Language Model session with final options:', finalOptions);
       
       // Create language model session
-      this.prompter = await window.LanguageModel.create(finalOptions);
+      const session = await window.LanguageModel.create(finalOptions);
       
       console.log('✅ Language Model session created successfully');
-      return this.prompter;
+      return session;
 
     } catch (error) {
       console.error('❌ Error creating prompter:', error);
@@ -114,7 +127,7 @@ class PrompterAgent {
   }
 
   // Intelligent intent detection using Gemini Nano
-  async detectIntentWithAI(userMessage, pageContext = null) {
+  async detectIntentWithAI(userMessage, pageContext = null, options = {}) {
     try {
       console.log('🧠 Starting AI-powered intent detection for:', userMessage);
       
@@ -137,20 +150,17 @@ class PrompterAgent {
 
       console.log('🤖 Using AI-powered intent detection with Gemini Nano');
 
+      // Intent categories and rules come from the agents registered in AgentRegistry
+      const intentPrompt = AgentRegistry.describeIntentsForPrompt();
+
       // Create a comprehensive system prompt for intent classification
       const systemPrompt = `You are an intelligent intent classifier for a browser extension that helps users with various tasks. Your job is to analyze user messages and classify their intent into one of these categories:
 
 INTENT CATEGORIES:
-1. "summarize" - User wants to summarize content (page, article, text, document)
-2. "translate" - User wants to translate text or page content to another language
-3. "write" - User wants help writing, composing, drafting, or creating content (emails, cover letters, blog posts, etc.)
-4. "research" - User wants to research, learn about, or get information on a topic
+${intentPrompt.categories}
 
 CLASSIFICATION RULES:
-- If the user mentions summarize, summary, tldr, overview, brief, main points, or wants to condense content → "summarize"
-- If the user mentions translate, translation, convert language, or specific language names → "translate"  
-- If the user mentions write, compose, draft, create, generate, help with writing, or wants content creation → "write"
-- If the user mentions research, find, search, learn, explain, tell me about, what is → "research"
+${intentPrompt.rules}
 - A message can have multiple intents - identify the primary one and any secondary intents
 - Consider context clues and implied meanings
 
@@ -161,7 +171,6 @@ When the intent is "write", look for these specific patterns:
 - Creative writing: "creative writing", "write story", "write blog", "blog post"
 - Business: "write proposal", "draft report", "create document", "write article"
 - Social: "social media post", "tweet", "facebook post", "instagram caption"
-- Content improvement: "rewrite", "improve this", "make this better", "enhance content"
 - General: "help me write", "create content", "generate text", "compose"
 
 WRITE INTENT EXAMPLES:
@@ -170,7 +179,12 @@ WRITE INTENT EXAMPLES:
 - "Create a blog post about AI" → primary: "write", crafted_prompt: "Write an engaging blog post about artificial intelligence"
 - "Compose a professional email" → primary: "write", crafted_prompt: "Compose a formal professional email"
 - "Generate a social media post" → primary: "write", crafted_prompt: "Create an engaging social media post"
-- "Rewrite this better" → primary: "write", crafted_prompt: "Improve and rewrite the provided content"
+
+REWRITE AND PROOFREAD EXAMPLES:
+- "Rewrite this more formally: hey can u send the file" → primary: "rewrite", crafted_prompt: "Rewrite the provided text in a more formal tone"
+- "Make this shorter: ..." → primary: "rewrite", crafted_prompt: "Rewrite the provided text to be shorter"
+- "Proofread: I has went to the store" → primary: "proofread", crafted_prompt: "Fix spelling and grammar in the provided text"
+- "Fix the typos in this paragraph: ..." → primary: "proofread", crafted_prompt: "Fix spelling and grammar in the provided text"
 
 SUMMARIZATION TYPE DETECTION:
 When the intent is "summarize", also determine the specific summarization type:
@@ -245,17 +259,25 @@ Analyze this message and respond with the JSON classification:`;
       let response;
       
       try {
-        // Add a timeout to prevent hanging
-        const timeoutPromise = new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('AI intent detection timeout after 120 seconds')), 120000)
-        );
-        
-        const promptPromise = this.prompter.prompt(fullPrompt);
-        response = await Promise.race([promptPromise, timeoutPromise]);
+        // Add a timeout to prevent hanging; the prompt is aborted on timeout or cancellation
+        const controller = AIUtils.createLinkedController(options.signal);
+        try {
+          response = await AIUtils.withTimeout(this.prompter.prompt(fullPrompt, { signal: controller.signal }), {
+            timeoutMs: 120000,
+            signal: options.signal,
+            label: 'AI intent detection',
+            onTimeout: () => controller.abort()
+          });
+        } finally {
+          controller.release();
+        }
         
         console.log('📥 Raw AI response received:', response);
         
       } catch (promptError) {
+        if (options.signal?.aborted) {
+          throw AIUtils.createAbortError();
+        }
         console.error('❌ Error getting response from AI:', promptError);
         throw new Error(`AI prompt failed: ${promptError.message}`);
       }
@@ -276,7 +298,7 @@ Analyze this message and respond with the JSON classification:`;
           throw new Error('AI response missing valid primary intent');
         }
         
-        const validIntents = ['summarize', 'translate', 'write', 'research'];
+        const validIntents = AgentRegistry.getIntentNames();
         if (!validIntents.includes(result.primary)) {
           throw new Error(`AI response contains invalid primary intent: ${result.primary}`);
         }
@@ -375,69 +397,8 @@ Analyze this message and respond with the JSON classification:`;
 
   // Fallback intent detection using patterns
   detectIntentFallback(message) {
-    const intents = {
-      summarize: {
-        keywords: ['summarize', 'summary', 'tldr', 'brief', 'overview', 'sum up', 'digest', 'condense'],
-        patterns: [
-          /summarize (this|the|current)? ?(page|article|content|text)/i,
-          /give me a (summary|overview|brief)/i,
-          /what (is|are) the (main|key) points/i,
-          /tldr/i,
-          /can you summarize/i
-        ]
-      },
-      translate: {
-        keywords: ['translate', 'translation', 'convert', 'language', 'spanish', 'french', 'german', 'italian', 'portuguese', 'russian', 'japanese', 'chinese', 'korean', 'arabic', 'hindi', 'english'],
-        patterns: [
-          /translate (this|the|current)? ?(page|text|content)? ?(to|into|in) ?\w+/i,
-          /translate (this|the|current)? ?(page|text|content)?$/i,
-          /(spanish|french|german|chinese|japanese|italian|portuguese|russian|korean|arabic|hindi|english)\s+(translation|version)/i,
-          /what does this mean in \w+/i,
-          /convert (this|the|current)? ?(page|text|content)? ?(to|into|in) ?\w+/i,
-          /convert to \w+ language/i,
-          /make (this|it) (spanish|french|german|chinese|japanese|italian|portuguese|russian|korean|arabic|hindi|english)/i,
-          /put (this|it) in (spanish|french|german|chinese|japanese|italian|portuguese|russian|korean|arabic|hindi|english)/i,
-          /(from|in) (spanish|french|german|chinese|japanese|italian|portuguese|russian|korean|arabic|hindi|english) to (spanish|french|german|chinese|japanese|italian|portuguese|russian|korean|arabic|hindi|english)/i,
-          /change language to \w+/i,
-          /to (my )?language/i
-        ]
-      },
-      write: {
-        keywords: ['write', 'compose', 'draft', 'create', 'help me write', 'generate', 'email', 'letter', 'cover letter', 'blog', 'post', 'article', 'response', 'reply', 'code', 'sample', 'example', 'script', 'function'],
-        patterns: [
-          /help me write (a|an)? ?\w+/i,
-          /compose (a|an)? ?\w+/i,
-          /draft (a|an)? ?\w+/i,
-          /create (a|an)? ?\w+/i,
-          /generate (a|an)? ?\w+/i,
-          /write (a|an)? ?(email|letter|blog|post|article|response|reply|cover\s*letter|proposal|report|code|sample|example|script|function)/i,
-          /draft (email|letter|blog|post|article|response|reply|cover\s*letter|proposal|report)/i,
-          /(email|letter|blog|post|article) (response|reply)/i,
-          /cover\s*letter/i,
-          /job\s*application/i,
-          /help (with|me) writ/i,
-          /compose\s+(email|message|letter|text)/i,
-          /create\s+(content|post|article|blog)/i,
-          /write about/i,
-          /generate\s+(text|content|post|email|code|sample|example)/i,
-          /(sample|example)\s+(code|script|function)/i,
-          /write\s+(sample|code|example)/i,
-          /show\s+me\s+(code|sample|example)/i,
-          /give\s+me\s+(a\s+)?(code|sample|example)/i
-        ]
-      },
-      research: {
-        keywords: ['research', 'find', 'search', 'learn', 'tell me about', 'explain', 'what is'],
-        patterns: [
-          /tell me about \w+/i,
-          /what is \w+/i,
-          /explain \w+/i,
-          /research \w+/i,
-          /find (information|info) about/i,
-          /learn (more )?about/i
-        ]
-      }
-    };
+    // Keyword and pattern tables are declared by each registered agent
+    const intents = AgentRegistry.getFallbackIntents();
     
     const lowerMessage = message.toLowerCase();
     const scores = {};
@@ -492,8 +453,13 @@ Analyze this message and respond with the JSON classification:`;
       console.log(`🎯 Selected primary intent: ${topIntent} (score: ${maxScore})`);
       
       // Add secondary intents
+      // Rewrite/proofread requests carry the user's own text, whose words should not trigger writing or research
+      const editingIntent = topIntent === 'rewrite' || topIntent === 'proofread';
       for (let i = 1; i < sortedIntents.length; i++) {
         const [intent, score] = sortedIntents[i];
+        if (editingIntent && (intent === 'write' || intent === 'research')) {
+          continue;
+        }
         if (score >= 1) {
           secondary.push(intent);
         }
@@ -585,6 +551,42 @@ Analyze this message and respond with the JSON classification:`;
     };
   }
 
+  // Plan for a request about the tabs the user selected: summarize each tab, then compare or synthesize
+  // them (used when the AI plan is unavailable or ignores the selected tabs)
+  detectMultiPageIntentFallback(message) {
+    const format = TabResearch.detectFormat(message);
+    console.log(`🗂️ Multi-tab plan: summarize each tab, then ${format}`);
+    return {
+      primary: 'research',
+      secondary: ['summarize'],
+      isMultiStep: true,
+      executionType: 'sequential',
+      executionPlan: [
+        {
+          step: 1,
+          agent: 'summarizer',
+          action: 'summarize_pages',
+          input: 'multi_page',
+          output: 'tab_summaries',
+          params: { type: 'key-points', length: 'medium' }
+        },
+        {
+          step: 2,
+          agent: 'prompter',
+          action: 'compare_pages',
+          input: 'tab_summaries',
+          output: 'final_result',
+          params: { format, question: message }
+        }
+      ],
+      finalOutputLanguage: null,
+      reasoning: `Pattern-based: Summarize each selected tab, then ${format === 'table' ? 'compare them in a table' : 'synthesize them'}`,
+      confidence: 0.85,
+      aiPowered: false,
+      originalMessage: message
+    };
+  }
+
   // Pattern-based multi-step intent detection (fallback when AI unavailable)
   detectMultiStepIntentFallback(message) {
     console.log('🔍 Pattern-based multi-step detection for:', message);
@@ -824,49 +826,97 @@ Analyze this message and respond with the JSON classification:`;
   }
 
   // Handle research queries using the prompter
-  async handleResearchQuery(query, pageContext = null) {
+  // options: { signal } to cancel the request
+  async handleResearchQuery(query, pageContext = null, onChunk = null, options = {}) {
     try {
       console.log('Starting research query:', query);
-      
-      if (!this.prompter) {
-        console.log('Prompter not initialized for research query, creating...');
-        await this.createPrompter();
-      }
 
       let contextualPrompt = query;
       
       // Add page context if available and relevant
-      if (pageContext && (query.toLowerCase().includes('this page') || query.toLowerCase().includes('current page'))) {
+      const aboutPage = query.toLowerCase().includes('this page') || query.toLowerCase().includes('current page');
+      if (aboutPage && pageContext && pageContext.content) {
+        // Full page content available: answer from the matching passages with citations
+        return await this.answerPageQuestion(query, pageContext, onChunk, options);
+      }
+      if (pageContext && aboutPage) {
         contextualPrompt = `Based on the current page "${pageContext.title}" (${pageContext.url}), ${query}
         
         ${pageContext.contentPreview ? `Page content: ${pageContext.contentPreview}` : ''}`;
       }
 
-      // Create a research-focused system prompt
-      const researchPrompt = `You are a helpful research assistant. Provide accurate, informative, and well-structured responses to user queries. If you don't know something, say so rather than guessing.
-
-User query: ${contextualPrompt}
-
-Please provide a comprehensive response:`;
-
+      // The research-focused instructions live in the conversation system prompt,
+      // so follow-up questions can refer back to earlier turns
       console.log('Sending research query to Gemini Nano...');
-      const response = await this.prompter.prompt(researchPrompt);
+      const response = await this.promptConversation(contextualPrompt, onChunk, query, options);
       console.log('✅ Research query completed successfully');
       return response;
 
     } catch (error) {
+      if (options.signal?.aborted) {
+        throw AIUtils.createAbortError();
+      }
       console.error('❌ Error handling research query:', error);
       throw new Error(`Research query failed: ${error.message}`);
     }
   }
 
-  // Process a user message with intelligent prompt handling
-  async processPrompt(prompt, systemContext = null) {
+  // Compare or synthesize the per-tab summaries of a multi-tab request
+  // params: { format: 'table'|'synthesis', question }; citations link to the source tabs
+  // options: { signal } to cancel the request
+  async compareSources(summaries, params = {}, onChunk = null, options = {}) {
     try {
-      if (!this.prompter) {
-        await this.createPrompter();
+      const sources = TabResearch.parseSources(summaries);
+      if (sources.length === 0) {
+        throw new Error('No tab summaries to compare');
+      }
+
+      const format = params.format === 'table' ? 'table' : 'synthesis';
+      const prompt = TabResearch.buildComparePrompt(summaries, { question: params.question, format });
+      const answer = await this.promptConversation(prompt, onChunk, params.question || `Compare ${sources.length} tabs`, options);
+      return TabResearch.linkCitations(answer, sources);
+
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw AIUtils.createAbortError();
+      }
+      console.error('❌ Error comparing tabs:', error);
+      throw new Error(`Tab comparison failed: ${error.message}`);
+    }
+  }
+
+  // Answer a question about a page: its markdown is split into passages, the best BM25 matches are
+  // sent to the model and the [n] citations in the answer become links that highlight the passage
+  // options: { signal } to cancel the request
+  async answerPageQuestion(question, pageData, onChunk = null, options = {}) {
+    try {
+      if (!question || question.trim().length === 0) {
+        throw new Error('No question provided');
       }
+      const content = pageData && (pageData.markdown || pageData.content);
+      if (!content) {
+        throw new Error('No page content available');
+      }
+
+      const passages = PageQA.selectPassages(question, PageQA.chunk(content));
+      console.log(`📑 Answering from ${passages.length} passages:`, passages.map(passage => passage.score.toFixed(2)));
+
+      const prompt = PageQA.buildPrompt(question, passages, pageData);
+      const answer = await this.promptConversation(prompt, onChunk, question, options);
+      return PageQA.formatAnswer(answer, passages);
 
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw AIUtils.createAbortError();
+      }
+      console.error('❌ Error answering page question:', error);
+      throw new Error(`Page question failed: ${error.message}`);
+    }
+  }
+
+  // Process a user message with intelligent prompt handling
+  async processPrompt(prompt, systemContext = null, onChunk = null, options = {}) {
+    try {
       if (!prompt || prompt.trim().length === 0) {
         throw new Error('No prompt provided');
       }
@@ -875,23 +925,357 @@ Please provide a comprehensive response:`;
       
       // Add system context if provided
       if (systemContext) {
-        fullPrompt = `${systemContext}\n\nUser: ${prompt}\n\nAssistant:`;
+        const contextText = typeof systemContext === 'string'
+          ? systemContext
+          : `Current page: "${systemContext.title || 'Unknown'}" (${systemContext.url || 'Unknown'})`;
+        fullPrompt = `${contextText}\n\n${prompt}`;
       }
 
       console.log('Processing prompt with Language Model...');
-      const response = await this.prompter.prompt(fullPrompt);
+      const response = await this.promptConversation(fullPrompt, onChunk, prompt, options);
       
       console.log('Prompt processed successfully');
       return response;
 
     } catch (error) {
+      if (options.signal?.aborted) {
+        throw AIUtils.createAbortError();
+      }
       console.error('Error processing prompt:', error);
       throw new Error(`Prompt processing failed: ${error.message}`);
     }
   }
 
+  // Prompt the Language Model with streaming output (for real-time updates)
+  // Uses the base prompter session unless a specific session is given
+  async promptStreaming(prompt, onChunk = null, session = null, options = {}) {
+    try {
+      if (!session && !this.prompter) {
+        await this.createPrompter();
+      }
+      const targetSession = session || this.prompter;
+
+      if (!prompt || prompt.trim().length === 0) {
+        throw new Error('No prompt provided');
+      }
+
+      // Fall back to a single response when streaming is not exposed
+      if (typeof targetSession.promptStreaming !== 'function') {
+        console.log('ℹ️ Streaming not available, falling back to regular prompt');
+        const response = await targetSession.prompt(prompt, { signal: options.signal });
+        if (onChunk && typeof onChunk === 'function') {
+          onChunk(response);
+        }
+        return response;
+      }
+
+      console.log('Streaming prompt with Language Model...');
+      const stream = targetSession.promptStreaming(prompt, { signal: options.signal });
+
+      let fullResponse = '';
+
+      for await (const chunk of stream) {
+        fullResponse += chunk;
+        if (onChunk && typeof onChunk === 'function') {
+          onChunk(chunk);
+        }
+      }
+
+      console.log('✅ Streaming prompt completed');
+      return fullResponse;
+
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw AIUtils.createAbortError();
+      }
+      console.error('❌ Error during streaming prompt:', error);
+      throw new Error(`Streaming prompt failed: ${error.message}`);
+    }
+  }
+
+  // Prompt with a JSON Schema response constraint (structured output)
+  // Runs on a clone of the base session so repeated triage prompts don't fill its context
+  // options: { timeoutMs, signal }; the prompt is aborted on timeout or cancellation
+  async promptWithSchema(prompt, schema, options = {}) {
+    if (!this.prompter) {
+      await this.createPrompter();
+    }
+
+    const session = typeof this.prompter.clone === 'function' ? await this.prompter.clone() : this.prompter;
+    const controller = AIUtils.createLinkedController(options.signal);
+
+    try {
+      const promptPromise = (async () => {
+        try {
+          return await session.prompt(prompt, { responseConstraint: schema, signal: controller.signal });
+        } catch (error) {
+          // Older Prompt API builds reject the responseConstraint option
+          if (error.name === 'NotSupportedError' || error.name === 'TypeError') {
+            console.warn('⚠️ responseConstraint not supported, asking for JSON in the prompt instead');
+            return await session.prompt(`${prompt}\n\nRespond with JSON only, matching this JSON Schema:\n${JSON.stringify(schema)}`, { signal: controller.signal });
+          }
+          throw error;
+        }
+      })();
+
+      return await AIUtils.withTimeout(promptPromise, {
+        timeoutMs: options.timeoutMs || 120000,
+        signal: options.signal,
+        label: 'Structured prompt',
+        onTimeout: () => controller.abort()
+      });
+    } finally {
+      controller.release();
+      if (session !== this.prompter && typeof session.destroy === 'function') {
+        session.destroy();
+      }
+    }
+  }
+
+  // CONVERSATION MEMORY
+
+  // Fresh conversation state (history mirrors the stored messages table)
+  createEmptyConversation(conversationId) {
+    return {
+      id: conversationId,
+      session: null,
+      history: [],
+      summary: null,
+      stale: true,
+      lastTurnRecorded: false
+    };
+  }
+
+  // System prompt used to seed conversation sessions
+  getConversationSystemPrompt() {
+    let systemPrompt = 'You are a helpful research assistant inside the AgenWork browser extension. ' +
+      'Provide accurate, informative, and well-structured responses formatted in markdown. ' +
+      'If you don\'t know something, say so rather than guessing. ' +
+      'Use the earlier turns of this conversation to resolve follow-up questions such as "explain the second point more".';
+
+    if (this.conversation.summary) {
+      systemPrompt += `\n\nSummary of the earlier conversation:\n${this.conversation.summary}`;
+    }
+
+    return systemPrompt;
+  }
+
+  // Convert stored database messages into LanguageModel prompt messages
+  normalizeHistory(messages = []) {
+    return messages
+      .filter(message => message && typeof message.content === 'string' && message.content.trim().length > 0)
+      .map(message => ({
+        role: message.role === 'user' ? 'user' : 'assistant',
+        content: message.content
+      }));
+  }
+
+  // Keep the most recent messages that fit within the character budget
+  fitHistoryToBudget(history, maxChars = this.maxHistoryChars) {
+    const recent = [];
+    let usedChars = 0;
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      let content = history[i].content;
+      if (content.length > this.maxMessageChars) {
+        content = content.substring(0, this.maxMessageChars) + '...';
+      }
+      if (usedChars + content.length > maxChars && recent.length > 0) {
+        break;
+      }
+      usedChars += content.length;
+      recent.unshift({ role: history[i].role, content });
+    }
+
+    // initialPrompts must not start with an assistant turn after the system prompt
+    while (recent.length > 0 && recent[0].role !== 'user') {
+      recent.shift();
+    }
+
+    return {
+      recent,
+      droppedCount: history.length - recent.length
+    };
+  }
+
+  // Start (or restore) a conversation from stored messages
+  async startConversation(conversationId, storedMessages = []) {
+    await this.destroyConversationSession();
+    this.conversation = this.createEmptyConversation(conversationId);
+    this.conversation.history = this.normalizeHistory(storedMessages);
+    console.log(`💬 Conversation ${conversationId || '(new)'} ready with ${this.conversation.history.length} stored messages`);
+    return this.conversation.history.length;
+  }
+
+  // Clear conversation memory (e.g. when the user starts a new chat)
+  async resetConversation() {
+    return await this.startConversation(null, []);
+  }
+
+  // Attach a database id to the in-memory conversation once it has been saved
+  setConversationId(conversationId) {
+    this.conversation.id = conversationId;
+  }
+
+  // Record an exchange handled by another agent so follow-ups can refer to it
+  async recordConversationExchange(userMessage, response) {
+    // Turns that went through promptConversation are already in the session
+    if (this.conversation.lastTurnRecorded) {
+      this.conversation.lastTurnRecorded = false;
+      return;
+    }
+
+    const newMessages = this.normalizeHistory([
+      { role: 'user', content: userMessage },
+      { role: 'assistant', content: response }
+    ]);
+    this.conversation.history.push(...newMessages);
+
+    const session = this.conversation.session;
+    if (session && !this.conversation.stale && typeof session.append === 'function') {
+      try {
+        await session.append(newMessages);
+        return;
+      } catch (error) {
+        console.warn('⚠️ Could not append exchange to conversation session, will rebuild:', error);
+      }
+    }
+    this.conversation.stale = true;
+  }
+
+  // Read token usage for a session (older builds expose tokensSoFar/maxTokens)
+  getSessionUsage(session = this.conversation.session) {
+    if (!session) {
+      return { inputUsage: 0, inputQuota: 0, ratio: 0 };
+    }
+    const inputUsage = session.inputUsage ?? session.tokensSoFar ?? 0;
+    const inputQuota = session.inputQuota ?? session.maxTokens ?? 0;
+    return {
+      inputUsage,
+      inputQuota,
+      ratio: inputQuota > 0 ? inputUsage / inputQuota : 0
+    };
+  }
+
+  // Create the conversation session seeded with initialPrompts, rebuilding it when stale
+  async ensureConversationSession() {
+    if (this.conversation.session && !this.conversation.stale) {
+      return this.conversation.session;
+    }
+
+    await this.destroyConversationSession();
+
+    const { recent, droppedCount } = this.fitHistoryToBudget(this.conversation.history);
+    if (droppedCount > 0 && !this.conversation.summary) {
+      console.log(`✂️ ${droppedCount} older messages trimmed from conversation history`);
+    }
+
+    const initialPrompts = [
+      { role: 'system', content: this.getConversationSystemPrompt() },
+      ...recent
+    ];
+
+    this.conversation.session = await this.createLanguageModelSession({ initialPrompts });
+    this.conversation.stale = false;
+
+    const usage = this.getSessionUsage();
+    console.log(`💬 Conversation session created (${recent.length} messages, ${usage.inputUsage}/${usage.inputQuota} tokens)`);
+    return this.conversation.session;
+  }
+
+  // Summarize older turns and rebuild the session when nearing the token quota
+  async compactConversation() {
+    const history = this.conversation.history;
+    if (history.length <= this.recentMessagesToKeep) {
+      // Nothing left to fold into the summary, just drop the summary and start fresh
+      this.conversation.summary = null;
+      this.conversation.stale = true;
+      return;
+    }
+
+    const olderMessages = history.slice(0, history.length - this.recentMessagesToKeep);
+    const recentMessages = history.slice(history.length - this.recentMessagesToKeep);
+    console.log(`🗜️ Compacting conversation: summarizing ${olderMessages.length} older messages`);
+
+    const transcript = this.fitHistoryToBudget(olderMessages).recent
+      .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+      .join('\n\n');
+
+    let summarySession = null;
+    try {
+      summarySession = await this.createLanguageModelSession();
+      const previousSummary = this.conversation.summary ? `Previous summary:\n${this.conversation.summary}\n\n` : '';
+      this.conversation.summary = await summarySession.prompt(
+        `${previousSummary}Summarize the following conversation in a few concise bullet points, keeping names, facts, numbered items and open questions the user may refer back to:\n\n${transcript}`
+      );
+    } catch (error) {
+      console.warn('⚠️ Conversation summarization failed, trimming history instead:', error);
+    } finally {
+      if (summarySession) {
+        try {
+          summarySession.destroy();
+        } catch (destroyError) {
+          console.warn('⚠️ Error destroying summary session:', destroyError);
+        }
+      }
+    }
+
+    this.conversation.history = recentMessages;
+    this.conversation.stale = true;
+  }
+
+  // Prompt within the current conversation, keeping history within the model quota
+  async promptConversation(prompt, onChunk = null, historyContent = prompt, options = {}) {
+    let session = await this.ensureConversationSession();
+
+    // Compact before prompting if this turn would push us over the threshold
+    let usage = this.getSessionUsage(session);
+    let promptUsage = 0;
+    if (typeof session.measureInputUsage === 'function') {
+      try {
+        promptUsage = await session.measureInputUsage(prompt);
+      } catch (error) {
+        console.warn('⚠️ Could not measure prompt usage:', error);
+      }
+    }
+    if (usage.inputQuota > 0 && (usage.inputUsage + promptUsage) / usage.inputQuota >= this.compactionThreshold) {
+      console.log(`⚠️ Conversation at ${usage.inputUsage}/${usage.inputQuota} tokens, compacting history`);
+      await this.compactConversation();
+      session = await this.ensureConversationSession();
+    }
+
+    const response = onChunk
+      ? await this.promptStreaming(prompt, onChunk, session, options)
+      : await session.prompt(prompt, { signal: options.signal });
+
+    this.conversation.history.push(
+      { role: 'user', content: historyContent },
+      { role: 'assistant', content: response }
+    );
+    this.conversation.lastTurnRecorded = true;
+
+    usage = this.getSessionUsage(session);
+    console.log(`💬 Conversation usage: ${usage.inputUsage}/${usage.inputQuota} tokens`);
+
+    return response;
+  }
+
+  // Destroy the conversation session (history is kept so it can be rebuilt)
+  async destroyConversationSession() {
+    if (this.conversation.session) {
+      try {
+        this.conversation.session.destroy();
+      } catch (error) {
+        console.error('Error destroying conversation session:', error);
+      }
+      this.conversation.session = null;
+    }
+    this.conversation.stale = true;
+  }
+
   // Destroy prompter instance
   async destroy() {
+    await this.destroyConversationSession();
     if (this.prompter) {
       try {
         this.prompter.destroy();
@@ -1196,6 +1580,142 @@ Please provide a comprehensive response:`;
   }
 }
 
+// Register with the agent registry (triage prompts, dispatch, capabilities and popup quick actions)
+if (typeof AgentRegistry !== 'undefined') {
+  // Selected-text prompts answer from the given text without touching chat memory
+  const promptAboutText = (ai, task, input, pageContext, onChunk, signal) => {
+    if (!input || String(input).trim().length === 0) {
+      throw new Error('No text provided');
+    }
+    const source = pageContext ? `\n\nThe text comes from the page "${pageContext.title || 'Unknown'}" (${pageContext.url || 'Unknown'}).` : '';
+    return ai.promptStreaming(`${task}${source}\n\nText:\n"""\n${input}\n"""`, onChunk, { signal });
+  };
+
+  AgentRegistry.register({
+    name: 'prompter',
+    className: 'PrompterAgent',
+    description: 'Answers questions, researches topics and explains content with the Language Model',
+    order: 60,
+    intents: {
+      ask_page: {
+        description: 'User asks a question about the content of the current page',
+        rule: 'If the user asks something about this page, article, post, video or document (not a summary) → "ask_page"',
+        fallback: {
+          keywords: ['this page', 'this article', 'this post', 'this video', 'this document', 'the page', 'the article', 'according to'],
+          patterns: [
+            /^(what|who|when|where|why|how|which|does|is|are|can)\b.*\b(this|the|current) (page|article|post|video|document|doc)\b/i,
+            /\b(on|in) (this|the current) (page|article|post|video|document)\b.*\?/i,
+            /according to (this|the) (page|article|post|author)/i
+          ]
+        },
+        async handle(ai, { craftedPrompt, pageContext, onChunk, signal }) {
+          console.log('❓ Processing ASK_PAGE request');
+
+          if (!craftedPrompt || craftedPrompt.trim().length === 0) {
+            throw new Error('No question provided');
+          }
+          if (!pageContext) {
+            throw new Error('No page is open to answer from');
+          }
+
+          return await ai.answerPageQuestion(craftedPrompt, pageContext, onChunk, { signal });
+        }
+      },
+      research: {
+        description: 'User wants to research, learn about, or get information on a topic',
+        rule: 'If the user mentions research, find, search, learn, explain, tell me about, what is → "research"',
+        fallback: {
+          keywords: ['research', 'find', 'search', 'learn', 'tell me about', 'explain', 'what is'],
+          patterns: [
+            /tell me about \w+/i,
+            /what is \w+/i,
+            /explain \w+/i,
+            /research \w+/i,
+            /find (information|info) about/i,
+            /learn (more )?about/i
+          ]
+        },
+        async handle(ai, { craftedPrompt, pageContext, onChunk, signal }) {
+          console.log('🔍 Processing RESEARCH request');
+          
+          if (!craftedPrompt || craftedPrompt.trim().length === 0) {
+            throw new Error('No research query provided');
+          }
+          
+          return await ai.handleResearchQuery(craftedPrompt, pageContext, onChunk, { signal });
+        }
+      }
+    },
+    actions: {
+      answer_page_question: {
+        description: 'Answer a question from the current page with citations to its passages',
+        input: 'current_page',
+        output: 'text',
+        params: { question: 'the user question' },
+        requiredParams: ['question'],
+        async run(ai, { input, params, onChunk, signal }) {
+          return await ai.answerPageQuestion(params.question, input, onChunk, { signal });
+        }
+      },
+      compare_pages: {
+        description: 'Compare (format "table") or synthesize (format "synthesis") the per-tab summaries from summarizer.summarize_pages, citing each source tab',
+        input: 'text',
+        output: 'text',
+        params: { format: 'table|synthesis', question: 'the user question' },
+        async run(ai, { input, params, onChunk, signal }) {
+          return await ai.compareSources(input, params, onChunk, { signal });
+        }
+      },
+      research_query: {
+        description: 'Research a topic or answer a question',
+        input: 'text',
+        output: 'text',
+        async run(ai, { input, pageContext, onChunk, signal }) {
+          return await ai.handleResearchQuery(input, pageContext, onChunk, { signal });
+        }
+      },
+      process_prompt: {
+        description: 'Run a free-form prompt',
+        input: 'text',
+        output: 'text',
+        async run(ai, { input, pageContext, onChunk, signal }) {
+          return await ai.processPrompt(input, pageContext, onChunk, { signal });
+        }
+      },
+      explain_text: {
+        description: 'Explain text in plain language',
+        input: 'text',
+        output: 'text',
+        async run(ai, { input, pageContext, onChunk, signal }) {
+          return await promptAboutText(ai, 'Explain the following text in plain language. Clarify difficult terms and give any background needed to understand it.', input, pageContext, onChunk, signal);
+        }
+      },
+      ask_about_text: {
+        description: 'Answer a question about text',
+        input: 'text',
+        output: 'text',
+        params: { question: 'the user question' },
+        async run(ai, { input, params, pageContext, onChunk, signal }) {
+          const task = `Answer this question about the following text: ${params.question || 'What is this text about?'}\nBase your answer on the text and say so if it does not contain the answer.`;
+          return await promptAboutText(ai, task, input, pageContext, onChunk, signal);
+        }
+      }
+    },
+    getCapabilities: (agent) => agent.getCapabilities(),
+    test: (agent) => agent.testPrompter(),
+    ui: {
+      title: 'Prompter Agent',
+      icon: 'fas fa-brain',
+      prompts: [
+        { label: 'Research Topic', icon: 'fas fa-search', prompt: 'Research and explain Agentic Systems' },
+        { label: 'Analyze Research', icon: 'fas fa-analytics', prompt: 'Analyze the methodology in this paper' },
+        { label: 'Extract Key Facts', icon: 'fas fa-lightbulb', prompt: 'Extract key facts from this page' },
+        { label: 'Compare Ideas', icon: 'fas fa-balance-scale', prompt: 'Compare and contrast AI Agent and Agentic AI Systems' }
+      ]
+    }
+  });
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = PrompterAgent;
@@ -0,0 +1,502 @@
+// Proofreader Agent Module
+// Handles Chrome Built-in AI Proofreader API interactions (grammar, spelling and punctuation corrections)
+
+class ProofreaderAgent {
+  constructor() {
+    this.proofreader = null;
+    this.preferredLanguage = 'en';
+    this.maxDiffCells = 4000000; // Upper bound for the word-level diff table (tokens x tokens)
+  }
+
+  // Set preferred language
+  setPreferredLanguage(language) {
+    const supportedLanguages = ['en', 'ja', 'es'];
+    if (!supportedLanguages.includes(language)) {
+      console.warn(`Language '${language}' not supported for Proofreader. Supported languages: ${supportedLanguages.join(', ')}. Defaulting to 'en'.`);
+      this.preferredLanguage = 'en';
+      return false;
+    }
+
+    console.log(`Setting preferred Proofreader language to: ${language}`);
+    this.preferredLanguage = language;
+    return true;
+  }
+
+  // Create proofreader instance with comprehensive availability checking
+  async createProofreader(options = {}) {
+    try {
+      console.log('Performing comprehensive Proofreader API availability check...');
+
+      const availabilityResult = await ChromeIntegration.validateAPIReadiness('Proofreader');
+      console.log('Proofreader comprehensive check result:', availabilityResult);
+
+      if (!availabilityResult.passed) {
+        throw new Error(`Proofreader API comprehensive check failed: ${availabilityResult.error}`);
+      }
+
+      if (availabilityResult.availability === 'after-download') {
+        console.log('Proofreader model needs to be downloaded first - this may take time');
+      }
+
+      const defaultOptions = {
+        expectedInputLanguages: [this.preferredLanguage],
+        includeCorrectionTypes: true,
+        includeCorrectionExplanations: true,
+        monitor: (m) => {
+          m.addEventListener('downloadprogress', (e) => {
+            console.log(`Proofreader model download: ${(e.loaded * 100).toFixed(1)}%`);
+            AIUtils.notifyProgress('proofreader', e.loaded * 100);
+          });
+        }
+      };
+
+      const finalOptions = { ...defaultOptions, ...options };
+
+      if (!navigator.userActivation || !navigator.userActivation.isActive) {
+        console.info('Note: User activation may be required for Proofreader API model downloads. If you see permission errors, try clicking a button or interacting with the page first.');
+      }
+
+      console.log('Creating proofreader with options:', finalOptions);
+      this.proofreader = await window.Proofreader.create(finalOptions);
+
+      console.log('Proofreader created successfully');
+      return this.proofreader;
+
+    } catch (error) {
+      console.error('Error creating proofreader:', error);
+      throw new Error(`Failed to create proofreader: ${error.message}`);
+    }
+  }
+
+  // Proofread text and return the corrected text with a list of corrections
+  // Result: { originalText, correctedText, corrections: [{ startIndex, endIndex, original, correction, type, explanation }], usedFallback }
+  // options: { signal } to cancel the request
+  async proofreadText(text, options = {}) {
+    try {
+      console.log('🔎 Starting Proofreader Agent - proofreadText');
+
+      if (!text || text.trim().length === 0) {
+        throw new Error('No text provided to proofread');
+      }
+
+      const capabilities = await this.getCapabilities();
+      if (!capabilities.supported || !capabilities.available) {
+        console.log('ℹ️ Proofreader API not available, using fallback with LanguageModel');
+        return await this.proofreadTextFallback(text, options);
+      }
+
+      const proofreader = await this.createProofreader();
+
+      try {
+        const result = await proofreader.proofread(text, { signal: options.signal });
+        const corrections = (result.corrections || []).map(correction => ({
+          startIndex: correction.startIndex,
+          endIndex: correction.endIndex,
+          original: text.substring(correction.startIndex, correction.endIndex),
+          correction: correction.correction,
+          type: correction.type || correction.types?.[0] || null,
+          explanation: correction.explanation || null
+        }));
+
+        console.log(`✅ Proofreading completed: ${corrections.length} correction(s)`);
+        return {
+          originalText: text,
+          correctedText: result.correctedInput ?? result.corrected ?? this.applyCorrections(text, corrections),
+          corrections,
+          usedFallback: false
+        };
+      } finally {
+        proofreader.destroy();
+        this.proofreader = null;
+      }
+
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw AIUtils.createAbortError();
+      }
+      console.error('❌ Error during proofreading:', error);
+
+      if (error.message.includes('Proofreader API') || error.message.includes('not available')) {
+        console.log('🔄 Falling back to LanguageModel for proofreading...');
+        return await this.proofreadTextFallback(text, options);
+      }
+
+      throw new Error(`Proofreading failed: ${error.message}`);
+    }
+  }
+
+  // Fallback proofreading using LanguageModel API; corrections are derived by diffing the output
+  async proofreadTextFallback(text, options = {}) {
+    if (!window.LanguageModel) {
+      throw new Error('Proofreading is not available: neither the Proofreader API nor the LanguageModel API is available in this browser. This feature requires Chrome 138+ with Built-in AI APIs enabled.');
+    }
+
+    const prompt = `Proofread the following text. Fix spelling, grammar and punctuation mistakes only.
+Do not rephrase, reorder or change the meaning, wording or formatting beyond what is needed to fix mistakes.
+Respond with the corrected text only, without any introduction or explanation.
+
+Text:
+"""
+${text}
+"""`;
+
+    const languageModel = await window.LanguageModel.create({ temperature: 0.2, topK: 1 });
+    try {
+      let correctedText = (await languageModel.prompt(prompt, { signal: options.signal })).trim();
+      correctedText = correctedText.replace(/^"""\s*|\s*"""$/g, '');
+
+      // Keep the original leading/trailing whitespace so indices stay comparable
+      const leading = text.match(/^\s*/)[0];
+      const trailing = text.match(/\s*$/)[0];
+      correctedText = `${leading}${correctedText}${trailing}`;
+
+      const corrections = this.diffCorrections(text, correctedText);
+      console.log(`✅ Proofreading completed using LanguageModel fallback: ${corrections.length} correction(s)`);
+
+      return {
+        originalText: text,
+        correctedText,
+        corrections,
+        usedFallback: true
+      };
+    } finally {
+      languageModel.destroy();
+    }
+  }
+
+  // Apply corrections (sorted by position) to the original text
+  applyCorrections(text, corrections) {
+    let result = '';
+    let cursor = 0;
+    [...corrections]
+      .sort((a, b) => a.startIndex - b.startIndex)
+      .forEach(correction => {
+        result += text.substring(cursor, correction.startIndex) + correction.correction;
+        cursor = correction.endIndex;
+      });
+    return result + text.substring(cursor);
+  }
+
+  // Derive corrections from two versions of a text using a word-level diff
+  diffCorrections(original, corrected) {
+    const tokenize = (value) => value.match(/\s+|[^\s]+/g) || [];
+    const originalTokens = tokenize(original);
+    const correctedTokens = tokenize(corrected);
+
+    // Very large inputs: report a single replacement instead of building a huge table
+    if (originalTokens.length * correctedTokens.length > this.maxDiffCells) {
+      return original === corrected ? [] : [{
+        startIndex: 0,
+        endIndex: original.length,
+        original,
+        correction: corrected,
+        type: null,
+        explanation: null
+      }];
+    }
+
+    // Longest common subsequence table over tokens
+    const rows = originalTokens.length;
+    const cols = correctedTokens.length;
+    const lcs = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lcs[i][j] = originalTokens[i] === correctedTokens[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    // Walk the table and group consecutive edits into corrections
+    const corrections = [];
+    let i = 0;
+    let j = 0;
+    let offset = 0;
+    let pending = null;
+
+    const flush = () => {
+      if (pending) {
+        corrections.push({
+          startIndex: pending.startIndex,
+          endIndex: pending.endIndex,
+          original: original.substring(pending.startIndex, pending.endIndex),
+          correction: pending.correction,
+          type: null,
+          explanation: null
+        });
+        pending = null;
+      }
+    };
+
+    while (i < rows || j < cols) {
+      if (i < rows && j < cols && originalTokens[i] === correctedTokens[j]) {
+        flush();
+        offset += originalTokens[i].length;
+        i++;
+        j++;
+      } else {
+        if (!pending) {
+          pending = { startIndex: offset, endIndex: offset, correction: '' };
+        }
+        if (j < cols && (i >= rows || lcs[i][j + 1] >= lcs[i + 1][j])) {
+          pending.correction += correctedTokens[j];
+          j++;
+        } else {
+          offset += originalTokens[i].length;
+          pending.endIndex = offset;
+          i++;
+        }
+      }
+    }
+    flush();
+
+    return corrections;
+  }
+
+  // Format a proofreading result as a diff-style markdown message
+  formatProofreadResult(result) {
+    const { originalText, correctedText, corrections } = result;
+
+    if (!corrections || corrections.length === 0) {
+      return `**Proofreading Result**\n\n✅ No corrections needed.${result.usedFallback ? '\n\n*Checked with the LanguageModel fallback*' : ''}`;
+    }
+
+    const correctionLines = corrections.map((correction, index) => {
+      const before = correction.original.trim() ? `~~${correction.original.trim()}~~` : '*(missing)*';
+      const after = correction.correction.trim() ? `**${correction.correction.trim()}**` : '*(removed)*';
+      const details = [correction.type, correction.explanation].filter(Boolean).join(': ');
+      return `${index + 1}. ${before} → ${after}${details ? ` — *${details}*` : ''}`;
+    });
+
+    // Line-by-line diff of the changed lines
+    const originalLines = originalText.split('\n');
+    const correctedLines = correctedText.split('\n');
+    const diffLines = [];
+    if (originalLines.length === correctedLines.length) {
+      originalLines.forEach((line, index) => {
+        if (line !== correctedLines[index]) {
+          diffLines.push(`- ${line}`, `+ ${correctedLines[index]}`);
+        }
+      });
+    } else {
+      originalLines.forEach(line => diffLines.push(`- ${line}`));
+      correctedLines.forEach(line => diffLines.push(`+ ${line}`));
+    }
+
+    return `**Proofreading Result**\n\n${corrections.length} correction${corrections.length === 1 ? '' : 's'} found:\n\n${correctionLines.join('\n')}\n\n**Diff**\n\n\`\`\`diff\n${diffLines.join('\n')}\n\`\`\`\n\n**Corrected Text**\n\n${correctedText.trim()}${result.usedFallback ? '\n\n*Checked with the LanguageModel fallback*' : ''}`;
+  }
+
+  // Destroy proofreader instance
+  async destroy() {
+    if (this.proofreader) {
+      try {
+        this.proofreader.destroy();
+        this.proofreader = null;
+        console.log('Proofreader destroyed');
+      } catch (error) {
+        console.error('Error destroying proofreader:', error);
+      }
+    }
+  }
+
+  // Get proofreader capabilities with comprehensive checking
+  async getCapabilities() {
+    try {
+      const comprehensiveResult = await ChromeIntegration.checkComprehensiveAvailability('Proofreader');
+
+      const capabilities = {
+        supported: comprehensiveResult.supported,
+        availability: comprehensiveResult.availability,
+        available: comprehensiveResult.availability !== 'no',
+        ready: comprehensiveResult.ready,
+        passed: comprehensiveResult.passed,
+        instanceReady: !!this.proofreader,
+        fallbackAvailable: typeof window !== 'undefined' && 'LanguageModel' in window,
+        error: comprehensiveResult.error,
+        details: comprehensiveResult.details,
+        lastChecked: comprehensiveResult.timestamp
+      };
+
+      console.log('Proofreader capabilities (comprehensive check):', capabilities);
+      return capabilities;
+
+    } catch (error) {
+      console.error('Error checking proofreader capabilities:', error);
+      return {
+        supported: false,
+        availability: 'no',
+        available: false,
+        ready: false,
+        passed: false,
+        instanceReady: !!this.proofreader,
+        fallbackAvailable: false,
+        error: error.message,
+        lastChecked: new Date().toISOString()
+      };
+    }
+  }
+
+  // Diagnostic method to identify specific issues
+  async diagnose() {
+    console.log('🔍 Running Proofreader Agent Diagnostics...');
+
+    const diagnostics = {
+      timestamp: new Date().toISOString(),
+      environment: {
+        chromeVersion: ChromeIntegration.getChromeVersion(),
+        userActivation: navigator.userActivation ? navigator.userActivation.isActive : false
+      },
+      api: {
+        windowProofreader: typeof window.Proofreader !== 'undefined',
+        hasCreate: !!window.Proofreader && typeof window.Proofreader.create === 'function',
+        hasAvailability: !!window.Proofreader && typeof window.Proofreader.availability === 'function',
+        languageModelFallback: typeof window.LanguageModel !== 'undefined'
+      },
+      capabilities: {},
+      issues: [],
+      recommendations: []
+    };
+
+    if (diagnostics.api.hasAvailability) {
+      try {
+        diagnostics.api.directAvailability = await window.Proofreader.availability();
+      } catch (availError) {
+        diagnostics.api.directAvailabilityError = availError.message;
+      }
+    }
+
+    try {
+      diagnostics.capabilities = await this.getCapabilities();
+    } catch (capError) {
+      diagnostics.capabilities = { error: capError.message };
+    }
+
+    if (diagnostics.environment.chromeVersion < 141) {
+      diagnostics.issues.push(`Chrome version ${diagnostics.environment.chromeVersion} may be too old for the Proofreader API (need 141+)`);
+      diagnostics.recommendations.push('Update Chrome to the latest version');
+    }
+
+    if (!diagnostics.api.windowProofreader) {
+      diagnostics.issues.push('window.Proofreader is not available');
+      diagnostics.recommendations.push('Enable chrome://flags/#proofreader-api-for-gemini-nano or join the Proofreader API Origin Trial');
+      if (diagnostics.api.languageModelFallback) {
+        diagnostics.recommendations.push('Proofreading will use the LanguageModel API as a fallback');
+      }
+    }
+
+    if (diagnostics.api.directAvailability === 'no' || diagnostics.api.directAvailability === 'unavailable') {
+      diagnostics.issues.push('Proofreader API reports not available on this device');
+      diagnostics.recommendations.push('Check system requirements: 16GB+ RAM, 22GB+ storage');
+    }
+
+    console.log('🔍 Proofreader Diagnostics Complete:', diagnostics);
+    return diagnostics;
+  }
+
+  // Quick test method for proofreader functionality
+  async testProofreader() {
+    try {
+      console.log('🧪 Testing Proofreader Agent...');
+
+      const diagnostics = await this.diagnose();
+      const capabilities = diagnostics.capabilities;
+
+      if (!capabilities.supported && !capabilities.fallbackAvailable) {
+        throw new Error('Neither the Proofreader API nor the LanguageModel fallback is available. Check diagnostics for details.');
+      }
+
+      const testText = 'I seen him yesterday at the libary, he were reading a book about there history.';
+      const result = await this.proofreadText(testText);
+
+      console.log('✓ Proofreading Test Results:');
+      console.log(`  Original: "${testText}"`);
+      console.log(`  Corrected: "${result.correctedText}"`);
+      console.log(`  Corrections: ${result.corrections.length}`);
+
+      return {
+        success: true,
+        capabilities: capabilities,
+        diagnostics: diagnostics,
+        usedFallback: result.usedFallback,
+        proofreadResult: result
+      };
+
+    } catch (error) {
+      console.error('❌ Proofreader test failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        capabilities: await this.getCapabilities()
+      };
+    }
+  }
+}
+
+// Register with the agent registry (triage prompts, dispatch, capabilities and popup quick actions)
+if (typeof AgentRegistry !== 'undefined') {
+  AgentRegistry.register({
+    name: 'proofreader',
+    className: 'ProofreaderAgent',
+    description: 'Fixes spelling, grammar and punctuation in existing text',
+    order: 50,
+    intents: {
+      proofread: {
+        description: 'User provides existing text and wants spelling, grammar or punctuation mistakes fixed',
+        rule: 'If the user mentions proofread, fix grammar, fix spelling, check typos, correct mistakes for text they provide → "proofread"',
+        missingInput: 'the text to proofread (after a colon or in quotes)',
+        fallback: {
+          keywords: ['proofread', 'grammar', 'spelling', 'typo', 'typos', 'punctuation'],
+          patterns: [
+            /\bproof-?read\b/i,
+            /(fix|correct|check) (the |my )?(grammar|spelling|typos?|punctuation|mistakes)/i,
+            /(grammar|spell(ing)?) check/i
+          ]
+        },
+        async handle(ai, { craftedPrompt, intentAnalysis, signal }) {
+          console.log('🔎 Processing PROOFREAD request');
+          
+          const textToProofread = ai.extractTextFromRequest(intentAnalysis?.originalMessage || craftedPrompt) ||
+                                  ai.extractTextFromRequest(craftedPrompt);
+          if (!textToProofread) {
+            throw new Error('No text provided to proofread. Add the text after a colon or in quotes, e.g. Proofread: "..."');
+          }
+          
+          const proofreadResult = await ai.proofreadText(textToProofread, { signal });
+          return ai.proofreader.formatProofreadResult(proofreadResult);
+        }
+      }
+    },
+    actions: {
+      proofread_text: {
+        description: 'Fix spelling, grammar and punctuation',
+        input: 'text',
+        output: 'text',
+        async run(ai, { input, signal }) {
+          const textToProofread = typeof input === 'string' ? input : String(input || '');
+          if (textToProofread.trim().length === 0) {
+            throw new Error('No text provided to proofread');
+          }
+          const proofreadResult = await ai.proofreadText(textToProofread, { signal });
+          return ai.proofreader.formatProofreadResult(proofreadResult);
+        }
+      }
+    },
+    getCapabilities: (agent) => agent.getCapabilities(),
+    test: (agent) => agent.testProofreader(),
+    ui: {
+      title: 'Proofreader Agent',
+      icon: 'fas fa-spell-check',
+      prompts: [
+        { label: 'Proofread Text', icon: 'fas fa-check-double', prompt: 'Proofread: ', send: false },
+        { label: 'Fix Grammar', icon: 'fas fa-spell-check', prompt: 'Fix the grammar in this text: ', send: false }
+      ]
+    }
+  });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProofreaderAgent;
+} else if (typeof window !== 'undefined') {
+  window.ProofreaderAgent = ProofreaderAgent;
+}
@@ -0,0 +1,88 @@
+// Result Cache Module
+// Remembers finished summaries and translations so asking again for the same content gives the
+// answer straight away instead of running the model again. Entries are keyed by a SHA-256 of the
+// agent, its output options (type, length, languages, ...) and the content with whitespace
+// normalized, so an edit to the page or a different summary type is a miss. Entries are kept by a
+// store (AgenWorkDatabase in the popup), which enforces the size limits and evicts least recently
+// used entries. Without a store (content scripts) every lookup is a miss.
+
+class ResultCache {
+  constructor(store = null) {
+    this.store = store;
+    this.resetStats();
+  }
+
+  // Cache shared by all agents in this page
+  static get shared() {
+    if (!ResultCache.sharedInstance) {
+      ResultCache.sharedInstance = new ResultCache();
+    }
+    return ResultCache.sharedInstance;
+  }
+
+  // store: { getCachedResult(key), putCachedResult(key, agent, value) }, or null to turn the cache off
+  setStore(store) {
+    this.store = store;
+  }
+
+  // Hex SHA-256 of agent + output options (as in SessionPool.key) + normalized content
+  static async key(agent, content, options = {}) {
+    const text = `${SessionPool.key(agent, options)}\n${ResultCache.normalize(content)}`;
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Whitespace differences (reflowed text, trailing newlines) do not change the result
+  static normalize(content) {
+    return String(content || '').replace(/\s+/g, ' ').trim();
+  }
+
+  // { value, createdAt } of an earlier result, or null on a miss; never throws, a broken cache is a miss
+  async get(agent, content, options = {}) {
+    if (!this.store) {
+      return null;
+    }
+    try {
+      const entry = await this.store.getCachedResult(await ResultCache.key(agent, content, options));
+      this.stats[entry ? 'hits' : 'misses']++;
+      return entry;
+    } catch (error) {
+      console.warn(`⚠️ ${agent} result cache lookup failed:`, error);
+      this.stats.misses++;
+      return null;
+    }
+  }
+
+  // Remember a result; failures are logged, the result itself was already produced
+  async put(agent, content, options, value) {
+    if (!this.store) {
+      return;
+    }
+    try {
+      await this.store.putCachedResult(await ResultCache.key(agent, content, options), agent, value);
+    } catch (error) {
+      console.warn(`⚠️ Could not cache ${agent} result:`, error);
+    }
+  }
+
+  resetStats() {
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+
+  // Note appended to a formatted response that came from the cache
+  static formatNote(cachedAt) {
+    const date = cachedAt ? new Date(cachedAt) : null;
+    return `*Cached result${date && !isNaN(date) ? ` from ${date.toLocaleString()}` : ''}. Use Regenerate for a fresh one.*`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ResultCache;
+} else if (typeof window !== 'undefined') {
+  window.ResultCache = ResultCache;
+}
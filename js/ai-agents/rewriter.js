@@ -0,0 +1,451 @@
+// Rewriter Agent Module
+// Handles Chrome Built-in AI Rewriter API interactions (rewrites existing text instead of generating new content)
+
+class RewriterAgent {
+  constructor() {
+    this.rewriter = null;
+    this.preferredLanguage = 'en';
+  }
+
+  // Set preferred language
+  setPreferredLanguage(language) {
+    const supportedLanguages = ['en', 'ja', 'es'];
+    if (!supportedLanguages.includes(language)) {
+      console.warn(`Language '${language}' not supported for Rewriter. Supported languages: ${supportedLanguages.join(', ')}. Defaulting to 'en'.`);
+      this.preferredLanguage = 'en';
+      return false;
+    }
+
+    console.log(`Setting preferred Rewriter language to: ${language}`);
+    this.preferredLanguage = language;
+    return true;
+  }
+
+  // Create rewriter instance with comprehensive availability checking
+  async createRewriter(options = {}) {
+    try {
+      console.log('Performing comprehensive Rewriter API availability check...');
+
+      const availabilityResult = await ChromeIntegration.validateAPIReadiness('Rewriter');
+      console.log('Rewriter comprehensive check result:', availabilityResult);
+
+      if (!availabilityResult.passed) {
+        throw new Error(`Rewriter API comprehensive check failed: ${availabilityResult.error}`);
+      }
+
+      if (availabilityResult.availability === 'after-download') {
+        console.log('Rewriter model needs to be downloaded first - this may take time');
+      }
+
+      // Default options for rewriter according to Chrome documentation
+      const defaultOptions = {
+        tone: 'as-is', // 'more-formal', 'as-is', 'more-casual'
+        format: 'as-is', // 'as-is', 'markdown', 'plain-text'
+        length: 'as-is', // 'shorter', 'as-is', 'longer'
+        expectedInputLanguages: [this.preferredLanguage],
+        outputLanguage: this.preferredLanguage,
+        monitor: (m) => {
+          m.addEventListener('downloadprogress', (e) => {
+            console.log(`Rewriter model download: ${(e.loaded * 100).toFixed(1)}%`);
+            AIUtils.notifyProgress('rewriter', e.loaded * 100);
+          });
+        }
+      };
+
+      const finalOptions = { ...defaultOptions, ...options };
+
+      if (!navigator.userActivation || !navigator.userActivation.isActive) {
+        console.info('Note: User activation may be required for Rewriter API model downloads. If you see permission errors, try clicking a button or interacting with the page first.');
+      }
+
+      console.log('Creating rewriter with options:', finalOptions);
+      this.rewriter = await window.Rewriter.create(finalOptions);
+
+      console.log('Rewriter created successfully');
+      return this.rewriter;
+
+    } catch (error) {
+      console.error('Error creating rewriter:', error);
+      throw new Error(`Failed to create rewriter: ${error.message}`);
+    }
+  }
+
+  // Map a free-form instruction ("make it more formal and shorter") to Rewriter options
+  detectRewriteOptions(instruction = '') {
+    const lower = instruction.toLowerCase();
+    const options = { tone: 'as-is', length: 'as-is', format: 'as-is' };
+
+    if (/\b(formal|professional|polite)(ly)?\b/.test(lower)) {
+      options.tone = 'more-formal';
+    } else if (/\b(casual|informal|friendly|relaxed|conversational)(ly)?\b/.test(lower)) {
+      options.tone = 'more-casual';
+    }
+
+    if (/\b(shorter|shorten|concise|condense|brief|trim|tighten)\b/.test(lower)) {
+      options.length = 'shorter';
+    } else if (/\b(longer|expand|elaborate|more detail|lengthen)\b/.test(lower)) {
+      options.length = 'longer';
+    }
+
+    if (/\bmarkdown\b/.test(lower)) {
+      options.format = 'markdown';
+    } else if (/\bplain[\s-]?text\b/.test(lower)) {
+      options.format = 'plain-text';
+    }
+
+    return options;
+  }
+
+  // Rewrite text, keeping its meaning while applying the requested tone/length
+  // instruction: optional free-form guidance ("make it clearer and more formal")
+  // options: rewriter options plus an optional signal, which is also passed to Rewriter.create()
+  async rewriteText(text, instruction = '', options = {}) {
+    try {
+      console.log('🔁 Starting Rewriter Agent - rewriteText');
+
+      if (!text || text.trim().length === 0) {
+        throw new Error('No text provided to rewrite');
+      }
+
+      const capabilities = await this.getCapabilities();
+      if (!capabilities.supported || !capabilities.available) {
+        console.log('ℹ️ Rewriter API not available, using fallback with LanguageModel');
+        return await this.rewriteTextFallback(text, instruction, options);
+      }
+
+      const rewriterOptions = {
+        ...this.detectRewriteOptions(instruction),
+        ...options,
+        sharedContext: options.sharedContext || 'Rewrite the user\'s text while preserving its meaning'
+      };
+
+      const rewriter = await this.createRewriter(rewriterOptions);
+
+      try {
+        const rewriteOptions = instruction ? { context: instruction, signal: options.signal } : { signal: options.signal };
+        const rewritten = await rewriter.rewrite(text, rewriteOptions);
+        console.log('✅ Text rewritten successfully');
+        return rewritten;
+      } finally {
+        rewriter.destroy();
+        this.rewriter = null;
+      }
+
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw AIUtils.createAbortError();
+      }
+      console.error('❌ Error during rewrite:', error);
+
+      if (error.message.includes('Rewriter API') || error.message.includes('not available')) {
+        console.log('🔄 Falling back to LanguageModel for rewriting...');
+        return await this.rewriteTextFallback(text, instruction, options);
+      }
+
+      throw new Error(`Rewriting failed: ${error.message}`);
+    }
+  }
+
+  // Rewrite with streaming output (for real-time updates)
+  async rewriteStreaming(text, instruction = '', options = {}, onChunk = null) {
+    try {
+      if (!text || text.trim().length === 0) {
+        throw new Error('No text provided to rewrite');
+      }
+
+      const capabilities = await this.getCapabilities();
+      if (!capabilities.supported || !capabilities.available) {
+        const rewritten = await this.rewriteText(text, instruction, options);
+        if (onChunk && typeof onChunk === 'function') {
+          onChunk(rewritten);
+        }
+        return rewritten;
+      }
+
+      const rewriter = await this.createRewriter({
+        ...this.detectRewriteOptions(instruction),
+        ...options,
+        sharedContext: options.sharedContext || 'Rewrite the user\'s text while preserving its meaning'
+      });
+
+      let fullText = '';
+      try {
+        const stream = rewriter.rewriteStreaming(text, instruction ? { context: instruction, signal: options.signal } : { signal: options.signal });
+        for await (const chunk of stream) {
+          fullText += chunk;
+          if (onChunk && typeof onChunk === 'function') {
+            onChunk(chunk);
+          }
+        }
+      } finally {
+        rewriter.destroy();
+        this.rewriter = null;
+      }
+
+      console.log('✅ Streaming rewrite completed');
+      return fullText;
+
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw AIUtils.createAbortError();
+      }
+      console.error('❌ Error during streaming rewrite:', error);
+      console.log('🔄 Falling back to non-streaming rewrite...');
+      return await this.rewriteText(text, instruction, options);
+    }
+  }
+
+  // Fallback rewriting using LanguageModel API
+  async rewriteTextFallback(text, instruction = '', options = {}) {
+    if (!window.LanguageModel) {
+      throw new Error('Rewriting is not available: neither the Rewriter API nor the LanguageModel API is available in this browser. This feature requires Chrome 138+ with Built-in AI APIs enabled.');
+    }
+
+    const detected = { ...this.detectRewriteOptions(instruction), ...options };
+    const guidance = [];
+    if (detected.tone === 'more-formal') guidance.push('Use a more formal tone.');
+    if (detected.tone === 'more-casual') guidance.push('Use a more casual tone.');
+    if (detected.length === 'shorter') guidance.push('Make it shorter.');
+    if (detected.length === 'longer') guidance.push('Make it longer and more detailed.');
+    if (instruction) guidance.push(`Instructions: ${instruction}`);
+
+    const prompt = `Rewrite the following text. Preserve its meaning and language. ${guidance.join(' ')}
+Respond with the rewritten text only, without any introduction or explanation.
+
+Text:
+"""
+${text}
+"""`;
+
+    const languageModel = await window.LanguageModel.create({ temperature: 0.7, topK: 3 });
+    try {
+      const rewritten = await languageModel.prompt(prompt, { signal: options.signal });
+      console.log('✅ Text rewritten using LanguageModel fallback');
+      return rewritten.trim();
+    } finally {
+      languageModel.destroy();
+    }
+  }
+
+  // Destroy rewriter instance
+  async destroy() {
+    if (this.rewriter) {
+      try {
+        this.rewriter.destroy();
+        this.rewriter = null;
+        console.log('Rewriter destroyed');
+      } catch (error) {
+        console.error('Error destroying rewriter:', error);
+      }
+    }
+  }
+
+  // Get rewriter capabilities with comprehensive checking
+  async getCapabilities() {
+    try {
+      const comprehensiveResult = await ChromeIntegration.checkComprehensiveAvailability('Rewriter');
+
+      const capabilities = {
+        supported: comprehensiveResult.supported,
+        availability: comprehensiveResult.availability,
+        available: comprehensiveResult.availability !== 'no',
+        ready: comprehensiveResult.ready,
+        passed: comprehensiveResult.passed,
+        instanceReady: !!this.rewriter,
+        fallbackAvailable: typeof window !== 'undefined' && 'LanguageModel' in window,
+        error: comprehensiveResult.error,
+        details: comprehensiveResult.details,
+        lastChecked: comprehensiveResult.timestamp
+      };
+
+      console.log('Rewriter capabilities (comprehensive check):', capabilities);
+      return capabilities;
+
+    } catch (error) {
+      console.error('Error checking rewriter capabilities:', error);
+      return {
+        supported: false,
+        availability: 'no',
+        available: false,
+        ready: false,
+        passed: false,
+        instanceReady: !!this.rewriter,
+        fallbackAvailable: false,
+        error: error.message,
+        lastChecked: new Date().toISOString()
+      };
+    }
+  }
+
+  // Diagnostic method to identify specific issues
+  async diagnose() {
+    console.log('🔍 Running Rewriter Agent Diagnostics...');
+
+    const diagnostics = {
+      timestamp: new Date().toISOString(),
+      environment: {
+        chromeVersion: ChromeIntegration.getChromeVersion(),
+        userActivation: navigator.userActivation ? navigator.userActivation.isActive : false
+      },
+      api: {
+        windowRewriter: typeof window.Rewriter !== 'undefined',
+        hasCreate: !!window.Rewriter && typeof window.Rewriter.create === 'function',
+        hasAvailability: !!window.Rewriter && typeof window.Rewriter.availability === 'function',
+        languageModelFallback: typeof window.LanguageModel !== 'undefined'
+      },
+      capabilities: {},
+      issues: [],
+      recommendations: []
+    };
+
+    if (diagnostics.api.hasAvailability) {
+      try {
+        diagnostics.api.directAvailability = await window.Rewriter.availability();
+      } catch (availError) {
+        diagnostics.api.directAvailabilityError = availError.message;
+      }
+    }
+
+    try {
+      diagnostics.capabilities = await this.getCapabilities();
+    } catch (capError) {
+      diagnostics.capabilities = { error: capError.message };
+    }
+
+    if (diagnostics.environment.chromeVersion < 137) {
+      diagnostics.issues.push(`Chrome version ${diagnostics.environment.chromeVersion} is too old for the Rewriter API (need 137+)`);
+      diagnostics.recommendations.push('Update Chrome to the latest version');
+    }
+
+    if (!diagnostics.api.windowRewriter) {
+      diagnostics.issues.push('window.Rewriter is not available');
+      diagnostics.recommendations.push('Enable chrome://flags/#rewriter-api-for-gemini-nano or join the Rewriter API Origin Trial');
+      if (diagnostics.api.languageModelFallback) {
+        diagnostics.recommendations.push('Rewriting will use the LanguageModel API as a fallback');
+      }
+    }
+
+    if (diagnostics.api.directAvailability === 'no' || diagnostics.api.directAvailability === 'unavailable') {
+      diagnostics.issues.push('Rewriter API reports not available on this device');
+      diagnostics.recommendations.push('Check system requirements: 16GB+ RAM, 22GB+ storage');
+    }
+
+    console.log('🔍 Rewriter Diagnostics Complete:', diagnostics);
+    return diagnostics;
+  }
+
+  // Quick test method for rewriter functionality
+  async testRewriter() {
+    try {
+      console.log('🧪 Testing Rewriter Agent...');
+
+      const diagnostics = await this.diagnose();
+      const capabilities = diagnostics.capabilities;
+
+      if (!capabilities.supported && !capabilities.fallbackAvailable) {
+        throw new Error('Neither the Rewriter API nor the LanguageModel fallback is available. Check diagnostics for details.');
+      }
+
+      const testText = 'hey, the meeting got moved to thursday so pls update ur calendar and let me know if that dont work.';
+      const rewritten = await this.rewriteText(testText, 'make it more formal');
+
+      console.log('✓ Rewrite Test Results:');
+      console.log(`  Original: "${testText}"`);
+      console.log(`  Rewritten: "${rewritten}"`);
+
+      return {
+        success: true,
+        capabilities: capabilities,
+        diagnostics: diagnostics,
+        usedFallback: !capabilities.supported,
+        rewrittenText: rewritten
+      };
+
+    } catch (error) {
+      console.error('❌ Rewriter test failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        capabilities: await this.getCapabilities()
+      };
+    }
+  }
+}
+
+// Register with the agent registry (triage prompts, dispatch, capabilities and popup quick actions)
+if (typeof AgentRegistry !== 'undefined') {
+  AgentRegistry.register({
+    name: 'rewriter',
+    className: 'RewriterAgent',
+    description: 'Rewrites existing text (tone, length) while keeping its meaning',
+    order: 40,
+    intents: {
+      rewrite: {
+        description: 'User provides existing text and wants it rephrased, reworded, made more formal/casual, shorter or longer',
+        rule: 'If the user mentions rewrite, rephrase, reword, paraphrase, make this more formal/casual/shorter/longer for text they provide → "rewrite"',
+        missingInput: 'the text to rewrite (after a colon or in quotes)',
+        fallback: {
+          keywords: ['rewrite', 'rephrase', 'reword', 'paraphrase', 'more formal', 'more casual', 'make this shorter', 'make this longer'],
+          patterns: [
+            /\b(rewrite|rephrase|reword|paraphrase)\b/i,
+            /make (this|it) (more )?(formal|casual|professional|friendly|shorter|longer|concise)/i,
+            /(tone|wording) of (this|the following)/i
+          ]
+        },
+        async handle(ai, { craftedPrompt, intentAnalysis, onChunk, signal }) {
+          console.log('🔁 Processing REWRITE request');
+          
+          const textToRewrite = ai.extractTextFromRequest(intentAnalysis?.originalMessage || craftedPrompt) ||
+                                ai.extractTextFromRequest(craftedPrompt);
+          if (!textToRewrite) {
+            throw new Error('No text provided to rewrite. Add the text after a colon or in quotes, e.g. Rewrite this more formally: "..."');
+          }
+          
+          const instruction = intentAnalysis?.originalMessage || craftedPrompt;
+          const rewritten = onChunk
+            ? await ai.rewriteStreaming(textToRewrite, instruction, { signal }, onChunk)
+            : await ai.rewriteText(textToRewrite, instruction, { signal });
+          return `**Rewritten Text**\n\n${rewritten}`;
+        }
+      }
+    },
+    actions: {
+      rewrite_text: {
+        description: 'Rework existing text',
+        input: 'text',
+        output: 'text',
+        params: { tone: 'more-formal|as-is|more-casual', length: 'shorter|as-is|longer', instruction: 'free-form guidance' },
+        async run(ai, { input, params, onChunk, signal }) {
+          const textToRewrite = typeof input === 'string' ? input : String(input || '');
+          if (textToRewrite.trim().length === 0) {
+            throw new Error('No text provided to rewrite');
+          }
+          const rewriteOptions = { signal };
+          if (params.tone) rewriteOptions.tone = params.tone;
+          if (params.length) rewriteOptions.length = params.length;
+          return onChunk
+            ? await ai.rewriteStreaming(textToRewrite, params.instruction || '', rewriteOptions, onChunk)
+            : await ai.rewriteText(textToRewrite, params.instruction || '', rewriteOptions);
+        }
+      }
+    },
+    getCapabilities: (agent) => agent.getCapabilities(),
+    test: (agent) => agent.testRewriter(),
+    ui: {
+      title: 'Rewriter Agent',
+      icon: 'fas fa-pen-nib',
+      prompts: [
+        { label: 'Make More Formal', icon: 'fas fa-user-tie', prompt: 'Rewrite this more formally: ', send: false },
+        { label: 'Make More Casual', icon: 'fas fa-smile', prompt: 'Rewrite this more casually: ', send: false },
+        { label: 'Make Shorter', icon: 'fas fa-compress', prompt: 'Make this shorter: ', send: false }
+      ]
+    }
+  });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RewriterAgent;
+} else if (typeof window !== 'undefined') {
+  window.RewriterAgent = RewriterAgent;
+}
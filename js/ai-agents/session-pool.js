@@ -0,0 +1,295 @@
+// Session Pool Module
+// Keeps Chrome Built-in AI sessions (Summarizer, Translator, Writer) alive between calls.
+// Creating a session loads the model, so agents acquire a session keyed by agent name and creation
+// options (type, length, language pair, tone, ...), release it when the call is done, and the next
+// call with the same options reuses it. Idle sessions are destroyed after idleTtlMs, the least
+// recently used idle session is evicted when the pool is full, and every idle session is dropped
+// under memory pressure.
+
+class SessionPool {
+  constructor({ maxSize = 6, idleTtlMs = 5 * 60 * 1000, sweepIntervalMs = 30000, memoryThreshold = 0.85 } = {}) {
+    this.maxSize = maxSize;
+    this.idleTtlMs = idleTtlMs;
+    this.sweepIntervalMs = sweepIntervalMs;
+    this.memoryThreshold = memoryThreshold; // Share of the JS heap limit that counts as memory pressure
+    this.entries = new Map(); // key → entry
+    this.owners = new Map(); // session → entry, so release() and discard() only need the session
+    this.sweepTimer = null;
+    this.resetStats();
+  }
+
+  // Pool shared by all agents in this page
+  static get shared() {
+    if (!SessionPool.sharedInstance) {
+      SessionPool.sharedInstance = new SessionPool();
+      SessionPool.sharedInstance.watchMemoryPressure();
+    }
+    return SessionPool.sharedInstance;
+  }
+
+  // Stable key for agent + creation options; signals, callbacks (monitor) and undefined values are ignored
+  static key(agent, options = {}) {
+    const parts = Object.keys(options)
+      .filter(name => name !== 'signal' && options[name] !== undefined && typeof options[name] !== 'function')
+      .sort()
+      .map(name => `${name}=${JSON.stringify(options[name])}`);
+    return [agent, ...parts].join('|');
+  }
+
+  // Errors from create() that mean the browser is short on memory for another model session
+  static isMemoryPressureError(error) {
+    return !!error && (error.name === 'QuotaExceededError' || /memory|resources/i.test(error.message || ''));
+  }
+
+  // Get a session for agent + options, calling create() on a miss
+  // The caller's signal only cancels the wait; the session is created for the pool, not for one call
+  async acquire(agent, options, create, { signal = null } = {}) {
+    AIUtils.throwIfAborted(signal);
+    const key = SessionPool.key(agent, options);
+    let entry = this.entries.get(key);
+
+    if (entry) {
+      this.record(agent, 'hits');
+    } else {
+      this.record(agent, 'misses');
+      entry = { key, agent, session: null, pending: null, inUse: 0, uses: 0, discarded: false, createdAt: Date.now(), lastUsed: Date.now() };
+      entry.pending = this.createSession(create).then(
+        session => {
+          if (!session) {
+            throw new Error(`${agent} session creation returned null or undefined`);
+          }
+          entry.session = session;
+          entry.pending = null;
+          this.owners.set(session, entry);
+          if (entry.discarded && entry.inUse === 0) {
+            // Cleared while being created and every caller has stopped waiting
+            this.destroyEntry(entry);
+            return session;
+          }
+          this.evict();
+          this.scheduleSweep();
+          return session;
+        },
+        error => {
+          if (this.entries.get(key) === entry) {
+            this.entries.delete(key);
+          }
+          throw error;
+        }
+      );
+      entry.pending.catch(() => {}); // Callers that stopped waiting must not leave an unhandled rejection
+      this.entries.set(key, entry);
+    }
+
+    entry.inUse++;
+    try {
+      const session = entry.session || await AIUtils.withTimeout(entry.pending, { signal });
+      entry.uses++;
+      entry.lastUsed = Date.now();
+      return session;
+    } catch (error) {
+      entry.inUse--;
+      throw error;
+    }
+  }
+
+  // Create a session, retrying once after dropping idle sessions when creation fails for lack of memory
+  async createSession(create) {
+    try {
+      return await create();
+    } catch (error) {
+      if (!SessionPool.isMemoryPressureError(error) || this.trim('memory-pressure') === 0) {
+        throw error;
+      }
+      console.warn('⚠️ Session creation hit memory pressure, retrying after freeing idle sessions');
+      return await create();
+    }
+  }
+
+  // Return a session to the pool after a call
+  release(session) {
+    const entry = this.owners.get(session);
+    if (!entry) {
+      return;
+    }
+    entry.inUse = Math.max(0, entry.inUse - 1);
+    entry.lastUsed = Date.now();
+
+    if (entry.discarded && entry.inUse === 0) {
+      this.destroyEntry(entry);
+    } else {
+      this.evict();
+    }
+  }
+
+  // Stop reusing a session that failed (e.g. timed out); it is destroyed once its last user releases it
+  discard(session) {
+    const entry = this.owners.get(session);
+    if (!entry) {
+      return;
+    }
+    this.retire(entry);
+  }
+
+  // Remove an entry from lookup; destroy it now when idle, otherwise when released
+  retire(entry) {
+    entry.discarded = true;
+    if (this.entries.get(entry.key) === entry) {
+      this.entries.delete(entry.key);
+    }
+    if (entry.inUse === 0 && entry.session) {
+      this.destroyEntry(entry);
+    }
+  }
+
+  destroyEntry(entry) {
+    if (this.entries.get(entry.key) === entry) {
+      this.entries.delete(entry.key);
+    }
+    this.owners.delete(entry.session);
+    try {
+      if (entry.session && typeof entry.session.destroy === 'function') {
+        entry.session.destroy();
+      }
+    } catch (destroyError) {
+      console.warn(`⚠️ Error destroying pooled ${entry.agent} session:`, destroyError);
+    }
+  }
+
+  // Ready sessions that nobody is using, least recently used first
+  getIdleEntries() {
+    return [...this.entries.values()]
+      .filter(entry => entry.session && entry.inUse === 0)
+      .sort((a, b) => a.lastUsed - b.lastUsed);
+  }
+
+  // Evict least recently used idle sessions while the pool is over maxSize
+  evict() {
+    const idle = this.getIdleEntries();
+    while (this.entries.size > this.maxSize && idle.length > 0) {
+      const entry = idle.shift();
+      this.destroyEntry(entry);
+      this.stats.evictions++;
+      console.log(`♻️ Evicted pooled ${entry.agent} session (${entry.key})`);
+    }
+  }
+
+  // Destroy idle sessions past their TTL and trim everything idle under memory pressure
+  sweep() {
+    const now = Date.now();
+    for (const entry of this.getIdleEntries()) {
+      if (now - entry.lastUsed >= this.idleTtlMs) {
+        this.destroyEntry(entry);
+        this.stats.expirations++;
+      }
+    }
+
+    if (this.isUnderMemoryPressure()) {
+      this.trim('memory-pressure');
+    }
+
+    if (this.entries.size === 0 && this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  scheduleSweep() {
+    if (!this.sweepTimer && this.entries.size > 0) {
+      this.sweepTimer = setInterval(() => this.sweep(), this.sweepIntervalMs);
+    }
+  }
+
+  // Destroy every idle session; returns how many were destroyed
+  trim(reason = 'manual') {
+    const idle = this.getIdleEntries();
+    idle.forEach(entry => this.destroyEntry(entry));
+
+    if (idle.length > 0) {
+      if (reason === 'memory-pressure') {
+        this.stats.pressureTrims++;
+      }
+      console.log(`♻️ Released ${idle.length} idle AI session(s) (${reason})`);
+    }
+    return idle.length;
+  }
+
+  // JS heap usage close to its limit (performance.memory is only exposed by Chromium)
+  isUnderMemoryPressure() {
+    const memory = typeof performance !== 'undefined' ? performance.memory : null;
+    if (!memory || !memory.jsHeapSizeLimit) {
+      return false;
+    }
+    return memory.usedJSHeapSize / memory.jsHeapSizeLimit >= this.memoryThreshold;
+  }
+
+  // Drop idle sessions when the page is frozen in the background
+  watchMemoryPressure() {
+    if (typeof document !== 'undefined' && typeof document.addEventListener === 'function') {
+      document.addEventListener('freeze', () => this.trim('page-frozen'));
+    }
+  }
+
+  // Destroy the pooled sessions of one agent (or all); sessions still in use go when released
+  clear(agent = null) {
+    for (const entry of [...this.entries.values()]) {
+      if (!agent || entry.agent === agent) {
+        this.retire(entry);
+      }
+    }
+  }
+
+  record(agent, outcome) {
+    this.stats[outcome]++;
+    if (!this.stats.byAgent[agent]) {
+      this.stats.byAgent[agent] = { hits: 0, misses: 0 };
+    }
+    this.stats.byAgent[agent][outcome]++;
+  }
+
+  resetStats() {
+    this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0, pressureTrims: 0, byAgent: {} };
+  }
+
+  static hitRate({ hits, misses }) {
+    const total = hits + misses;
+    return total === 0 ? 0 : Math.round((hits / total) * 1000) / 1000;
+  }
+
+  // Pool size, hit rates (overall and per agent) and the live sessions, for AIAgents.getDiagnostics()
+  getStats() {
+    const now = Date.now();
+    const byAgent = {};
+    for (const [agent, counts] of Object.entries(this.stats.byAgent)) {
+      byAgent[agent] = { ...counts, hitRate: SessionPool.hitRate(counts) };
+    }
+
+    return {
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      idleTtlMs: this.idleTtlMs,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      hitRate: SessionPool.hitRate(this.stats),
+      evictions: this.stats.evictions,
+      expirations: this.stats.expirations,
+      pressureTrims: this.stats.pressureTrims,
+      byAgent,
+      sessions: [...this.entries.values()].map(entry => ({
+        agent: entry.agent,
+        key: entry.key,
+        ready: !!entry.session,
+        inUse: entry.inUse,
+        uses: entry.uses,
+        idleMs: entry.inUse > 0 ? 0 : now - entry.lastUsed
+      }))
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionPool;
+} else if (typeof window !== 'undefined') {
+  window.SessionPool = SessionPool;
+}
@@ -0,0 +1,831 @@
+// Site Extractors Module
+// Handlers for pages where generic extraction produces the wrong text: YouTube (transcript instead of
+// comments), GitHub issues, pull requests and code (without the navigation chrome), PDFs, Stack
+// Overflow Q&A and documentation sites. Each handler returns labeled markdown that the summarizer
+// and translator use as the page content; PageExtractor.extractPage() falls back to generic
+// extraction when a handler finds nothing.
+
+class SiteExtractors {
+  static text(element) {
+    return element ? (element.textContent || '').replace(/\s+/g, ' ').trim() : '';
+  }
+
+  // Parse the JSON object assigned to `name` in inline script text (e.g. ytInitialPlayerResponse = {...})
+  static parseAssignedJson(source, name) {
+    const match = new RegExp(`${name}\\s*=\\s*\\{`).exec(source);
+    if (!match) {
+      return null;
+    }
+
+    const start = match.index + match[0].length - 1;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    for (let i = start; i < source.length; i++) {
+      const char = source[i];
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}' && --depth === 0) {
+        try {
+          return JSON.parse(source.slice(start, i + 1));
+        } catch (error) {
+          return null;
+        }
+      }
+    }
+    return null;
+  }
+
+  static formatTime(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+  }
+
+  static parseTime(value) {
+    return (value || '').split(':').reduce((total, part) => total * 60 + (Number(part) || 0), 0);
+  }
+
+  // ----- YouTube -----
+
+  static async youtube(doc, location) {
+    const videoId = new URLSearchParams(location.search).get('v') || location.pathname.split('/')[2];
+    const player = await SiteExtractors.getYouTubePlayerResponse(doc, location, videoId);
+    const details = (player && player.videoDetails) || {};
+    const microformat = (player && player.microformat && player.microformat.playerMicroformatRenderer) || {};
+
+    const title = details.title
+      || SiteExtractors.text(doc.querySelector('h1.ytd-watch-metadata, #title h1'))
+      || doc.title.replace(/ - YouTube$/, '');
+    const channel = details.author || SiteExtractors.text(doc.querySelector('#owner #channel-name a, ytd-channel-name a'));
+    const description = details.shortDescription || SiteExtractors.text(doc.querySelector('#description-inline-expander, #description'));
+    const transcript = await SiteExtractors.getYouTubeTranscript(doc, player);
+
+    if (!transcript && !description) {
+      return null;
+    }
+
+    const lines = [`# ${title}`];
+    if (channel) {
+      lines.push(`Channel: ${channel}`);
+    }
+    if (details.lengthSeconds) {
+      lines.push(`Length: ${SiteExtractors.formatTime(Number(details.lengthSeconds))}`);
+    }
+    if (transcript) {
+      lines.push('', '## Transcript', '', transcript.text);
+    } else {
+      lines.push('', 'No transcript is available for this video.');
+    }
+    if (description) {
+      lines.push('', '## Description', '', description);
+    }
+
+    return {
+      title,
+      byline: channel || null,
+      publishedTime: microformat.publishDate || null,
+      language: transcript ? transcript.language : null,
+      contentType: transcript ? 'YouTube video transcript' : 'YouTube video description',
+      content: lines.join('\n')
+    };
+  }
+
+  // Player response from the inline script; after in-app navigation that script describes the
+  // first video watched, so the watch page is fetched again when the video id does not match
+  static async getYouTubePlayerResponse(doc, location, videoId) {
+    for (const script of doc.querySelectorAll('script')) {
+      if (!script.textContent.includes('ytInitialPlayerResponse')) {
+        continue;
+      }
+      const player = SiteExtractors.parseAssignedJson(script.textContent, 'ytInitialPlayerResponse');
+      if (player && player.videoDetails && player.videoDetails.videoId === videoId) {
+        return player;
+      }
+    }
+
+    try {
+      const response = await fetch(location.href, { credentials: 'include' });
+      return response.ok ? SiteExtractors.parseAssignedJson(await response.text(), 'ytInitialPlayerResponse') : null;
+    } catch (error) {
+      console.warn('⚠️ Could not load the YouTube player response:', error);
+      return null;
+    }
+  }
+
+  // Caption track in the page language (manual captions before auto-generated ones), falling back
+  // to the transcript panel when the user has opened it
+  static async getYouTubeTranscript(doc, player) {
+    const tracks = (player && player.captions && player.captions.playerCaptionsTracklistRenderer
+      && player.captions.playerCaptionsTracklistRenderer.captionTracks) || [];
+    const preferred = ((doc.documentElement && doc.documentElement.getAttribute('lang')) || 'en').split('-')[0];
+    const inLanguage = track => (track.languageCode || '').split('-')[0] === preferred;
+    const track = tracks.find(t => inLanguage(t) && t.kind !== 'asr')
+      || tracks.find(inLanguage)
+      || tracks.find(t => t.kind !== 'asr')
+      || tracks[0];
+
+    let segments = [];
+    if (track && track.baseUrl) {
+      try {
+        const response = await fetch(`${track.baseUrl}&fmt=json3`, { credentials: 'include' });
+        const data = response.ok ? await response.json() : null;
+        segments = ((data && data.events) || [])
+          .filter(event => event.segs)
+          .map(event => ({
+            start: (event.tStartMs || 0) / 1000,
+            text: event.segs.map(seg => seg.utf8 || '').join('').replace(/\s+/g, ' ').trim()
+          }))
+          .filter(segment => segment.text);
+      } catch (error) {
+        console.warn('⚠️ Could not load YouTube captions:', error);
+      }
+    }
+
+    if (segments.length === 0) {
+      segments = [...doc.querySelectorAll('ytd-transcript-segment-renderer')].map(segment => ({
+        start: SiteExtractors.parseTime(SiteExtractors.text(segment.querySelector('.segment-timestamp'))),
+        text: SiteExtractors.text(segment.querySelector('.segment-text, yt-formatted-string'))
+      })).filter(segment => segment.text);
+    }
+
+    if (segments.length === 0) {
+      return null;
+    }
+    return {
+      language: track ? track.languageCode : null,
+      text: SiteExtractors.formatTranscript(segments)
+    };
+  }
+
+  // One paragraph per minute of video, each starting with its timestamp
+  static formatTranscript(segments, paragraphSeconds = 60) {
+    const paragraphs = [];
+    let current = null;
+    segments.forEach(segment => {
+      if (!current || segment.start - current.start >= paragraphSeconds) {
+        current = { start: segment.start, parts: [] };
+        paragraphs.push(current);
+      }
+      current.parts.push(segment.text);
+    });
+    return paragraphs
+      .map(paragraph => `[${SiteExtractors.formatTime(paragraph.start)}] ${paragraph.parts.join(' ')}`)
+      .join('\n\n');
+  }
+
+  // ----- GitHub -----
+
+  static async github(doc, location) {
+    const [, owner, repo, section, ...rest] = location.pathname.split('/');
+    if (!owner || !repo) {
+      return null;
+    }
+    const repository = `${owner}/${repo}`;
+
+    if (section === 'issues' && /^\d+$/.test(rest[0])) {
+      return SiteExtractors.githubThread(doc, repository, `#${rest[0]}`, 'GitHub issue');
+    }
+    if (section === 'pull' && /^\d+$/.test(rest[0])) {
+      return rest[1] === 'files'
+        ? SiteExtractors.githubDiff(doc, repository, `#${rest[0]}`)
+        : SiteExtractors.githubThread(doc, repository, `#${rest[0]}`, 'GitHub pull request');
+    }
+    if (section === 'blob') {
+      return SiteExtractors.githubCode(doc, repository, rest.slice(1).join('/'));
+    }
+    if (!section || section === 'tree') {
+      return SiteExtractors.githubReadme(doc, repository);
+    }
+    return null;
+  }
+
+  // Issue or pull request conversation: title, state and every comment with its author
+  static githubThread(doc, repository, number, contentType) {
+    const title = SiteExtractors.text(doc.querySelector('.js-issue-title, bdi.markdown-title, [data-testid="issue-title"]'));
+    const state = SiteExtractors.text(doc.querySelector('.gh-header-meta .State, [data-testid="header-state"], .State'));
+    const bodies = [...doc.querySelectorAll('.comment-body.markdown-body, [data-testid="markdown-body"], .js-comment-body')];
+    const topLevel = bodies.filter(body => !bodies.some(other => other !== body && other.contains && other.contains(body)));
+
+    if (!title && topLevel.length === 0) {
+      return null;
+    }
+
+    const lines = [`# ${title || doc.title} (${number})`, `Repository: ${repository}${state ? ` · State: ${state}` : ''}`];
+    topLevel.slice(0, SiteExtractors.MAX_COMMENTS).forEach((body, index) => {
+      const container = body.closest('.timeline-comment, .js-comment-container, .review-comment, [data-testid="issue-body"], .react-issue-comment, [data-testid^="comment"]');
+      const author = SiteExtractors.text(container && container.querySelector('.author, [data-testid="issue-body-header-author"], a[data-hovercard-type="user"]'));
+      const label = index === 0 ? 'Description' : 'Comment';
+      lines.push('', `## ${label}${author ? ` by @${author.replace(/^@/, '')}` : ''}`, '', PageExtractor.toMarkdown(body));
+    });
+    if (topLevel.length > SiteExtractors.MAX_COMMENTS) {
+      lines.push('', `(${topLevel.length - SiteExtractors.MAX_COMMENTS} more comments not included)`);
+    }
+
+    return {
+      title: title || null,
+      contentType,
+      content: lines.join('\n')
+    };
+  }
+
+  // Files changed in a pull request as diff blocks
+  static githubDiff(doc, repository, number) {
+    const title = SiteExtractors.text(doc.querySelector('.js-issue-title, bdi.markdown-title'));
+    const files = [...doc.querySelectorAll('.file')];
+    if (files.length === 0) {
+      return null;
+    }
+
+    const lines = [`# ${title || 'Pull request'} (${number}) - files changed`, `Repository: ${repository}`];
+    let size = 0;
+    for (const file of files) {
+      const path = file.getAttribute('data-tagsearch-path')
+        || SiteExtractors.text(file.querySelector('.file-info a[title], .file-header [data-path]'))
+        || 'file';
+      const diff = [...file.querySelectorAll('td.blob-code')].map(cell => {
+        const code = (cell.querySelector('.blob-code-inner') || cell).textContent.replace(/\n$/, '');
+        if (cell.classList.contains('blob-code-hunk')) {
+          return code;
+        }
+        const prefix = cell.classList.contains('blob-code-addition') ? '+' : cell.classList.contains('blob-code-deletion') ? '-' : ' ';
+        return `${prefix}${code}`;
+      }).join('\n');
+
+      lines.push('', `## ${path}`, '', diff ? `\`\`\`diff\n${diff}\n\`\`\`` : '(diff not loaded)');
+      size += diff.length;
+      if (size > SiteExtractors.MAX_CODE_LENGTH) {
+        lines.push('', '(remaining files not included)');
+        break;
+      }
+    }
+
+    return {
+      title: title || null,
+      contentType: 'GitHub pull request diff',
+      content: lines.join('\n')
+    };
+  }
+
+  // Source file view: the raw file from the code view, or the rendered markdown for .md files
+  static githubCode(doc, repository, path) {
+    const rendered = doc.querySelector('article.markdown-body');
+    const textarea = doc.querySelector('textarea#read-only-cursor-text-area');
+    let code = textarea ? (textarea.value || textarea.textContent) : '';
+    if (!code) {
+      code = [...doc.querySelectorAll('.react-code-line-contents, .blob-code-inner')].map(line => line.textContent).join('\n');
+    }
+
+    if (!code && !rendered) {
+      return null;
+    }
+
+    const fileName = path.split('/').pop() || path;
+    const lines = [`# ${fileName}`, `Repository: ${repository} · Path: ${path}`, ''];
+    if (rendered && (!code || /\.(md|markdown|mdx|rst)$/i.test(fileName))) {
+      lines.push(PageExtractor.toMarkdown(rendered));
+    } else {
+      const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+      const trimmed = code.length > SiteExtractors.MAX_CODE_LENGTH ? `${code.slice(0, SiteExtractors.MAX_CODE_LENGTH)}\n...` : code;
+      lines.push(`\`\`\`${extension}\n${trimmed.replace(/\n$/, '')}\n\`\`\``);
+    }
+
+    return {
+      title: `${fileName} · ${repository}`,
+      contentType: 'GitHub source file',
+      content: lines.join('\n')
+    };
+  }
+
+  // Repository home: description and README
+  static githubReadme(doc, repository) {
+    const readme = doc.querySelector('article.markdown-body');
+    if (!readme) {
+      return null;
+    }
+    const about = SiteExtractors.text(doc.querySelector('.BorderGrid .f4, [itemprop="about"]'));
+    const lines = [`# ${repository}`];
+    if (about) {
+      lines.push('', about);
+    }
+    lines.push('', '## README', '', PageExtractor.toMarkdown(readme));
+
+    return {
+      title: repository,
+      contentType: 'GitHub repository README',
+      content: lines.join('\n')
+    };
+  }
+
+  // ----- PDF -----
+
+  // Chrome's PDF viewer renders in its own extension frame that content scripts cannot read,
+  // so the PDF is fetched again and the text of its content streams is extracted here
+  static async pdf(doc, location) {
+    const response = await fetch(location.href, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`Could not load PDF (${response.status})`);
+    }
+    const pages = await SiteExtractors.extractPdfText(await response.arrayBuffer());
+    if (pages.every(page => !page.trim())) {
+      return null; // Scanned PDF without a text layer
+    }
+
+    const fileName = decodeURIComponent(location.pathname.split('/').pop() || 'document.pdf');
+    const title = doc.title && doc.title !== fileName ? doc.title : fileName;
+    const lines = [`# ${title}`];
+    pages.forEach((page, index) => {
+      if (page.trim()) {
+        lines.push('', `## Page ${index + 1}`, '', page);
+      }
+    });
+
+    return {
+      title,
+      contentType: 'PDF document',
+      content: lines.join('\n')
+    };
+  }
+
+  // Text of each page, following the page tree and using ToUnicode maps when fonts have them
+  static async extractPdfText(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const objects = await SiteExtractors.readPdfObjects(bytes);
+    const get = ref => (ref ? objects.get(ref) : null) || null;
+    const refs = (source, key) => {
+      const match = new RegExp(`/${key}\\s*(\\[[^\\]]*\\]|\\d+\\s+\\d+\\s+R)`).exec(source || '');
+      return match ? [...match[1].matchAll(/(\d+)\s+\d+\s+R/g)].map(ref => ref[1]) : [];
+    };
+    // Value of /key: inline dictionary or referenced object
+    const dictionary = (source, key) => {
+      const index = (source || '').search(new RegExp(`/${key}\\s*(<<|\\d+\\s+\\d+\\s+R)`));
+      if (index === -1) {
+        return null;
+      }
+      const rest = source.slice(index + key.length + 1).trimStart();
+      return rest.startsWith('<<') ? SiteExtractors.readPdfDictionary(rest) : (get(refs(source, key)[0]) || {}).dict || null;
+    };
+
+    // Pages in order, walking /Kids from the root page tree
+    const pages = [];
+    const visit = (id, depth = 0) => {
+      const object = get(id);
+      if (!object || depth > 32) {
+        return;
+      }
+      if (/\/Type\s*\/Pages\b/.test(object.dict)) {
+        refs(object.dict, 'Kids').forEach(kid => visit(kid, depth + 1));
+      } else if (/\/Type\s*\/Page\b/.test(object.dict)) {
+        pages.push(object);
+      }
+    };
+    [...objects.entries()]
+      .filter(([, object]) => /\/Type\s*\/Pages\b/.test(object.dict) && !/\/Parent\s/.test(object.dict))
+      .forEach(([id]) => visit(id));
+
+    const cmaps = new Map();
+    const texts = [];
+    let length = 0;
+    for (const page of pages) {
+      // Resources are inherited from parent page tree nodes
+      let resources = null;
+      for (let node = page, depth = 0; node && !resources && depth < 32; node = get(refs(node.dict, 'Parent')[0]), depth++) {
+        resources = dictionary(node.dict, 'Resources');
+      }
+      const fonts = new Map();
+      const fontDictionary = resources ? dictionary(resources, 'Font') : null;
+      for (const [, name, id] of (fontDictionary || '').matchAll(/\/([^\s/<>\[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+        const toUnicode = refs((get(id) || {}).dict, 'ToUnicode')[0];
+        if (toUnicode && !cmaps.has(toUnicode)) {
+          const stream = get(toUnicode);
+          cmaps.set(toUnicode, stream && stream.data ? SiteExtractors.parseToUnicode(SiteExtractors.latin1(stream.data)) : null);
+        }
+        fonts.set(name, toUnicode ? cmaps.get(toUnicode) : null);
+      }
+
+      const content = refs(page.dict, 'Contents')
+        .map(id => get(id))
+        .filter(stream => stream && stream.data)
+        .map(stream => SiteExtractors.latin1(stream.data))
+        .join('\n');
+      const text = SiteExtractors.readPdfContentText(content, fonts);
+      texts.push(text);
+      length += text.length;
+      if (length > SiteExtractors.MAX_PDF_TEXT_LENGTH) {
+        break;
+      }
+    }
+    return texts;
+  }
+
+  // Map of object number → { dict, data } including objects packed in object streams;
+  // stream data is decompressed when it uses FlateDecode
+  static async readPdfObjects(bytes) {
+    const source = SiteExtractors.latin1(bytes);
+    const objects = new Map();
+    const pattern = /(\d+)\s+\d+\s+obj\b/g;
+    let match;
+    while ((match = pattern.exec(source))) {
+      const start = pattern.lastIndex;
+      const end = source.indexOf('endobj', start);
+      if (end === -1) {
+        break;
+      }
+      const body = source.slice(start, end);
+      const streamIndex = body.search(/\bstream\r?\n/);
+      const object = { dict: streamIndex === -1 ? body : body.slice(0, streamIndex), data: null };
+
+      if (streamIndex !== -1 && !/\/Subtype\s*\/Image/.test(object.dict)) {
+        const dataStart = start + streamIndex + body.slice(streamIndex).match(/^stream\r?\n/)[0].length;
+        const dataEnd = source.lastIndexOf('endstream', end);
+        const raw = bytes.subarray(dataStart, dataEnd > dataStart ? dataEnd : dataStart);
+        object.data = /\/FlateDecode/.test(object.dict)
+          ? await SiteExtractors.inflate(raw)
+          : (/\/Filter/.test(object.dict) ? null : raw);
+      }
+      objects.set(match[1], object);
+      pattern.lastIndex = end;
+    }
+
+    // Objects inside /ObjStm streams: "<number> <offset> ..." pairs followed by the objects
+    for (const object of [...objects.values()]) {
+      if (!object.data || !/\/Type\s*\/ObjStm/.test(object.dict)) {
+        continue;
+      }
+      const text = SiteExtractors.latin1(object.data);
+      const first = Number((/\/First\s+(\d+)/.exec(object.dict) || [])[1]) || 0;
+      const header = text.slice(0, first).trim().split(/\s+/).map(Number);
+      for (let i = 0; i + 1 < header.length; i += 2) {
+        const from = first + header[i + 1];
+        const to = i + 3 < header.length ? first + header[i + 3] : text.length;
+        if (!objects.has(String(header[i]))) {
+          objects.set(String(header[i]), { dict: text.slice(from, to), data: null });
+        }
+      }
+    }
+    return objects;
+  }
+
+  static async inflate(data) {
+    try {
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch (error) {
+      return null; // Damaged or unsupported stream
+    }
+  }
+
+  static latin1(bytes) {
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 8192) {
+      text += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+    }
+    return text;
+  }
+
+  // Balanced << ... >> dictionary at the start of source
+  static readPdfDictionary(source) {
+    let depth = 0;
+    for (let i = 0; i < source.length - 1; i++) {
+      if (source[i] === '<' && source[i + 1] === '<') {
+        depth++;
+        i++;
+      } else if (source[i] === '>' && source[i + 1] === '>') {
+        depth--;
+        i++;
+        if (depth === 0) {
+          return source.slice(0, i + 1);
+        }
+      }
+    }
+    return source;
+  }
+
+  // ToUnicode CMap → { bytes: code length, map: Map(code → text) }
+  static parseToUnicode(cmap) {
+    const map = new Map();
+    const hexToText = hex => {
+      let text = '';
+      for (let i = 0; i < hex.length; i += 4) {
+        text += String.fromCharCode(parseInt(hex.slice(i, i + 4).padEnd(4, '0'), 16));
+      }
+      return text;
+    };
+    let bytes = 1;
+
+    for (const [, block] of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+      for (const [, code, text] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+        map.set(parseInt(code, 16), hexToText(text));
+        bytes = Math.max(bytes, code.length / 2);
+      }
+    }
+    for (const [, block] of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+      for (const [, from, to, target] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+        const start = parseInt(from, 16);
+        const end = parseInt(to, 16);
+        bytes = Math.max(bytes, from.length / 2);
+        if (target.startsWith('[')) {
+          [...target.matchAll(/<([0-9a-fA-F]*)>/g)].forEach(([, hex], offset) => map.set(start + offset, hexToText(hex)));
+        } else {
+          const base = target.slice(1, -1);
+          const baseText = hexToText(base);
+          for (let code = start; code <= end && code - start < 65536; code++) {
+            const last = baseText.charCodeAt(baseText.length - 1) + (code - start);
+            map.set(code, baseText.slice(0, -1) + String.fromCharCode(last));
+          }
+        }
+      }
+    }
+    return map.size > 0 ? { bytes: Math.min(bytes, 2), map } : null;
+  }
+
+  // Text shown by a content stream: Tj/TJ/'/" strings decoded with the current font,
+  // line breaks on text moves and large TJ gaps as spaces
+  static readPdfContentText(content, fonts) {
+    const tokens = /\((?:\\[\s\S]|[^\\()]|\((?:\\[\s\S]|[^\\()])*\))*\)|<[0-9a-fA-F\s]*>|\[|\]|\/[^\s/<>\[\]()]+|[-+]?\d*\.?\d+|[A-Za-z'"*]+/g;
+    let font = null;
+    let line = '';
+    const lines = [];
+    let operands = [];
+    let array = null;
+    let match;
+
+    const decode = token => {
+      let raw;
+      if (token.startsWith('(')) {
+        raw = token.slice(1, -1).replace(/\\([nrtbf()\\]|[0-7]{1,3}|\r?\n)/g, (m, escape) => {
+          const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+          if (escapes[escape] !== undefined) {
+            return escapes[escape];
+          }
+          return /^[0-7]+$/.test(escape) ? String.fromCharCode(parseInt(escape, 8)) : '';
+        });
+      } else {
+        const hex = token.slice(1, -1).replace(/\s+/g, '');
+        raw = '';
+        for (let i = 0; i < hex.length; i += 2) {
+          raw += String.fromCharCode(parseInt(hex.slice(i, i + 2).padEnd(2, '0'), 16));
+        }
+      }
+      if (!font) {
+        return raw;
+      }
+      let text = '';
+      for (let i = 0; i < raw.length; i += font.bytes) {
+        const code = font.bytes === 2 ? (raw.charCodeAt(i) << 8) | (raw.charCodeAt(i + 1) || 0) : raw.charCodeAt(i);
+        text += font.map.has(code) ? font.map.get(code) : (font.bytes === 1 ? raw[i] : '');
+      }
+      return text;
+    };
+    const newLine = () => {
+      if (line.trim()) {
+        lines.push(line.replace(/\s+/g, ' ').trim());
+      }
+      line = '';
+    };
+
+    while ((match = tokens.exec(content))) {
+      const token = match[0];
+      if (token === 'ID') {
+        // Inline image data runs until EI
+        const end = content.indexOf('EI', tokens.lastIndex);
+        tokens.lastIndex = end === -1 ? content.length : end + 2;
+        operands = [];
+        continue;
+      }
+      if (token === '[') {
+        array = [];
+      } else if (token === ']') {
+        operands.push(array || []);
+        array = null;
+      } else if (array) {
+        array.push(token);
+      } else if (/^[A-Za-z'"*]+$/.test(token) && !/^(true|false|null)$/.test(token)) {
+        switch (token) {
+          case 'Tf':
+            font = fonts.get(String(operands[0] || '').slice(1)) || null;
+            break;
+          case 'Tj':
+            line += decode(operands[operands.length - 1] || '()');
+            break;
+          case "'":
+          case '"':
+            newLine();
+            line += decode(operands[operands.length - 1] || '()');
+            break;
+          case 'TJ':
+            (operands[0] || []).forEach(part => {
+              if (part.startsWith('(') || part.startsWith('<')) {
+                line += decode(part);
+              } else if (Number(part) < -200) {
+                line += ' ';
+              }
+            });
+            break;
+          case 'Td':
+          case 'TD':
+            if (Math.abs(Number(operands[1]) || 0) > 0.01) {
+              newLine();
+            } else {
+              line += ' ';
+            }
+            break;
+          case 'T*':
+          case 'Tm':
+          case 'ET':
+            newLine();
+            break;
+          default:
+            break;
+        }
+        operands = [];
+      } else {
+        operands.push(token);
+      }
+    }
+    newLine();
+
+    // Join wrapped lines into paragraphs; keep breaks after sentence ends and short lines
+    return lines.reduce((text, current, index) => {
+      if (index === 0) {
+        return current;
+      }
+      const previous = lines[index - 1];
+      if (previous.endsWith('-') && /^[a-z]/.test(current)) {
+        return text.slice(0, -1) + current;
+      }
+      return text + (/[.:!?]$/.test(previous) || previous.length < 40 ? '\n' : ' ') + current;
+    }, '');
+  }
+
+  // ----- Stack Overflow and other Stack Exchange sites -----
+
+  static stackExchange(doc) {
+    const question = doc.querySelector('#question, .question');
+    if (!question) {
+      return null;
+    }
+
+    const title = SiteExtractors.text(doc.querySelector('#question-header h1, h1[itemprop="name"]')) || doc.title;
+    const body = question.querySelector('.s-prose, .js-post-body, .post-text');
+    const score = SiteExtractors.text(question.querySelector('.js-vote-count'));
+    const tags = [...new Set([...question.querySelectorAll('.post-tag')].map(tag => SiteExtractors.text(tag)))];
+    const author = SiteExtractors.text(question.querySelector('.post-signature.owner .user-details a'));
+
+    const details = [score && `Score: ${score}`, tags.length > 0 && `Tags: ${tags.join(', ')}`, author && `Asked by ${author}`].filter(Boolean);
+    const lines = [`# Question: ${title}`];
+    if (details.length > 0) {
+      lines.push(details.join(' · '));
+    }
+    lines.push('', body ? PageExtractor.toMarkdown(body) : '');
+
+    const answers = [...doc.querySelectorAll('#answers .answer, .answer')];
+    answers.slice(0, SiteExtractors.MAX_ANSWERS).forEach(answer => {
+      const answerBody = answer.querySelector('.s-prose, .js-post-body, .post-text');
+      if (!answerBody) {
+        return;
+      }
+      const answerScore = SiteExtractors.text(answer.querySelector('.js-vote-count'));
+      const signatures = answer.querySelectorAll('.post-signature .user-details a');
+      const answerAuthor = signatures.length > 0 ? SiteExtractors.text(signatures[signatures.length - 1]) : '';
+      const accepted = answer.classList.contains('accepted-answer') || !!answer.querySelector('.js-accepted-answer-indicator:not(.d-none)');
+      const info = [answerScore && `score ${answerScore}`, answerAuthor && `by ${answerAuthor}`].filter(Boolean).join(', ');
+      lines.push('', `## ${accepted ? 'Accepted answer' : 'Answer'}${info ? ` (${info})` : ''}`, '', PageExtractor.toMarkdown(answerBody));
+    });
+    if (answers.length > SiteExtractors.MAX_ANSWERS) {
+      lines.push('', `(${answers.length - SiteExtractors.MAX_ANSWERS} more answers not included)`);
+    }
+
+    return {
+      title,
+      byline: author || null,
+      contentType: 'Stack Overflow question and answers',
+      content: lines.join('\n')
+    };
+  }
+
+  // ----- Documentation sites -----
+
+  static isDocsSite(location, doc) {
+    const generator = doc.querySelector('meta[name="generator"]');
+    if (generator && SiteExtractors.DOCS_GENERATORS.test(generator.getAttribute('content') || '')) {
+      return true;
+    }
+    return SiteExtractors.DOCS_HOSTS.test(location.hostname) || /\/docs?\//.test(location.pathname);
+  }
+
+  // Content container of the known documentation generators
+  static getDocsRoot(doc) {
+    for (const selector of SiteExtractors.DOCS_ROOTS) {
+      const root = doc.querySelector(selector);
+      if (root && SiteExtractors.text(root).length > 0) {
+        return root;
+      }
+    }
+    return null;
+  }
+
+  static docs(doc) {
+    const root = SiteExtractors.getDocsRoot(doc);
+    if (!root) {
+      return null;
+    }
+
+    const breadcrumbs = doc.querySelector('nav[aria-label="Breadcrumbs"], nav[aria-label="breadcrumbs"], .breadcrumbs, .theme-doc-breadcrumbs, .wy-breadcrumbs, .md-path');
+    const trail = breadcrumbs
+      ? [...breadcrumbs.querySelectorAll('li, .md-path__item')].map(item => SiteExtractors.text(item)).filter(Boolean)
+      : [];
+    const heading = root.querySelector('h1');
+    const lines = [];
+    if (trail.length > 0) {
+      lines.push(`Section: ${trail.join(' › ')}`, '');
+    }
+    if (!heading) {
+      lines.push(`# ${doc.title}`, '');
+    }
+    lines.push(PageExtractor.toMarkdown(root));
+
+    return {
+      title: heading ? PageExtractor.getHeadingText(heading) : null,
+      contentType: 'documentation page',
+      content: lines.join('\n')
+    };
+  }
+}
+
+SiteExtractors.MAX_COMMENTS = 50;
+SiteExtractors.MAX_ANSWERS = 5;
+SiteExtractors.MAX_CODE_LENGTH = 50000;
+SiteExtractors.MAX_PDF_TEXT_LENGTH = 200000;
+SiteExtractors.DOCS_GENERATORS = /docusaurus|mkdocs|sphinx|gitbook|vitepress|vuepress|nextra|docsify|starlight|mintlify|antora|read the docs/i;
+SiteExtractors.DOCS_HOSTS = /^(docs|developer|devdocs|learn)\.|\.readthedocs\.io$|^developer\.mozilla\.org$/;
+SiteExtractors.DOCS_ROOTS = [
+  '.theme-doc-markdown', // Docusaurus
+  '.md-content__inner', // MkDocs Material
+  '.rst-content [itemprop="articleBody"]', // Sphinx (Read the Docs theme)
+  'div.body[role="main"]', // Sphinx
+  '.vp-doc', // VitePress
+  '.theme-default-content', // VuePress
+  '.sl-markdown-content', // Starlight
+  '.markdown-section', // docsify
+  '.main-page-content', // MDN
+  'main article',
+  'article[role="main"]'
+];
+
+// Most specific handlers first; the docs handler only runs when none of the others matched
+PageExtractor.registerSite({
+  name: 'youtube',
+  label: 'YouTube video transcript',
+  matches: location => /(^|\.)youtube\.com$/.test(location.hostname)
+    && (location.pathname === '/watch' || location.pathname.startsWith('/shorts/')),
+  extract: (doc, location) => SiteExtractors.youtube(doc, location)
+});
+
+PageExtractor.registerSite({
+  name: 'github',
+  label: 'GitHub page',
+  matches: location => location.hostname === 'github.com',
+  extract: (doc, location) => SiteExtractors.github(doc, location)
+});
+
+PageExtractor.registerSite({
+  name: 'pdf',
+  label: 'PDF document',
+  matches: (location, doc) => doc.contentType === 'application/pdf' || !!doc.querySelector('embed[type="application/pdf"]'),
+  extract: (doc, location) => SiteExtractors.pdf(doc, location)
+});
+
+PageExtractor.registerSite({
+  name: 'stackexchange',
+  label: 'Stack Overflow question and answers',
+  matches: location => /(^|\.)(stackoverflow\.com|stackexchange\.com|superuser\.com|serverfault\.com|askubuntu\.com|mathoverflow\.net)$/.test(location.hostname)
+    && /^\/questions\/\d+/.test(location.pathname),
+  extract: doc => SiteExtractors.stackExchange(doc)
+});
+
+PageExtractor.registerSite({
+  name: 'docs',
+  label: 'documentation page',
+  matches: (location, doc) => SiteExtractors.isDocsSite(location, doc) && SiteExtractors.getDocsRoot(doc) !== null,
+  extract: doc => SiteExtractors.docs(doc)
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SiteExtractors;
+} else if (typeof window !== 'undefined') {
+  window.SiteExtractors = SiteExtractors;
+}
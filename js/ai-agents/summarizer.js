@@ -5,6 +5,9 @@ class SummarizerAgent {
   constructor() {
     this.summarizer = null;
     this.preferredLanguage = 'en';
+    this.defaultChunkChars = 12000; // Chunk size when the input quota cannot be read
+    this.maxReduceDepth = 3; // Levels of hierarchical reduction before trimming
+    this.timeoutMs = 60000; // Per summarize call, unless options.timeoutMs is given
   }
 
   // Set preferred language
@@ -107,13 +110,12 @@ class SummarizerAgent {
 
       console.log('🛠️ Creating summarizer with options:', finalOptions);
       
-      // Create summarizer with timeout protection
-      const createPromise = window.Summarizer.create(finalOptions);
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Summarizer creation timeout after 120 seconds')), 120000)
-      );
-      
-      this.summarizer = await Promise.race([createPromise, timeoutPromise]);
+      // Create summarizer with timeout protection (finalOptions.signal cancels the download as well)
+      this.summarizer = await AIUtils.withTimeout(window.Summarizer.create(finalOptions), {
+        timeoutMs: 120000,
+        signal: finalOptions.signal,
+        label: 'Summarizer creation'
+      });
       
       if (!this.summarizer) {
         throw new Error('Summarizer creation returned null or undefined');
@@ -123,6 +125,9 @@ class SummarizerAgent {
       return this.summarizer;
 
     } catch (error) {
+      if (AIUtils.isAbortError(error)) {
+        throw error;
+      }
       console.error('💥 Error creating summarizer:', error);
       
       // Provide user-friendly error messages
@@ -144,132 +149,423 @@ class SummarizerAgent {
     }
   }
 
+  // Clean input text and build summarizer options shared by regular and streaming summarization
+  async prepareSummaryRequest(text, context = '', intentResult = null) {
+    // Validate input text
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      throw new Error('No valid text provided for summarization');
+    }
+
+    // Clean and prepare text
+    let cleanText;
+    try {
+      cleanText = (typeof AIUtils !== 'undefined' && AIUtils.cleanTextForSummarization) 
+        ? AIUtils.cleanTextForSummarization(text)
+        : text.trim();
+    } catch (cleanError) {
+      console.warn('⚠️ Text cleaning failed, using raw text:', cleanError);
+      cleanText = text.trim();
+    }
+    
+    if (cleanText.length < 50) {
+      return { tooShort: true, cleanText, summaryOptions: null };
+    }
+
+    // Prepare summarization options
+    const supportedLanguages = ['en', 'es', 'ja'];
+    let outputLanguage;
+    
+    try {
+      outputLanguage = (typeof AIUtils !== 'undefined' && AIUtils.getOutputLanguage) 
+        ? await AIUtils.getOutputLanguage(this.preferredLanguage)
+        : this.preferredLanguage || 'en';
+    } catch (langError) {
+      console.warn('⚠️ Error getting output language, using default:', langError);
+      outputLanguage = 'en';
+    }
+    
+    const finalOutputLanguage = supportedLanguages.includes(outputLanguage) ? outputLanguage : 'en';
+    
+    const summaryOptions = {
+      type: intentResult?.summarization_type || intentResult?.summarizationType || 'key-points',
+      length: intentResult?.summarization_length || intentResult?.summarizationLength || 'medium',
+      format: 'markdown',
+      outputLanguage: finalOutputLanguage, // REQUIRED: Must be one of 'en', 'es', 'ja'
+      sharedContext: context || 'Please summarize this text'
+    };
+
+    return { tooShort: false, cleanText, summaryOptions };
+  }
+
+  // Options that decide what a summary of text looks like, for the result cache key (the shared
+  // context only steers the model, like for pooled sessions); null when the text is too short
+  async getSummaryCacheOptions(text, context = '', intentResult = null) {
+    const { summaryOptions } = await this.prepareSummaryRequest(text, context, intentResult);
+    if (!summaryOptions) {
+      return null;
+    }
+    const { sharedContext, ...cacheOptions } = summaryOptions;
+    return cacheOptions;
+  }
+
+  // Map internal summarization errors to user-friendly messages
+  getUserFriendlyError(error) {
+    let userMessage = 'Summarization failed: ';
+
+    if (AIUtils.isAbortError(error) || error.message.startsWith(userMessage)) {
+      // Already mapped (e.g. by the non-streaming fallback)
+      return error;
+    } else if (error.message.includes('No valid text')) {
+      userMessage += 'No text was provided to summarize.';
+    } else if (error.message.includes('too short')) {
+      userMessage += 'The text is too short to summarize effectively.';
+    } else if (error.message.includes('Cannot create summarizer')) {
+      userMessage += 'The AI summarization service is not available. Please check your browser support.';
+    } else if (error.message.includes('timeout')) {
+      userMessage += 'The summarization request timed out. Please try again with shorter text.';
+    } else if (error.message.includes('API may not be available')) {
+      userMessage += 'The AI summarization API is not available in your browser. Please ensure you have Chrome 138+ with AI features enabled.';
+    } else {
+      userMessage += error.message;
+    }
+    
+    return new Error(userMessage);
+  }
+
   // Summarize text content
-  async summarizeText(text, context = '', intentResult = null) {
+  // options: { signal, timeoutMs } to cancel the work or override the per-call timeout
+  async summarizeText(text, context = '', intentResult = null, options = {}) {
     try {
       console.log('📝 Starting text summarization...');
+      return await this.summarizeWithChunking(text, context, intentResult, null, options);
+    } catch (error) {
+      console.error('💥 Error during text summarization:', error);
       
-      // Validate input text
-      if (!text || typeof text !== 'string' || text.trim().length === 0) {
-        throw new Error('No valid text provided for summarization');
+      // Provide user-friendly error messages
+      throw this.getUserFriendlyError(error);
+    }
+  }
+
+  // Summarize text content with streaming output (for real-time updates)
+  async summarizeStreaming(text, context = '', intentResult = null, onChunk = null, options = {}) {
+    try {
+      console.log('📝 Starting streaming text summarization...');
+      return await this.summarizeWithChunking(text, context, intentResult, onChunk, options);
+    } catch (error) {
+      console.error('💥 Error during streaming summarization:', error);
+      throw this.getUserFriendlyError(error);
+    }
+  }
+
+  // Summarize in a single pass when the text fits the input quota, otherwise map-reduce over chunks
+  async summarizeWithChunking(text, context = '', intentResult = null, onChunk = null, options = {}) {
+    const { tooShort, cleanText, summaryOptions } = await this.prepareSummaryRequest(text, context, intentResult);
+    
+    if (tooShort) {
+      return 'The provided text is too short to summarize effectively (minimum 50 characters required).';
+    }
+
+    console.log(`🎯 Summarizing ${cleanText.length} characters with options:`, summaryOptions);
+
+    const summarizer = await this.createSummarizerInstance(summaryOptions, options);
+
+    let fitsInSinglePass;
+    try {
+      fitsInSinglePass = await this.fitsInputQuota(summarizer, cleanText);
+    } catch (measureError) {
+      this.releaseInstance(summarizer);
+      throw measureError;
+    }
+
+    if (!fitsInSinglePass) {
+      this.releaseInstance(summarizer);
+      console.log('📚 Text exceeds the summarizer input quota, using chunked map-reduce summarization');
+      return await this.summarizeLongText(cleanText, context, summaryOptions, onChunk, 0, options);
+    }
+
+    try {
+      const summary = await this.runSummarizer(summarizer, cleanText, summaryOptions.sharedContext, onChunk, options);
+      console.log('✅ Text summarization completed successfully');
+      return summary;
+    } finally {
+      // Always hand the summarizer back to the pool
+      this.releaseInstance(summarizer);
+    }
+  }
+
+  // Get a pooled summarizer for these options, mapping creation failures to a consistent error
+  // sharedContext is request specific, so it is left out of the session and passed per call
+  // (runSummarizer's context) to let requests with the same type, length and language share a session
+  async createSummarizerInstance(summaryOptions, options = {}) {
+    const { sharedContext, ...sessionOptions } = summaryOptions;
+    let summarizer;
+    try {
+      summarizer = await SessionPool.shared.acquire('summarizer', sessionOptions, () => this.createSummarizer(sessionOptions), { signal: options.signal });
+    } catch (createError) {
+      if (AIUtils.isAbortError(createError)) {
+        throw createError;
       }
+      console.error('❌ Failed to create summarizer:', createError);
+      throw new Error(`Cannot create summarizer: ${createError.message}`);
+    }
 
-      // Clean and prepare text
-      let cleanText;
-      try {
-        cleanText = (typeof AIUtils !== 'undefined' && AIUtils.cleanTextForSummarization) 
-          ? AIUtils.cleanTextForSummarization(text)
-          : text.trim();
-      } catch (cleanError) {
-        console.warn('⚠️ Text cleaning failed, using raw text:', cleanError);
-        cleanText = text.trim();
+    if (!summarizer) {
+      throw new Error('Summarizer creation returned null - API may not be available');
+    }
+
+    return summarizer;
+  }
+
+  // Return a summarizer to the session pool
+  releaseInstance(summarizer) {
+    if (summarizer) {
+      SessionPool.shared.release(summarizer);
+    }
+  }
+
+  // Run a single summarize call with timeout, streaming chunks when a callback is provided
+  // The call is aborted on timeout or when options.signal aborts, so the session stops generating
+  async runSummarizer(summarizer, text, context = '', onChunk = null, options = {}) {
+    const controller = AIUtils.createLinkedController(options.signal);
+    const summarizeOptions = context ? { context, signal: controller.signal } : { signal: controller.signal };
+    const useStreaming = onChunk && typeof onChunk === 'function' && typeof summarizer.summarizeStreaming === 'function';
+    const guard = {
+      timeoutMs: options.timeoutMs || this.timeoutMs,
+      signal: options.signal,
+      label: 'Summarization',
+      onTimeout: () => controller.abort()
+    };
+
+    let summary = '';
+    try {
+      if (useStreaming) {
+        const readStream = async () => {
+          const stream = summarizer.summarizeStreaming(text, summarizeOptions);
+          for await (const chunk of stream) {
+            AIUtils.throwIfAborted(controller.signal);
+            summary += chunk;
+            onChunk(chunk);
+          }
+        };
+        await AIUtils.withTimeout(readStream(), guard);
+      } else {
+        summary = await AIUtils.withTimeout(summarizer.summarize(text, summarizeOptions), guard);
+        // Older builds may not expose streaming, deliver the whole summary at once
+        if (onChunk && typeof onChunk === 'function' && typeof summary === 'string') {
+          onChunk(summary);
+        }
       }
-      
-      if (cleanText.length < 50) {
-        return 'The provided text is too short to summarize effectively (minimum 50 characters required).';
+
+      if (!summary || typeof summary !== 'string' || summary.trim().length === 0) {
+        throw new Error('Summarization returned empty or invalid result');
       }
 
-      if (cleanText.length > 100000) {
-        console.log('⚠️ Text is very long, truncating to 100,000 characters');
-        cleanText = cleanText.substring(0, 100000) + '...';
+      return summary;
+
+    } catch (summaryError) {
+      if (AIUtils.isAbortError(summaryError) && options.signal && options.signal.aborted) {
+        throw summaryError;
       }
+      // Timed out or failed: do not hand this session to the next request
+      SessionPool.shared.discard(summarizer);
+      console.error('❌ Summarization API call failed:', summaryError);
+      throw new Error(`AI summarization failed: ${summaryError.message}`);
+    } finally {
+      controller.release();
+    }
+  }
 
-      // Prepare summarization options
-      const supportedLanguages = ['en', 'es', 'ja'];
-      let outputLanguage;
-      
+  // CHUNKED MAP-REDUCE SUMMARIZATION
+
+  // Check whether text fits the summarizer's input quota
+  async fitsInputQuota(summarizer, text) {
+    if (typeof summarizer.measureInputUsage === 'function' && Number.isFinite(summarizer.inputQuota)) {
       try {
-        outputLanguage = (typeof AIUtils !== 'undefined' && AIUtils.getOutputLanguage) 
-          ? await AIUtils.getOutputLanguage(this.preferredLanguage)
-          : this.preferredLanguage || 'en';
-      } catch (langError) {
-        console.warn('⚠️ Error getting output language, using default:', langError);
-        outputLanguage = 'en';
+        const usage = await summarizer.measureInputUsage(text);
+        return usage <= summarizer.inputQuota;
+      } catch (error) {
+        console.warn('⚠️ Could not measure summarizer input usage, estimating from length:', error);
       }
-      
-      const finalOutputLanguage = supportedLanguages.includes(outputLanguage) ? outputLanguage : 'en';
-      
-      const summaryOptions = {
-        type: intentResult?.summarization_type || intentResult?.summarizationType || 'key-points',
-        length: intentResult?.summarization_length || intentResult?.summarizationLength || 'medium',
-        format: 'markdown',
-        outputLanguage: finalOutputLanguage, // REQUIRED: Must be one of 'en', 'es', 'ja'
-        sharedContext: context || 'Please summarize this text'
-      };
+    }
+    return text.length <= this.getChunkCharBudget(summarizer);
+  }
 
-      console.log(`🎯 Summarizing ${cleanText.length} characters with options:`, summaryOptions);
+  // Estimate how many characters fit in one summarizer call
+  getChunkCharBudget(summarizer) {
+    if (summarizer && Number.isFinite(summarizer.inputQuota) && summarizer.inputQuota > 0) {
+      // ~3 characters per token keeps a safety margin for non-English text
+      return Math.max(2000, Math.floor(summarizer.inputQuota * 3 * 0.9));
+    }
+    return this.defaultChunkChars;
+  }
 
-      // Create or recreate summarizer with intelligent options
-      let summarizer;
-      try {
-        summarizer = await this.createSummarizer(summaryOptions);
-      } catch (createError) {
-        console.error('❌ Failed to create summarizer:', createError);
-        throw new Error(`Cannot create summarizer: ${createError.message}`);
+  // Detect lines that look like section headings (markdown headings or short title-like lines)
+  isHeadingLine(line) {
+    if (/^#{1,6}\s/.test(line)) {
+      return true;
+    }
+    return line.length > 0 && line.length < 80 && !/[.!?,;:)\]"']$/.test(line) && line.split(/\s+/).length <= 10;
+  }
+
+  // Split a paragraph that is longer than the budget on sentence boundaries, then hard-split
+  splitLongParagraph(paragraph, maxChars) {
+    const pieces = [];
+    let current = '';
+
+    const sentences = paragraph.match(/[^.!?。！？]+[.!?。！？]+["')\]]*\s*|[^.!?。！？]+$/g) || [paragraph];
+    for (const sentence of sentences) {
+      if (sentence.length > maxChars) {
+        if (current) {
+          pieces.push(current.trim());
+          current = '';
+        }
+        for (let i = 0; i < sentence.length; i += maxChars) {
+          pieces.push(sentence.substring(i, i + maxChars).trim());
+        }
+      } else if (current.length + sentence.length > maxChars) {
+        pieces.push(current.trim());
+        current = sentence;
+      } else {
+        current += sentence;
       }
+    }
 
-      if (!summarizer) {
-        throw new Error('Summarizer creation returned null - API may not be available');
+    if (current.trim()) {
+      pieces.push(current.trim());
+    }
+    return pieces.filter(piece => piece.length > 0);
+  }
+
+  // Split text into chunks on headings and paragraphs, each within maxChars
+  splitIntoChunks(text, maxChars) {
+    const lines = text.split(/\n+/).map(line => line.trim()).filter(line => line.length > 0);
+    const chunks = [];
+    let current = [];
+    let currentLength = 0;
+
+    const flush = () => {
+      if (current.length > 0) {
+        chunks.push(current.join('\n'));
+        current = [];
+        currentLength = 0;
       }
+    };
 
-      // Perform summarization with timeout
-      let summary;
-      try {
-        const summaryPromise = summarizer.summarize(cleanText, context ? { context } : {});
-        const timeoutPromise = new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Summarization timeout after 60 seconds')), 60000)
-        );
-        
-        summary = await Promise.race([summaryPromise, timeoutPromise]);
-        
-        if (!summary || typeof summary !== 'string' || summary.trim().length === 0) {
-          throw new Error('Summarization returned empty or invalid result');
+    for (const line of lines) {
+      const pieces = line.length > maxChars ? this.splitLongParagraph(line, maxChars) : [line];
+
+      for (const piece of pieces) {
+        // Prefer to start a new chunk at a heading once the current chunk is reasonably full
+        if (this.isHeadingLine(piece) && currentLength >= maxChars * 0.5) {
+          flush();
         }
-        
-        console.log('✅ Text summarization completed successfully');
-        
-      } catch (summaryError) {
-        console.error('❌ Summarization API call failed:', summaryError);
-        throw new Error(`AI summarization failed: ${summaryError.message}`);
-      } finally {
-        // Always clean up the summarizer
-        try {
-          if (summarizer && typeof summarizer.destroy === 'function') {
-            summarizer.destroy();
-          }
-        } catch (destroyError) {
-          console.warn('⚠️ Error destroying summarizer:', destroyError);
+        if (currentLength + piece.length + 1 > maxChars) {
+          flush();
         }
+        current.push(piece);
+        currentLength += piece.length + 1;
       }
-      
-      return summary;
+    }
+    flush();
 
-    } catch (error) {
-      console.error('💥 Error during text summarization:', error);
-      
-      // Provide user-friendly error messages
-      let userMessage = 'Summarization failed: ';
-      
-      if (error.message.includes('No valid text')) {
-        userMessage += 'No text was provided to summarize.';
-      } else if (error.message.includes('too short')) {
-        userMessage += 'The text is too short to summarize effectively.';
-      } else if (error.message.includes('Cannot create summarizer')) {
-        userMessage += 'The AI summarization service is not available. Please check your browser support.';
-      } else if (error.message.includes('timeout')) {
-        userMessage += 'The summarization request timed out. Please try again with shorter text.';
-      } else if (error.message.includes('API may not be available')) {
-        userMessage += 'The AI summarization API is not available in your browser. Please ensure you have Chrome 138+ with AI features enabled.';
+    return chunks;
+  }
+
+  // Split any chunk the summarizer reports as too large in half until everything fits
+  async ensureChunksFit(summarizer, chunks) {
+    const fitted = [];
+    for (const chunk of chunks) {
+      if (chunk.length < 200 || await this.fitsInputQuota(summarizer, chunk)) {
+        fitted.push(chunk);
       } else {
-        userMessage += error.message;
+        const halves = this.splitIntoChunks(chunk, Math.ceil(chunk.length / 2));
+        fitted.push(...await this.ensureChunksFit(summarizer, halves));
       }
-      
-      throw new Error(userMessage);
+    }
+    return fitted;
+  }
+
+  // Hierarchical summarization: summarize each chunk, then reduce the partial summaries
+  async summarizeLongText(cleanText, context = '', summaryOptions = {}, onChunk = null, depth = 0, options = {}) {
+    // Map pass uses detailed key points so the reduce pass has enough material
+    const mapOptions = {
+      ...summaryOptions,
+      type: 'key-points',
+      length: 'long',
+      sharedContext: `${summaryOptions.sharedContext || context || 'Please summarize this text'} The text is one section of a longer document.`
+    };
+
+    const mapSummarizer = await this.createSummarizerInstance(mapOptions, options);
+    const partialSummaries = [];
+
+    try {
+      const budget = this.getChunkCharBudget(mapSummarizer);
+      const chunks = await this.ensureChunksFit(mapSummarizer, this.splitIntoChunks(cleanText, budget));
+      console.log(`📚 Map pass (level ${depth + 1}): ${chunks.length} chunks of up to ${budget} characters`);
+
+      for (let i = 0; i < chunks.length; i++) {
+        if (typeof AIUtils !== 'undefined' && AIUtils.notifyProgress) {
+          AIUtils.notifyProgress('summarizer', (i / chunks.length) * 100, { stage: 'chunk', current: i + 1, total: chunks.length, level: depth + 1 });
+        }
+
+        const chunkContext = `Part ${i + 1} of ${chunks.length}. ${mapOptions.sharedContext}`;
+        const partial = await this.runSummarizer(mapSummarizer, chunks[i], chunkContext, null, options);
+        partialSummaries.push(partial.trim());
+        console.log(`   ✅ Chunk ${i + 1}/${chunks.length} summarized (${chunks[i].length} → ${partial.length} characters)`);
+      }
+    } finally {
+      this.releaseInstance(mapSummarizer);
+    }
+
+    if (partialSummaries.length === 1) {
+      // Nothing to combine, still apply the requested type and length
+      return await this.reduceSummaries(partialSummaries[0], context, summaryOptions, onChunk, depth, options);
+    }
+
+    const combined = partialSummaries
+      .map((partial, index) => `Section ${index + 1}:\n${partial}`)
+      .join('\n\n');
+
+    if (typeof AIUtils !== 'undefined' && AIUtils.notifyProgress) {
+      AIUtils.notifyProgress('summarizer', 100, { stage: 'reduce', current: partialSummaries.length, total: partialSummaries.length, level: depth + 1 });
+    }
+
+    return await this.reduceSummaries(combined, context, summaryOptions, onChunk, depth, options);
+  }
+
+  // Reduce pass: summarize the combined partial summaries with the requested type and length
+  async reduceSummaries(combined, context = '', summaryOptions = {}, onChunk = null, depth = 0, options = {}) {
+    const reduceOptions = {
+      ...summaryOptions,
+      sharedContext: `${summaryOptions.sharedContext || context || 'Please summarize this text'} The text consists of summaries of consecutive sections of one document.`
+    };
+
+    let reduceSummarizer = await this.createSummarizerInstance(reduceOptions, options);
+
+    try {
+      let input = combined;
+      if (!await this.fitsInputQuota(reduceSummarizer, combined)) {
+        if (depth + 1 < this.maxReduceDepth) {
+          // Partial summaries are still too long, recurse one level up the hierarchy
+          this.releaseInstance(reduceSummarizer);
+          reduceSummarizer = null;
+          return await this.summarizeLongText(combined, context, summaryOptions, onChunk, depth + 1, options);
+        }
+        console.warn('⚠️ Maximum reduce depth reached, trimming combined summaries to fit');
+        input = combined.substring(0, this.getChunkCharBudget(reduceSummarizer));
+      }
+
+      const summary = await this.runSummarizer(reduceSummarizer, input, reduceOptions.sharedContext, onChunk, options);
+      console.log(`✅ Reduce pass completed (level ${depth + 1})`);
+      return summary;
+    } finally {
+      this.releaseInstance(reduceSummarizer);
     }
   }
 
   // Summarize current page content
-  async summarizeCurrentPage(intentAnalysis = null) {
+  // options: { signal, timeoutMs } as for summarizeText, and regenerate to skip the result cache
+  async summarizeCurrentPage(intentAnalysis = null, onChunk = null, options = {}) {
     try {
       console.log('📄 Starting page summarization...');
       console.log('📊 Intent analysis for page summarization:', {
@@ -297,25 +593,26 @@ class SummarizerAgent {
       }
 
       // Create enhanced context from page metadata and intent analysis
-      let context = `This is content from the webpage titled "${pageData.title}" (${pageData.url}). The user wants a summary of this page.`;
-      
-      // Add intent-specific context if available
-      if (intentAnalysis) {
-        const summaryType = intentAnalysis.summarizationType || intentAnalysis.summarization_type;
-        const summaryLength = intentAnalysis.summarizationLength || intentAnalysis.summarization_length;
-        
-        if (summaryType || summaryLength) {
-          context += ` The user specifically requested a ${summaryLength || 'medium'} length summary`;
-          if (summaryType) {
-            const typeDescriptions = {
-              'key-points': 'in key points format',
-              'tldr': 'as a quick TLDR',
-              'teaser': 'as an intriguing teaser',
-              'headline': 'as a headline or title'
-            };
-            context += ` ${typeDescriptions[summaryType] || `in ${summaryType} format`}`;
+      const context = this.buildPageContext(pageData, intentAnalysis);
+
+      // The same page content with the same summary options was summarized before: answer from the cache
+      const cacheOptions = await this.getSummaryCacheOptions(pageData.content, context, intentAnalysis);
+      if (cacheOptions && !options.regenerate) {
+        const cached = await ResultCache.shared.get('summarizer', pageData.content, cacheOptions);
+        if (cached) {
+          console.log('⚡ Page summary served from the result cache');
+          if (onChunk) {
+            onChunk(cached.value.summary);
           }
-          context += '.';
+          return {
+            title: pageData.title,
+            url: pageData.url,
+            summary: cached.value.summary,
+            wordCount: pageData.content.split(/\s+/).length,
+            characterCount: pageData.content.length,
+            cached: true,
+            cachedAt: cached.createdAt
+          };
         }
       }
 
@@ -323,19 +620,26 @@ class SummarizerAgent {
       let summary;
       try {
         console.log('📝 Starting text summarization with intelligent parameters...');
-        summary = await this.summarizeText(pageData.content, context, intentAnalysis);
+        summary = onChunk
+          ? await this.summarizeStreaming(pageData.content, context, intentAnalysis, onChunk, options)
+          : await this.summarizeText(pageData.content, context, intentAnalysis, options);
         console.log('✅ Page summarization completed successfully');
       } catch (summaryError) {
         console.error('❌ Text summarization failed:', summaryError);
         throw new Error(`Summarization failed: ${summaryError.message}`);
       }
 
+      if (cacheOptions) {
+        await ResultCache.shared.put('summarizer', pageData.content, cacheOptions, { summary });
+      }
+
       return {
         title: pageData.title,
         url: pageData.url,
         summary: summary,
         wordCount: pageData.content.split(/\s+/).length,
-        characterCount: pageData.content.length
+        characterCount: pageData.content.length,
+        cached: false
       };
 
     } catch (error) {
@@ -360,17 +664,90 @@ class SummarizerAgent {
     }
   }
 
-  // Destroy summarizer instance
-  async destroy() {
-    if (this.summarizer) {
+  // Summarizer context for a page: its metadata, outline and the requested summary type
+  buildPageContext(pageData, intentAnalysis = null) {
+    let context = `This is content from the webpage titled "${pageData.title}" (${pageData.url}). The user wants a summary of this page.`;
+    if (pageData.contentType) {
+      context += ` The content is a ${pageData.contentType}.`;
+    }
+    if (pageData.byline) {
+      context += ` Written by ${pageData.byline}.`;
+    }
+    // Main sections from the extracted outline, so the summary can follow the page structure
+    const sections = (pageData.outline || []).filter(heading => heading.level <= 3).slice(0, 12);
+    if (sections.length > 0) {
+      context += ` Sections: ${sections.map(heading => heading.text).join('; ')}.`;
+    }
+    
+    // Add intent-specific context if available
+    if (intentAnalysis) {
+      const summaryType = intentAnalysis.summarizationType || intentAnalysis.summarization_type;
+      const summaryLength = intentAnalysis.summarizationLength || intentAnalysis.summarization_length;
+      
+      if (summaryType || summaryLength) {
+        context += ` The user specifically requested a ${summaryLength || 'medium'} length summary`;
+        if (summaryType) {
+          const typeDescriptions = {
+            'key-points': 'in key points format',
+            'tldr': 'as a quick TLDR',
+            'teaser': 'as an intriguing teaser',
+            'headline': 'as a headline or title'
+          };
+          context += ` ${typeDescriptions[summaryType] || `in ${summaryType} format`}`;
+        }
+        context += '.';
+      }
+    }
+    return context;
+  }
+
+  // Summarize several extracted tabs (multi-tab research) into one numbered section per tab
+  // pages: ChromeIntegration.extractTabsContent() results; a tab that fails keeps its section with the reason
+  async summarizePages(pages, intentAnalysis = null, onChunk = null, options = {}) {
+    if (!Array.isArray(pages) || pages.length === 0) {
+      throw new Error('No tabs selected to summarize');
+    }
+
+    const entries = [];
+    for (const [index, page] of pages.entries()) {
+      AIUtils.throwIfAborted(options.signal);
+      if (onChunk) {
+        onChunk(`${index > 0 ? '\n\n---\n\n' : ''}${TabResearch.formatHeading(index + 1, page)}\n\n`);
+      }
+      if (page.error) {
+        entries.push({ title: page.title, url: page.url, error: page.error });
+        continue;
+      }
+
       try {
-        this.summarizer.destroy();
-        this.summarizer = null;
-        console.log('Summarizer destroyed');
+        console.log(`📑 Summarizing tab ${index + 1}/${pages.length}: "${page.title}"`);
+        const context = this.buildPageContext(page, intentAnalysis);
+        const summary = onChunk
+          ? await this.summarizeStreaming(page.content, context, intentAnalysis, onChunk, options)
+          : await this.summarizeText(page.content, context, intentAnalysis, options);
+        entries.push({ title: page.title, url: page.url, summary });
       } catch (error) {
-        console.error('Error destroying summarizer:', error);
+        if (options.signal?.aborted) {
+          throw AIUtils.createAbortError();
+        }
+        console.warn(`⚠️ Could not summarize tab "${page.title}":`, error);
+        entries.push({ title: page.title, url: page.url, error: error.message });
       }
     }
+
+    if (entries.every(entry => entry.error)) {
+      throw new Error(`None of the selected tabs could be summarized (${entries[0].error})`);
+    }
+    return TabResearch.formatSummaries(entries);
+  }
+
+  // Destroy the pooled summarizer sessions
+  async destroy() {
+    if (this.summarizer) {
+      SessionPool.shared.clear('summarizer');
+      this.summarizer = null;
+      console.log('Summarizer destroyed');
+    }
   }
 
   // Get summarizer capabilities with comprehensive checking
@@ -541,6 +918,171 @@ class SummarizerAgent {
   }
 }
 
+// Register with the agent registry (triage prompts, dispatch, capabilities and popup quick actions)
+if (typeof AgentRegistry !== 'undefined') {
+  AgentRegistry.register({
+    name: 'summarizer',
+    className: 'SummarizerAgent',
+    description: 'Summarizes the current page or text produced by a previous step',
+    order: 10,
+    intents: {
+      summarize: {
+        description: 'User wants to summarize content (page, article, text, document)',
+        rule: 'If the user mentions summarize, summary, tldr, overview, brief, main points, or wants to condense content → "summarize"',
+        missingInput: 'text to summarize',
+        fallback: {
+          keywords: ['summarize', 'summary', 'tldr', 'brief', 'overview', 'sum up', 'digest', 'condense'],
+          patterns: [
+            /summarize (this|the|current)? ?(page|article|content|text)/i,
+            /give me a (summary|overview|brief)/i,
+            /what (is|are) the (main|key) points/i,
+            /tldr/i,
+            /can you summarize/i
+          ]
+        },
+        async handle(ai, { craftedPrompt, pageContext, intentAnalysis, onChunk, signal, regenerate }) {
+          console.log('📝 Processing SUMMARIZE request');
+          
+          // Check summarizer availability first
+          try {
+            const summarizerCaps = await ai.summarizer.getCapabilities();
+            console.log('📊 Summarizer capabilities:', summarizerCaps);
+          
+            if (!summarizerCaps.supported) {
+              throw new Error('Summarizer API is not supported in this browser. Please ensure you have Chrome 138+ with AI features enabled.');
+            }
+          
+            if (!summarizerCaps.available) {
+              throw new Error('Summarizer API is not available on this device. Please check system requirements: 16GB+ RAM, 22GB+ storage space.');
+            }
+          
+            if (summarizerCaps.availability === 'after-download' && (!navigator.userActivation || !navigator.userActivation.isActive)) {
+              throw new Error('User interaction required for AI model download. Please click a button or interact with the page first.');
+            }
+          
+          } catch (capError) {
+            console.error('❌ Summarizer capability check failed:', capError);
+            throw new Error(`Summarizer not ready: ${capError.message}`);
+          }
+          
+          // Check if user wants to summarize current page or provided text
+          const isPageSummary = craftedPrompt.toLowerCase().includes('page') || 
+                               craftedPrompt.toLowerCase().includes('this') || 
+                               craftedPrompt.toLowerCase().includes('current');
+          
+          if (isPageSummary && pageContext) {
+            console.log('📄 Summarizing current page');
+            console.log('📊 Using intent analysis for page summarization:', {
+              type: intentAnalysis?.summarizationType || intentAnalysis?.summarization_type,
+              length: intentAnalysis?.summarizationLength || intentAnalysis?.summarization_length
+            });
+            try {
+              const pageResult = await ai.summarizeCurrentPage(intentAnalysis, onChunk, { signal, regenerate });
+              const cachedNote = pageResult.cached ? `\n${ResultCache.formatNote(pageResult.cachedAt)}` : '';
+              return `**${pageResult.title}**\n\n${pageResult.summary}\n\n*Source: ${pageResult.url}*\n*Word count: ${pageResult.wordCount}*${cachedNote}`;
+            } catch (pageError) {
+              console.error('❌ Page summarization failed:', pageError);
+              throw new Error(`Page summarization failed: ${pageError.message}`);
+            }
+          } else {
+            console.log('📃 Summarizing provided text');
+            // For text summarization, extract text from the prompt
+            const textMatch = craftedPrompt.match(/"([^"]+)"|'([^']+)'|summarize\s+(.+)$/i);
+            const textToSummarize = textMatch ? (textMatch[1] || textMatch[2] || textMatch[3]) : craftedPrompt;
+          
+            if (!textToSummarize || textToSummarize.trim().length === 0) {
+              throw new Error('No text provided for summarization. Please specify what you want to summarize.');
+            }
+          
+            try {
+              return onChunk
+                ? await ai.summarizeStreaming(textToSummarize, '', intentAnalysis, onChunk, { signal })
+                : await ai.summarizeText(textToSummarize, '', intentAnalysis, { signal });
+            } catch (textError) {
+              console.error('❌ Text summarization failed:', textError);
+              throw new Error(`Text summarization failed: ${textError.message}`);
+            }
+          }
+        }
+      }
+    },
+    actions: {
+      summarize_page: {
+        description: 'Summarize the current page',
+        input: 'current_page',
+        output: 'text',
+        params: { type: 'key-points|tldr|teaser|headline', length: 'short|medium|long' },
+        async run(ai, { params, onChunk, signal, regenerate }) {
+          // Create intent analysis object for summarizer
+          const summarizeIntent = {
+            summarizationType: params.type || 'key-points',
+            summarizationLength: params.length || 'medium'
+          };
+          const pageResult = await ai.summarizeCurrentPage(summarizeIntent, onChunk, { signal, regenerate });
+          
+          // For multi-step operations, return just the summary text for clean chaining
+          // The final result formatting will be done by the last step
+          console.log('📄 Summary generated, returning clean text for chaining');
+          return pageResult.summary; // Return just the summary text, not formatted
+        }
+      },
+      summarize_pages: {
+        description: 'Summarize each of the tabs the user selected, one numbered section per tab',
+        input: 'multi_page',
+        output: 'text',
+        params: { type: 'key-points|tldr|teaser|headline', length: 'short|medium|long' },
+        timeoutMs: 600000,
+        async run(ai, { input, params, onChunk, signal }) {
+          const summarizeIntent = {
+            summarizationType: params.type || 'key-points',
+            summarizationLength: params.length || 'medium'
+          };
+          return await ai.summarizePages(input, summarizeIntent, onChunk, { signal });
+        }
+      },
+      summarize_text: {
+        description: 'Summarize text from a previous step',
+        input: 'text',
+        output: 'text',
+        params: { type: 'key-points|tldr|teaser|headline', length: 'short|medium|long' },
+        async run(ai, { input, params, onChunk, signal }) {
+          const summarizeIntent = {
+            summarizationType: params.type || 'key-points', 
+            summarizationLength: params.length || 'medium'
+          };
+          // When summarizing text for chaining, return the raw summary (markdown from API)
+          const result = onChunk
+            ? await ai.summarizeStreaming(input, '', summarizeIntent, onChunk, { signal })
+            : await ai.summarizeText(input, '', summarizeIntent, { signal });
+          
+          // Return the summary text - it's already in markdown format from the API
+          if (typeof result === 'string') {
+            return result;
+          } else if (result && typeof result === 'object') {
+            // Handle object results (shouldn't happen but defensive coding)
+            return result.summary || result.text || result.result || JSON.stringify(result);
+          } else {
+            return String(result || 'Summarization completed but no text returned');
+          }
+        }
+      }
+    },
+    getCapabilities: (agent) => agent.getCapabilities(),
+    test: (agent) => agent.testSummarizer(),
+    ui: {
+      title: 'Summarizer Agent',
+      icon: 'far fa-file-lines',
+      prompts: [
+        { label: 'Key Points Summary', icon: 'fas fa-list-ul', prompt: 'Summarize this page in key points' },
+        { label: 'TL;DR Summary', icon: 'fas fa-bolt', prompt: 'Give me a TL;DR of this page' },
+        { label: 'Detailed Summary', icon: 'fas fa-file-alt', prompt: 'Create a detailed summary of this page' },
+        { label: 'Generate Headline', icon: 'fas fa-heading', prompt: 'Generate a headline for this page' },
+        { label: 'Teaser Summary', icon: 'fas fa-eye', prompt: 'Create a teaser summary for this page' }
+      ]
+    }
+  });
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = SummarizerAgent;
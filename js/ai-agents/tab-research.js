@@ -0,0 +1,81 @@
+// Tab Research Module
+// Helpers for research across several open tabs: the summarizer writes one numbered section per tab,
+// the prompter compares or synthesizes those sections, and the [n] citations in its answer become
+// links back to the source tabs.
+
+class TabResearch {
+  // One numbered section per tab; tabs that could not be read or summarized keep their number with the reason
+  // entries: [{ title, url, summary, error }]
+  static formatSummaries(entries) {
+    return entries
+      .map((entry, index) => {
+        const body = entry.error ? `*Could not read this tab: ${entry.error}*` : entry.summary;
+        return `${TabResearch.formatHeading(index + 1, entry)}\n\n${body}`;
+      })
+      .join('\n\n---\n\n');
+  }
+
+  static formatHeading(number, page) {
+    return `### [${number}] ${page.title || 'Untitled tab'}\nSource: ${page.url || 'Unknown'}`;
+  }
+
+  // Numbered sources from formatSummaries() output
+  static parseSources(text) {
+    const sources = [];
+    const pattern = /^### \[(\d+)\] (.+)\nSource: (\S+)/gm;
+    let match;
+    while ((match = pattern.exec(String(text || '')))) {
+      sources.push({ number: Number(match[1]), title: match[2].trim(), url: match[3] });
+    }
+    return sources;
+  }
+
+  // "table" when the user asks to compare, otherwise a synthesis
+  static detectFormat(message) {
+    return /\b(compar\w*|versus|vs\.?|differ\w*|table|side by side|pros and cons)\b/i.test(message || '') ? 'table' : 'synthesis';
+  }
+
+  static buildComparePrompt(summaries, { question = '', format = 'synthesis' } = {}) {
+    const task = format === 'table'
+      ? 'Compare the sources in a markdown table with one column per source (headed by its number, e.g. [1]) and one row per aspect they cover. Follow the table with two or three sentences on the main agreements and differences.'
+      : 'Write a synthesis that combines what the sources say, grouped by theme. Point out where the sources agree and where they disagree.';
+    return `You are given summaries of ${TabResearch.parseSources(summaries).length || 'several'} web pages the user has open, numbered [1], [2], ...
+${task}
+Cite the source of every statement with its number in square brackets, for example [1] or [2][3]. Use only the summaries; say so when they do not cover something.
+${question ? `\nThe user asked: ${question}\n` : ''}
+Sources:
+${summaries}`;
+  }
+
+  // Turn [n] markers into links to the source tabs and list the sources under the answer
+  static linkCitations(answer, sources) {
+    const byNumber = new Map(sources.map(source => [source.number, source]));
+    const text = String(answer || '').replace(/\[(\d+(?:\s*,\s*\d+)*)\](?!\()/g, (match, numbers) => {
+      const links = numbers.split(',').map(value => byNumber.get(Number(value.trim())));
+      if (!links.every(Boolean)) {
+        return match;
+      }
+      return links.map(source => `[${PageQA.toSuperscript(source.number)}](${TabResearch.escapeUrl(source.url)})`).join('');
+    });
+
+    if (sources.length === 0) {
+      return text;
+    }
+    const list = sources.map(source => `${source.number}. [${source.title.replace(/[[\]]/g, '')}](${TabResearch.escapeUrl(source.url)})`);
+    return `${text}\n\n**Sources**\n${list.join('\n')}`;
+  }
+
+  // Markdown link targets end at the first ")"
+  static escapeUrl(url) {
+    return String(url).replace(/\(/g, '%28').replace(/\)/g, '%29');
+  }
+}
+
+TabResearch.MAX_TABS = 6;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TabResearch;
+} else if (typeof window !== 'undefined') {
+  window.TabResearch = TabResearch;
+}
@@ -5,6 +5,7 @@ class TranslatorAgent {
   constructor() {
     this.translator = null;
     this.preferredLanguage = 'en';
+    this.timeoutMs = 60000; // Per translate call, unless options.timeoutMs is given
     
     // Known supported language pairs (based on Chrome Translator API documentation)
     // Most languages translate to/from English as a hub
@@ -313,7 +314,9 @@ class TranslatorAgent {
   }
 
   // Translate text content
-  async translateText(text, targetLang = 'en', sourceLang = 'auto', intentAnalysis = null) {
+  // options: { signal, timeoutMs } to cancel the work or override the per-call timeout, and regenerate
+  // to skip the result cache
+  async translateText(text, targetLang = 'en', sourceLang = 'auto', intentAnalysis = null, options = {}) {
     try {
       console.log('🌐 Starting text translation...');
       console.log('📊 Intent analysis for translation:', {
@@ -340,6 +343,25 @@ class TranslatorAgent {
 
       console.log(`Translating text (${cleanText.length} characters) from ${finalSourceLang} to ${finalTargetLang}...`);
 
+      // The same text was translated to this language before: answer from the cache, without detection
+      const cacheOptions = { sourceLanguage: finalSourceLang, targetLanguage: finalTargetLang };
+      if (!options.regenerate) {
+        const cached = await ResultCache.shared.get('translator', cleanText, cacheOptions);
+        if (cached) {
+          console.log('⚡ Translation served from the result cache');
+          return {
+            originalText: cleanText,
+            translatedText: cached.value.translatedText,
+            sourceLanguage: cached.value.sourceLanguage,
+            targetLanguage: finalTargetLang,
+            wordCount: cleanText.split(/\s+/).length,
+            characterCount: cleanText.length,
+            cached: true,
+            cachedAt: cached.createdAt
+          };
+        }
+      }
+
       // If source language is auto, try to detect it first
       let detectedSourceLang = finalSourceLang;
       if (finalSourceLang === 'auto') {
@@ -373,33 +395,42 @@ class TranslatorAgent {
         throw new Error(`The language pair ${detectedSourceLang} → ${finalTargetLang} is not supported by Chrome's built-in AI. Most languages translate to/from English. Consider translating through English as an intermediate step.`);
       }
 
-      // Create translator with the detected/specified source language
+      // Get a pooled translator for the detected/specified language pair
       let translator;
       try {
-        console.log('🛠️ Creating translator instance...');
-        translator = await this.createTranslator(detectedSourceLang, finalTargetLang);
+        console.log('🛠️ Getting translator instance...');
+        translator = await SessionPool.shared.acquire(
+          'translator',
+          { sourceLanguage: detectedSourceLang, targetLanguage: finalTargetLang },
+          () => this.createTranslator(detectedSourceLang, finalTargetLang),
+          { signal: options.signal }
+        );
         
         if (!translator) {
           throw new Error('Translator creation returned null or undefined');
         }
         
-        console.log('✅ Translator created successfully');
+        console.log('✅ Translator ready');
       } catch (createError) {
+        if (AIUtils.isAbortError(createError) && options.signal && options.signal.aborted) {
+          throw createError;
+        }
         console.error('❌ Failed to create translator:', createError);
         throw new Error(`Cannot create translator for ${detectedSourceLang} → ${finalTargetLang}: ${createError.message}`);
       }
 
       console.log(`🔄 Performing translation: ${detectedSourceLang} → ${finalTargetLang}...`);
 
-      // Perform translation with timeout protection
+      // Perform translation with timeout protection; the call is aborted on timeout or cancellation
       let translatedText;
+      const controller = AIUtils.createLinkedController(options.signal);
       try {
-        const translatePromise = translator.translate(cleanText);
-        const timeoutPromise = new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Translation timeout after 60 seconds')), 60000)
-        );
-        
-        translatedText = await Promise.race([translatePromise, timeoutPromise]);
+        translatedText = await AIUtils.withTimeout(translator.translate(cleanText, { signal: controller.signal }), {
+          timeoutMs: options.timeoutMs || this.timeoutMs,
+          signal: options.signal,
+          label: 'Translation',
+          onTimeout: () => controller.abort()
+        });
         
         if (!translatedText || typeof translatedText !== 'string' || translatedText.trim().length === 0) {
           throw new Error('Translation returned empty or invalid result');
@@ -408,29 +439,35 @@ class TranslatorAgent {
         console.log('✅ Translation completed successfully');
         
       } catch (translateError) {
+        if (AIUtils.isAbortError(translateError) && options.signal && options.signal.aborted) {
+          throw translateError;
+        }
+        // Timed out or failed: do not hand this session to the next request
+        SessionPool.shared.discard(translator);
         console.error('❌ Translation API call failed:', translateError);
         throw new Error(`AI translation failed: ${translateError.message}`);
       } finally {
-        // Always clean up the translator
-        try {
-          if (translator && typeof translator.destroy === 'function') {
-            translator.destroy();
-          }
-        } catch (destroyError) {
-          console.warn('⚠️ Error destroying translator:', destroyError);
-        }
+        controller.release();
+        // Keep the translator in the pool for the next request with this language pair
+        SessionPool.shared.release(translator);
       }
 
+      await ResultCache.shared.put('translator', cleanText, cacheOptions, { translatedText, sourceLanguage: detectedSourceLang });
+
       return {
         originalText: cleanText,
         translatedText: translatedText,
         sourceLanguage: detectedSourceLang,
         targetLanguage: finalTargetLang,
         wordCount: cleanText.split(/\s+/).length,
-        characterCount: cleanText.length
+        characterCount: cleanText.length,
+        cached: false
       };
 
     } catch (error) {
+      if (AIUtils.isAbortError(error)) {
+        throw error;
+      }
       console.error('💥 Error during text translation:', error);
       
       // Provide user-friendly error messages
@@ -457,7 +494,7 @@ class TranslatorAgent {
   }
 
   // Translate current page content
-  async translateCurrentPage(targetLang = 'en', intentAnalysis = null) {
+  async translateCurrentPage(targetLang = 'en', intentAnalysis = null, options = {}) {
     try {
       console.log('📄 Starting page translation...');
       console.log('📊 Intent analysis for page translation:', {
@@ -498,7 +535,7 @@ class TranslatorAgent {
       let translation;
       try {
         console.log('🔄 Starting content translation with intelligent parameters...');
-        translation = await this.translateText(contentToTranslate, finalTargetLang, 'auto', intentAnalysis);
+        translation = await this.translateText(contentToTranslate, finalTargetLang, 'auto', intentAnalysis, options);
         console.log('✅ Page translation completed successfully');
       } catch (translationError) {
         console.error('❌ Content translation failed:', translationError);
@@ -509,6 +546,7 @@ class TranslatorAgent {
         title: pageData.title,
         url: pageData.url,
         originalContent: pageData.content,
+        contentType: pageData.contentType || null,
         translation: translation,
         sourceLanguage: translation.sourceLanguage,
         targetLanguage: translation.targetLanguage,
@@ -539,6 +577,57 @@ class TranslatorAgent {
     }
   }
 
+  // Translate the active tab in place via the content script (keeps links and formatting)
+  async translatePageInPlace(targetLang = 'en', sourceLang = 'auto') {
+    try {
+      console.log(`📄 Starting in-page translation to ${targetLang}...`);
+
+      if (typeof chrome === 'undefined' || !chrome.tabs) {
+        throw new Error('In-page translation is only available from the extension popup');
+      }
+
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab) {
+        throw new Error('No active tab found');
+      }
+
+      if (tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
+        throw new Error('Cannot access Chrome internal pages or extension pages');
+      }
+
+      const response = await chrome.tabs.sendMessage(tab.id, {
+        type: 'TRANSLATE_PAGE_IN_PLACE',
+        targetLanguage: targetLang,
+        sourceLanguage: sourceLang
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'The page did not respond. Try reloading the page.');
+      }
+
+      console.log('✅ In-page translation completed:', response.result);
+      return {
+        title: tab.title,
+        url: tab.url,
+        ...response.result
+      };
+
+    } catch (error) {
+      console.error('❌ In-page translation failed:', error);
+      throw new Error(`In-page translation failed: ${error.message}`);
+    }
+  }
+
+  // Toggle an in-page translation between translated and original text
+  async togglePageTranslation() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'TOGGLE_PAGE_TRANSLATION' });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Could not toggle page translation');
+    }
+    return response.result;
+  }
+
   // Get available language pairs for translation
   async getAvailableLanguagePairs() {
     try {
@@ -586,16 +675,12 @@ class TranslatorAgent {
     }
   }
 
-  // Destroy translator instance
+  // Destroy the pooled translator sessions
   async destroy() {
     if (this.translator) {
-      try {
-        this.translator.destroy();
-        this.translator = null;
-        console.log('Translator destroyed');
-      } catch (error) {
-        console.error('Error destroying translator:', error);
-      }
+      SessionPool.shared.clear('translator');
+      this.translator = null;
+      console.log('Translator destroyed');
     }
   }
 
@@ -683,7 +768,7 @@ class TranslatorAgent {
 
       // Test simple translation
       const testText = 'Hello, how are you today?';
-      const translation = await this.translateText(testText, 'es', 'en');
+      const translation = await this.translateText(testText, 'es', 'en', null, { regenerate: true });
       
       console.log('✓ Translation Test Results:');
       console.log(`  Original: "${translation.originalText}"`);
@@ -839,6 +924,240 @@ class TranslatorAgent {
   }
 }
 
+// Register with the agent registry (triage prompts, dispatch, capabilities and popup quick actions)
+if (typeof AgentRegistry !== 'undefined') {
+  AgentRegistry.register({
+    name: 'translator',
+    className: 'TranslatorAgent',
+    description: 'Translates the current page or text produced by a previous step',
+    order: 20,
+    intents: {
+      translate: {
+        description: 'User wants to translate text or page content to another language',
+        rule: 'If the user mentions translate, translation, convert language, or specific language names → "translate"',
+        missingInput: 'text to translate',
+        fallback: {
+          keywords: ['translate', 'translation', 'convert', 'language', 'spanish', 'french', 'german', 'italian', 'portuguese', 'russian', 'japanese', 'chinese', 'korean', 'arabic', 'hindi', 'english'],
+          patterns: [
+            /translate (this|the|current)? ?(page|text|content)? ?(to|into|in) ?\w+/i,
+            /translate (this|the|current)? ?(page|text|content)?$/i,
+            /(spanish|french|german|chinese|japanese|italian|portuguese|russian|korean|arabic|hindi|english)\s+(translation|version)/i,
+            /what does this mean in \w+/i,
+            /convert (this|the|current)? ?(page|text|content)? ?(to|into|in) ?\w+/i,
+            /convert to \w+ language/i,
+            /make (this|it) (spanish|french|german|chinese|japanese|italian|portuguese|russian|korean|arabic|hindi|english)/i,
+            /put (this|it) in (spanish|french|german|chinese|japanese|italian|portuguese|russian|korean|arabic|hindi|english)/i,
+            /(from|in) (spanish|french|german|chinese|japanese|italian|portuguese|russian|korean|arabic|hindi|english) to (spanish|french|german|chinese|japanese|italian|portuguese|russian|korean|arabic|hindi|english)/i,
+            /change language to \w+/i,
+            /to (my )?language/i
+          ]
+        },
+        async handle(ai, { craftedPrompt, pageContext, intentAnalysis, signal, regenerate }) {
+          console.log('🌐 Processing TRANSLATE request');
+          
+          // Check translator availability first
+          try {
+            const translatorCaps = await ai.translator.getCapabilities();
+            console.log('📊 Translator capabilities:', translatorCaps);
+          
+            if (!translatorCaps.translator.supported) {
+              throw new Error('Translator API is not supported in this browser. Please ensure you have Chrome 138+ with AI features enabled.');
+            }
+          
+            if (!translatorCaps.translator.available) {
+              throw new Error('Translator API is not available on this device. Please check system requirements: 16GB+ RAM, 22GB+ storage space.');
+            }
+          
+            if (translatorCaps.translator.availability === 'after-download' && (!navigator.userActivation || !navigator.userActivation.isActive)) {
+              throw new Error('User interaction required for AI model download. Please click a button or interact with the page first.');
+            }
+          
+          } catch (capError) {
+            console.error('❌ Translator capability check failed:', capError);
+            throw new Error(`Translator not ready: ${capError.message}`);
+          }
+          
+          // Extract translation preferences from intent analysis and prompt
+          const translationOptions = {};
+          if (intentAnalysis) {
+            if (intentAnalysis.targetLanguage) {
+              translationOptions.targetLang = intentAnalysis.targetLanguage;
+              console.log(`🎯 Using detected target language: ${intentAnalysis.targetLanguage}`);
+            }
+            if (intentAnalysis.sourceLanguage) {
+              translationOptions.sourceLang = intentAnalysis.sourceLanguage;
+              console.log(`🔍 Using detected source language: ${intentAnalysis.sourceLanguage}`);
+            }
+          }
+
+          // Check if user wants to translate current page or provided text
+          const isPageTranslation = craftedPrompt.toLowerCase().includes('page') || 
+                                   craftedPrompt.toLowerCase().includes('this') || 
+                                   craftedPrompt.toLowerCase().includes('current');
+          
+          if (isPageTranslation && pageContext) {
+            console.log('📄 Translating current page');
+            console.log('📊 Using intent analysis for page translation:', {
+              targetLang: intentAnalysis?.targetLanguage,
+              sourceLang: intentAnalysis?.sourceLanguage
+            });
+            // Prefer translating the page in place; fall back to a text translation in the chat
+            const inPlaceTargetLang = translationOptions.targetLang || ai.extractTargetLanguage(craftedPrompt);
+            try {
+              const inPlaceResult = await ai.translatePageInPlace(inPlaceTargetLang, translationOptions.sourceLang || 'auto');
+              if (inPlaceResult.skipped) {
+                return `**Page Translation**\n\n${inPlaceResult.message}\n\n*Page: "${inPlaceResult.title}"*`;
+              }
+              return `**Translated "${inPlaceResult.title}" in place**\n\n${inPlaceResult.translatedNodes} text segments translated from ${inPlaceResult.sourceLanguage} to ${inPlaceResult.targetLanguage}. New content is translated as it appears.\n\n*Use the badge on the page to switch between the translation and the original.*`;
+            } catch (inPlaceError) {
+              console.warn('⚠️ In-page translation unavailable, translating text instead:', inPlaceError);
+            }
+          
+            try {
+              const translationResult = await ai.translateCurrentPage(translationOptions.targetLang, intentAnalysis, { signal, regenerate });
+          
+              if (translationResult.translation.skipped) {
+                return `**Page Translation**\n\n${translationResult.translation.message}\n\n*Page: "${translationResult.title}"*\n*Source: ${translationResult.url}*`;
+              }
+          
+              const cachedNote = translationResult.translation.cached ? `\n${ResultCache.formatNote(translationResult.translation.cachedAt)}` : '';
+              return `**Translation of "${translationResult.title}"**\n\n${translationResult.translation.translatedText}\n\n*Translated from ${translationResult.sourceLanguage} to ${translationResult.targetLanguage}*\n*Source: ${translationResult.url}*${translationResult.truncated ? '\n*Note: Content was truncated for translation*' : ''}${cachedNote}`;
+            } catch (pageTransError) {
+              console.error('❌ Page translation failed:', pageTransError);
+              throw new Error(`Page translation failed: ${pageTransError.message}`);
+            }
+          } else {
+            console.log('📃 Translating provided text');
+            // For text translation, extract text from the prompt
+            const textMatch = craftedPrompt.match(/"([^"]+)"|'([^']+)'|translate\s+(.+?)(?:\s+to\s+\w+)?$/i);
+            const textToTranslate = textMatch ? (textMatch[1] || textMatch[2] || textMatch[3]) : craftedPrompt;
+          
+            if (!textToTranslate || textToTranslate.trim().length === 0) {
+              throw new Error('No text provided for translation. Please specify what you want to translate.');
+            }
+          
+            // Use intent analysis parameters or fallback to extraction
+            const finalTargetLang = translationOptions.targetLang || 
+                                   (intentAnalysis?.targetLanguage) || 
+                                   ai.extractTargetLanguage(craftedPrompt);
+            const finalSourceLang = translationOptions.sourceLang || 
+                                   (intentAnalysis?.sourceLanguage) || 
+                                   'auto';
+          
+            console.log(`🎯 Translation parameters: ${finalSourceLang} → ${finalTargetLang}`);
+          
+            try {
+              const translationResult = await ai.translateText(textToTranslate, finalTargetLang, finalSourceLang, intentAnalysis, { signal, regenerate });
+          
+              if (translationResult.skipped) {
+                return `**Translation Result**\n\n${translationResult.message}`;
+              }
+          
+              const cachedNote = translationResult.cached ? `\n${ResultCache.formatNote(translationResult.cachedAt)}` : '';
+              return `**Translation**\n\n${translationResult.translatedText}\n\n*Translated from ${translationResult.sourceLanguage} to ${translationResult.targetLanguage}*\n*Word count: ${translationResult.wordCount}*${cachedNote}`;
+            } catch (textTransError) {
+              console.error('❌ Text translation failed:', textTransError);
+              throw new Error(`Text translation failed: ${textTransError.message}`);
+            }
+          }
+        }
+      }
+    },
+    actions: {
+      translate_page: {
+        description: 'Translate the current page',
+        input: 'current_page',
+        output: 'text',
+        params: { target_language: 'language code', source_language: 'language code or auto' },
+        requiredParams: ['target_language'],
+        async run(ai, { params, signal, regenerate }) {
+          const translateIntent = {
+            targetLanguage: params.target_language,
+            sourceLanguage: params.source_language || 'auto'
+          };
+          const result = await ai.translateCurrentPage(params.target_language, translateIntent, { signal, regenerate });
+          
+          // Format the result consistently
+          if (result.translation.skipped) {
+            return `**Page Translation**\n\n${result.translation.message}\n\n*Page: "${result.title}"*`;
+          }
+          
+          return `**Translation of "${result.title}"**\n\n${result.translation.translatedText}\n\n*Translated from ${result.sourceLanguage} to ${result.targetLanguage}*`;
+          
+        }
+      },
+      translate_text: {
+        description: 'Translate text from a previous step',
+        input: 'text',
+        output: 'text',
+        params: { target_language: 'language code', source_language: 'language code or auto' },
+        requiredParams: ['target_language'],
+        async run(ai, { input, params, signal, regenerate }) {
+          // For translate_text, input should be text (from previous step)
+          // Since we now return clean text from summarizer, we can use it directly
+          const textToTranslate = typeof input === 'string' ? input : String(input);
+          
+          console.log('📝 Input to translate_text (length):', textToTranslate.length);
+          console.log('📝 Text preview:', textToTranslate.substring(0, 200) + '...');
+          
+          // Validate we have text to translate
+          if (!textToTranslate || textToTranslate.trim().length === 0) {
+            throw new Error('No text content found to translate');
+          }
+          
+          const result = await ai.translateText(
+            textToTranslate, 
+            params.target_language, 
+            params.source_language || 'auto',
+            { targetLanguage: params.target_language, sourceLanguage: params.source_language || 'auto' },
+            { signal, regenerate }
+          );
+          
+          if (result.skipped) {
+            return `**Translation Result**\n\n${result.message || 'Translation skipped'}`;
+          }
+          
+          // Extract the translated text
+          const translatedText = typeof result.translatedText === 'string' ? result.translatedText :
+                                (result && typeof result === 'object' ? 
+                                 (result.text || result.translation || JSON.stringify(result)) :
+                                 String(result || 'Translation completed but no text returned'));
+          
+          console.log('✅ Translation completed (length):', translatedText.length);
+          console.log('✅ Translated text preview:', translatedText.substring(0, 200) + '...');
+          
+          // Return the translated text with formatting for display
+          return `**Translation (${params.target_language})**\n\n${translatedText}`;
+        }
+      }
+    },
+    // Translator reports both the Translator and LanguageDetector APIs
+    getCapabilities: async (agent) => {
+      const capabilities = await agent.getCapabilities();
+      return capabilities.translator;
+    },
+    reportCapabilities: async (agent) => {
+      const capabilities = await agent.getCapabilities();
+      return { translator: capabilities.translator, languageDetector: capabilities.languageDetector };
+    },
+    test: (agent) => agent.testTranslator(),
+    ui: {
+      title: 'Translator Agent',
+      icon: 'fas fa-language',
+      prompts: [
+        { label: 'Auto-detect & Translate', icon: 'fas fa-spell-check', prompt: 'Briefly summarize the page and translate to Spanish' },
+        { label: 'Translate to My Language', icon: 'fas fa-user-check', prompt: 'Give me a TL;DR in my language' },
+        { label: 'Detailed Summary & Translate', icon: 'fas fa-spell-check', prompt: 'Detailed Summary of the page and translate to Spanish' },
+        { label: 'Translate Page to My Language', icon: 'fas fa-user-check', prompt: 'Translate this page to my preferred language' },
+        { label: 'Translate Page to Spanish', icon: 'fas fa-globe', prompt: 'Translate this page to Spanish' },
+        { label: 'Translate Page to French', icon: 'fas fa-globe', prompt: 'Translate this page to French' },
+        { label: 'Translate Page to German', icon: 'fas fa-globe', prompt: 'Translate this page to German' },
+        { label: 'Translate Page to Japanese', icon: 'fas fa-globe', prompt: 'Translate this page to Japanese' }
+      ]
+    }
+  });
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = TranslatorAgent;
@@ -27,12 +27,14 @@ class AIUtils {
       console.error('Stack:', error.stack);
     }
   }
-  // Clean text for better summarization
+  // Clean text for better summarization (keeps paragraph breaks so long text can be chunked)
   static cleanTextForSummarization(text) {
     return text
       .replace(/<[^>]*>/g, '') // Remove HTML tags
-      .replace(/\s+/g, ' ') // Normalize whitespace
-      .replace(/\n\s*\n/g, '\n') // Remove multiple newlines
+      .replace(/\r\n?/g, '\n') // Normalize line endings
+      .replace(/[ \t\f\v]+/g, ' ') // Normalize whitespace within lines
+      .replace(/ *\n */g, '\n') // Trim spaces around line breaks
+      .replace(/\n{3,}/g, '\n\n') // Collapse runs of blank lines
       .trim();
   }
 
@@ -112,8 +114,14 @@ class AIUtils {
   }
 
   // Notify progress to UI
-  static notifyProgress(agentType, progress) {
-    console.log(`${agentType} download progress: ${progress.toFixed(1)}%`);
+  // details: optional { stage, current, total } for work progress (e.g. chunked summarization);
+  // without details the progress is treated as a model download
+  static notifyProgress(agentType, progress, details = null) {
+    if (details && details.stage) {
+      console.log(`${agentType} ${details.stage} progress: ${details.current}/${details.total} (${progress.toFixed(1)}%)`);
+    } else {
+      console.log(`${agentType} download progress: ${progress.toFixed(1)}%`);
+    }
     
     // Send progress to background script if available
     if (typeof chrome !== 'undefined' && chrome.runtime) {
@@ -121,7 +129,8 @@ class AIUtils {
         chrome.runtime.sendMessage({
           type: 'AI_PROGRESS',
           agentType: agentType,
-          progress: progress
+          progress: progress,
+          details: details
         });
       } catch (error) {
         console.warn('Could not send progress to background script:', error);
@@ -131,18 +140,98 @@ class AIUtils {
     // Dispatch custom event for local listeners
     if (typeof window !== 'undefined') {
       window.dispatchEvent(new CustomEvent('ai-progress', {
-        detail: { agentType, progress }
+        detail: { agentType, progress, details }
       }));
     }
 
     // Also dispatch custom event for content scripts
     if (typeof window !== 'undefined') {
       window.dispatchEvent(new CustomEvent('agenwork-ai-progress', {
-        detail: { agentType, progress }
+        detail: { agentType, progress, details }
       }));
     }
   }
 
+  // Error raised when in-flight work is cancelled through an AbortSignal
+  static createAbortError(message = 'The operation was cancelled') {
+    if (typeof DOMException !== 'undefined') {
+      return new DOMException(message, 'AbortError');
+    }
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+  }
+
+  static isAbortError(error) {
+    return !!error && error.name === 'AbortError';
+  }
+
+  static throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw AIUtils.createAbortError();
+    }
+  }
+
+  // AbortController that is also aborted when the parent signal aborts; call release() when done
+  static createLinkedController(parentSignal = null) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(parentSignal.reason);
+
+    if (parentSignal && parentSignal.aborted) {
+      controller.abort(parentSignal.reason);
+    } else if (parentSignal) {
+      parentSignal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    controller.release = () => {
+      if (parentSignal) {
+        parentSignal.removeEventListener('abort', onAbort);
+      }
+    };
+    return controller;
+  }
+
+  // Race a promise against a timeout and an AbortSignal, clearing the timer either way
+  // onTimeout runs before the timeout error is thrown (e.g. to abort the underlying API call)
+  static withTimeout(promise, { timeoutMs = 0, signal = null, label = 'Operation', onTimeout = null } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(AIUtils.createAbortError());
+    }
+
+    return new Promise((resolve, reject) => {
+      let timeoutId = null;
+
+      const onAbort = () => {
+        cleanup();
+        reject(AIUtils.createAbortError());
+      };
+      const cleanup = () => {
+        clearTimeout(timeoutId);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+
+      if (timeoutMs > 0) {
+        timeoutId = setTimeout(() => {
+          cleanup();
+          if (onTimeout) {
+            onTimeout();
+          }
+          reject(new Error(`${label} timeout after ${timeoutMs / 1000} seconds`));
+        }, timeoutMs);
+      }
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      Promise.resolve(promise).then(
+        value => { cleanup(); resolve(value); },
+        error => { cleanup(); reject(error); }
+      );
+    });
+  }
+
   // Get supported languages for Chrome Built-in AI APIs
   static getSupportedLanguages() {
     return ['en', 'es', 'ja'];
@@ -81,7 +81,24 @@ class WriterAgent {
     }
   }
 
+  // Get a pooled writer for tone/format/length/language
+  // The request context is passed per call, so sessions are shared across pages and requests
+  async acquireWriter(writerOptions, options = {}) {
+    return await SessionPool.shared.acquire('writer', writerOptions, () => this.createWriter({
+      ...writerOptions,
+      sharedContext: 'Help the user with writing content'
+    }), { signal: options.signal });
+  }
+
+  // Stop reusing a writer whose call failed, unless the user cancelled it
+  discardWriter(writer, options = {}) {
+    if (!options.signal?.aborted) {
+      SessionPool.shared.discard(writer);
+    }
+  }
+
   // Write content based on prompt
+  // options may carry a signal to cancel the request alongside the writer options
   async writeContent(prompt, context = '', options = {}) {
     try {
       console.log('📝 Starting Writer Agent - writeContent');
@@ -111,12 +128,11 @@ class WriterAgent {
         tone: options.tone || 'neutral', // 'casual', 'formal', 'neutral'
         format: options.format || 'markdown', // 'markdown', 'plain-text'
         length: options.length || 'medium', // 'short', 'medium', 'long'
-        outputLanguage: options.outputLanguage || this.preferredLanguage,
-        sharedContext: context || 'Help the user with writing content'
+        outputLanguage: options.outputLanguage || this.preferredLanguage
       };
 
-      // Create writer instance
-      const writer = await this.createWriter(writerOptions);
+      // Get a pooled writer for these options
+      const writer = await this.acquireWriter(writerOptions, options);
 
       if (!writer) {
         throw new Error('Failed to create writer instance');
@@ -125,11 +141,16 @@ class WriterAgent {
       console.log(`✍️ Writing content with Writer API...`);
 
       // Write content using Writer API
-      const writingOptions = context ? { context } : {};
-      const content = await writer.write(prompt, writingOptions);
-      
-      // Clean up
-      writer.destroy();
+      const writingOptions = context ? { context, signal: options.signal } : { signal: options.signal };
+      let content;
+      try {
+        content = await writer.write(prompt, writingOptions);
+      } catch (writeError) {
+        this.discardWriter(writer, options);
+        throw writeError;
+      } finally {
+        SessionPool.shared.release(writer);
+      }
       
       console.log('✅ Content written successfully');
       
@@ -137,6 +158,9 @@ class WriterAgent {
       return `**Generated Content**\n\n${content}\n\n*Written with Chrome Built-in Writer API*`;
 
     } catch (error) {
+      if (options.signal?.aborted) {
+        throw AIUtils.createAbortError();
+      }
       console.error('❌ Error during content writing:', error);
       
       // Try fallback if Writer API fails
@@ -193,8 +217,12 @@ IMPORTANT: Focus on written content only. Do not generate code, scripts, or prog
         topK: 3
       });
 
-      const content = await languageModel.prompt(systemPrompt);
-      languageModel.destroy();
+      let content;
+      try {
+        content = await languageModel.prompt(systemPrompt, { signal: options.signal });
+      } finally {
+        languageModel.destroy();
+      }
       
       console.log('✅ Content generated using LanguageModel fallback');
       
@@ -202,6 +230,9 @@ IMPORTANT: Focus on written content only. Do not generate code, scripts, or prog
       return `**Generated Content**\n\n${content}\n\n*Written with AI assistance*`;
 
     } catch (fallbackError) {
+      if (options.signal?.aborted) {
+        throw AIUtils.createAbortError();
+      }
       console.error('❌ Fallback writing failed:', fallbackError);
       
       // Final fallback with helpful message
@@ -224,7 +255,11 @@ IMPORTANT: Focus on written content only. Do not generate code, scripts, or prog
       
       if (!capabilities.supported || !capabilities.available) {
         console.log('ℹ️ Streaming not available, falling back to regular write');
-        return await this.writeContent(prompt, context, options);
+        const content = await this.writeContent(prompt, context, options);
+        if (onChunk && typeof onChunk === 'function') {
+          onChunk(content);
+        }
+        return content;
       }
 
       // Prepare writer options
@@ -232,12 +267,11 @@ IMPORTANT: Focus on written content only. Do not generate code, scripts, or prog
         tone: options.tone || 'neutral',
         format: options.format || 'markdown',
         length: options.length || 'medium',
-        outputLanguage: options.outputLanguage || this.preferredLanguage,
-        sharedContext: context || 'Help the user with writing content'
+        outputLanguage: options.outputLanguage || this.preferredLanguage
       };
 
-      // Create writer instance
-      const writer = await this.createWriter(writerOptions);
+      // Get a pooled writer for these options
+      const writer = await this.acquireWriter(writerOptions, options);
 
       if (!writer) {
         throw new Error('Failed to create writer instance');
@@ -246,27 +280,34 @@ IMPORTANT: Focus on written content only. Do not generate code, scripts, or prog
       console.log(`✍️ Streaming content with Writer API...`);
 
       // Write content using Writer API with streaming
-      const writingOptions = context ? { context } : {};
-      const stream = writer.writeStreaming(prompt, writingOptions);
-      
+      const writingOptions = context ? { context, signal: options.signal } : { signal: options.signal };
       let fullContent = '';
       
-      for await (const chunk of stream) {
-        fullContent += chunk;
-        if (onChunk && typeof onChunk === 'function') {
-          onChunk(chunk);
+      try {
+        const stream = writer.writeStreaming(prompt, writingOptions);
+        
+        for await (const chunk of stream) {
+          fullContent += chunk;
+          if (onChunk && typeof onChunk === 'function') {
+            onChunk(chunk);
+          }
         }
+      } catch (writeError) {
+        this.discardWriter(writer, options);
+        throw writeError;
+      } finally {
+        SessionPool.shared.release(writer);
       }
       
-      // Clean up
-      writer.destroy();
-      
       console.log('✅ Streaming write completed');
       
       // Format result as markdown
       return `**Generated Content**\n\n${fullContent}\n\n*Written with Chrome Built-in Writer API (Streaming)*`;
 
     } catch (error) {
+      if (options.signal?.aborted) {
+        throw AIUtils.createAbortError();
+      }
       console.error('❌ Error during streaming write:', error);
       
       // Fallback to regular write
@@ -427,16 +468,12 @@ IMPORTANT: Focus on written content only. Do not generate code, scripts, or prog
     return lengthMap[task.toLowerCase()] || 'medium';
   }
 
-  // Destroy writer instance
+  // Destroy the pooled writer sessions
   async destroy() {
     if (this.writer) {
-      try {
-        this.writer.destroy();
-        this.writer = null;
-        console.log('Writer destroyed');
-      } catch (error) {
-        console.error('Error destroying writer:', error);
-      }
+      SessionPool.shared.clear('writer');
+      this.writer = null;
+      console.log('Writer destroyed');
     }
   }
 
@@ -525,6 +562,84 @@ IMPORTANT: Focus on written content only. Do not generate code, scripts, or prog
   }
 }
 
+// Register with the agent registry (triage prompts, dispatch, capabilities and popup quick actions)
+if (typeof AgentRegistry !== 'undefined') {
+  AgentRegistry.register({
+    name: 'writer',
+    className: 'WriterAgent',
+    description: 'Writes new content (emails, letters, posts, code samples) from a prompt',
+    order: 30,
+    intents: {
+      write: {
+        description: 'User wants help writing, composing, drafting, or creating new content (emails, cover letters, blog posts, etc.)',
+        rule: 'If the user mentions write, compose, draft, create, generate, help with writing, or wants content creation → "write"',
+        fallback: {
+          keywords: ['write', 'compose', 'draft', 'create', 'help me write', 'generate', 'email', 'letter', 'cover letter', 'blog', 'post', 'article', 'response', 'reply', 'code', 'sample', 'example', 'script', 'function'],
+          patterns: [
+            /help me write (a|an)? ?\w+/i,
+            /compose (a|an)? ?\w+/i,
+            /draft (a|an)? ?\w+/i,
+            /create (a|an)? ?\w+/i,
+            /generate (a|an)? ?\w+/i,
+            /write (a|an)? ?(email|letter|blog|post|article|response|reply|cover\s*letter|proposal|report|code|sample|example|script|function)/i,
+            /draft (email|letter|blog|post|article|response|reply|cover\s*letter|proposal|report)/i,
+            /(email|letter|blog|post|article) (response|reply)/i,
+            /cover\s*letter/i,
+            /job\s*application/i,
+            /help (with|me) writ/i,
+            /compose\s+(email|message|letter|text)/i,
+            /create\s+(content|post|article|blog)/i,
+            /write about/i,
+            /generate\s+(text|content|post|email|code|sample|example)/i,
+            /(sample|example)\s+(code|script|function)/i,
+            /write\s+(sample|code|example)/i,
+            /show\s+me\s+(code|sample|example)/i,
+            /give\s+me\s+(a\s+)?(code|sample|example)/i
+          ]
+        },
+        async handle(ai, { craftedPrompt, pageContext, onChunk, signal }) {
+          console.log('✍️ Processing WRITE request');
+          
+          if (!craftedPrompt || craftedPrompt.trim().length === 0) {
+            throw new Error('No writing prompt provided');
+          }
+          
+          const contextInfo = pageContext ? `Context: ${pageContext.title} - ${pageContext.url}` : '';
+          return onChunk
+            ? await ai.writeContentStreaming(craftedPrompt, contextInfo, { signal }, onChunk)
+            : await ai.writeContent(craftedPrompt, contextInfo, { signal });
+        }
+      }
+    },
+    actions: {
+      write_content: {
+        description: 'Write new content from a prompt or previous step',
+        input: 'text',
+        output: 'text',
+        params: { content_type: 'text|code', tone: 'formal|neutral|casual', length: 'short|medium|long' },
+        async run(ai, { input, params, pageContext, onChunk, signal }) {
+          const contextInfo = pageContext ? `Context: ${pageContext.title} - ${pageContext.url}` : '';
+          return onChunk
+            ? await ai.writeContentStreaming(input, contextInfo, { ...params, signal }, onChunk)
+            : await ai.writeContent(input, contextInfo, { ...params, signal });
+        }
+      }
+    },
+    getCapabilities: (agent) => agent.getCapabilities(),
+    test: (agent) => agent.testWriter(),
+    ui: {
+      title: 'Writer Agent',
+      icon: 'fas fa-pen',
+      prompts: [
+        { label: 'Write Professional Email', icon: 'fas fa-envelope', prompt: 'Help me write a professional email on this topic' },
+        { label: 'Write A Reply Email', icon: 'fas fa-envelope', prompt: 'Help me write a reply to this email' },
+        { label: 'Write Cover Letter', icon: 'fas fa-file-alt', prompt: 'Help me write a cover letter for this job' },
+        { label: 'Expand Text', icon: 'fas fa-expand', prompt: 'Expand on this topic with more details' }
+      ]
+    }
+  });
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = WriterAgent;
@@ -1,6 +1,9 @@
 // AgenWork Background Service Worker
 // This service worker manages the Chrome Extension lifecycle and communication
 
+// The database, for the scheduled retention cleanup (extension pages share its IndexedDB origin)
+importScripts('dexie.min.js', 'message-search.js', 'storage-crypto.js', 'markdown-blocks.js', 'page-history.js', 'retention-policy.js', 'database.js');
+
 // Install event - set up initial state
 chrome.runtime.onInstalled.addListener((details) => {
   console.log('AgenWork installed:', details.reason);
@@ -22,6 +25,14 @@ chrome.runtime.onInstalled.addListener((details) => {
     aiLanguage: 'en' // Default to English (supported by Chrome Built-in AI APIs)
   });
   
+  // Context menu entries for selected text
+  createSelectionContextMenus();
+  
+  // Side panel path and toolbar icon behavior
+  restoreSidePanelBehavior();
+  
+  scheduleRetention();
+  
   // Inject floating icon into all existing tabs if enabled
   if (details.reason === 'install') {
     chrome.tabs.query({}, (tabs) => {
@@ -43,11 +54,233 @@ chrome.runtime.onInstalled.addListener((details) => {
   }
 });
 
+// Target languages offered under "Translate to..." in the context menu
+const SELECTION_TRANSLATE_LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Spanish' },
+  { code: 'fr', name: 'French' },
+  { code: 'de', name: 'German' },
+  { code: 'ja', name: 'Japanese' },
+  { code: 'zh', name: 'Chinese' }
+];
+
+// Create the AgenWork context menu for text selections
+function createSelectionContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({ id: 'agenwork-selection', title: 'AgenWork', contexts: ['selection'] });
+    chrome.contextMenus.create({ id: 'agenwork-selection:summarize', parentId: 'agenwork-selection', title: 'Summarize', contexts: ['selection'] });
+    chrome.contextMenus.create({ id: 'agenwork-selection:translate', parentId: 'agenwork-selection', title: 'Translate to...', contexts: ['selection'] });
+    SELECTION_TRANSLATE_LANGUAGES.forEach(language => {
+      chrome.contextMenus.create({
+        id: `agenwork-selection:translate:${language.code}`,
+        parentId: 'agenwork-selection:translate',
+        title: language.name,
+        contexts: ['selection']
+      });
+    });
+    chrome.contextMenus.create({ id: 'agenwork-selection:rewrite', parentId: 'agenwork-selection', title: 'Rewrite', contexts: ['selection'] });
+    chrome.contextMenus.create({ id: 'agenwork-selection:explain', parentId: 'agenwork-selection', title: 'Explain', contexts: ['selection'] });
+    chrome.contextMenus.create({ id: 'agenwork-selection:ask', parentId: 'agenwork-selection', title: 'Ask about this...', contexts: ['selection'] });
+  });
+}
+
+// Route context menu clicks to the selection actions in the content script
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab || !tab.id || typeof info.menuItemId !== 'string' || !info.menuItemId.startsWith('agenwork-selection:')) {
+    return;
+  }
+  
+  const [, action, targetLanguage] = info.menuItemId.split(':');
+  chrome.tabs.sendMessage(tab.id, {
+    type: 'SELECTION_ACTION',
+    action: action,
+    text: info.selectionText || '',
+    options: targetLanguage ? { targetLanguage } : {}
+  }).catch(error => {
+    console.log('Could not run selection action in tab:', tab.url, error);
+  });
+});
+
+// Side panel shows the popup UI; the query string tells popup.js which surface it is on
+const SIDE_PANEL_PATH = 'popup.html?surface=sidepanel';
+
+// Make the toolbar icon open the side panel (openInSidePanel) or the action popup
+async function applySidePanelBehavior(openInSidePanel) {
+  if (!chrome.sidePanel) {
+    return;
+  }
+  await chrome.sidePanel.setOptions({ path: SIDE_PANEL_PATH, enabled: true });
+  await chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: openInSidePanel });
+  // A default popup takes precedence over the panel, so it is removed while the panel is preferred
+  await chrome.action.setPopup({ popup: openInSidePanel ? '' : 'popup.html' });
+}
+
+function restoreSidePanelBehavior() {
+  chrome.storage.local.get(['openInSidePanel'], (result) => {
+    applySidePanelBehavior(!!result.openInSidePanel).catch(error => {
+      console.error('Error applying side panel behavior:', error);
+    });
+  });
+}
+
+// KEYBOARD COMMANDS
+// Shortcuts are declared under "commands" in manifest.json and can be changed at chrome://extensions/shortcuts.
+// Each command opens the side panel (or the floating chat when there is no side panel) and leaves
+// { id, command, surface, windowId, text } in session storage; popup.js runs it through the agents.
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  console.log('Command received:', command);
+  if (!tab || !tab.id) {
+    return;
+  }
+  runChatCommand(command, tab).catch(error => {
+    console.error(`Error running command ${command}:`, error);
+  });
+});
+
+async function runChatCommand(command, tab) {
+  // sidePanel.open() has to be called before anything is awaited to keep the shortcut's user gesture
+  const panelOpening = chrome.sidePanel
+    ? chrome.sidePanel.open({ windowId: tab.windowId })
+    : Promise.reject(new Error('Side panel is not available'));
+
+  let surface = 'sidepanel';
+  try {
+    await panelOpening;
+  } catch (error) {
+    console.log('Side panel could not be opened, using the floating chat:', error.message);
+    surface = 'floating';
+  }
+
+  const pendingCommand = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    command,
+    surface,
+    windowId: tab.windowId,
+    createdAt: Date.now()
+  };
+  if (command === 'act-on-selection') {
+    pendingCommand.text = await getSelectedText(tab.id);
+  }
+  await chrome.storage.session.set({ pendingCommand });
+
+  if (surface === 'floating') {
+    await openFloatingChat(tab.id);
+  }
+}
+
+// Text selected in the tab's top frame
+async function getSelectedText(tabId) {
+  try {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => window.getSelection().toString()
+    });
+    return (result && result.result || '').trim();
+  } catch (error) {
+    console.log('Could not read selection from tab:', tabId, error);
+    return '';
+  }
+}
+
+// Open the floating chat modal, injecting the floating icon script first when needed
+async function openFloatingChat(tabId) {
+  const [loaded] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => typeof window.agenworkOpenFloatingChat === 'function'
+  });
+  if (!loaded || !loaded.result) {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ['js/floating-icon.js']
+    });
+  }
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => window.agenworkOpenFloatingChat()
+  });
+}
+
+// RETENTION
+// The retention settings (conversation age, messages per conversation, storage quota) are enforced
+// here on an alarm, so history is cleaned up even when the popup is never opened. Nothing is deleted
+// unless "Automatic Cleanup" is on; see AgenWorkDatabase.enforceRetention.
+const RETENTION_ALARM = 'agenwork-retention';
+const RETENTION_INTERVAL_MINUTES = 6 * 60;
+
+// Alarms survive restarts, so an existing alarm is kept rather than pushed back
+async function scheduleRetention() {
+  try {
+    if (!(await chrome.alarms.get(RETENTION_ALARM))) {
+      await chrome.alarms.create(RETENTION_ALARM, { delayInMinutes: 1, periodInMinutes: RETENTION_INTERVAL_MINUTES });
+    }
+  } catch (error) {
+    console.error('Error scheduling retention cleanup:', error);
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== RETENTION_ALARM) {
+    return;
+  }
+  runRetention().catch(error => {
+    console.error('Retention cleanup failed:', error);
+  });
+});
+
+async function runRetention() {
+  if (!agenWorkDB.isInitialized) {
+    await agenWorkDB.initialize();
+  }
+  const report = await agenWorkDB.enforceRetention();
+  if (!report.skipped) {
+    console.log(`Retention cleanup deleted ${report.conversations} conversations and ${report.messages} messages`);
+  }
+}
+
 // Extension startup
 chrome.runtime.onStartup.addListener(() => {
   console.log('AgenWork started');
+  restoreSidePanelBehavior();
+  scheduleRetention();
 });
 
+// AGENT MODULES
+// Content scripts only carry page extraction, in-page translation and the selection toolbar. The agent
+// system is injected into a frame the first time its content script needs it (LOAD_AGENT_MODULES),
+// instead of into every page the user opens.
+const AGENT_MODULE_FILES = [
+  'js/ai-agents/utils.js',
+  'js/ai-agents/session-pool.js',
+  'js/ai-agents/result-cache.js',
+  'js/markdown-blocks.js',
+  'js/ai-agents/page-qa.js',
+  'js/ai-agents/tab-research.js',
+  'js/ai-agents/chrome-integration.js',
+  'js/ai-agents/agent-registry.js',
+  'js/ai-agents/execution-plan.js',
+  'js/ai-agents/summarizer.js',
+  'js/ai-agents/translator.js',
+  'js/ai-agents/prompter.js',
+  'js/ai-agents/writer.js',
+  'js/ai-agents/rewriter.js',
+  'js/ai-agents/proofreader.js',
+  'js/ai-agents/core.js',
+  'js/ai-agents/index.js',
+  'js/markdown-renderer.js'
+];
+
+async function loadAgentModules(tabId, frameId = 0) {
+  const target = { tabId, frameIds: [frameId] };
+  const [loaded] = await chrome.scripting.executeScript({
+    target,
+    func: () => typeof window.aiAgents !== 'undefined'
+  });
+  if (!loaded || !loaded.result) {
+    await chrome.scripting.executeScript({ target, files: AGENT_MODULE_FILES });
+  }
+}
+
 // Handle messages from content scripts and popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   console.log('Background received message:', message);
@@ -72,6 +305,16 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       }
       break;
       
+    case 'LOAD_AGENT_MODULES':
+      if (!sender.tab || !sender.tab.id) {
+        sendResponse({ success: false, error: 'Agent modules can only be loaded into a tab' });
+        break;
+      }
+      loadAgentModules(sender.tab.id, sender.frameId)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true; // Keep message channel open for async response
+      
     case 'GET_SETTINGS':
       chrome.storage.local.get(['isFloatingIconEnabled', 'theme', 'aiSettings'], (result) => {
         if (chrome.runtime.lastError) {
@@ -106,6 +349,25 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       }
       break;
       
+    case 'OPEN_SIDE_PANEL':
+      // From the floating icon; open() must run while the click's user gesture is still active
+      if (!chrome.sidePanel || !sender.tab) {
+        sendResponse({ success: false, error: 'Side panel is not available' });
+        break;
+      }
+      chrome.sidePanel.open({ windowId: sender.tab.windowId })
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+      
+    case 'SET_SIDE_PANEL_BEHAVIOR':
+      chrome.storage.local.set({ openInSidePanel: !!message.openInSidePanel }, () => {
+        applySidePanelBehavior(!!message.openInSidePanel)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+      });
+      return true;
+      
     case 'AI_PROGRESS':
       // Handle AI progress updates from agents
       console.log(`AI Agent ${message.agentType} progress: ${message.progress}%`);
@@ -115,7 +377,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         chrome.runtime.sendMessage({
           type: 'AI_PROGRESS',
           agentType: message.agentType,
-          progress: message.progress
+          progress: message.progress,
+          details: message.details || null
         }).catch(() => {
           // Ignore if popup is not open
         });
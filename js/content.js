@@ -3,79 +3,627 @@
 
 console.log('AgenWork content script loaded');
 
-// Extract page content function
+// Extract page content function (markdown and metadata from the shared page extractor,
+// using a site handler on YouTube, GitHub, PDFs, Stack Overflow and docs sites)
 function extractPageContent() {
-  try {
-    // Get main content areas
-    const contentSelectors = [
-      'main',
-      'article', 
-      '[role="main"]',
-      '.content',
-      '.post-content',
-      '.entry-content',
-      '#content',
-      '#main-content',
-      '.article-content',
-      '.blog-content',
-      '.text-content'
-    ];
-
-    let content = '';
-    let title = document.title || '';
-    let url = window.location.href || '';
-
-    // Try to find main content area
-    for (const selector of contentSelectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        content = element.innerText || element.textContent || '';
-        if (content.trim().length > 200) {
-          break;
+  return PageExtractor.extractPage(document);
+}
+
+// The agent system (TranslatorAgent, window.aiAgents, MarkdownRenderer) is not a content script;
+// the background worker injects it into this frame the first time it is needed
+let agentModulesLoading = null;
+function loadAgentModules() {
+  if (!agentModulesLoading) {
+    agentModulesLoading = chrome.runtime.sendMessage({ type: 'LOAD_AGENT_MODULES' }).then(response => {
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Could not load the AI agents on this page');
+      }
+    });
+    // A failed load (for example while the extension reloads) can be tried again
+    agentModulesLoading.catch(() => {
+      agentModulesLoading = null;
+    });
+  }
+  return agentModulesLoading;
+}
+
+// In-page translation: translates text nodes in place so links and formatting are kept
+class PageTranslationController {
+  constructor() {
+    this.translatorAgent = null; // created on the first translation (see loadAgentModules)
+    this.translator = null;
+    this.state = 'idle'; // 'idle', 'translating', 'translated', 'original'
+    this.sourceLanguage = null;
+    this.targetLanguage = null;
+    this.originals = new Map(); // text node -> original text
+    this.translatedValues = new WeakMap(); // text node -> text we wrote (to ignore our own mutations)
+    this.translations = new Map(); // original text -> translated text
+    this.pendingNodes = new Set();
+    this.observer = null;
+    this.flushTimer = null;
+    this.activeRun = null;
+    this.abortController = null; // aborted by restore() so an unfinished run stops writing to the page
+    this.badge = null;
+    this.batchMaxChars = 2000;
+    this.batchMaxNodes = 40;
+    this.maxConcurrentBatches = 2; // translation requests in flight at once
+    this.skipTags = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'INPUT', 'SELECT', 'OPTION', 'CODE', 'PRE', 'KBD', 'SAMP', 'SVG', 'MATH', 'CANVAS', 'IFRAME', 'TEMPLATE']);
+  }
+
+  // Translate the whole page in place
+  async translatePage(targetLanguage = 'en', sourceLanguage = 'auto') {
+    if (!this.translatorAgent) {
+      await loadAgentModules();
+      this.translatorAgent = this.translatorAgent || new TranslatorAgent();
+    }
+
+    // Switching language starts over from the original text
+    if (this.targetLanguage && this.targetLanguage !== targetLanguage) {
+      this.restore();
+    }
+
+    if (this.activeRun) {
+      return this.activeRun;
+    }
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    const stopped = () => ({ skipped: true, message: 'Translation was stopped before it finished.', ...this.getStatus() });
+    this.abortController = controller;
+    this.activeRun = (async () => {
+      try {
+        this.state = 'translating';
+        this.targetLanguage = targetLanguage;
+        const detectedLanguage = sourceLanguage === 'auto' ? await this.detectSourceLanguage() : sourceLanguage;
+        if (signal.aborted) {
+          return stopped();
+        }
+        this.sourceLanguage = detectedLanguage;
+
+        if (this.sourceLanguage === targetLanguage) {
+          this.state = 'idle';
+          return { skipped: true, message: `This page is already in ${targetLanguage}.`, ...this.getStatus() };
+        }
+
+        if (!this.translator) {
+          console.log(`🌐 Creating in-page translator ${this.sourceLanguage} → ${targetLanguage}`);
+          const translator = await this.translatorAgent.createTranslator(this.sourceLanguage, targetLanguage);
+          if (signal.aborted) {
+            this.destroyTranslator(translator);
+            return stopped();
+          }
+          this.translator = translator;
+        }
+
+        this.renderBadge();
+        const nodes = this.collectTextNodes(document.body);
+        console.log(`🌐 Translating ${nodes.length} text nodes in place...`);
+        await this.translateNodes(nodes, signal);
+        if (signal.aborted) {
+          return stopped();
+        }
+
+        this.state = 'translated';
+        this.startObserver();
+        this.renderBadge();
+        return this.getStatus();
+      } catch (error) {
+        if (signal.aborted) {
+          return stopped();
+        }
+        console.error('❌ In-page translation failed:', error);
+        this.restore();
+        throw error;
+      } finally {
+        // restore() already let go of a stopped run, and a new run may have started since
+        if (this.abortController === controller) {
+          this.activeRun = null;
         }
       }
+    })();
+
+    return this.activeRun;
+  }
+
+  // Detect the page language from a text sample, falling back to the lang attribute
+  async detectSourceLanguage() {
+    const sample = (document.body.innerText || '').substring(0, 2000);
+    try {
+      const detection = await this.translatorAgent.detectLanguage(sample);
+      if (detection && detection.language && detection.language !== 'und') {
+        return detection.language;
+      }
+    } catch (error) {
+      console.warn('⚠️ Page language detection failed, using lang attribute:', error);
     }
+    const langAttribute = (document.documentElement.lang || '').split('-')[0].toLowerCase();
+    return langAttribute || 'en';
+  }
 
-    // If no main content found, try to get meaningful content from body
-    if (!content || content.trim().length < 200) {
-      // Try to get content excluding navigation, headers, footers, etc.
-      const elementsToExclude = 'nav, header, footer, aside, .navigation, .menu, .sidebar, .ad, .advertisement, script, style, noscript, .comments';
-      const bodyClone = document.body.cloneNode(true);
-      
-      // Remove excluded elements
-      bodyClone.querySelectorAll(elementsToExclude).forEach(el => el.remove());
-      
-      content = bodyClone.innerText || bodyClone.textContent || '';
+  // Check whether a text node should be translated
+  isTranslatableNode(node) {
+    const text = node.nodeValue;
+    if (!text || text.trim().length < 2 || !/[\p{L}]/u.test(text)) {
+      return false;
+    }
+
+    const parent = node.parentElement;
+    if (!parent) {
+      return false;
+    }
+
+    // Skip code, form fields, editable regions and our own UI
+    for (let element = parent; element && element !== document.body; element = element.parentElement) {
+      if (this.skipTags.has(element.tagName.toUpperCase()) || element.isContentEditable) {
+        return false;
+      }
+      if (element.getAttribute('translate') === 'no' || element.classList.contains('notranslate')) {
+        return false;
+      }
+      if ((element.id && element.id.startsWith('agenwork-')) || element.hasAttribute('data-agenwork-ui')) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  // Walk text nodes under a root element
+  collectTextNodes(root) {
+    const nodes = [];
+    if (!root) {
+      return nodes;
+    }
+    if (root.nodeType === Node.TEXT_NODE) {
+      return this.isTranslatableNode(root) ? [root] : nodes;
+    }
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => this.isTranslatableNode(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
+    });
+    while (walker.nextNode()) {
+      nodes.push(walker.currentNode);
+    }
+    return nodes;
+  }
+
+  // Group adjacent nodes into batches by size and translate them, a few batches at a time
+  async translateNodes(nodes, signal) {
+    const batches = [];
+    let batch = [];
+    let batchChars = 0;
+
+    for (const node of nodes) {
+      const length = node.nodeValue.length;
+      if (batch.length > 0 && (batchChars + length > this.batchMaxChars || batch.length >= this.batchMaxNodes)) {
+        batches.push(batch);
+        batch = [];
+        batchChars = 0;
+      }
+      batch.push(node);
+      batchChars += length;
+    }
+
+    if (batch.length > 0) {
+      batches.push(batch);
+    }
+
+    const workers = Array.from({ length: Math.min(this.maxConcurrentBatches, batches.length) }, async () => {
+      while (batches.length > 0 && !signal.aborted) {
+        await this.translateBatch(batches.shift(), signal);
+      }
+    });
+    await Promise.all(workers);
+  }
+
+  // Translate one batch of nodes and write the results into the DOM, keeping surrounding whitespace
+  async translateBatch(nodes, signal) {
+    if (signal.aborted || this.state === 'original' || !this.translator) {
+      return;
+    }
+
+    const entries = nodes.map(node => {
+      const original = this.originals.has(node) ? this.originals.get(node) : node.nodeValue;
+      const [, leading, core, trailing] = original.match(/^(\s*)([\s\S]*?)(\s*)$/);
+      return { node, original, leading, core, trailing };
+    });
+    try {
+      await this.translateTexts([...new Set(entries.map(entry => entry.core).filter(core => core && !this.translations.has(core)))], signal);
+    } catch (error) {
+      if (!signal.aborted) {
+        console.warn('⚠️ Failed to translate text batch:', error);
+      }
+    }
+
+    // The user may have stopped translating or switched back to the original while we were waiting
+    if (signal.aborted || this.state === 'original') {
+      return;
+    }
+    entries.forEach(({ node, original, leading, core, trailing }) => {
+      if (!node.isConnected || !this.translations.has(core)) {
+        return;
+      }
+      const translated = leading + this.translations.get(core) + trailing;
+      this.originals.set(node, original);
+      this.translatedValues.set(node, translated);
+      node.nodeValue = translated;
+    });
+  }
+
+  // Translate texts not seen before with one request: each text is sent on its own line after a
+  // numbered marker ([1], [2], ...) and the reply must bring every marker back, in order, with a
+  // translation after it. If the model drops, merges or reorders segments, or the request fails,
+  // the texts are translated one at a time instead
+  async translateTexts(texts, signal) {
+    if (texts.length > 1) {
+      try {
+        const request = texts.map((text, index) => `[${index + 1}] ${text.replace(/\s+/g, ' ')}`).join('\n');
+        const segments = PageTranslationController.splitNumberedSegments(await this.translator.translate(request, { signal }), texts.length);
+        if (segments) {
+          texts.forEach((text, index) => this.translations.set(text, segments[index]));
+          return;
+        }
+        console.warn(`⚠️ Batched translation did not return ${texts.length} numbered segments, translating them one by one`);
+      } catch (error) {
+        if (signal.aborted) {
+          throw error;
+        }
+        console.warn('⚠️ Batched translation failed, translating texts one by one:', error);
+      }
+    }
+
+    for (const text of texts) {
+      if (signal.aborted) {
+        return;
+      }
+      try {
+        this.translations.set(text, await this.translator.translate(text, { signal }));
+      } catch (error) {
+        if (signal.aborted) {
+          throw error;
+        }
+        console.warn('⚠️ Failed to translate text:', error);
+      }
+    }
+  }
+
+  // Texts of a "[1] ... [2] ..." reply, or null unless markers 1 to count each appear once, in
+  // order, with non-empty text after them and nothing before the first
+  static splitNumberedSegments(reply, count) {
+    const parts = String(reply || '').split(/(?:^|\n)[^\S\n]*\[(\d+)\][^\S\n]*/);
+    if (parts[0].trim() || parts.length !== count * 2 + 1) {
+      return null;
+    }
+    const segments = [];
+    for (let index = 0; index < count; index++) {
+      const text = parts[index * 2 + 2].trim();
+      if (Number(parts[index * 2 + 1]) !== index + 1 || !text) {
+        return null;
+      }
+      segments.push(text);
+    }
+    return segments;
+  }
+
+  // Watch for content added later (infinite scroll, SPA updates)
+  startObserver() {
+    if (this.observer) {
+      return;
+    }
+
+    this.observer = new MutationObserver((mutations) => this.handleMutations(mutations));
+    this.observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+  }
+
+  // Queue added or changed text for translation
+  handleMutations(mutations) {
+    // Forget text the page removed (infinite scroll recycles its items) so it can be collected;
+    // only the removed subtrees are searched, and nodes that were moved rather than removed are kept
+    mutations.forEach(mutation => {
+      mutation.removedNodes.forEach(removed => {
+        if (removed.isConnected) {
+          return;
+        }
+        const walker = document.createTreeWalker(removed, NodeFilter.SHOW_TEXT);
+        for (let node = removed.nodeType === Node.TEXT_NODE ? removed : walker.nextNode(); node; node = walker.nextNode()) {
+          this.originals.delete(node);
+          this.pendingNodes.delete(node);
+        }
+      });
+    });
+
+    if (this.state !== 'translated') {
+      return;
+    }
+
+    for (const mutation of mutations) {
+      if (mutation.type === 'characterData') {
+        const node = mutation.target;
+        // Ignore the values we wrote ourselves; anything else is new page text
+        if (this.translatedValues.get(node) === node.nodeValue) {
+          continue;
+        }
+        this.originals.delete(node);
+        if (this.isTranslatableNode(node)) {
+          this.pendingNodes.add(node);
+        }
+      } else {
+        mutation.addedNodes.forEach(added => {
+          this.collectTextNodes(added).forEach(node => this.pendingNodes.add(node));
+        });
+      }
     }
 
-    // If still no content, fallback to full body
-    if (!content || content.trim().length < 100) {
-      content = document.body.innerText || document.body.textContent || '';
+    if (this.pendingNodes.size > 0) {
+      this.scheduleFlush();
     }
+  }
 
-    // Clean up the content
-    content = content
-      .replace(/\n\s*\n\s*\n/g, '\n\n') // Remove excessive newlines
-      .replace(/\s+/g, ' ') // Normalize whitespace
-      .replace(/\t/g, ' ') // Replace tabs with spaces
-      .trim();
+  // Debounce translation of queued nodes
+  scheduleFlush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(async () => {
+      const nodes = Array.from(this.pendingNodes).filter(node => node.isConnected);
+      this.pendingNodes.clear();
+      if (nodes.length > 0 && this.abortController) {
+        console.log(`🌐 Translating ${nodes.length} newly added text nodes...`);
+        await this.translateNodes(nodes, this.abortController.signal);
+      }
+    }, 300);
+  }
 
-    // Limit content length to prevent issues with very long pages
-    if (content.length > 50000) {
-      content = content.substring(0, 50000) + '...';
+  // Put the original text back but keep translations cached
+  showOriginal() {
+    if (this.state !== 'translated') {
+      return this.getStatus();
     }
 
+    this.state = 'original';
+    this.originals.forEach((original, node) => {
+      if (node.isConnected) {
+        node.nodeValue = original;
+      }
+    });
+    this.renderBadge();
+    return this.getStatus();
+  }
+
+  // Re-apply the translation, including any content added while showing the original
+  async showTranslation() {
+    if (this.state !== 'original') {
+      return this.getStatus();
+    }
+
+    this.state = 'translated';
+    this.renderBadge();
+    const nodes = this.collectTextNodes(document.body);
+    await this.translateNodes(nodes, this.abortController.signal);
+    return this.getStatus();
+  }
+
+  // Toggle between the translation and the original text
+  async toggle() {
+    if (this.state === 'translated') {
+      return this.showOriginal();
+    }
+    if (this.state === 'original') {
+      return await this.showTranslation();
+    }
+    return this.getStatus();
+  }
+
+  // Stop translating and restore the original page
+  restore() {
+    // Stop the running translation: it writes nothing more and leaves state and badge alone
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+    this.activeRun = null;
+
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    clearTimeout(this.flushTimer);
+    this.pendingNodes.clear();
+
+    this.originals.forEach((original, node) => {
+      if (node.isConnected) {
+        node.nodeValue = original;
+      }
+    });
+    this.originals.clear();
+    this.translations.clear();
+
+    this.destroyTranslator(this.translator);
+    this.translator = null;
+    this.state = 'idle';
+    this.sourceLanguage = null;
+    this.targetLanguage = null;
+
+    if (this.badge) {
+      this.badge.remove();
+      this.badge = null;
+    }
+    return this.getStatus();
+  }
+
+  destroyTranslator(translator) {
+    if (translator && typeof translator.destroy === 'function') {
+      try {
+        translator.destroy();
+      } catch (error) {
+        console.warn('⚠️ Error destroying in-page translator:', error);
+      }
+    }
+  }
+
+  // Current translation state
+  getStatus() {
     return {
-      title,
-      url,
-      content,
-      timestamp: new Date().toISOString(),
-      wordCount: content.split(/\s+/).filter(word => word.length > 0).length
+      state: this.state,
+      sourceLanguage: this.sourceLanguage,
+      targetLanguage: this.targetLanguage,
+      translatedNodes: this.originals.size
     };
+  }
+
+  // Small on-page badge with the toggle and close controls
+  renderBadge() {
+    if (!this.badge) {
+      this.badge = document.createElement('div');
+      this.badge.id = 'agenwork-translation-badge';
+      this.badge.setAttribute('data-agenwork-ui', 'true');
+      this.badge.innerHTML = `
+        <span class="agenwork-translation-label"></span>
+        <button type="button" class="agenwork-translation-toggle"></button>
+        <button type="button" class="agenwork-translation-close" title="Stop translating">&times;</button>
+      `;
+      this.badge.querySelector('.agenwork-translation-toggle').addEventListener('click', () => this.toggle());
+      this.badge.querySelector('.agenwork-translation-close').addEventListener('click', () => this.restore());
+      document.documentElement.appendChild(this.badge);
+    }
+
+    const label = this.badge.querySelector('.agenwork-translation-label');
+    const toggleButton = this.badge.querySelector('.agenwork-translation-toggle');
+
+    if (this.state === 'translating') {
+      label.textContent = `🌐 Translating to ${this.targetLanguage}...`;
+      toggleButton.style.display = 'none';
+    } else if (this.state === 'original') {
+      label.textContent = `🌐 Showing original (${this.sourceLanguage})`;
+      toggleButton.textContent = 'Show translation';
+      toggleButton.style.display = '';
+    } else {
+      label.textContent = `🌐 Translated ${this.sourceLanguage} → ${this.targetLanguage}`;
+      toggleButton.textContent = 'Show original';
+      toggleButton.style.display = '';
+    }
+  }
+}
+
+// Finds a quoted passage (a citation from a page answer) in the page, scrolls to it and highlights it
+// The quote comes from extracted markdown, so matching ignores case, whitespace and punctuation
+class PassageHighlighter {
+  constructor() {
+    this.highlightName = 'agenwork-citation';
+    this.clearTimer = null;
+    this.skipTags = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA']);
+  }
+
+  highlight(passage) {
+    this.clear();
+    const range = this.findRange(passage);
+    if (!range) {
+      return { found: false };
+    }
+
+    const target = range.startContainer.parentElement;
+    if (target) {
+      target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    if (typeof CSS !== 'undefined' && CSS.highlights && typeof Highlight !== 'undefined') {
+      CSS.highlights.set(this.highlightName, new Highlight(range));
+    } else {
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+
+    this.clearTimer = setTimeout(() => this.clear(), 8000);
+    return { found: true };
+  }
 
-  } catch (error) {
-    console.error('Error extracting page content:', error);
-    throw error;
+  clear() {
+    clearTimeout(this.clearTimer);
+    if (typeof CSS !== 'undefined' && CSS.highlights) {
+      CSS.highlights.delete(this.highlightName);
+    }
+  }
+
+  // Normalized page text with a map from each normalized character back to its text node and offset
+  indexPage() {
+    const nodes = [];
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => {
+        const parent = node.parentElement;
+        if (!parent || this.skipTags.has(parent.tagName) || parent.closest('[data-agenwork-ui]')) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+    while (walker.nextNode()) {
+      nodes.push(walker.currentNode);
+    }
+
+    let text = '';
+    const positions = [];
+    let lastWasSpace = true;
+    nodes.forEach(node => {
+      const data = node.data;
+      for (let i = 0; i < data.length; i++) {
+        const char = this.normalizeChar(data[i]);
+        if (char === ' ') {
+          if (lastWasSpace) {
+            continue;
+          }
+          lastWasSpace = true;
+        } else if (char === '') {
+          continue;
+        } else {
+          lastWasSpace = false;
+        }
+        text += char;
+        positions.push([node, i]);
+      }
+      // Text nodes of different blocks are separate words
+      if (!lastWasSpace) {
+        text += ' ';
+        positions.push([node, data.length]);
+        lastWasSpace = true;
+      }
+    });
+    return { text, positions };
+  }
+
+  // Lowercase letters and digits; whitespace becomes a space and other characters are dropped
+  normalizeChar(char) {
+    if (/\s/.test(char)) {
+      return ' ';
+    }
+    return /[\p{L}\p{N}]/u.test(char) ? char.toLowerCase() : '';
+  }
+
+  normalize(text) {
+    return Array.from(text, char => this.normalizeChar(char)).join('').replace(/ +/g, ' ').trim();
+  }
+
+  // Range for the passage; when the whole quote is not found (text split across elements the
+  // extractor joined), its first words are tried
+  findRange(passage) {
+    const { text, positions } = this.indexPage();
+    const words = this.normalize(passage).split(' ').filter(Boolean);
+    const attempts = [words.join(' '), words.slice(0, 12).join(' '), words.slice(0, 6).join(' ')];
+
+    for (const attempt of attempts) {
+      if (attempt.length < 8) {
+        continue;
+      }
+      const start = text.indexOf(attempt);
+      if (start === -1) {
+        continue;
+      }
+      const [startNode, startOffset] = positions[start];
+      const [endNode, endOffset] = positions[start + attempt.length - 1];
+      const range = document.createRange();
+      range.setStart(startNode, startOffset);
+      range.setEnd(endNode, Math.min(endOffset + 1, endNode.data.length));
+      return range;
+    }
+    return null;
   }
 }
 
@@ -83,19 +631,23 @@ function extractPageContent() {
 (function() {
   'use strict';
   
+  const pageTranslation = new PageTranslationController();
+  const passageHighlighter = new PassageHighlighter();
+  
+  // Inline toolbar and popover for selected text
+  const selectionActions = window.SelectionActions ? new SelectionActions({ loadAgents: loadAgentModules }) : null;
+  if (selectionActions) {
+    selectionActions.initialize();
+  }
+  
   // Listen for messages from background script
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     switch (message.type) {
       case 'GET_PAGE_CONTENT':
-        sendResponse({
-          success: true,
-          content: {
-            title: document.title,
-            url: window.location.href,
-            text: document.body.innerText.substring(0, 5000)
-          }
-        });
-        break;
+        extractPageContent()
+          .then(content => sendResponse({ success: true, content }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true; // Keep message channel open for async response
         
       case 'CHECK_SUMMARIZER_API':
         // Check if Summarizer API is available in page context
@@ -113,6 +665,40 @@ function extractPageContent() {
           .catch(error => sendResponse({ success: false, error: error.message }));
         return true; // Keep message channel open for async response
         
+      case 'TRANSLATE_PAGE_IN_PLACE':
+        pageTranslation.translatePage(message.targetLanguage, message.sourceLanguage || 'auto')
+          .then(result => sendResponse({ success: true, result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true; // Keep message channel open for async response
+        
+      case 'TOGGLE_PAGE_TRANSLATION':
+        Promise.resolve(pageTranslation.toggle())
+          .then(result => sendResponse({ success: true, result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+        
+      case 'RESTORE_PAGE_TRANSLATION':
+        sendResponse({ success: true, result: pageTranslation.restore() });
+        break;
+        
+      case 'GET_PAGE_TRANSLATION_STATUS':
+        sendResponse({ success: true, result: pageTranslation.getStatus() });
+        break;
+        
+      case 'HIGHLIGHT_PASSAGE':
+        // Citation clicked in a page answer
+        sendResponse({ success: true, result: passageHighlighter.highlight(message.text || '') });
+        break;
+        
+      case 'SELECTION_ACTION':
+        // Context menu action on the current selection
+        if (!selectionActions) {
+          sendResponse({ success: false, error: 'Selection actions are not available on this page' });
+          break;
+        }
+        sendResponse(selectionActions.handleContextMenuAction(message.action, message.text, message.options || {}));
+        break;
+        
       default:
         sendResponse({ success: false, error: 'Unknown message type' });
     }
@@ -152,7 +738,7 @@ function extractPageContent() {
       });
       
       // Get page content
-      const pageText = document.body.innerText;
+      const pageText = (await extractPageContent()).content;
       if (pageText.length < 50) {
         throw new Error('Page content too short to summarize');
       }
@@ -0,0 +1,305 @@
+// AgenWork Conversation Export Module
+// Turns conversations from AgenWorkDatabase.exportData() into downloadable files: Markdown with agent
+// labels and source-page links, a standalone HTML page rendered with MarkdownRenderer, and a versioned
+// JSON backup (readable as JSON-LD) whose conversations carry SHA-256 checksums.
+
+class ConversationExport {
+  // Build a file; format is one of ConversationExport.FORMATS
+  // data: { conversations: [{ ...conversation, messages }], settings } as returned by exportData()
+  // options.seal: async function applied to the JSON backup before it is written (an encrypted
+  // database passes AgenWorkDatabase.sealBundle so backups are never written in plaintext)
+  // Returns { content, filename, mimeType }
+  static async build(format, data, { seal = null } = {}) {
+    const spec = ConversationExport.FORMATS[format];
+    if (!spec) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+
+    let content;
+    if (format === 'markdown') {
+      content = ConversationExport.toMarkdown(data.conversations);
+    } else if (format === 'html') {
+      content = ConversationExport.toHtml(data.conversations);
+    } else {
+      const backup = await ConversationExport.toJson(data);
+      content = JSON.stringify(seal ? await seal(backup) : backup, null, 2);
+    }
+    return {
+      content,
+      filename: ConversationExport.filename(data.conversations, spec.extension),
+      mimeType: spec.mimeType
+    };
+  }
+
+  static toMarkdown(conversations) {
+    const sections = conversations.map(conv => ConversationExport.conversationToMarkdown(conv));
+    if (conversations.length === 1) {
+      return `${sections[0]}\n`;
+    }
+    const header = `# AgenWork conversations\n\n*${conversations.length} conversations · exported ${ConversationExport.formatDate(new Date())}*`;
+    return `${[header, ...sections].join('\n\n---\n\n')}\n`;
+  }
+
+  static conversationToMarkdown(conv) {
+    const messages = conv.messages || [];
+    const details = [
+      `${messages.length} ${messages.length === 1 ? 'message' : 'messages'}`,
+      conv.createdAt ? `started ${ConversationExport.formatDate(conv.createdAt)}` : null,
+      conv.tags?.length ? `tags: ${conv.tags.join(', ')}` : null
+    ].filter(Boolean);
+
+    const body = messages.map(message => {
+      const heading = [`**${ConversationExport.speaker(message)}**`, ConversationExport.formatDate(message.timestamp)];
+      const page = ConversationExport.sourcePage(message);
+      if (page) {
+        heading.push(`[${page.title.replace(/[[\]]/g, '')}](${page.url.replace(/\(/g, '%28').replace(/\)/g, '%29')})`);
+      }
+      return `${heading.filter(Boolean).join(' · ')}\n\n${String(message.content || '').trim()}`;
+    });
+
+    return [`# ${conv.title || 'Untitled conversation'}`, `*${details.join(' · ')}*`, ...body].join('\n\n');
+  }
+
+  // Standalone page: inline styles, no scripts, and message markdown rendered the way the popup shows it
+  static toHtml(conversations) {
+    const title = conversations.length === 1
+      ? conversations[0].title || 'Untitled conversation'
+      : 'AgenWork conversations';
+
+    const articles = conversations.map(conv => {
+      const messages = (conv.messages || []).map(message => {
+        const page = ConversationExport.sourcePage(message);
+        const header = [
+          `<strong>${ConversationExport.escapeHtml(ConversationExport.speaker(message))}</strong>`,
+          message.timestamp ? `<time datetime="${new Date(message.timestamp).toISOString()}">${ConversationExport.escapeHtml(ConversationExport.formatDate(message.timestamp))}</time>` : null,
+          page ? `<a href="${ConversationExport.escapeHtml(page.url)}">${ConversationExport.escapeHtml(page.title)}</a>` : null
+        ].filter(Boolean).join(' · ');
+        return `<section class="message ${message.role === 'user' ? 'user' : 'assistant'}">
+<header>${header}</header>
+<div class="content">${ConversationExport.renderMarkdown(message.content)}</div>
+</section>`;
+      });
+      return `<article>
+<h1>${ConversationExport.escapeHtml(conv.title || 'Untitled conversation')}</h1>
+<p class="meta">${(conv.messages || []).length} messages${conv.createdAt ? ` · started ${ConversationExport.escapeHtml(ConversationExport.formatDate(conv.createdAt))}` : ''}</p>
+${messages.join('\n')}
+</article>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="AgenWork">
+<title>${ConversationExport.escapeHtml(title)}</title>
+<style>${ConversationExport.HTML_STYLES}</style>
+</head>
+<body>
+${articles.join('\n<hr>\n')}
+</body>
+</html>
+`;
+  }
+
+  // Message markdown as HTML without scripts, event handlers, javascript: URLs or the popup's copy buttons
+  static renderMarkdown(markdown) {
+    if (typeof MarkdownRenderer === 'undefined' || typeof document === 'undefined') {
+      return `<p>${ConversationExport.escapeHtml(markdown).replace(/\n/g, '<br>')}</p>`;
+    }
+    const template = document.createElement('template');
+    template.innerHTML = MarkdownRenderer.render(String(markdown || ''));
+    template.content.querySelectorAll('script, style, iframe, object, embed, link, meta, form, button').forEach(element => element.remove());
+    template.content.querySelectorAll('*').forEach(element => {
+      Array.from(element.attributes).forEach(attribute => {
+        const name = attribute.name.toLowerCase();
+        const value = attribute.value.trim().toLowerCase();
+        if (name.startsWith('on') || ((name === 'href' || name === 'src') && value.startsWith('javascript:'))) {
+          element.removeAttribute(attribute.name);
+        }
+      });
+    });
+    const container = document.createElement('div');
+    container.appendChild(template.content);
+    return container.innerHTML;
+  }
+
+  // Versioned backup. Conversations and messages keep their database fields (so the file can be imported
+  // again) and are typed as schema.org Conversation/Message, so JSON-LD tools can read it too.
+  // Each conversation has a checksum over its own content; the file checksum covers all of them and the settings
+  static async toJson(data) {
+    const conversations = [];
+    for (const conv of data.conversations) {
+      const { messageCount, messages = [], ...fields } = conv;
+      const entry = {
+        '@type': 'Conversation',
+        ...fields,
+        messages: messages.map(message => ({ '@type': 'Message', ...message }))
+      };
+      entry.checksum = await ConversationExport.checksum(entry);
+      conversations.push(entry);
+    }
+
+    const settings = data.settings || {};
+    return {
+      '@context': ConversationExport.JSON_LD_CONTEXT,
+      '@type': 'Collection',
+      format: ConversationExport.FORMAT_NAME,
+      formatVersion: ConversationExport.FORMAT_VERSION,
+      schemaVersion: data.schemaVersion ?? null,
+      exportDate: new Date().toISOString(),
+      conversations,
+      settings,
+      checksum: await ConversationExport.checksum({ conversations: conversations.map(conv => conv.checksum), settings })
+    };
+  }
+
+  // SHA-256 (hex) of the value's canonical JSON, ignoring any checksum field it already has
+  static async checksum(value) {
+    const { checksum, ...rest } = value;
+    const bytes = new TextEncoder().encode(ConversationExport.canonicalJson(rest));
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // JSON with object keys sorted, so the checksum does not depend on property order
+  static canonicalJson(value) {
+    return JSON.stringify(value, (key, current) => {
+      if (current && typeof current === 'object' && !Array.isArray(current)) {
+        return Object.keys(current).sort().reduce((sorted, name) => {
+          sorted[name] = current[name];
+          return sorted;
+        }, {});
+      }
+      return current;
+    });
+  }
+
+  // Save through chrome.downloads when available (the popup may close before an <a download> finishes)
+  static async download({ content, filename, mimeType }) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    try {
+      if (typeof chrome !== 'undefined' && chrome.downloads?.download) {
+        await chrome.downloads.download({ url, filename, saveAs: false });
+      } else {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+      }
+    } finally {
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+  }
+
+  static filename(conversations, extension) {
+    const date = new Date().toISOString().split('T')[0];
+    if (conversations.length === 1) {
+      const slug = String(conversations[0].title || 'conversation')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60) || 'conversation';
+      return `agenwork-${slug}-${date}.${extension}`;
+    }
+    return extension === 'json' ? `agenwork-backup-${date}.json` : `agenwork-conversations-${date}.${extension}`;
+  }
+
+  static speaker(message) {
+    if (message.role === 'user') {
+      return 'You';
+    }
+    return `AgenWork · ${ConversationExport.agentLabel(message.agentType)}`;
+  }
+
+  static agentLabel(agentType) {
+    const type = String(agentType || 'prompter');
+    return ConversationExport.AGENT_LABELS[type] || type.charAt(0).toUpperCase() + type.slice(1);
+  }
+
+  // { url, title } of the page a message was sent from, or null
+  static sourcePage(message) {
+    const url = message.pageUrl || message.metadata?.pageUrl;
+    if (!url || !/^https?:/i.test(url)) {
+      return null;
+    }
+    return { url, title: message.metadata?.pageTitle || url };
+  }
+
+  static formatDate(date) {
+    const value = date ? new Date(date) : null;
+    if (!value || isNaN(value)) {
+      return '';
+    }
+    const pad = number => String(number).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ${pad(value.getHours())}:${pad(value.getMinutes())}`;
+  }
+
+  static escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+  }
+}
+
+ConversationExport.FORMAT_NAME = 'agenwork-export';
+ConversationExport.FORMAT_VERSION = 2; // 1: unversioned exportData() dumps
+ConversationExport.FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  html: { label: 'HTML', extension: 'html', mimeType: 'text/html' },
+  json: { label: 'JSON backup', extension: 'json', mimeType: 'application/ld+json' }
+};
+ConversationExport.AGENT_LABELS = {
+  prompter: 'Prompter',
+  research: 'Research',
+  summarizer: 'Summarizer',
+  summarize: 'Summarizer',
+  translator: 'Translator',
+  translate: 'Translator',
+  writer: 'Writer',
+  write: 'Writer',
+  rewriter: 'Rewriter',
+  rewrite: 'Rewriter',
+  proofreader: 'Proofreader',
+  proofread: 'Proofreader'
+};
+// Maps the exported field names onto schema.org; fields without a mapping are AgenWork-specific
+ConversationExport.JSON_LD_CONTEXT = {
+  '@vocab': 'https://schema.org/',
+  title: 'name',
+  createdAt: { '@id': 'dateCreated', '@type': 'DateTime' },
+  updatedAt: { '@id': 'dateModified', '@type': 'DateTime' },
+  exportDate: { '@id': 'dateCreated', '@type': 'DateTime' },
+  tags: 'keywords',
+  conversations: { '@id': 'hasPart', '@container': '@list' },
+  messages: { '@id': 'hasPart', '@container': '@list' },
+  content: 'text',
+  timestamp: { '@id': 'dateSent', '@type': 'DateTime' },
+  pageUrl: { '@id': 'isBasedOn', '@type': '@id' }
+};
+ConversationExport.HTML_STYLES = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 760px; margin: 40px auto; padding: 0 16px; color: #2c3e50; line-height: 1.6; }
+h1 { font-size: 1.6em; margin-bottom: 4px; }
+.meta { color: #7f8c8d; margin-top: 0; }
+.message { border: 1px solid #e1e8ed; border-radius: 8px; padding: 12px 16px; margin: 16px 0; }
+.message.user { background: #f4f8fb; }
+.message header { font-size: 0.85em; color: #7f8c8d; margin-bottom: 8px; }
+.message header strong { color: #2c3e50; }
+pre { background: #f6f8fa; padding: 12px; border-radius: 6px; overflow-x: auto; }
+code { font-family: SFMono-Regular, Consolas, monospace; font-size: 0.9em; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #e1e8ed; padding: 6px 10px; }
+blockquote { border-left: 3px solid #e1e8ed; margin-left: 0; padding-left: 12px; color: #555; }
+.code-header { display: none; }
+hr { border: none; border-top: 1px solid #e1e8ed; margin: 32px 0; }
+`;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConversationExport;
+} else if (typeof window !== 'undefined') {
+  window.ConversationExport = ConversationExport;
+}
@@ -0,0 +1,125 @@
+// AgenWork Conversation Import Module
+// Reads backup files before AgenWorkDatabase.importData() writes anything: checks the format and
+// schema version, verifies the checksums written by ConversationExport, drops records it cannot use
+// and gives every conversation a content hash so conversations that already exist can be skipped.
+
+class ConversationImport {
+  // Validate a parsed backup file (any format version) and return clean records:
+  // { formatVersion, schemaVersion, exportDate, conversations: [{ sourceId, hash, conversation, messages }],
+  //   settings, problems: [string] }
+  // Throws when the file is not an AgenWork backup or was written by a newer version
+  static async parse(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Not an AgenWork backup file');
+    }
+    if (!Array.isArray(data.conversations) && !data.settings) {
+      throw new Error('Not an AgenWork backup file: no conversations or settings');
+    }
+
+    // Files written before exports were versioned have no format field
+    const formatVersion = data.format === ConversationExport.FORMAT_NAME ? Number(data.formatVersion) : 1;
+    if (!(formatVersion >= 1) || formatVersion > ConversationExport.FORMAT_VERSION) {
+      throw new Error(`Backup format version ${data.formatVersion} is newer than this version of AgenWork supports`);
+    }
+    const schemaVersion = data.schemaVersion ?? null;
+    if (schemaVersion !== null && schemaVersion > AgenWorkDatabase.SCHEMA_VERSION) {
+      throw new Error(`Backup was made with database schema v${schemaVersion}; this version of AgenWork supports up to v${AgenWorkDatabase.SCHEMA_VERSION}`);
+    }
+
+    const problems = [];
+    if (formatVersion >= 2 && data.checksum) {
+      const expected = await ConversationExport.checksum({
+        conversations: (data.conversations || []).map(conv => conv?.checksum),
+        settings: data.settings || {}
+      });
+      if (expected !== data.checksum) {
+        problems.push('The file checksum does not match: conversations were added, removed or reordered, or settings were edited');
+      }
+    }
+
+    const conversations = [];
+    for (const [index, raw] of (data.conversations || []).entries()) {
+      const label = `Conversation ${index + 1}${raw?.title ? ` ("${raw.title}")` : ''}`;
+      if (!raw || typeof raw !== 'object' || (raw.messages !== undefined && !Array.isArray(raw.messages))) {
+        problems.push(`${label} is not a valid conversation and was skipped`);
+        continue;
+      }
+      if (formatVersion >= 2 && raw.checksum && await ConversationExport.checksum(raw) !== raw.checksum) {
+        problems.push(`${label} was modified after export (checksum mismatch) and was skipped`);
+        continue;
+      }
+
+      const messages = [];
+      (raw.messages || []).forEach((message, messageIndex) => {
+        const record = ConversationImport.cleanMessage(message);
+        if (record) {
+          messages.push(record);
+        } else {
+          problems.push(`${label}: message ${messageIndex + 1} has no role or content and was skipped`);
+        }
+      });
+      messages.sort((a, b) => a.timestamp - b.timestamp);
+
+      const conversation = ConversationImport.cleanConversation(raw);
+      conversations.push({
+        sourceId: raw.id ?? null,
+        hash: await ConversationImport.contentHash(messages, conversation.title),
+        conversation,
+        messages
+      });
+    }
+
+    const settings = data.settings && typeof data.settings === 'object' && !Array.isArray(data.settings) ? data.settings : {};
+    return { formatVersion, schemaVersion, exportDate: data.exportDate || null, conversations, settings, problems };
+  }
+
+  // Database fields of a conversation, in the current schema shape, without its id
+  static cleanConversation(raw) {
+    const conv = {
+      title: typeof raw.title === 'string' && raw.title.trim() ? raw.title : 'Imported conversation',
+      agentType: typeof raw.agentType === 'string' ? raw.agentType : 'prompter',
+      archived: raw.archived,
+      pinned: raw.pinned,
+      tags: raw.tags
+    };
+    ['createdAt', 'updatedAt'].forEach(field => {
+      const date = raw[field] ? new Date(raw[field]) : null;
+      if (date && !isNaN(date)) {
+        conv[field] = date;
+      }
+    });
+    return AgenWorkDatabase.normalizeConversation(conv);
+  }
+
+  // Database fields of a message without its ids, or null when it has no role or content
+  static cleanMessage(raw) {
+    if (!raw || typeof raw !== 'object' || !['user', 'assistant', 'system'].includes(raw.role) || typeof raw.content !== 'string') {
+      return null;
+    }
+    const { id, conversationId, '@type': type, ...fields } = raw;
+    return AgenWorkDatabase.normalizeMessage({
+      ...fields,
+      agentType: typeof raw.agentType === 'string' ? raw.agentType : 'prompter',
+      metadata: raw.metadata && typeof raw.metadata === 'object' ? raw.metadata : {}
+    });
+  }
+
+  // SHA-256 of a conversation's messages (role and content, in order). Titles and timestamps are left
+  // out: the same conversation keeps its hash after being renamed or imported by an older version.
+  // A conversation without messages has only its title to tell it apart, so its hash covers the title
+  static async contentHash(messages, title = '') {
+    if (messages.length === 0) {
+      return ConversationExport.checksum({ title });
+    }
+    return ConversationExport.checksum({
+      messages: messages.map(message => [message.role, message.content])
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConversationImport;
+} else if (typeof window !== 'undefined') {
+  window.ConversationImport = ConversationImport;
+}
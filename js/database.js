@@ -2,32 +2,40 @@
 // Handles all database operations using DexieJS for offline functionality
 
 class AgenWorkDatabase {
-  constructor() {
+  constructor(name = AgenWorkDatabase.DATABASE_NAME) {
+    this.name = name;
     this.db = null;
     this.isInitialized = false;
+    this.encryption = null; // stored encryption config ({ version, kdf, verifier }) when messages are encrypted
+    this.keys = null; // keys derived from the passphrase while unlocked
   }
 
   // Initialize the database
   async initialize() {
     try {
-      // Define the database
-      this.db = new Dexie('AgenWorkDB');
-      
-      // Define schemas
-      this.db.version(1).stores({
-        conversations: '++id, title, messages, createdAt, updatedAt, agentType, archived',
-        settings: '++id, key, value, updatedAt',
-        messages: '++id, conversationId, role, content, timestamp, agentType, metadata'
-      });
+      // Define the database; opening an older database runs the upgrades of every newer version in order
+      this.db = new Dexie(this.name);
+      AgenWorkDatabase.defineSchema(this.db);
 
       // Define hooks for automatic timestamps
+      // Imported records keep their own dates and archived state
       this.db.conversations.hook('creating', function (primKey, obj, trans) {
-        obj.createdAt = new Date();
-        obj.updatedAt = new Date();
-        obj.archived = false;
+        obj.createdAt = obj.createdAt || new Date();
+        obj.updatedAt = obj.updatedAt || new Date();
+        obj.archived = obj.archived === true;
+        obj.pinned = obj.pinned ? 1 : 0;
+        obj.tags = AgenWorkDatabase.normalizeTags(obj.tags);
       });
 
       this.db.conversations.hook('updating', function (modifications, primKey, obj, trans) {
+        // Re-linking a conversation to its page (see pageLinks) is bookkeeping, not activity
+        if (Object.keys(modifications).every(key => AgenWorkDatabase.PAGE_LINK_FIELDS.includes(key))) {
+          return;
+        }
+        // So is re-encrypting its title (see keepDates)
+        if (trans.keepDates) {
+          return;
+        }
         modifications.updatedAt = new Date();
       });
 
@@ -40,20 +48,20 @@ class AgenWorkDatabase {
       });
 
       this.db.messages.hook('creating', function (primKey, obj, trans) {
-        obj.timestamp = new Date();
+        obj.timestamp = obj.timestamp || new Date();
       });
 
       // Open the database
       await this.db.open();
       
-      // Fix any existing records with invalid archived field
-      await this.fixArchivedField();
-      
       // Initialize default settings if they don't exist
       await this.initializeDefaultSettings();
       
+      // An encrypted database starts locked
+      await this.loadEncryption();
+      
       this.isInitialized = true;
-      console.log('AgenWork database initialized successfully');
+      console.log(`AgenWork database initialized successfully (schema v${this.db.verno})`);
       
       return this.db;
     } catch (error) {
@@ -62,29 +70,51 @@ class AgenWorkDatabase {
     }
   }
 
-  // Fix archived field for existing conversations
-  async fixArchivedField() {
-    try {
-      const conversations = await this.db.conversations.toArray();
-      const fixedConversations = [];
-      
-      for (const conv of conversations) {
-        if (conv.archived !== true && conv.archived !== false) {
-          console.log(`Fixing conversation ${conv.id}: archived was ${conv.archived}, setting to false`);
-          conv.archived = false; // Default to not archived
-          fixedConversations.push(conv);
+  // Declare the schema versions up to targetVersion (tests open older versions to seed legacy data)
+  static defineSchema(db, targetVersion = AgenWorkDatabase.SCHEMA_VERSION) {
+    AgenWorkDatabase.MIGRATIONS
+      .filter(migration => migration.version <= targetVersion)
+      .forEach(migration => {
+        const version = db.version(migration.version).stores(migration.stores);
+        if (migration.upgrade) {
+          version.upgrade(migration.upgrade);
         }
-      }
-      
-      if (fixedConversations.length > 0) {
-        await this.db.conversations.bulkPut(fixedConversations);
-        console.log(`Fixed archived field for ${fixedConversations.length} conversations`);
-      } else {
-        console.log('No conversations needed archived field fixing');
-      }
-    } catch (error) {
-      console.error('Error fixing archived field:', error.message || error);
+      });
+  }
+
+  // Current shape of a stored conversation: no messages array (messages live in their own table),
+  // archived is a boolean, pinned is 0/1 (booleans are not valid IndexedDB keys) and tags is a
+  // list of unique lowercase strings. Mutates and returns conv
+  static normalizeConversation(conv) {
+    delete conv.messages;
+    if (conv.archived !== true && conv.archived !== false) {
+      conv.archived = false;
     }
+    conv.pinned = conv.pinned ? 1 : 0;
+    conv.tags = AgenWorkDatabase.normalizeTags(conv.tags);
+    return conv;
+  }
+
+  static normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : [];
+    return [...new Set(list
+      .filter(tag => typeof tag === 'string')
+      .map(tag => tag.trim().toLowerCase())
+      .filter(Boolean))];
+  }
+
+  // Current shape of a stored message: timestamp is a Date (it is part of the [conversationId+timestamp]
+  // index, so messages without one would drop out of getMessages) and the page the message was sent
+  // from is a top-level pageUrl so it can be indexed. Mutates and returns message
+  static normalizeMessage(message) {
+    if (!(message.timestamp instanceof Date) || isNaN(message.timestamp)) {
+      const parsed = message.timestamp ? new Date(message.timestamp) : null;
+      message.timestamp = parsed && !isNaN(parsed) ? parsed : new Date(0);
+    }
+    if (!message.pageUrl && message.metadata?.pageUrl) {
+      message.pageUrl = message.metadata.pageUrl;
+    }
+    return message;
   }
 
   // Initialize default settings
@@ -97,8 +127,12 @@ class AgenWorkDatabase {
       { key: 'notificationsEnabled', value: true },
       { key: 'aiProvider', value: 'gemini-nano' },
       { key: 'language', value: 'en' },
-      { key: 'conversationRetention', value: 30 }, // days
-      { key: 'maxMessagesPerConversation', value: 100 }
+      { key: 'stepTimeoutSeconds', value: 120 }, // per agent step of a plan
+      { key: 'autoLockMinutes', value: 15 }, // idle time before an encrypted database locks
+      { key: 'retentionEnabled', value: false }, // enforce the limits below (see enforceRetention)
+      { key: 'conversationRetention', value: 30 }, // days, 0 keeps conversations forever
+      { key: 'maxMessagesPerConversation', value: 100 }, // 0 for no limit
+      { key: 'storageQuotaMB', value: 100 } // saved messages, 0 for no limit
     ];
 
     for (const setting of defaultSettings) {
@@ -113,14 +147,13 @@ class AgenWorkDatabase {
   async createConversation(title, agentType = 'prompter') {
     try {
       const conversation = {
-        title: title || `Conversation ${new Date().toLocaleString()}`,
-        messages: [],
+        ...await this.sealTitle(title || `Conversation ${new Date().toLocaleString()}`),
         agentType: agentType,
         archived: false
       };
       
       const id = await this.db.conversations.add(conversation);
-      return await this.db.conversations.get(id);
+      return await this.openConversation(await this.db.conversations.get(id));
     } catch (error) {
       console.error('Failed to create conversation:', error);
       throw error;
@@ -129,16 +162,10 @@ class AgenWorkDatabase {
 
   async getConversation(id) {
     try {
-      const conversation = await this.db.conversations.get(id);
+      const conversation = await this.openConversation(await this.db.conversations.get(id));
       if (conversation) {
         // Load messages for this conversation
-        const messages = await this.db.messages
-          .where('conversationId')
-          .equals(id)
-          .toArray();
-        
-        // Sort messages by timestamp
-        conversation.messages = messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        conversation.messages = await this.getMessages(id);
       }
       return conversation;
     } catch (error) {
@@ -165,7 +192,7 @@ class AgenWorkDatabase {
           .count();
       }
       
-      return conversations;
+      return await this.openConversations(conversations);
     } catch (error) {
       console.error('Failed to get conversations:', error);
       return [];
@@ -174,6 +201,9 @@ class AgenWorkDatabase {
 
   async updateConversation(id, updates) {
     try {
+      if ('title' in updates) {
+        updates = { ...updates, ...await this.sealTitle(updates.title) };
+      }
       await this.db.conversations.update(id, updates);
       return await this.getConversation(id);
     } catch (error) {
@@ -184,8 +214,9 @@ class AgenWorkDatabase {
 
   async deleteConversation(id) {
     try {
-      // Delete all messages in the conversation
+      // Delete all messages in the conversation and their search index entries
       await this.db.messages.where('conversationId').equals(id).delete();
+      await this.db.searchIndex.where('conversationId').equals(id).delete();
       
       // Delete the conversation
       await this.db.conversations.delete(id);
@@ -207,6 +238,107 @@ class AgenWorkDatabase {
     }
   }
 
+  async pinConversation(id, pinned = true) {
+    try {
+      await this.db.conversations.update(id, { pinned: pinned ? 1 : 0 });
+      return true;
+    } catch (error) {
+      console.error('Failed to pin conversation:', error);
+      return false;
+    }
+  }
+
+  async getPinnedConversations() {
+    try {
+      const conversations = await this.openConversations(await this.db.conversations.where('pinned').equals(1).toArray());
+      return conversations.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    } catch (error) {
+      console.error('Failed to get pinned conversations:', error);
+      return [];
+    }
+  }
+
+  async setConversationTags(id, tags) {
+    try {
+      await this.db.conversations.update(id, { tags: AgenWorkDatabase.normalizeTags(tags) });
+      return true;
+    } catch (error) {
+      console.error('Failed to set conversation tags:', error);
+      return false;
+    }
+  }
+
+  async getConversationsByTag(tag) {
+    try {
+      const [normalized] = AgenWorkDatabase.normalizeTags([tag]);
+      if (!normalized) {
+        return [];
+      }
+      const conversations = await this.openConversations(await this.db.conversations.where('tags').equals(normalized).toArray());
+      return conversations.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    } catch (error) {
+      console.error('Failed to get conversations by tag:', error);
+      return [];
+    }
+  }
+
+  // Conversations about a page, and other conversations on the same site (archived ones left out):
+  // { page: [conversation], site: [conversation] }, most recently updated first
+  async getPageConversations(url) {
+    try {
+      const links = this.isLocked() ? null : await AgenWorkDatabase.pageLinks(url, this.keys);
+      if (!links) {
+        return { page: [], site: [] };
+      }
+      const byUpdated = (a, b) => new Date(b.updatedAt) - new Date(a.updatedAt);
+      const page = await this.db.conversations.where('pageKey').equals(links.pageKey)
+        .filter(conv => !conv.archived)
+        .toArray();
+      const site = await this.db.conversations.where('siteKey').equals(links.siteKey)
+        .filter(conv => !conv.archived && conv.pageKey !== links.pageKey)
+        .toArray();
+      return {
+        page: (await this.openConversations(page)).sort(byUpdated),
+        site: (await this.openConversations(site)).sort(byUpdated)
+      };
+    } catch (error) {
+      console.error('Failed to get page conversations:', error);
+      return { page: [], site: [] };
+    }
+  }
+
+  // Most recent saved summary of a page that recorded a content fingerprint, or null:
+  // { conversationId, message, contentHash, blockHashes, timestamp }
+  async getLatestPageSummary(url) {
+    try {
+      const page = PageHistory.parseUrl(url);
+      const { page: conversations } = await this.getPageConversations(url);
+      let latest = null;
+      for (const conv of conversations) {
+        for (const message of await this.getMessages(conv.id)) {
+          const metadata = message.metadata || {};
+          if (message.role !== 'assistant' || !PageHistory.SUMMARY_AGENTS.includes(message.agentType) ||
+              !metadata.contentHash || PageHistory.parseUrl(message.pageUrl)?.url !== page.url) {
+            continue;
+          }
+          if (!latest || message.timestamp > latest.timestamp) {
+            latest = {
+              conversationId: conv.id,
+              message,
+              contentHash: metadata.contentHash,
+              blockHashes: metadata.blockHashes || [],
+              timestamp: message.timestamp
+            };
+          }
+        }
+      }
+      return latest;
+    } catch (error) {
+      console.error('Failed to get latest page summary:', error);
+      return null;
+    }
+  }
+
   // Message CRUD operations
   async addMessage(conversationId, role, content, agentType = 'prompter', metadata = {}) {
     try {
@@ -217,15 +349,22 @@ class AgenWorkDatabase {
         agentType: agentType,
         metadata: metadata
       };
+      if (metadata?.pageUrl) {
+        message.pageUrl = metadata.pageUrl;
+      }
       
-      const messageId = await this.db.messages.add(message);
+      const messageId = await this.db.messages.add(await this.sealMessage(message));
+      await this.indexMessage({ ...message, id: messageId });
       
-      // Update conversation's updatedAt timestamp
-      await this.db.conversations.update(conversationId, { 
-        updatedAt: new Date() 
-      });
+      // Update conversation's updatedAt timestamp; a conversation belongs to the first page it was about
+      const updates = { updatedAt: new Date() };
+      const conversation = await this.db.conversations.get(conversationId);
+      if (conversation && !conversation.pageKey && message.pageUrl) {
+        Object.assign(updates, await AgenWorkDatabase.pageLinks(message.pageUrl, this.keys));
+      }
+      await this.db.conversations.update(conversationId, updates);
       
-      return await this.db.messages.get(messageId);
+      return await this.openMessage(await this.db.messages.get(messageId));
     } catch (error) {
       console.error('Failed to add message:', error);
       throw error;
@@ -234,13 +373,12 @@ class AgenWorkDatabase {
 
   async getMessages(conversationId) {
     try {
+      // The compound index returns the messages already in timestamp order
       const messages = await this.db.messages
-        .where('conversationId')
-        .equals(conversationId)
+        .where('[conversationId+timestamp]')
+        .between([conversationId, Dexie.minKey], [conversationId, Dexie.maxKey])
         .toArray();
-      
-      // Sort messages by timestamp
-      return messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      return await this.openMessages(messages);
     } catch (error) {
       console.error('Failed to get messages:', error);
       return [];
@@ -250,6 +388,7 @@ class AgenWorkDatabase {
   async deleteMessage(messageId) {
     try {
       await this.db.messages.delete(messageId);
+      await this.db.searchIndex.where('messageId').equals(messageId).delete();
       return true;
     } catch (error) {
       console.error('Failed to delete message:', error);
@@ -311,6 +450,119 @@ class AgenWorkDatabase {
     }
   }
 
+  // Full-text search index
+  // message: plaintext message with its id
+  async indexMessage(message) {
+    try {
+      await this.db.searchIndex.bulkAdd(await AgenWorkDatabase.buildPostings(message, this.keys));
+    } catch (error) {
+      // A message missing from the index is only unsearchable; saving it must not fail
+      console.error('Failed to index message:', error);
+    }
+  }
+
+  async rebuildSearchIndex() {
+    try {
+      const messages = await this.openMessages(await this.db.messages.toArray());
+      const postings = [];
+      for (const message of messages) {
+        postings.push(...await AgenWorkDatabase.buildPostings(message, this.keys));
+      }
+      await this.db.transaction('rw', this.db.searchIndex, async () => {
+        await this.db.searchIndex.clear();
+        await this.db.searchIndex.bulkAdd(postings);
+      });
+      console.log(`Rebuilt search index for ${messages.length} messages`);
+      return messages.length;
+    } catch (error) {
+      console.error('Failed to rebuild search index:', error);
+      throw error;
+    }
+  }
+
+  // Search message content; every query term must match (the last one as a prefix)
+  // filters: { agentType, from, to (Date or date string), pageUrl (substring), limit }
+  // Returns matches best first: { messageId, conversationId, conversationTitle, role, agentType,
+  // timestamp, pageUrl, score, snippet: { text, highlights } }
+  // With encryption the index holds opaque tokens, so the last term must match a whole word
+  async searchMessages(query, filters = {}) {
+    try {
+      if (this.isLocked()) {
+        return [];
+      }
+      const queryTerms = MessageSearch.parseQuery(query)
+        .map(queryTerm => this.keys ? { ...queryTerm, prefix: false } : queryTerm);
+      if (queryTerms.length === 0) {
+        return [];
+      }
+
+      // Postings per query term, keyed by message
+      const termMatches = [];
+      for (const { term, prefix } of queryTerms) {
+        const indexTerm = this.keys ? await StorageCrypto.blindTerm(this.keys.indexKey, term) : term;
+        const postings = prefix
+          ? await this.db.searchIndex.where('term').startsWith(indexTerm).toArray()
+          : await this.db.searchIndex.where('term').equals(indexTerm).toArray();
+        const byMessage = new Map();
+        postings.forEach(posting => {
+          const entry = byMessage.get(posting.messageId) || { frequency: 0, length: posting.length };
+          entry.frequency += posting.frequency;
+          byMessage.set(posting.messageId, entry);
+        });
+        termMatches.push(byMessage);
+      }
+
+      const candidates = [...termMatches[0].keys()].filter(id => termMatches.every(matches => matches.has(id)));
+      if (candidates.length === 0) {
+        return [];
+      }
+
+      const totalMessages = await this.db.messages.count();
+      const lengths = termMatches.flatMap(matches => [...matches.values()].map(entry => entry.length));
+      const averageLength = lengths.reduce((sum, length) => sum + length, 0) / lengths.length;
+
+      const from = filters.from ? new Date(filters.from) : null;
+      const to = filters.to ? new Date(filters.to) : null;
+      const pageUrl = filters.pageUrl ? filters.pageUrl.toLowerCase() : null;
+
+      const stored = (await this.db.messages.bulkGet(candidates)).filter(Boolean);
+      const messages = (await this.openMessages(stored)).filter(message => {
+        const timestamp = new Date(message.timestamp);
+        if (filters.agentType && message.agentType !== filters.agentType) return false;
+        if (from && timestamp < from) return false;
+        if (to && timestamp > to) return false;
+        if (pageUrl && !(message.pageUrl || '').toLowerCase().includes(pageUrl)) return false;
+        return true;
+      });
+
+      const conversationIds = [...new Set(messages.map(message => message.conversationId))];
+      const conversations = await this.openConversations((await this.db.conversations.bulkGet(conversationIds)).filter(Boolean));
+      const titles = new Map(conversations.map(conv => [conv.id, conv.title]));
+
+      return messages
+        .map(message => ({
+          messageId: message.id,
+          conversationId: message.conversationId,
+          conversationTitle: titles.get(message.conversationId) || 'Untitled conversation',
+          role: message.role,
+          agentType: message.agentType,
+          timestamp: message.timestamp,
+          pageUrl: message.pageUrl || null,
+          score: MessageSearch.score(
+            termMatches.map(matches => ({ ...matches.get(message.id), documentFrequency: matches.size })),
+            totalMessages,
+            averageLength
+          ),
+          snippet: MessageSearch.snippet(message.content, queryTerms)
+        }))
+        .sort((a, b) => b.score - a.score || new Date(b.timestamp) - new Date(a.timestamp))
+        .slice(0, filters.limit || 50);
+    } catch (error) {
+      console.error('Failed to search messages:', error);
+      return [];
+    }
+  }
+
   // Utility methods
   async searchConversations(query) {
     try {
@@ -327,48 +579,115 @@ class AgenWorkDatabase {
     }
   }
 
+  // Agent types that have saved messages (for the history search filter)
+  async getMessageAgentTypes() {
+    try {
+      return await this.db.messages.orderBy('agentType').uniqueKeys();
+    } catch (error) {
+      console.error('Failed to get message agent types:', error);
+      return [];
+    }
+  }
+
   async getConversationsByAgent(agentType) {
     try {
-      return await this.db.conversations
+      return await this.openConversations(await this.db.conversations
         .where('agentType')
         .equals(agentType)
         .and(conv => !conv.archived)
         .orderBy('updatedAt')
         .reverse()
-        .toArray();
+        .toArray());
     } catch (error) {
       console.error('Failed to get conversations by agent:', error);
       return [];
     }
   }
 
+  // Delete conversations older than the conversationRetention setting (pinned ones are kept), even
+  // when automatic retention is off; returns how many were deleted
   async cleanupOldConversations() {
     try {
-      const retentionDays = await this.getSetting('conversationRetention', 30);
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
-      
-      const oldConversations = await this.db.conversations
-        .where('updatedAt')
-        .below(cutoffDate)
-        .toArray();
-      
-      for (const conv of oldConversations) {
-        await this.deleteConversation(conv.id);
-      }
-      
-      console.log(`Cleaned up ${oldConversations.length} old conversations`);
-      return oldConversations.length;
+      const policy = await this.getRetentionPolicy();
+      const report = await this.enforceRetention({ ...policy, enabled: true, maxMessages: 0, maxBytes: 0 });
+      console.log(`Cleaned up ${report.conversations} old conversations`);
+      return report.conversations;
     } catch (error) {
       console.error('Failed to cleanup old conversations:', error);
       return 0;
     }
   }
 
-  async exportData() {
+  // Retention (see RetentionPolicy): age limit, messages per conversation and storage quota from the
+  // settings. Only stored ids, dates and sizes are needed, so it also runs while the database is locked
+  // (the background service worker never has the passphrase)
+  async getRetentionPolicy() {
+    return RetentionPolicy.fromSettings(await this.getAllSettings());
+  }
+
+  // What enforceRetention(policy) would delete now; policy defaults to the saved settings.
+  // Titles in the plan are placeholders while locked
+  async planRetention(policy = null) {
+    const active = policy || await this.getRetentionPolicy();
+    const [conversations, messages] = await Promise.all([
+      this.db.conversations.toArray(),
+      this.db.messages.toArray()
+    ]);
+    return RetentionPolicy.plan(await this.openConversations(conversations), messages, active);
+  }
+
+  // Delete what the policy removes, in one transaction; nothing happens unless policy.enabled.
+  // The report ({ at, conversations, messages, bytes }) is kept in settings for the popup
+  async enforceRetention(policy = null) {
     try {
-      const conversations = await this.getAllConversations(true);
-      const settings = await this.getAllSettings();
+      const active = policy || await this.getRetentionPolicy();
+      if (!active.enabled) {
+        return { at: new Date(), conversations: 0, messages: 0, bytes: 0, skipped: true };
+      }
+
+      // Planned inside the transaction so a message added meanwhile cannot be deleted unseen
+      const tables = [this.db.conversations, this.db.messages, this.db.searchIndex];
+      const plan = await this.db.transaction('rw', tables, async () => {
+        const current = RetentionPolicy.plan(await this.db.conversations.toArray(), await this.db.messages.toArray(), active);
+        const conversationIds = current.conversations.map(conv => conv.id);
+        const messageIds = current.messages.flatMap(entry => entry.ids);
+        if (conversationIds.length > 0) {
+          await this.db.messages.where('conversationId').anyOf(conversationIds).delete();
+          await this.db.searchIndex.where('conversationId').anyOf(conversationIds).delete();
+          await this.db.conversations.bulkDelete(conversationIds);
+        }
+        if (messageIds.length > 0) {
+          await this.db.messages.bulkDelete(messageIds);
+          await this.db.searchIndex.where('messageId').anyOf(messageIds).delete();
+        }
+        return current;
+      });
+
+      const report = {
+        at: new Date(),
+        conversations: plan.conversations.length,
+        messages: plan.messages.reduce((sum, entry) => sum + entry.ids.length, 0),
+        bytes: plan.bytesBefore - plan.bytesAfter
+      };
+      await this.setSetting(AgenWorkDatabase.RETENTION_REPORT_SETTING, report);
+      return report;
+    } catch (error) {
+      console.error('Failed to enforce retention:', error);
+      throw error;
+    }
+  }
+
+  // Conversations with their messages, and settings; conversationIds limits the export to those
+  // conversations (without settings). ConversationExport turns the result into files
+  async exportData({ conversationIds = null } = {}) {
+    try {
+      this.requireUnlocked();
+      const conversations = conversationIds
+        ? await this.openConversations((await this.db.conversations.bulkGet(conversationIds)).filter(Boolean))
+        : await this.getAllConversations(true);
+      const settings = conversationIds ? {} : await this.getAllSettings();
+      delete settings[AgenWorkDatabase.ENCRYPTION_SETTING]; // belongs to this database, not to the backup
+      delete settings[AgenWorkDatabase.RETENTION_REPORT_SETTING];
       
       // Load messages for each conversation
       for (const conv of conversations) {
@@ -379,7 +698,8 @@ class AgenWorkDatabase {
         conversations: conversations,
         settings: settings,
         exportDate: new Date().toISOString(),
-        version: '1.0.0'
+        version: '1.0.0',
+        schemaVersion: this.db.verno
       };
     } catch (error) {
       console.error('Failed to export data:', error);
@@ -387,46 +707,227 @@ class AgenWorkDatabase {
     }
   }
 
-  async importData(data) {
+  // Import a backup file (any ConversationExport format version) in one transaction: if anything fails,
+  // nothing is written. options.mode: 'merge' adds conversations that are not already here (matched by
+  // content hash) and settings that are not set yet; 'replace' clears all data first and restores every
+  // conversation in the backup.
+  // options.dryRun: only work out what would happen.
+  // options.passphrase: for an encrypted backup from another database (see canOpenBundle)
+  // Returns { mode, dryRun, exportDate, conversations: { total, added, duplicates }, messages, settings,
+  // idMap: { [backup id]: new id }, problems: [string] }
+  async importData(data, { mode = 'merge', dryRun = false, passphrase = null } = {}) {
     try {
-      // Clear existing data
-      await this.db.conversations.clear();
-      await this.db.messages.clear();
-      await this.db.settings.clear();
+      if (mode !== 'merge' && mode !== 'replace') {
+        throw new Error(`Unknown import mode: ${mode}`);
+      }
+      this.requireUnlocked();
+      const backup = data?.encrypted
+        ? await StorageCrypto.openBundle(data, { passphrase, encryptionKey: this.canOpenBundle(data) ? this.keys.encryptionKey : null })
+        : data;
+      const parsed = await ConversationImport.parse(backup);
       
-      // Import settings
-      if (data.settings) {
-        for (const [key, value] of Object.entries(data.settings)) {
-          await this.setSetting(key, value);
+      // Conversations already in the database, by content hash (replace clears them, so none count)
+      const existingHashes = new Set();
+      if (mode === 'merge') {
+        const messagesByConversation = new Map();
+        (await this.openMessages(await this.db.messages.toArray())).forEach(message => {
+          const list = messagesByConversation.get(message.conversationId) || [];
+          list.push(message);
+          messagesByConversation.set(message.conversationId, list);
+        });
+        for (const conv of await this.openConversations(await this.db.conversations.toArray())) {
+          const messages = (messagesByConversation.get(conv.id) || []).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+          existingHashes.add(await ConversationImport.contentHash(messages, conv.title));
         }
       }
       
-      // Import conversations and messages
-      if (data.conversations) {
-        for (const conv of data.conversations) {
-          const messages = conv.messages || [];
-          delete conv.messages; // Remove messages from conversation object
-          delete conv.id; // Let database generate new ID
-          
-          const newConvId = await this.db.conversations.add(conv);
-          
-          // Add messages
-          for (const msg of messages) {
-            delete msg.id; // Let database generate new ID
-            msg.conversationId = newConvId;
-            await this.db.messages.add(msg);
+      // Merging skips duplicates of existing conversations, or of an earlier one in the same file
+      const toAdd = [];
+      parsed.conversations.forEach(entry => {
+        if (mode === 'replace' || !existingHashes.has(entry.hash)) {
+          existingHashes.add(entry.hash);
+          toAdd.push(entry);
+        }
+      });
+      
+      const existingKeys = new Set(mode === 'merge' ? await this.db.settings.orderBy('key').uniqueKeys() : []);
+      existingKeys.add(AgenWorkDatabase.ENCRYPTION_SETTING);
+      const settings = Object.entries(parsed.settings).filter(([key]) => !existingKeys.has(key));
+      
+      const report = {
+        mode,
+        dryRun,
+        exportDate: parsed.exportDate,
+        conversations: {
+          total: parsed.conversations.length,
+          added: toAdd.length,
+          duplicates: parsed.conversations.length - toAdd.length
+        },
+        messages: toAdd.reduce((sum, entry) => sum + entry.messages.length, 0),
+        settings: settings.length,
+        idMap: {},
+        problems: parsed.problems
+      };
+      if (dryRun) {
+        return report;
+      }
+      
+      // Encrypt and index outside the transaction: Dexie commits a transaction that awaits WebCrypto
+      const prepared = [];
+      for (const entry of toAdd) {
+        const messages = [];
+        for (const message of entry.messages) {
+          messages.push({
+            stored: await this.sealMessage(message),
+            postings: await AgenWorkDatabase.buildPostings(message, this.keys)
+          });
+        }
+        prepared.push({
+          ...entry,
+          messages,
+          title: await this.sealTitle(entry.conversation.title),
+          links: await AgenWorkDatabase.pageLinks(AgenWorkDatabase.firstPageUrl(entry.messages), this.keys)
+        });
+      }
+      
+      const tables = [this.db.conversations, this.db.messages, this.db.settings, this.db.searchIndex];
+      await this.db.transaction('rw', tables, async () => {
+        if (mode === 'replace') {
+          await Promise.all(tables.map(table => table.clear()));
+          if (this.encryption) {
+            await this.db.settings.add({ key: AgenWorkDatabase.ENCRYPTION_SETTING, value: this.encryption });
           }
         }
+        
+        await this.db.settings.bulkAdd(settings.map(([key, value]) => ({ key, value })));
+        
+        for (const entry of prepared) {
+          const conversationId = await this.db.conversations.add({ ...entry.conversation, ...entry.title, ...entry.links });
+          if (entry.sourceId !== null) {
+            report.idMap[entry.sourceId] = conversationId;
+          }
+          
+          const messageIds = await this.db.messages.bulkAdd(
+            entry.messages.map(({ stored }) => ({ ...stored, conversationId })),
+            { allKeys: true }
+          );
+          await this.db.searchIndex.bulkAdd(entry.messages.flatMap(({ postings }, index) =>
+            postings.map(posting => ({ ...posting, messageId: messageIds[index], conversationId }))
+          ));
+        }
+      });
+      
+      // Replace removed the defaults for settings the backup did not have
+      if (mode === 'replace') {
+        await this.initializeDefaultSettings();
       }
       
-      console.log('Data imported successfully');
-      return true;
+      console.log(`Imported ${report.conversations.added} conversations (${report.conversations.duplicates} duplicates skipped)`);
+      return report;
     } catch (error) {
       console.error('Failed to import data:', error);
       throw error;
     }
   }
 
+  // Result cache (see ResultCache): finished summaries and translations by their content hash key.
+  // With encryption on, keys are opaque tokens and values are encrypted; while locked the cache is off.
+  // { value, createdAt } or null on a miss
+  async getCachedResult(key) {
+    try {
+      if (this.isLocked()) {
+        return null;
+      }
+      const storedKey = await this.resultCacheKey(key);
+      const entry = await this.db.resultCache.get(storedKey);
+      if (!entry) {
+        return null;
+      }
+      const value = this.keys
+        ? JSON.parse(await StorageCrypto.decrypt(this.keys.encryptionKey, entry.value, 'cache'))
+        : entry.value;
+      await this.db.resultCache.update(storedKey, { lastUsed: new Date(), hits: (entry.hits || 0) + 1 });
+      return { value, createdAt: entry.createdAt };
+    } catch (error) {
+      console.error('Failed to read cached result:', error);
+      return null;
+    }
+  }
+
+  // Store a result, replacing any entry with the same key, then evict least recently used entries
+  // until the cache is back within RESULT_CACHE_MAX_ENTRIES and RESULT_CACHE_MAX_BYTES
+  async putCachedResult(key, agent, value) {
+    try {
+      if (this.isLocked()) {
+        return false;
+      }
+      const json = JSON.stringify(value);
+      const size = new TextEncoder().encode(json).length;
+      if (size > AgenWorkDatabase.RESULT_CACHE_MAX_BYTES) {
+        return false;
+      }
+      const now = new Date();
+      const record = {
+        key: await this.resultCacheKey(key),
+        agent,
+        value: this.keys ? await StorageCrypto.encrypt(this.keys.encryptionKey, json, 'cache') : value,
+        size,
+        createdAt: now,
+        lastUsed: now,
+        hits: 0
+      };
+      await this.db.transaction('rw', this.db.resultCache, async () => {
+        await this.db.resultCache.put(record);
+        await this.evictCachedResults();
+      });
+      return true;
+    } catch (error) {
+      console.error('Failed to cache result:', error);
+      return false;
+    }
+  }
+
+  // Delete the least recently used entries over the limits; returns how many were deleted
+  async evictCachedResults() {
+    const entries = await this.db.resultCache.orderBy('lastUsed').reverse().toArray();
+    let total = 0;
+    const evicted = entries
+      .filter((entry, index) => {
+        total += entry.size || 0;
+        return index >= AgenWorkDatabase.RESULT_CACHE_MAX_ENTRIES || total > AgenWorkDatabase.RESULT_CACHE_MAX_BYTES;
+      })
+      .map(entry => entry.key);
+    await this.db.resultCache.bulkDelete(evicted);
+    return evicted.length;
+  }
+
+  // { entries, bytes } of the result cache
+  async getResultCacheStats() {
+    try {
+      const entries = await this.db.resultCache.toArray();
+      return { entries: entries.length, bytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0) };
+    } catch (error) {
+      console.error('Failed to get result cache stats:', error);
+      return { entries: 0, bytes: 0 };
+    }
+  }
+
+  async clearResultCache() {
+    try {
+      await this.db.resultCache.clear();
+      return true;
+    } catch (error) {
+      console.error('Failed to clear result cache:', error);
+      return false;
+    }
+  }
+
+  // Stored key of a cache entry: the content hash itself is enough to tell which pages were read, so
+  // it is blinded like search terms while encryption is on
+  async resultCacheKey(key) {
+    return this.keys ? StorageCrypto.blindTerm(this.keys.indexKey, `cache:${key}`) : key;
+  }
+
   // Database maintenance
   async getDatabaseStats() {
     try {
@@ -510,6 +1011,430 @@ class AgenWorkDatabase {
     }
   }
 
+  // Find records the app cannot use: messages whose conversation no longer exists, search index
+  // entries pointing at missing messages (or at the wrong conversation), messages missing from the
+  // index, records in an outdated shape, duplicate settings and, with encryption on, messages still
+  // stored in plaintext. With repair, orphaned messages are moved into a "Recovered messages"
+  // conversation rather than deleted, and everything else is fixed in one transaction. Messages that
+  // cannot be decrypted are listed in unreadableMessages but left alone.
+  // Returns { problems, repaired, recoveredConversationId, ...ids/counts per check }
+  async checkIntegrity({ repair = false } = {}) {
+    try {
+      this.requireUnlocked();
+      const [conversations, messages, settings, postings] = await Promise.all([
+        this.db.conversations.toArray(),
+        this.db.messages.toArray(),
+        this.db.settings.toArray(),
+        this.db.searchIndex.toArray()
+      ]);
+
+      // Plaintext of every message, for the index checks
+      const plaintext = new Map();
+      const unreadableMessages = [];
+      for (const message of messages) {
+        try {
+          plaintext.set(message.id, await this.openMessage(message));
+        } catch (error) {
+          unreadableMessages.push(message.id);
+        }
+      }
+
+      const conversationIds = new Set(conversations.map(conv => conv.id));
+      const messagesById = new Map(messages.map(message => [message.id, message]));
+      const changed = (record, normalize) => JSON.stringify(record) !== JSON.stringify(normalize({ ...record }));
+
+      const orphanedMessages = messages.filter(message => !conversationIds.has(message.conversationId));
+      const invalidMessages = messages.filter(message => changed(message, AgenWorkDatabase.normalizeMessage));
+      const invalidConversations = conversations.filter(conv => changed(conv, AgenWorkDatabase.normalizeConversation));
+      const unencryptedMessages = this.encryption
+        ? messages.filter(message => !StorageCrypto.isEnvelope(message.content) || !StorageCrypto.isEnvelope(message.metadata))
+        : [];
+
+      const stalePostings = postings.filter(posting => {
+        const message = messagesById.get(posting.messageId);
+        return !message || message.conversationId !== posting.conversationId;
+      });
+      const indexedIds = new Set(postings.filter(posting => !stalePostings.includes(posting)).map(posting => posting.messageId));
+      const unindexedMessages = messages.filter(message =>
+        plaintext.has(message.id) && !indexedIds.has(message.id) && MessageSearch.buildPostings(plaintext.get(message.id)).length > 0
+      );
+
+      // Duplicate setting keys: getSetting reads the first, so keep the most recently updated one
+      const settingsByKey = new Map();
+      const duplicateSettings = [];
+      [...settings]
+        .sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0))
+        .forEach(setting => {
+          if (settingsByKey.has(setting.key)) {
+            duplicateSettings.push(setting);
+          } else {
+            settingsByKey.set(setting.key, setting);
+          }
+        });
+
+      const report = {
+        orphanedMessages: orphanedMessages.map(message => message.id),
+        invalidMessages: invalidMessages.map(message => message.id),
+        invalidConversations: invalidConversations.map(conv => conv.id),
+        unencryptedMessages: unencryptedMessages.map(message => message.id),
+        stalePostings: stalePostings.length,
+        unindexedMessages: unindexedMessages.map(message => message.id),
+        duplicateSettings: duplicateSettings.map(setting => setting.key),
+        unreadableMessages,
+        recoveredConversationId: null,
+        repaired: false
+      };
+      report.problems = orphanedMessages.length + invalidMessages.length + invalidConversations.length +
+        unencryptedMessages.length + stalePostings.length + unindexedMessages.length + duplicateSettings.length;
+
+      if (!repair || report.problems === 0) {
+        return report;
+      }
+
+      // Messages to rewrite, and messages whose index entries must be rebuilt; encryption and
+      // postings are prepared here because the transaction below cannot await WebCrypto
+      const rewrite = new Map(invalidMessages.map(message => [message.id, AgenWorkDatabase.normalizeMessage(message)]));
+      for (const message of unencryptedMessages) {
+        rewrite.set(message.id, { ...await this.sealMessage(plaintext.get(message.id)), id: message.id });
+      }
+      const reindex = new Map();
+      for (const message of [...unindexedMessages, ...orphanedMessages]) {
+        if (plaintext.has(message.id) && !reindex.has(message.id)) {
+          reindex.set(message.id, await AgenWorkDatabase.buildPostings(plaintext.get(message.id), this.keys));
+        }
+      }
+
+      const tables = [this.db.conversations, this.db.messages, this.db.settings, this.db.searchIndex];
+      await this.db.transaction('rw', tables, async () => {
+        if (invalidConversations.length > 0) {
+          await this.db.conversations.bulkPut(invalidConversations.map(conv => AgenWorkDatabase.normalizeConversation(conv)));
+        }
+
+        if (orphanedMessages.length > 0) {
+          report.recoveredConversationId = await this.db.conversations.add(
+            AgenWorkDatabase.normalizeConversation({ title: 'Recovered messages', agentType: 'prompter', tags: ['recovered'] })
+          );
+          orphanedMessages.forEach(orphan => {
+            const message = rewrite.get(orphan.id) || AgenWorkDatabase.normalizeMessage(orphan);
+            message.conversationId = report.recoveredConversationId;
+            rewrite.set(message.id, message);
+          });
+        }
+        if (rewrite.size > 0) {
+          await this.db.messages.bulkPut([...rewrite.values()]);
+        }
+
+        const staleIds = stalePostings.map(posting => posting.id);
+        for (const messageId of reindex.keys()) {
+          const existing = await this.db.searchIndex.where('messageId').equals(messageId).primaryKeys();
+          staleIds.push(...existing);
+        }
+        await this.db.searchIndex.bulkDelete([...new Set(staleIds)]);
+        await this.db.searchIndex.bulkAdd([...reindex].flatMap(([messageId, messagePostings]) => {
+          const conversationId = rewrite.get(messageId)?.conversationId ?? messagesById.get(messageId).conversationId;
+          return messagePostings.map(posting => ({ ...posting, conversationId }));
+        }));
+
+        await this.db.settings.bulkDelete(duplicateSettings.map(setting => setting.id));
+      });
+
+      report.repaired = true;
+      console.log(`Repaired ${report.problems} database integrity problems`);
+      return report;
+    } catch (error) {
+      console.error('Failed to check database integrity:', error);
+      throw error;
+    }
+  }
+
+  // Encryption at rest
+  // Message content and metadata, and conversation titles (which quote the first message), are
+  // encrypted with AES-GCM under a key derived from the user's passphrase. Dates and agent types stay
+  // readable so history can be listed while locked, under the ENCRYPTED_TITLE placeholder.
+  // The config (kdf parameters and a passphrase verifier) is kept in settings.
+
+  // Read the encryption config; an encrypted database starts locked
+  async loadEncryption() {
+    this.encryption = await this.getSetting(AgenWorkDatabase.ENCRYPTION_SETTING, null);
+    this.keys = null;
+  }
+
+  isEncrypted() {
+    return Boolean(this.encryption);
+  }
+
+  isLocked() {
+    return this.isEncrypted() && !this.keys;
+  }
+
+  requireUnlocked() {
+    if (this.isLocked()) {
+      throw new Error('Database is locked');
+    }
+  }
+
+  // Returns false for a wrong passphrase
+  async unlock(passphrase) {
+    if (!this.encryption) {
+      return true;
+    }
+    const keys = await StorageCrypto.deriveKeys(passphrase, this.encryption.kdf);
+    if (!(await StorageCrypto.checkVerifier(keys.encryptionKey, this.encryption.verifier))) {
+      return false;
+    }
+    this.keys = keys;
+    await this.sealPlaintextTitles();
+    return true;
+  }
+
+  lock() {
+    this.keys = null;
+  }
+
+  // Encrypt every stored message and rebuild the search index with opaque terms
+  async enableEncryption(passphrase) {
+    try {
+      if (this.encryption) {
+        throw new Error('Encryption is already enabled');
+      }
+      if (!passphrase || passphrase.length < StorageCrypto.MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Passphrase must be at least ${StorageCrypto.MIN_PASSPHRASE_LENGTH} characters`);
+      }
+      const kdf = StorageCrypto.createKdf();
+      const keys = await StorageCrypto.deriveKeys(passphrase, kdf);
+      const config = { version: 1, kdf, verifier: await StorageCrypto.createVerifier(keys.encryptionKey), sealedTitles: true };
+      const count = await this.rewriteAllMessages(keys, config);
+      console.log(`Encrypted ${count} messages`);
+      return true;
+    } catch (error) {
+      console.error('Failed to enable encryption:', error);
+      throw error;
+    }
+  }
+
+  // Decrypt every stored message back to plaintext; requires the passphrase again
+  async disableEncryption(passphrase) {
+    try {
+      if (!this.encryption) {
+        return true;
+      }
+      const keys = await StorageCrypto.deriveKeys(passphrase, this.encryption.kdf);
+      if (!(await StorageCrypto.checkVerifier(keys.encryptionKey, this.encryption.verifier))) {
+        throw new Error('Wrong passphrase');
+      }
+      this.keys = keys;
+      const count = await this.rewriteAllMessages(null, null);
+      console.log(`Decrypted ${count} messages`);
+      return true;
+    } catch (error) {
+      console.error('Failed to disable encryption:', error);
+      throw error;
+    }
+  }
+
+  // Re-store all messages, conversation titles and the search index under new keys (null: plaintext)
+  // in one transaction
+  async rewriteAllMessages(keys, config) {
+    const messages = await this.openMessages(await this.db.messages.toArray());
+    const titles = new Map();
+    for (const conv of await this.openConversations(await this.db.conversations.toArray())) {
+      const title = await AgenWorkDatabase.sealTitle(conv.title, keys);
+      titles.set(conv.id, { sealedTitle: undefined, ...title });
+    }
+    const stored = [];
+    const postings = [];
+    for (const message of messages) {
+      stored.push(await AgenWorkDatabase.sealMessage(message, keys));
+      postings.push(...await AgenWorkDatabase.buildPostings(message, keys));
+    }
+
+    // Page links are opaque under the new keys too
+    const byConversation = new Map();
+    messages.forEach(message => {
+      byConversation.set(message.conversationId, [...(byConversation.get(message.conversationId) || []), message]);
+    });
+    const links = new Map();
+    for (const [conversationId, conversationMessages] of byConversation) {
+      links.set(conversationId, await AgenWorkDatabase.pageLinks(AgenWorkDatabase.firstPageUrl(conversationMessages), keys));
+    }
+
+    const tables = [this.db.conversations, this.db.messages, this.db.searchIndex, this.db.settings, this.db.resultCache];
+    await this.db.transaction('rw', tables, async () => {
+      AgenWorkDatabase.keepDates();
+      for (const [conversationId, title] of titles) {
+        await this.db.conversations.update(conversationId, { ...title, ...links.get(conversationId) });
+      }
+      await this.db.messages.bulkPut(stored);
+      await this.db.searchIndex.clear();
+      await this.db.searchIndex.bulkAdd(postings);
+      // Cached results are stored under the old keys; they are cheap to produce again
+      await this.db.resultCache.clear();
+      await this.db.settings.where('key').equals(AgenWorkDatabase.ENCRYPTION_SETTING).delete();
+      if (config) {
+        await this.db.settings.add({ key: AgenWorkDatabase.ENCRYPTION_SETTING, value: config });
+      }
+    });
+
+    this.encryption = config;
+    this.keys = keys;
+    return messages.length;
+  }
+
+  // Stored form of a plaintext message: content and metadata encrypted while encryption is on
+  sealMessage(message) {
+    this.requireUnlocked();
+    return AgenWorkDatabase.sealMessage(message, this.keys);
+  }
+
+  // Stored title fields of a conversation (see sealTitle)
+  sealTitle(title) {
+    this.requireUnlocked();
+    return AgenWorkDatabase.sealTitle(title, this.keys);
+  }
+
+  // Conversation with its real title; while locked the ENCRYPTED_TITLE placeholder is left in place
+  openConversation(conv) {
+    return AgenWorkDatabase.openConversation(conv, this.keys);
+  }
+
+  openConversations(conversations) {
+    return Promise.all(conversations.map(conv => this.openConversation(conv)));
+  }
+
+  // Titles stored in plaintext while encryption is on (conversations from before titles were
+  // encrypted) are sealed on the first unlock, which marks the encryption setting with sealedTitles;
+  // returns how many
+  async sealPlaintextTitles() {
+    if (!this.keys || this.encryption.sealedTitles) {
+      return 0;
+    }
+    const plaintext = await this.db.conversations.filter(conv => !StorageCrypto.isEnvelope(conv.sealedTitle)).toArray();
+    const updates = [];
+    for (const conv of plaintext) {
+      updates.push([conv.id, await AgenWorkDatabase.sealTitle(conv.title, this.keys)]);
+    }
+    const config = { ...this.encryption, sealedTitles: true };
+    await this.db.transaction('rw', this.db.conversations, this.db.settings, async () => {
+      AgenWorkDatabase.keepDates();
+      for (const [id, update] of updates) {
+        await this.db.conversations.update(id, update);
+      }
+      await this.db.settings.where('key').equals(AgenWorkDatabase.ENCRYPTION_SETTING).modify({ value: config });
+    });
+    this.encryption = config;
+    return updates.length;
+  }
+
+  // Plaintext form of a stored message
+  openMessage(message) {
+    return AgenWorkDatabase.openMessage(message, this.keys);
+  }
+
+  openMessages(messages) {
+    return Promise.all(messages.map(message => this.openMessage(message)));
+  }
+
+  // Encrypted backup bundle of an export object, for ConversationExport.build(..., { seal })
+  async sealBundle(value) {
+    this.requireUnlocked();
+    return StorageCrypto.sealBundle(this.keys.encryptionKey, this.encryption.kdf, value);
+  }
+
+  // Whether an encrypted backup was made with this database's key (no passphrase needed to import it)
+  canOpenBundle(bundle) {
+    return Boolean(this.keys && bundle?.kdf?.salt === this.encryption.kdf.salt);
+  }
+
+  static async sealMessage(message, keys) {
+    const record = AgenWorkDatabase.normalizeMessage({ ...message });
+    if (!keys) {
+      return record;
+    }
+    delete record.pageUrl; // indexed field: would store the page in plaintext
+    record.content = await StorageCrypto.encrypt(keys.encryptionKey, String(message.content ?? ''), 'content');
+    record.metadata = await StorageCrypto.encrypt(keys.encryptionKey, JSON.stringify(message.metadata || {}), 'metadata');
+    return record;
+  }
+
+  // { title } of a conversation; with keys { title: ENCRYPTED_TITLE, sealedTitle } so the stored
+  // title does not give away the start of the first message
+  static async sealTitle(title, keys) {
+    if (!keys) {
+      return { title };
+    }
+    return {
+      title: AgenWorkDatabase.ENCRYPTED_TITLE,
+      sealedTitle: await StorageCrypto.encrypt(keys.encryptionKey, String(title ?? ''), 'title')
+    };
+  }
+
+  // Called inside a transaction that re-encrypts titles: the conversations updating hook leaves
+  // updatedAt alone for its writes, since re-encrypting is not activity
+  static keepDates() {
+    Dexie.currentTransaction.keepDates = true;
+  }
+
+  static async openConversation(conv, keys) {
+    if (!conv || !keys || !StorageCrypto.isEnvelope(conv.sealedTitle)) {
+      return conv;
+    }
+    const record = { ...conv, title: await StorageCrypto.decrypt(keys.encryptionKey, conv.sealedTitle, 'title') };
+    delete record.sealedTitle;
+    return record;
+  }
+
+  static async openMessage(message, keys) {
+    if (!message || (!StorageCrypto.isEnvelope(message.content) && !StorageCrypto.isEnvelope(message.metadata))) {
+      return message;
+    }
+    if (!keys) {
+      throw new Error('Database is locked');
+    }
+    const record = { ...message };
+    if (StorageCrypto.isEnvelope(message.content)) {
+      record.content = await StorageCrypto.decrypt(keys.encryptionKey, message.content, 'content');
+    }
+    if (StorageCrypto.isEnvelope(message.metadata)) {
+      record.metadata = JSON.parse(await StorageCrypto.decrypt(keys.encryptionKey, message.metadata, 'metadata'));
+    }
+    return AgenWorkDatabase.normalizeMessage(record);
+  }
+
+  // { pageKey, siteKey } linking a conversation to a page, or null for URLs that are not web pages;
+  // with keys they are opaque tokens, like search terms
+  static async pageLinks(url, keys) {
+    const page = url ? PageHistory.parseUrl(url) : null;
+    if (!page) {
+      return null;
+    }
+    if (!keys) {
+      return { pageKey: page.url, siteKey: page.site };
+    }
+    return {
+      pageKey: await StorageCrypto.blindTerm(keys.indexKey, `page:${page.url}`),
+      siteKey: await StorageCrypto.blindTerm(keys.indexKey, `site:${page.site}`)
+    };
+  }
+
+  // Page of the earliest plaintext message that was about one
+  static firstPageUrl(messages) {
+    const withPage = messages
+      .filter(message => message.pageUrl || message.metadata?.pageUrl)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    return withPage.length > 0 ? withPage[0].pageUrl || withPage[0].metadata.pageUrl : null;
+  }
+
+  // Search index entries for a plaintext message; with keys the terms are replaced by opaque tokens
+  static async buildPostings(message, keys) {
+    const postings = MessageSearch.buildPostings(message);
+    if (keys) {
+      for (const posting of postings) {
+        posting.term = await StorageCrypto.blindTerm(keys.indexKey, posting.term);
+      }
+    }
+    return postings;
+  }
+
   async close() {
     if (this.db) {
       await this.db.close();
@@ -518,8 +1443,96 @@ class AgenWorkDatabase {
   }
 }
 
+AgenWorkDatabase.DATABASE_NAME = 'AgenWorkDB';
+AgenWorkDatabase.ENCRYPTION_SETTING = 'encryption';
+AgenWorkDatabase.ENCRYPTED_TITLE = 'Encrypted conversation'; // stored title while encryption is on
+AgenWorkDatabase.RETENTION_REPORT_SETTING = 'retentionLastRun';
+AgenWorkDatabase.PAGE_LINK_FIELDS = ['pageKey', 'siteKey'];
+AgenWorkDatabase.RESULT_CACHE_MAX_ENTRIES = 200;
+AgenWorkDatabase.RESULT_CACHE_MAX_BYTES = 4 * 1024 * 1024; // JSON size of the cached values
+
+// Schema history, oldest first. Each version lists only the tables it adds or changes; its upgrade
+// runs once, in order, when a database created by an older version is opened. Never edit a released
+// entry — add a new version instead.
+AgenWorkDatabase.MIGRATIONS = [
+  {
+    version: 1,
+    stores: {
+      conversations: '++id, title, messages, createdAt, updatedAt, agentType, archived',
+      settings: '++id, key, value, updatedAt',
+      messages: '++id, conversationId, role, content, timestamp, agentType, metadata'
+    }
+  },
+  {
+    // Inverted index for full-text message search, built for existing messages
+    version: 2,
+    stores: {
+      searchIndex: '++id, term, messageId, conversationId'
+    },
+    upgrade: async (trans) => {
+      const messages = await trans.table('messages').toArray();
+      const postings = messages.flatMap(message => MessageSearch.buildPostings(message));
+      await trans.table('searchIndex').bulkAdd(postings);
+      console.log(`Indexed ${messages.length} messages for search`);
+    }
+  },
+  {
+    // Conversations: drop the unused messages column, add pinned and multi-entry tags
+    // Messages: ordered lookup per conversation and lookup by page; stop indexing content and metadata
+    version: 3,
+    stores: {
+      conversations: '++id, title, createdAt, updatedAt, agentType, archived, pinned, *tags',
+      messages: '++id, conversationId, role, timestamp, agentType, pageUrl, [conversationId+timestamp]'
+    },
+    upgrade: async (trans) => {
+      await trans.table('conversations').toCollection().modify(conv => {
+        AgenWorkDatabase.normalizeConversation(conv);
+      });
+      await trans.table('messages').toCollection().modify(message => {
+        AgenWorkDatabase.normalizeMessage(message);
+      });
+    }
+  },
+  {
+    // Conversations: link to the page and site they were about, from their messages' pageUrl.
+    // Encrypted messages hide their page, so those conversations are linked when encryption is next
+    // turned on or off, or by their next message
+    version: 4,
+    stores: {
+      conversations: '++id, title, createdAt, updatedAt, agentType, archived, pinned, *tags, pageKey, siteKey'
+    },
+    upgrade: async (trans) => {
+      const byConversation = new Map();
+      (await trans.table('messages').toArray()).forEach(message => {
+        byConversation.set(message.conversationId, [...(byConversation.get(message.conversationId) || []), message]);
+      });
+      const links = new Map();
+      for (const [conversationId, messages] of byConversation) {
+        const page = PageHistory.parseUrl(AgenWorkDatabase.firstPageUrl(messages.filter(message => message.pageUrl)));
+        if (page) {
+          links.set(conversationId, { pageKey: page.url, siteKey: page.site });
+        }
+      }
+      await trans.table('conversations').toCollection().modify(conv => {
+        Object.assign(conv, links.get(conv.id));
+      });
+    }
+  },
+  {
+    // Cached summaries and translations (see ResultCache), evicted by lastUsed
+    version: 5,
+    stores: {
+      resultCache: 'key, agent, lastUsed'
+    }
+  }
+];
+AgenWorkDatabase.SCHEMA_VERSION = AgenWorkDatabase.MIGRATIONS[AgenWorkDatabase.MIGRATIONS.length - 1].version;
+
 // Create a singleton instance
 const agenWorkDB = new AgenWorkDatabase();
 
-// Export for use in other modules
-window.agenWorkDB = agenWorkDB;
\ No newline at end of file
+// Export for use in other modules (the background service worker has no window; its
+// importScripts share the global scope, so agenWorkDB is visible there as it is)
+if (typeof window !== 'undefined') {
+  window.agenWorkDB = agenWorkDB;
+}
@@ -136,6 +136,13 @@
     modalTitle.className = 'agenwork-modal-title';
     modalTitle.innerHTML = '';
     
+    // Move the chat into the browser side panel so it stops covering the page
+    const sidePanelButton = document.createElement('button');
+    sidePanelButton.className = 'agenwork-close-btn agenwork-sidepanel-btn';
+    sidePanelButton.innerHTML = '&#8677;';
+    sidePanelButton.title = 'Open in side panel';
+    sidePanelButton.setAttribute('aria-label', 'Open in side panel');
+    
     // Close button
     const closeButton = document.createElement('button');
     closeButton.className = 'agenwork-close-btn';
@@ -168,8 +175,13 @@
     });
     
     // Assemble the modal
+    const modalActions = document.createElement('div');
+    modalActions.className = 'agenwork-modal-actions';
+    modalActions.appendChild(sidePanelButton);
+    modalActions.appendChild(closeButton);
+    
     modalHeader.appendChild(modalTitle);
-    modalHeader.appendChild(closeButton);
+    modalHeader.appendChild(modalActions);
     modal.appendChild(modalHeader);
     modal.appendChild(iframe);
     
@@ -180,6 +192,18 @@
       closeModal();
     });
     
+    sidePanelButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      chrome.runtime.sendMessage({ type: 'OPEN_SIDE_PANEL' }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          console.log('Could not open side panel:', chrome.runtime.lastError || (response && response.error));
+          return;
+        }
+        closeModal();
+      });
+    });
+    
     modalHeader.addEventListener('mousedown', handleModalMouseDown);
     
     overlay.addEventListener('click', (e) => {
@@ -309,6 +333,22 @@
     document.addEventListener('mouseup', modalUpHandler);
   }
   
+  // Open the chat modal for a keyboard command; the modal is created on demand when the icon is hidden
+  function openFloatingChat() {
+    if (!document.querySelector('#agenwork-modal')) {
+      if (!document.getElementById('agenwork-floating-animations')) {
+        addFloatingAnimations();
+      }
+      const modalElements = createModal();
+      document.body.appendChild(modalElements.overlay);
+      document.body.appendChild(modalElements.modal);
+    }
+    if (!isModalOpen) {
+      toggleModal();
+    }
+  }
+  window.agenworkOpenFloatingChat = openFloatingChat;
+  
   function toggleModal() {
     const modal = document.querySelector('#agenwork-modal');
     const overlay = document.querySelector('#agenwork-overlay');
@@ -328,7 +368,9 @@
         overlay.classList.add('active');
         isModalOpen = true;
         
-        button.classList.add('active');
+        if (button) {
+          button.classList.add('active');
+        }
         
         if (iframe && iframe.src) {
           const currentSrc = iframe.src;
@@ -356,14 +398,16 @@
       overlay.style.display = 'none';
       isModalOpen = false;
       
-      button.classList.remove('active');
+      if (button) {
+        button.classList.remove('active');
+      }
     }, 300);
   }
   
   function addFloatingAnimations() {
     const animationStyles = document.createElement('style');
     animationStyles.id = 'agenwork-floating-animations';
-    animationStyles.textContent = '@keyframes agenworkPulse { 0%, 100% { box-shadow: 0 8px 32px rgba(102, 126, 234, 0.25), 0 0 0 1px rgba(255,255,255,0.1); } 50% { box-shadow: 0 12px 40px rgba(102, 126, 234, 0.35), 0 0 0 2px rgba(255,255,255,0.2); } } .agenwork-floating-button:hover { transform: translateY(-50%) scale(1.1) rotate(5deg) !important; box-shadow: 0 12px 40px rgba(102, 126, 234, 0.4), 0 0 0 2px rgba(255,255,255,0.3) !important; background: linear-gradient(135deg, #5a67d8 0%, #6b4e8c 100%) !important; animation: none !important; } .agenwork-floating-button.active { background: linear-gradient(135deg, #5a67d8 0%, #6b4e8c 100%) !important; animation: none !important; } .agenwork-floating-button.dragging { opacity: 0.8 !important; cursor: move !important; transform: scale(0.95) !important; box-shadow: 0 3px 6px rgba(0, 0, 0, 0.2) !important; } .agenwork-overlay { position: fixed; top: 0; left: 0; right: 0; bottom: 0; background-color: rgba(0, 0, 0, 0); z-index: 999998; display: none; transition: background-color 0.3s ease; } .agenwork-overlay.active { background-color: rgba(0, 0, 0, 0.6); backdrop-filter: blur(2px); -webkit-backdrop-filter: blur(2px); } .agenwork-modal { position: fixed; width: 650px; height: 600px; background-color: #ffffff; border-radius: 16px; box-shadow: 0 20px 60px rgba(102, 126, 234, 0.15), 0 0 0 1px rgba(255,255,255,0.2); z-index: 999999; overflow: hidden; display: none; opacity: 0; transform: scale(0.9); transition: opacity 0.3s ease, transform 0.3s ease; backdrop-filter: blur(20px); -webkit-backdrop-filter: blur(20px); border: 2px solid rgba(255, 255, 255, 0.3); } .agenwork-modal.active { opacity: 1; transform: scale(1); } .agenwork-modal-header { height: 60px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; display: flex; align-items: center; justify-content: space-between; padding: 0 20px; cursor: move; font-family: "Fira Sans", -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; font-weight: 500; border-radius: 16px 16px 0 0; } .agenwork-modal-title { font-size: 16px; font-weight: 500; } .agenwork-close-btn { background: rgba(255, 255, 255, 0.2); border: none; border-radius: 50%; width: 32px; height: 32px; color: white; cursor: pointer; display: flex; align-items: center; justify-content: center; font-size: 20px; transition: all 0.2s ease; } .agenwork-close-btn:hover { background: rgba(255, 255, 255, 0.3); transform: scale(1.1); } .agenwork-iframe { width: 100%; height: calc(100% - 60px); border: none; background: transparent; } .agenwork-iframe.loaded { background: #ffffff; }';
+    animationStyles.textContent = '@keyframes agenworkPulse { 0%, 100% { box-shadow: 0 8px 32px rgba(102, 126, 234, 0.25), 0 0 0 1px rgba(255,255,255,0.1); } 50% { box-shadow: 0 12px 40px rgba(102, 126, 234, 0.35), 0 0 0 2px rgba(255,255,255,0.2); } } .agenwork-floating-button:hover { transform: translateY(-50%) scale(1.1) rotate(5deg) !important; box-shadow: 0 12px 40px rgba(102, 126, 234, 0.4), 0 0 0 2px rgba(255,255,255,0.3) !important; background: linear-gradient(135deg, #5a67d8 0%, #6b4e8c 100%) !important; animation: none !important; } .agenwork-floating-button.active { background: linear-gradient(135deg, #5a67d8 0%, #6b4e8c 100%) !important; animation: none !important; } .agenwork-floating-button.dragging { opacity: 0.8 !important; cursor: move !important; transform: scale(0.95) !important; box-shadow: 0 3px 6px rgba(0, 0, 0, 0.2) !important; } .agenwork-overlay { position: fixed; top: 0; left: 0; right: 0; bottom: 0; background-color: rgba(0, 0, 0, 0); z-index: 999998; display: none; transition: background-color 0.3s ease; } .agenwork-overlay.active { background-color: rgba(0, 0, 0, 0.6); backdrop-filter: blur(2px); -webkit-backdrop-filter: blur(2px); } .agenwork-modal { position: fixed; width: 650px; height: 600px; background-color: #ffffff; border-radius: 16px; box-shadow: 0 20px 60px rgba(102, 126, 234, 0.15), 0 0 0 1px rgba(255,255,255,0.2); z-index: 999999; overflow: hidden; display: none; opacity: 0; transform: scale(0.9); transition: opacity 0.3s ease, transform 0.3s ease; backdrop-filter: blur(20px); -webkit-backdrop-filter: blur(20px); border: 2px solid rgba(255, 255, 255, 0.3); } .agenwork-modal.active { opacity: 1; transform: scale(1); } .agenwork-modal-header { height: 60px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; display: flex; align-items: center; justify-content: space-between; padding: 0 20px; cursor: move; font-family: "Fira Sans", -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; font-weight: 500; border-radius: 16px 16px 0 0; } .agenwork-modal-title { font-size: 16px; font-weight: 500; } .agenwork-close-btn { background: rgba(255, 255, 255, 0.2); border: none; border-radius: 50%; width: 32px; height: 32px; color: white; cursor: pointer; display: flex; align-items: center; justify-content: center; font-size: 20px; transition: all 0.2s ease; } .agenwork-close-btn:hover { background: rgba(255, 255, 255, 0.3); transform: scale(1.1); } .agenwork-modal-actions { display: flex; gap: 8px; } .agenwork-iframe { width: 100%; height: calc(100% - 60px); border: none; background: transparent; } .agenwork-iframe.loaded { background: #ffffff; }';
     document.head.appendChild(animationStyles);
   }
   
@@ -0,0 +1,52 @@
+// AgenWork Markdown Blocks Module
+// Splits extracted page markdown (see PageExtractor) into blocks: paragraphs, lists and tables
+// separated by blank lines, headings on their own and code fences kept whole. Page questions rank
+// passages built from these blocks (PageQA) and page history fingerprints them (PageHistory), so it
+// has no dependencies and loads in extension pages and the background service worker alike.
+
+class MarkdownBlocks {
+  static split(markdown) {
+    const blocks = [];
+    let fence = null;
+    let lines = [];
+    const push = () => {
+      const block = lines.join('\n').trim();
+      if (block) {
+        blocks.push(block);
+      }
+      lines = [];
+    };
+
+    for (const line of (markdown || '').split('\n')) {
+      const fenceMatch = line.match(/^(```|~~~)/);
+      if (fence) {
+        lines.push(line);
+        if (fenceMatch && fenceMatch[1] === fence) {
+          fence = null;
+          push();
+        }
+      } else if (fenceMatch) {
+        push();
+        fence = fenceMatch[1];
+        lines.push(line);
+      } else if (/^#{1,6} /.test(line)) {
+        push();
+        lines.push(line);
+        push();
+      } else if (!line.trim()) {
+        push();
+      } else {
+        lines.push(line);
+      }
+    }
+    push();
+    return blocks;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MarkdownBlocks;
+} else if (typeof window !== 'undefined') {
+  window.MarkdownBlocks = MarkdownBlocks;
+}
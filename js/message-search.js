@@ -0,0 +1,142 @@
+// AgenWork Message Search Module
+// Tokenizing, ranking and highlighting for full-text search over saved messages.
+// AgenWorkDatabase keeps an inverted index (term → message postings) in its searchIndex table
+// and uses these helpers to build postings and rank matches.
+
+class MessageSearch {
+  // Lowercased, stemmed terms without stop words or markdown syntax
+  static tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(term => term && term.length <= MessageSearch.MAX_TERM_LENGTH && !MessageSearch.STOP_WORDS.has(term))
+      .map(term => MessageSearch.stem(term));
+  }
+
+  // Porter-style step 1: one ending is removed (-ies, -es after s/x/z/ch/sh, plural -s, else -ed or
+  // -ing when a vowel is left; -eed stays so "need" and "speed" are whole words), then the result is
+  // normalized whether or not an ending was removed: a final e is dropped, a final y becomes i and a
+  // doubled final consonant is undoubled. Every form of a word gets the same stem: "page"/"pages" →
+  // "pag", "translate"/"translated"/"translating" → "translat", "study"/"studies"/"studied" → "studi"
+  static stem(term) {
+    let stem = term;
+    if (stem.length > 3 && /ies$/.test(stem)) {
+      stem = stem.slice(0, -2);
+    } else if (stem.length > 4 && /(?:[sxz]|ch|sh)es$/.test(stem)) {
+      stem = stem.slice(0, -2);
+    } else if (stem.length > 3 && /[^su]s$/.test(stem)) {
+      stem = stem.slice(0, -1);
+    } else if (/^\p{L}*[aeiouy]\p{L}*(?:[^e]ed|ing)$/u.test(stem) && stem.replace(/(?:ed|ing)$/, '').length >= 2) {
+      stem = stem.replace(/(?:ed|ing)$/, '');
+    }
+
+    if (stem.length > 2 && /[^e]e$/.test(stem)) {
+      stem = stem.slice(0, -1);
+    }
+    if (stem.length > 2 && /y$/.test(stem)) {
+      stem = `${stem.slice(0, -1)}i`;
+    }
+    if (/([b-df-hj-km-np-rtv-x])\1$/.test(stem)) {
+      stem = stem.slice(0, -1);
+    }
+    return stem;
+  }
+
+  // Index entries for one message: one posting per distinct term with its frequency and the message length
+  static buildPostings(message) {
+    const terms = MessageSearch.tokenize(message.content);
+    const frequencies = new Map();
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+    return [...frequencies].map(([term, frequency]) => ({
+      term,
+      messageId: message.id,
+      conversationId: message.conversationId,
+      frequency,
+      length: terms.length
+    }));
+  }
+
+  // Query terms; the last one is matched as a prefix while the user is still typing it
+  static parseQuery(query) {
+    const terms = [...new Set(MessageSearch.tokenize(query))];
+    const endsInWord = /[\p{L}\p{N}]$/u.test(String(query || '').trim());
+    return terms.map((term, index) => ({ term, prefix: endsInWord && index === terms.length - 1 }));
+  }
+
+  // BM25 score of one message; matches: [{ frequency, length, documentFrequency }] per query term
+  static score(matches, totalMessages, averageLength, { k1 = 1.2, b = 0.75 } = {}) {
+    return matches.reduce((score, match) => {
+      const idf = Math.log(1 + (totalMessages - match.documentFrequency + 0.5) / (match.documentFrequency + 0.5));
+      const norm = match.frequency + k1 * (1 - b + b * match.length / (averageLength || 1));
+      return score + idf * (match.frequency * (k1 + 1)) / norm;
+    }, 0);
+  }
+
+  // Text of a message as shown in the chat, without markdown syntax
+  static toPlainText(content) {
+    return String(content || '')
+      .replace(/```[\w-]*\n?/g, '')
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/^\s{0,3}(?:#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+      .replace(/\*\*|__|`|~~/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Excerpt around the best cluster of matching words
+  // Returns { text, highlights: [[start, end], ...] } with offsets into text
+  static snippet(content, queryTerms, { length = 160 } = {}) {
+    const text = MessageSearch.toPlainText(content);
+    const words = [];
+    const pattern = /[\p{L}\p{N}]+/gu;
+    let match;
+    while ((match = pattern.exec(text))) {
+      const term = MessageSearch.stem(match[0].toLowerCase());
+      if (queryTerms.some(query => query.prefix ? term.startsWith(query.term) : term === query.term)) {
+        words.push([match.index, match.index + match[0].length]);
+      }
+    }
+
+    if (words.length === 0) {
+      return { text: text.length > length ? `${text.slice(0, length).trimEnd()}…` : text, highlights: [] };
+    }
+
+    // Window that starts a little before the match with the most other matches after it
+    let best = words[0];
+    let bestCount = 0;
+    for (const word of words) {
+      const count = words.filter(other => other[0] >= word[0] && other[1] <= word[0] + length).length;
+      if (count > bestCount) {
+        best = word;
+        bestCount = count;
+      }
+    }
+    let start = Math.max(0, best[0] - Math.floor(length / 4));
+    if (start > 0) {
+      const space = text.lastIndexOf(' ', start);
+      start = space > 0 ? space + 1 : start;
+    }
+    const end = Math.min(text.length, start + length);
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const highlights = words
+      .filter(([wordStart, wordEnd]) => wordStart >= start && wordEnd <= end)
+      .map(([wordStart, wordEnd]) => [wordStart - start + prefix.length, wordEnd - start + prefix.length]);
+    return { text: prefix + text.slice(start, end) + suffix, highlights };
+  }
+}
+
+MessageSearch.MAX_TERM_LENGTH = 40;
+MessageSearch.STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'i', 'if', 'in',
+  'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to', 'was', 'we', 'were',
+  'will', 'with', 'you', 'your'
+]);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MessageSearch;
+} else if (typeof window !== 'undefined') {
+  window.MessageSearch = MessageSearch;
+}
@@ -0,0 +1,83 @@
+// AgenWork Page History Module
+// Links saved conversations to the pages they were about. A page is identified by its URL without the
+// fragment and a site by its host name. The extracted content is recorded as a fingerprint (a SHA-256
+// of the whole text plus a short hash per block) so a later visit can tell whether the page changed
+// since it was summarized, and which blocks are new, without keeping a copy of the page.
+
+class PageHistory {
+  // { url, site } for a web page, or null for URLs that are not web pages (chrome://, file://, ...)
+  static parseUrl(url) {
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return null;
+      }
+      parsed.hash = '';
+      return { url: parsed.href, site: parsed.hostname.replace(/^www\./, '') };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // { contentHash, blockHashes } of extracted page markdown
+  static async fingerprint(content) {
+    const blocks = PageHistory.splitBlocks(content);
+    return PageHistory.fingerprintBlocks(blocks);
+  }
+
+  static async fingerprintBlocks(blocks) {
+    const hashes = await Promise.all(blocks.slice(0, PageHistory.MAX_BLOCKS).map(block => PageHistory.hash(block)));
+    return {
+      contentHash: await PageHistory.hash(blocks.join('\n\n')),
+      blockHashes: hashes.map(hash => hash.slice(0, PageHistory.BLOCK_HASH_LENGTH))
+    };
+  }
+
+  // What changed in content since a fingerprint was taken:
+  // { changed, added: [block text], removed: count of blocks no longer on the page, unchanged: count }
+  // Blocks past MAX_BLOCKS are not tracked: a change there gives changed without added or removed blocks
+  static async diff(previous, content) {
+    const blocks = PageHistory.splitBlocks(content);
+    const current = await PageHistory.fingerprintBlocks(blocks);
+    if (previous && current.contentHash === previous.contentHash) {
+      return { changed: false, added: [], removed: 0, unchanged: blocks.length };
+    }
+
+    // Count previous blocks so repeated blocks (e.g. "Read more") are matched once each
+    const remaining = new Map();
+    (previous?.blockHashes || []).forEach(hash => remaining.set(hash, (remaining.get(hash) || 0) + 1));
+    const added = [];
+    let unchanged = 0;
+    current.blockHashes.forEach((hash, index) => {
+      if (remaining.get(hash) > 0) {
+        remaining.set(hash, remaining.get(hash) - 1);
+        unchanged++;
+      } else {
+        added.push(blocks[index]);
+      }
+    });
+    const removed = [...remaining.values()].reduce((sum, count) => sum + count, 0);
+    return { changed: true, added, removed, unchanged };
+  }
+
+  // Blocks of page markdown, with whitespace collapsed so reflowed text keeps its hash
+  static splitBlocks(content) {
+    return MarkdownBlocks.split(content).map(block => block.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  }
+
+  static async hash(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+}
+
+PageHistory.MAX_BLOCKS = 500;
+PageHistory.BLOCK_HASH_LENGTH = 12;
+PageHistory.SUMMARY_AGENTS = ['summarizer', 'summarize']; // agentType of saved page summaries
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PageHistory;
+} else if (typeof window !== 'undefined') {
+  window.PageHistory = PageHistory;
+}
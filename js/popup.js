@@ -7,6 +7,9 @@ document.addEventListener('DOMContentLoaded', function() {
   // Initialize the popup
   initializePopup();
   
+  // Detect popup / side panel / floating iframe
+  initializeSurface();
+  
   // Initialize event listeners
   initializeEventListeners();
   
@@ -16,13 +19,13 @@ document.addEventListener('DOMContentLoaded', function() {
     // Load settings after database is ready
     loadSettings();
     // Initialize AI Agents
-    initializeAIAgents();
+    initializeAIAgents().then(onChatReady);
   }).catch(error => {
     console.error('Database initialization failed:', error.message || error.toString() || error);
     // Fall back to loading settings without database
     loadSettings();
     // Still try to initialize AI Agents
-    initializeAIAgents();
+    initializeAIAgents().then(onChatReady);
   });
   
   // Handle floating mode messaging
@@ -32,7 +35,7 @@ document.addEventListener('DOMContentLoaded', function() {
   if (chrome.runtime) {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       if (message.type === 'AI_PROGRESS') {
-        handleAIProgress(message.agentType, message.progress);
+        handleAIProgress(message.agentType, message.progress, message.details);
       }
     });
   }
@@ -82,6 +85,26 @@ let currentConversationId = null;
 let db = null;
 let currentView = 'chat';
 let aiAgents = null;
+let activeRequest = null; // AbortController of the message being processed (aborted by the Stop button)
+let uiSurface = 'popup'; // 'popup', 'sidepanel' or 'floating' (popup.html inside the floating icon's iframe)
+let currentWindowId = null; // Browser window this popup or side panel belongs to
+let activePageTab = null; // Active tab of that window, followed while the side panel is open
+let lastCommandId = null; // Keyboard command most recently run by this surface
+let pageContentCache = null; // { tabId, url, data, extractedAt } - extracted page reused between messages
+let selectedTabIds = new Set(); // Tabs picked for multi-tab research, read with every message until cleared
+let historySearchTimer = null;
+let pageHistoryRequest = 0; // Latest updatePageHistory() call; older ones stop when a newer one starts
+let pageChanges = null; // { tab, summary, diff, fingerprint } when the active page changed since its last summary
+const dismissedPageChanges = new Set(); // Summary message ids whose change notice was dismissed
+let lastActivityAt = Date.now(); // For auto-locking an encrypted database
+let autoLockMinutes = 15;
+let passphraseRequest = null; // Resolves requestPassphrase() while the lock screen asks for a backup's passphrase
+
+const PAGE_CONTENT_CACHE_MS = 2 * 60 * 1000;
+const PAGE_PREVIEW_LENGTH = 500;
+const AUTO_LOCK_CHECK_MS = 30 * 1000;
+const PAGE_HISTORY_LIMIT = 5; // Conversations listed per group in the page history
+const RETENTION_PREVIEW_LIMIT = 8; // Items listed in the cleanup preview
 
 // Initialize popup
 function initializePopup() {
@@ -256,6 +279,13 @@ async function initializeAIAgents() {
       console.warn('Could not load saved language preference:', error);
     }
     
+    // Apply saved step timeout
+    try {
+      aiAgents.stepTimeoutMs = (await getSavedStepTimeout()) * 1000;
+    } catch (error) {
+      console.warn('Could not load saved step timeout:', error);
+    }
+    
     // Log AI API availability for debugging
     const support = AIAgents.isSupported();
     console.log('AI API Support Check:', support);
@@ -357,7 +387,17 @@ Some functionality may be limited to basic responses.`;
 }
 
 // Handle AI progress updates
-function handleAIProgress(agentType, progress) {
+function handleAIProgress(agentType, progress, details = null) {
+  // Work progress (e.g. summarizing a long page chunk by chunk) only updates the status bar
+  if (details && details.stage === 'chunk') {
+    updateStatus(`Summarizing part ${details.current} of ${details.total}...`, 'processing');
+    return;
+  }
+  if (details && details.stage === 'reduce') {
+    updateStatus(`Combining ${details.total} partial summaries...`, 'processing');
+    return;
+  }
+  
   const statusText = `Downloading ${agentType} model... ${progress.toFixed(1)}%`;
   updateStatus(statusText, 'processing');
   
@@ -425,6 +465,13 @@ function initializeEventListeners() {
   document.getElementById('floatingToggle').addEventListener('click', toggleFloatingIcon);
   document.getElementById('floatingIconToggle').addEventListener('change', handleFloatingIconToggle);
   
+  // Side panel and keyboard shortcuts
+  document.getElementById('sidePanelBtn').addEventListener('click', openSidePanel);
+  document.getElementById('customizeShortcutsBtn').addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+  document.getElementById('sidePanelToggle').addEventListener('change', handleSidePanelToggle);
+  
   // Message input
   const messageInput = document.getElementById('messageInput');
   const sendBtn = document.getElementById('sendBtn');
@@ -448,15 +495,33 @@ function initializeEventListeners() {
   });
   
   sendBtn.addEventListener('click', sendMessage);
+  document.getElementById('stopBtn').addEventListener('click', stopActiveRequest);
+  
+  // Citation links in page answers highlight the cited passage in the page
+  document.getElementById('messagesContainer').addEventListener('click', handleCitationClick);
+  
+  // Tab picker for multi-tab research
+  initializeTabPicker();
+  
+  // Earlier conversations about the active page
+  initializePageHistory();
+  
+  // Full-text search in the history view
+  initializeHistorySearch();
+  
+  // Agent quick actions (rendered from the AgentRegistry)
+  renderAgentAccordion();
   
   // Accordion functionality
-  document.querySelectorAll('.accordion-header').forEach(header => {
-    header.addEventListener('click', function() {
-      const accordionItem = this.parentElement;
+  const agentAccordion = document.getElementById('agentAccordion');
+  agentAccordion.addEventListener('click', function(e) {
+    const header = e.target.closest('.accordion-header');
+    if (header) {
+      const accordionItem = header.parentElement;
       const isActive = accordionItem.classList.contains('active');
       
       // Close all accordions
-      document.querySelectorAll('.accordion-item').forEach(item => {
+      agentAccordion.querySelectorAll('.accordion-item').forEach(item => {
         item.classList.remove('active');
       });
       
@@ -464,16 +529,14 @@ function initializeEventListeners() {
       if (!isActive) {
         accordionItem.classList.add('active');
       }
-    });
-  });
-  
-  // Prompt buttons inside accordions
-  document.querySelectorAll('.prompt-btn').forEach(btn => {
-    btn.addEventListener('click', function() {
-      const action = this.dataset.action;
-      const prompt = this.dataset.prompt;
-      handlePromptAction(action, prompt);
-    });
+      return;
+    }
+    
+    // Prompt buttons inside accordions
+    const promptBtn = e.target.closest('.prompt-btn');
+    if (promptBtn) {
+      handlePromptAction(promptBtn.dataset.action, promptBtn.dataset.prompt, promptBtn.dataset.send !== 'false');
+    }
   });
   
   // Legacy quick action buttons (for backward compatibility)
@@ -493,6 +556,9 @@ function initializeEventListeners() {
   });
   document.getElementById('importFileInput').addEventListener('change', importData);
   document.getElementById('refreshStatsBtn').addEventListener('click', updateDatabaseStats);
+  document.getElementById('checkIntegrityBtn').addEventListener('click', checkDatabaseIntegrity);
+  initializeEncryptionControls();
+  initializeRetentionControls();
   
   // AI Agent toggles
   document.getElementById('summarizerToggle').addEventListener('change', () => saveSettings());
@@ -500,6 +566,8 @@ function initializeEventListeners() {
   document.getElementById('writerToggle').addEventListener('change', () => saveSettings());
   document.getElementById('prompterToggle').addEventListener('change', () => saveSettings());
   document.getElementById('aiLanguageSelect').addEventListener('change', handleLanguageChange);
+  document.getElementById('stepTimeoutSelect').addEventListener('change', handleStepTimeoutChange);
+  document.getElementById('clearResultCacheBtn').addEventListener('click', clearResultCache);
 }
 
 // Switch between views
@@ -545,7 +613,10 @@ function switchView(viewName) {
           attempts++;
         }
         updateDatabaseStats();
+        updateResultCacheStatus();
+        updateRetentionPreview();
       }, 100);
+      renderCommandShortcuts();
     }
   }, currentActiveView ? 150 : 0);
 }
@@ -586,12 +657,689 @@ function handleFloatingIconToggle(e) {
   });
 }
 
+// SIDE PANEL
+
+// Detect where popup.html is shown; the side panel loads it as popup.html?surface=sidepanel
+function initializeSurface() {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('surface') === 'sidepanel') {
+    uiSurface = 'sidepanel';
+  } else if (window.parent !== window) {
+    uiSurface = 'floating';
+  }
+  document.body.classList.add(`surface-${uiSurface}`);
+  
+  // Only the action popup offers to move into the side panel
+  const sidePanelBtn = document.getElementById('sidePanelBtn');
+  if (sidePanelBtn && (uiSurface !== 'popup' || !chrome.sidePanel)) {
+    sidePanelBtn.style.display = 'none';
+  }
+  
+  if (chrome.windows) {
+    chrome.windows.getCurrent()
+      .then(win => {
+        currentWindowId = win.id;
+        if (uiSurface === 'sidepanel') {
+          refreshActivePageTab();
+        }
+      })
+      .catch(error => console.warn('Could not get current window:', error));
+  }
+  
+  if (uiSurface === 'sidepanel') {
+    initializeTabTracking();
+  }
+  
+  initializePageDrop();
+  loadSidePanelSetting();
+}
+
+// Open the side panel for this window and close the popup
+// sidePanel.open() needs the click's user gesture, so it is called before anything is awaited
+function openSidePanel() {
+  if (!chrome.sidePanel || currentWindowId === null) {
+    updateStatus('Side panel is not available', 'error');
+    return;
+  }
+  
+  // Let the side panel continue the conversation shown in the popup
+  if (currentConversationId && chrome.storage.session) {
+    chrome.storage.session.set({ handedOffConversationId: currentConversationId });
+  }
+  
+  chrome.sidePanel.open({ windowId: currentWindowId })
+    .then(() => window.close())
+    .catch(error => {
+      console.error('Error opening side panel:', error);
+      updateStatus('Could not open side panel', 'error');
+    });
+}
+
+// Load the conversation the popup was showing when it opened the side panel
+async function resumeHandedOffConversation() {
+  if (!chrome.storage.session) {
+    return;
+  }
+  try {
+    const { handedOffConversationId } = await chrome.storage.session.get(['handedOffConversationId']);
+    if (handedOffConversationId) {
+      await chrome.storage.session.remove('handedOffConversationId');
+      await loadConversation(handedOffConversationId);
+    }
+  } catch (error) {
+    console.warn('Could not resume conversation in side panel:', error);
+  }
+}
+
+// Settings toggle: open the side panel instead of the popup from the toolbar icon
+async function loadSidePanelSetting() {
+  const sidePanelToggle = document.getElementById('sidePanelToggle');
+  if (!chrome.sidePanel) {
+    sidePanelToggle.closest('.setting-item').style.display = 'none';
+    return;
+  }
+  try {
+    const { openInSidePanel } = await chrome.storage.local.get(['openInSidePanel']);
+    sidePanelToggle.checked = !!openInSidePanel;
+  } catch (error) {
+    console.warn('Could not load side panel setting:', error);
+  }
+}
+
+async function handleSidePanelToggle(e) {
+  const enabled = e.target.checked;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SET_SIDE_PANEL_BEHAVIOR',
+      openInSidePanel: enabled
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from background');
+    }
+    updateStatus(enabled ? 'Toolbar icon opens the side panel' : 'Toolbar icon opens the popup', 'success');
+  } catch (error) {
+    console.error('Error changing side panel setting:', error);
+    e.target.checked = !enabled;
+    updateStatus('Error changing side panel setting', 'error');
+  }
+}
+
+// The side panel stays open across tab switches and navigations, so follow the window's active tab
+function initializeTabTracking() {
+  if (!chrome.tabs) {
+    return;
+  }
+  
+  chrome.tabs.onActivated.addListener(({ windowId }) => {
+    if (windowId === currentWindowId) {
+      refreshActivePageTab();
+    }
+  });
+  
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (pageContentCache && tabId === pageContentCache.tabId && (changeInfo.url || changeInfo.status === 'complete')) {
+      pageContentCache = null;
+    }
+    if (activePageTab && tabId === activePageTab.id && (changeInfo.url || changeInfo.title || changeInfo.status === 'complete')) {
+      refreshActivePageTab();
+    }
+  });
+}
+
+async function refreshActivePageTab() {
+  activePageTab = await getActiveTab();
+  updatePageContextBar(activePageTab);
+  updatePageHistory(activePageTab);
+}
+
+// Extracted content of a tab, reused while the tab stays on the same page; null when the page
+// cannot be read (restricted pages, PDFs that fail to load, ...)
+async function getPageContent(tab) {
+  const cached = pageContentCache;
+  if (cached && cached.tabId === tab.id && cached.url === tab.url && Date.now() - cached.extractedAt < PAGE_CONTENT_CACHE_MS) {
+    return cached.data;
+  }
+  
+  try {
+    const data = await ChromeIntegration.extractCurrentPageContent();
+    pageContentCache = { tabId: tab.id, url: tab.url, data, extractedAt: Date.now() };
+    return data;
+  } catch (error) {
+    console.log('⚠️ Could not extract page content:', error.message);
+    return null;
+  }
+}
+
+// Scroll the page to a cited passage and highlight it
+async function handleCitationClick(e) {
+  const link = e.target.closest('a.markdown-link');
+  const quote = link ? PageQA.parseCitationHref(link.getAttribute('href')) : null;
+  if (!quote) return;
+  
+  e.preventDefault();
+  try {
+    const tab = await getActiveTab();
+    if (!isPageTab(tab)) {
+      throw new Error('No page is open');
+    }
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'HIGHLIGHT_PASSAGE', text: quote });
+    if (!response || !response.success || !response.result.found) {
+      throw new Error('The passage is no longer on this page');
+    }
+    updateStatus('Passage highlighted in the page', 'success');
+  } catch (error) {
+    console.warn('Could not highlight cited passage:', error);
+    updateStatus(`Could not highlight passage: ${error.message}`, 'warning');
+  }
+}
+
+// Active tab of the window this UI belongs to
+async function getActiveTab() {
+  try {
+    const query = currentWindowId !== null
+      ? { active: true, windowId: currentWindowId }
+      : { active: true, currentWindow: true };
+    const [tab] = await chrome.tabs.query(query);
+    return tab || null;
+  } catch (error) {
+    console.log('⚠️ Could not get active tab:', error);
+    return null;
+  }
+}
+
+// Regular web page the agents can read (not chrome:// or extension pages)
+function isPageTab(tab) {
+  return !!(tab && tab.url && !tab.url.startsWith('chrome://') && !tab.url.startsWith('chrome-extension://'));
+}
+
+// Show which page the side panel is answering about
+function updatePageContextBar(tab) {
+  const bar = document.getElementById('pageContextBar');
+  if (!bar) {
+    return;
+  }
+  if (!isPageTab(tab)) {
+    bar.classList.remove('visible');
+    return;
+  }
+  bar.querySelector('.page-context-title').textContent = tab.title || tab.url;
+  bar.title = tab.url;
+  bar.classList.add('visible');
+}
+
+// PAGE HISTORY
+
+function initializePageHistory() {
+  const container = document.getElementById('pageHistory');
+  document.getElementById('pageHistoryToggle').addEventListener('click', () => {
+    container.classList.toggle('open');
+  });
+  container.querySelector('.page-history-list').addEventListener('click', (e) => {
+    const item = e.target.closest('.page-history-item');
+    if (item) {
+      container.classList.remove('open');
+      loadConversation(Number(item.dataset.conversationId));
+    }
+  });
+  document.getElementById('summarizeChangesBtn').addEventListener('click', summarizePageChanges);
+  document.getElementById('dismissPageChangesBtn').addEventListener('click', () => {
+    if (pageChanges) {
+      dismissedPageChanges.add(pageChanges.summary.message.id);
+    }
+    showPageChanges(null);
+  });
+}
+
+// Earlier conversations about the active page and its site, and a notice when the page changed since
+// it was last summarized. Runs when the popup opens, when the side panel follows another tab and
+// after every saved exchange
+async function updatePageHistory(tab = null) {
+  if (!agenWorkDB.isInitialized) return;
+  const request = ++pageHistoryRequest;
+  const pageTab = tab || await getActiveTab();
+  const url = isPageTab(pageTab) ? pageTab.url : null;
+  const conversations = url ? await agenWorkDB.getPageConversations(url) : { page: [], site: [] };
+  if (request !== pageHistoryRequest) return;
+  
+  renderPageHistory(conversations, url ? PageHistory.parseUrl(url)?.site : null);
+  showPageChanges(null);
+  
+  // Change detection needs the page content, so it only runs for pages that were summarized before
+  const summary = conversations.page.length > 0 ? await agenWorkDB.getLatestPageSummary(url) : null;
+  if (!summary || dismissedPageChanges.has(summary.message.id) || request !== pageHistoryRequest) return;
+  const pageData = await getPageContent(pageTab);
+  if (!pageData || !pageData.content || request !== pageHistoryRequest) return;
+  const diff = await PageHistory.diff(summary, pageData.content);
+  if (diff.changed && request === pageHistoryRequest) {
+    showPageChanges({ tab: pageTab, summary, diff, fingerprint: await PageHistory.fingerprint(pageData.content) });
+  }
+}
+
+// conversations: { page, site } from agenWorkDB.getPageConversations()
+function renderPageHistory(conversations, siteName) {
+  const container = document.getElementById('pageHistory');
+  const toggle = document.getElementById('pageHistoryToggle');
+  const list = container.querySelector('.page-history-list');
+  const { page, site } = conversations;
+  
+  const counts = [];
+  if (page.length > 0) {
+    counts.push(`${page.length} earlier conversation${page.length === 1 ? '' : 's'} about this page`);
+  }
+  if (site.length > 0) {
+    counts.push(`${site.length} ${page.length > 0 ? 'more' : `conversation${site.length === 1 ? '' : 's'}`} on ${siteName}`);
+  }
+  toggle.querySelector('.page-history-count').textContent = counts.join(' · ');
+  toggle.classList.toggle('visible', counts.length > 0);
+  
+  list.innerHTML = '';
+  const addGroup = (heading, items) => {
+    if (items.length === 0) return;
+    const headingItem = document.createElement('li');
+    headingItem.className = 'page-history-heading';
+    headingItem.textContent = heading;
+    list.appendChild(headingItem);
+    items.slice(0, PAGE_HISTORY_LIMIT).forEach(conversation => {
+      const item = document.createElement('li');
+      item.className = 'page-history-item';
+      item.dataset.conversationId = conversation.id;
+      const title = document.createElement('span');
+      title.className = 'page-history-title';
+      title.textContent = conversation.title;
+      const date = document.createElement('span');
+      date.className = 'page-history-date';
+      date.textContent = formatDate(conversation.updatedAt);
+      item.append(title, date);
+      list.appendChild(item);
+    });
+  };
+  addGroup('This page', page);
+  addGroup(`Other pages on ${siteName}`, site);
+  
+  if (counts.length === 0) {
+    container.classList.remove('open');
+  }
+  updatePageHistoryVisibility();
+}
+
+// changes: { tab, summary, diff, fingerprint }, or null to hide the notice
+function showPageChanges(changes) {
+  pageChanges = changes;
+  const notice = document.querySelector('.page-history-changed');
+  if (changes) {
+    const { diff, summary } = changes;
+    const parts = [];
+    if (diff.added.length > 0) parts.push(`${diff.added.length} new or changed section${diff.added.length === 1 ? '' : 's'}`);
+    if (diff.removed > 0) parts.push(`${diff.removed} removed`);
+    notice.querySelector('.page-history-changed-text').textContent =
+      `This page changed since your summary (${formatDate(summary.timestamp)})${parts.length > 0 ? `: ${parts.join(', ')}` : ''}`;
+  }
+  notice.classList.toggle('visible', !!changes);
+  updatePageHistoryVisibility();
+}
+
+function updatePageHistoryVisibility() {
+  const container = document.getElementById('pageHistory');
+  const visible = document.getElementById('pageHistoryToggle').classList.contains('visible') ||
+    document.querySelector('.page-history-changed').classList.contains('visible');
+  container.classList.toggle('visible', visible);
+}
+
+// Summarize only what is new on a page since its last summary, in the conversation holding that summary
+async function summarizePageChanges() {
+  const changes = pageChanges;
+  if (!changes || activeRequest) return;
+  showPageChanges(null);
+  
+  if (currentConversationId !== changes.summary.conversationId) {
+    await loadConversation(changes.summary.conversationId);
+  }
+  
+  const request = 'Summarize what changed on this page since my last summary';
+  addMessageToChat(request, 'user');
+  showTypingIndicator();
+  
+  const controller = beginActiveRequest();
+  const stream = { message: null, texts: new Map() };
+  const streamCallbacks = createStreamCallbacks(stream, controller.signal);
+  
+  try {
+    const response = await buildChangesSummary(changes, streamCallbacks);
+    hideTypingIndicator();
+    if (stream.message) {
+      updateStreamingMessage(stream.message, response, true);
+    } else {
+      addMessageToChat(response, 'agent', 'summarizer');
+    }
+    
+    const { tab, fingerprint } = changes;
+    await saveConversation(request, response, 'summarizer', { pageUrl: tab.url, pageTitle: tab.title, ...fingerprint });
+    updateStatus('Ready', 'success');
+  } catch (error) {
+    hideTypingIndicator();
+    if (AIUtils.isAbortError(error)) {
+      showStoppedMessage(stream);
+      updateStatus('Stopped', 'warning');
+      return;
+    }
+    console.error('Failed to summarize page changes:', error);
+    const errorMessage = `Sorry, I could not summarize the changes: ${error.message}`;
+    if (stream.message) {
+      updateStreamingMessage(stream.message, errorMessage, true);
+    } else {
+      addMessageToChat(errorMessage, 'agent');
+    }
+    updateStatus('Error summarizing changes', 'error');
+  } finally {
+    endActiveRequest(controller);
+  }
+}
+
+// Markdown answer for summarizePageChanges(): the Summarizer is given only the new blocks, with the
+// previous summary as context so it reports what is new rather than the whole page again
+async function buildChangesSummary({ tab, summary, diff }, streamCallbacks) {
+  const since = formatDate(summary.timestamp);
+  const removedNote = diff.removed > 0 ? ` ${diff.removed} section${diff.removed === 1 ? ' was' : 's were'} removed.` : '';
+  const addedText = diff.added.join('\n\n');
+  
+  let body;
+  if (diff.added.length === 0) {
+    body = `Nothing new was added since your summary (${since}).${removedNote}`;
+  } else if (addedText.length < PAGE_PREVIEW_LENGTH) {
+    // Too little to summarize: show the new text itself
+    body = diff.added.map(block => `> ${block}`).join('\n>\n');
+  } else {
+    if (!aiAgents) {
+      throw new Error('AI system is not initialized');
+    }
+    updateStatus('Summarizing page changes...', 'processing');
+    const context = `These sections are new or changed on the web page "${tab.title}" since it was last summarized. ` +
+      `Summarize what is new. The previous summary was: ${summary.message.content.slice(0, 1000)}`;
+    let streamed = '';
+    body = await aiAgents.summarizeStreaming(addedText, context, null, (chunk) => {
+      streamed += chunk;
+      streamCallbacks.onChunk({ agent: 'summarizer', step: 1, text: streamed });
+    }, { signal: streamCallbacks.signal });
+  }
+  
+  return `## What changed on "${tab.title}"\n\n${body}\n\n---\n*Compared with your summary from ${since}: ` +
+    `${diff.added.length} new or changed, ${diff.removed} removed, ${diff.unchanged} unchanged sections.*`;
+}
+
+// Tab picker: the selected tabs are summarized one by one and then compared by the Prompter
+function initializeTabPicker() {
+  const picker = document.getElementById('tabPicker');
+  picker.querySelector('.tab-picker-max').textContent = TabResearch.MAX_TABS;
+  
+  document.getElementById('tabPickerBtn').addEventListener('click', () => {
+    if (picker.classList.toggle('open')) {
+      renderTabPicker();
+    }
+  });
+  
+  document.getElementById('clearTabSelectionBtn').addEventListener('click', () => {
+    selectedTabIds.clear();
+    updateTabPickerButton();
+    renderTabPicker();
+  });
+  
+  picker.querySelector('.tab-picker-list').addEventListener('change', (e) => {
+    const tabId = Number(e.target.value);
+    if (e.target.checked) {
+      selectedTabIds.add(tabId);
+    } else {
+      selectedTabIds.delete(tabId);
+    }
+    updateTabPickerButton();
+    renderTabPicker();
+  });
+  
+  if (chrome.tabs) {
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      if (selectedTabIds.delete(tabId)) {
+        updateTabPickerButton();
+      }
+    });
+  }
+}
+
+// List the window's web pages; once the limit is reached only selected tabs can be changed
+async function renderTabPicker() {
+  const list = document.querySelector('#tabPicker .tab-picker-list');
+  let tabs = [];
+  try {
+    const query = currentWindowId !== null ? { windowId: currentWindowId } : { currentWindow: true };
+    tabs = (await chrome.tabs.query(query)).filter(isPageTab);
+  } catch (error) {
+    console.warn('Could not list tabs:', error);
+  }
+  
+  list.innerHTML = '';
+  if (tabs.length === 0) {
+    const empty = document.createElement('li');
+    empty.textContent = 'No web pages open in this window';
+    list.appendChild(empty);
+    return;
+  }
+  
+  const full = selectedTabIds.size >= TabResearch.MAX_TABS;
+  tabs.forEach(tab => {
+    const item = document.createElement('li');
+    const label = document.createElement('label');
+    label.title = tab.url;
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = tab.id;
+    checkbox.checked = selectedTabIds.has(tab.id);
+    checkbox.disabled = full && !checkbox.checked;
+    
+    const title = document.createElement('span');
+    title.className = 'tab-title';
+    title.textContent = tab.title || tab.url;
+    
+    const host = document.createElement('span');
+    host.className = 'tab-host';
+    host.textContent = new URL(tab.url).hostname;
+    
+    label.append(checkbox, title, host);
+    item.appendChild(label);
+    list.appendChild(item);
+  });
+}
+
+function updateTabPickerButton() {
+  const button = document.getElementById('tabPickerBtn');
+  button.classList.toggle('active', selectedTabIds.size > 0);
+  button.querySelector('.tab-picker-count').textContent = selectedTabIds.size || '';
+  button.title = selectedTabIds.size > 0
+    ? `${selectedTabIds.size} tab(s) selected - messages are answered from these tabs`
+    : 'Select tabs to summarize and compare';
+}
+
+// Dropping text, links or images from the page onto the chat adds them to the message being typed
+function initializePageDrop() {
+  const chatView = document.getElementById('chatView');
+  const inputContainer = document.querySelector('.input-container');
+  let dragDepth = 0;
+  
+  const clearDragState = () => {
+    dragDepth = 0;
+    inputContainer.classList.remove('drag-over');
+  };
+  
+  chatView.addEventListener('dragenter', (e) => {
+    if (hasDroppableContent(e.dataTransfer)) {
+      dragDepth++;
+      inputContainer.classList.add('drag-over');
+    }
+  });
+  
+  chatView.addEventListener('dragover', (e) => {
+    if (hasDroppableContent(e.dataTransfer)) {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    }
+  });
+  
+  chatView.addEventListener('dragleave', () => {
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) {
+      inputContainer.classList.remove('drag-over');
+    }
+  });
+  
+  chatView.addEventListener('drop', (e) => {
+    clearDragState();
+    const content = getDroppedContent(e.dataTransfer);
+    if (!content) {
+      return;
+    }
+    e.preventDefault();
+    insertIntoMessageInput(content);
+  });
+}
+
+function hasDroppableContent(dataTransfer) {
+  return !!dataTransfer && Array.from(dataTransfer.types || []).some(type => type === 'text/plain' || type === 'text/uri-list');
+}
+
+// Markdown for dropped content: selected text is quoted, links and images keep their URL
+function getDroppedContent(dataTransfer) {
+  const text = (dataTransfer.getData('text/plain') || '').trim();
+  const url = (dataTransfer.getData('text/uri-list') || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .find(line => line && !line.startsWith('#'));
+  
+  if (url && (!text || text === url)) {
+    return url;
+  }
+  return text ? quoteText(text) : '';
+}
+
+// Markdown block quote
+function quoteText(text) {
+  return text.split(/\r?\n/).map(line => `> ${line}`).join('\n');
+}
+
+function insertIntoMessageInput(content) {
+  const messageInput = document.getElementById('messageInput');
+  const current = messageInput.value.trim();
+  messageInput.value = current ? `${current}\n\n${content}\n\n` : `${content}\n\n`;
+  
+  // Re-run the input handler to enable Send and resize the textarea
+  messageInput.dispatchEvent(new Event('input'));
+  messageInput.focus();
+  messageInput.setSelectionRange(messageInput.value.length, messageInput.value.length);
+  updateStatus('Added dropped content to your message', 'success');
+}
+
+// KEYBOARD COMMANDS
+// background.js opens the side panel (or floating chat) for a shortcut and leaves the command in session storage
+
+// Quick-action prompts run by the page commands, the same ones offered in the agent accordion
+const COMMAND_PROMPTS = {
+  'summarize-page': 'Summarize this page in key points',
+  'translate-page': 'Translate this page to my preferred language'
+};
+
+// Runs once the database and AI agents are set up
+async function onChatReady() {
+  if (uiSurface === 'sidepanel') {
+    await resumeHandedOffConversation();
+  }
+  initializeCommandHandling();
+}
+
+// Run the pending command now and any command sent while this surface stays open
+function initializeCommandHandling() {
+  if (uiSurface === 'popup' || !chrome.storage || !chrome.storage.session) {
+    return;
+  }
+  
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'session' && changes.pendingCommand && changes.pendingCommand.newValue) {
+      runPendingCommand(changes.pendingCommand.newValue);
+    }
+  });
+  
+  chrome.storage.session.get(['pendingCommand'])
+    .then(({ pendingCommand }) => {
+      if (pendingCommand) {
+        runPendingCommand(pendingCommand);
+      }
+    })
+    .catch(error => console.warn('Could not read pending command:', error));
+}
+
+function runPendingCommand(pendingCommand) {
+  // Each command runs once, on the surface and window it was sent to, shortly after the key press
+  if (pendingCommand.surface !== uiSurface || pendingCommand.id === lastCommandId ||
+      (currentWindowId !== null && pendingCommand.windowId !== currentWindowId) ||
+      Date.now() - pendingCommand.createdAt > 30000) {
+    return;
+  }
+  lastCommandId = pendingCommand.id;
+  chrome.storage.session.remove('pendingCommand');
+  console.log('⌨️ Running keyboard command:', pendingCommand.command);
+  
+  if (currentView !== 'chat') {
+    switchView('chat');
+  }
+  
+  const messageInput = document.getElementById('messageInput');
+  if (COMMAND_PROMPTS[pendingCommand.command]) {
+    if (activeRequest) {
+      updateStatus('Finish or stop the current request first', 'warning');
+      return;
+    }
+    handlePromptAction(pendingCommand.command, COMMAND_PROMPTS[pendingCommand.command]);
+  } else if (pendingCommand.command === 'act-on-selection') {
+    if (pendingCommand.text) {
+      insertIntoMessageInput(quoteText(pendingCommand.text));
+    } else {
+      messageInput.focus();
+      updateStatus('Select some text on the page first', 'warning');
+    }
+  } else {
+    messageInput.focus();
+  }
+}
+
+// List the extension's commands with their current shortcuts (set at chrome://extensions/shortcuts)
+async function renderCommandShortcuts() {
+  const container = document.getElementById('commandShortcuts');
+  if (!container || !chrome.commands) {
+    return;
+  }
+  try {
+    const commands = await chrome.commands.getAll();
+    container.innerHTML = '';
+    commands
+      .filter(command => command.description)
+      .forEach(command => {
+        const line = document.createElement('p');
+        line.textContent = `${command.description}: ${command.shortcut || 'Not set'}`;
+        container.appendChild(line);
+      });
+  } catch (error) {
+    console.error('Failed to load keyboard shortcuts:', error);
+    container.innerHTML = '<p>Unable to load keyboard shortcuts</p>';
+  }
+}
+
 // Send message
 async function sendMessage() {
   const messageInput = document.getElementById('messageInput');
   const message = messageInput.value.trim();
   
-  if (!message) return;
+  if (!message || activeRequest) return;
+  
+  // Page the message is about, saved with it so history search can filter by page
+  // (processMessage returns it with a content fingerprint when it could read the page)
+  const tab = await getActiveTab();
+  const page = isPageTab(tab) ? { pageUrl: tab.url, pageTitle: tab.title } : null;
   
   // Clear input and disable send button
   messageInput.value = '';
@@ -604,9 +1352,16 @@ async function sendMessage() {
   // Show typing indicator
   showTypingIndicator();
   
+  const controller = beginActiveRequest();
+  const stream = { message: null, texts: new Map() };
+  const streamCallbacks = createStreamCallbacks(stream, controller.signal);
+  
+  // Result cache hits during this request mean (part of) the answer was not generated again
+  const cacheHits = ResultCache.shared.getStats().hits;
+  
   try {
     // Process message with AI
-    const result = await processMessage(message);
+    const result = await processMessage(message, streamCallbacks);
     const response = result.response || result;
     const agentType = result.agentType || 'prompter';
     
@@ -615,22 +1370,238 @@ async function sendMessage() {
     
     // Add AI response to chat (only if there's a response)
     if (response) {
-      addMessageToChat(response, 'agent');
+      if (stream.message) {
+        // Replace the streamed draft with the final formatted response
+        updateStreamingMessage(stream.message, response, true);
+      } else {
+        stream.message = addMessageToChat(response, 'agent');
+      }
+      addRetryControls(stream.message, result.coordinationResult, agentType, result.page || page);
+      if (ResultCache.shared.getStats().hits > cacheHits) {
+        addRegenerateControl(stream.message, message, response, agentType);
+      }
       
       // Save conversation
-      await saveConversation(message, response, agentType);
+      await saveConversation(message, response, agentType, result.page || page);
+      
+      // Keep the Prompter's conversation memory in sync for follow-up questions
+      if (aiAgents && typeof aiAgents.recordConversationExchange === 'function') {
+        aiAgents.recordConversationExchange(message, response, currentConversationId)
+          .catch(error => console.warn('Failed to update conversation memory:', error));
+      }
+    } else if (stream.message) {
+      stream.message.remove();
     }
     
   } catch (error) {
-    console.error('Error processing message:', error);
     hideTypingIndicator();
-    addMessageToChat('Sorry, I encountered an error processing your message. Please try again.', 'agent');
+    if (AIUtils.isAbortError(error)) {
+      console.log('⏹️ Message processing stopped by user');
+      showStoppedMessage(stream);
+      updateStatus('Stopped', 'warning');
+      return;
+    }
+    console.error('Error processing message:', error);
+    const errorMessage = 'Sorry, I encountered an error processing your message. Please try again.';
+    if (stream.message) {
+      updateStreamingMessage(stream.message, errorMessage, true);
+    } else {
+      addMessageToChat(errorMessage, 'agent');
+    }
     updateStatus('Error processing message', 'error');
+  } finally {
+    endActiveRequest(controller);
+  }
+}
+
+// Streaming callbacks that render partial step output into one agent bubble
+// stream: { message, texts } - the bubble is created on the first chunk unless stream.message is set
+function createStreamCallbacks(stream, signal) {
+  return {
+    signal,
+    onStepStart: (event) => {
+      const stepLabel = event.totalSteps ? ` (step ${event.step}/${event.totalSteps})` : '';
+      updateStatus(`Running ${event.agent}${stepLabel}...`, 'processing');
+      // Sequential steps replace each other, concurrent steps are shown side by side
+      if (event.executionType !== 'parallel' && !event.concurrent) {
+        stream.texts.clear();
+      }
+    },
+    onChunk: (event) => {
+      stream.texts.set(event.output || event.step, { agent: event.agent, text: event.text });
+      if (!stream.message) {
+        hideTypingIndicator();
+        stream.message = addMessageToChat('', 'agent', event.agent, { streaming: true });
+      }
+      updateStreamingMessage(stream.message, formatStreamTexts(stream.texts));
+    },
+    onStepComplete: (event) => {
+      if (!event.success) {
+        console.warn(`Step ${event.step} (${event.agent}) failed:`, event.error);
+      }
+    }
+  };
+}
+
+// Start a cancellable request and show the Stop button in place of Send
+function beginActiveRequest() {
+  const controller = new AbortController();
+  activeRequest = controller;
+  document.querySelector('.input-container').classList.add('running');
+  return controller;
+}
+
+function endActiveRequest(controller) {
+  if (activeRequest !== controller) return;
+  activeRequest = null;
+  document.querySelector('.input-container').classList.remove('running');
+}
+
+// Stop button: abort every in-flight agent call of the current request
+function stopActiveRequest() {
+  if (!activeRequest) return;
+  activeRequest.abort();
+  updateStatus('Stopping...', 'processing');
+}
+
+// Keep whatever was streamed before the request was stopped
+function showStoppedMessage(stream) {
+  const stoppedNote = '*⏹️ Stopped before the response was complete.*';
+  if (stream.message) {
+    const partial = formatStreamTexts(stream.texts);
+    updateStreamingMessage(stream.message, partial ? `${partial}\n\n---\n\n${stoppedNote}` : stoppedNote, true);
+  } else {
+    addMessageToChat(stoppedNote, 'agent');
+  }
+}
+
+// Add a Retry button for each failed step of a multi-step plan (skipped steps re-run with it)
+// page: the page metadata the answer was saved with, saved again with the retried answer
+function addRetryControls(messageElement, coordinationResult, agentType = 'prompter', page = null) {
+  if (!messageElement) return;
+  const bubble = messageElement.querySelector('.message-bubble');
+  const existing = bubble.querySelector('.retry-steps');
+  if (existing) existing.remove();
+  
+  if (!coordinationResult || !coordinationResult.processingStats || !coordinationResult.processingStats.isMultiStep) return;
+  const failedSteps = coordinationResult.results.filter(result => !result.success && !result.skipped);
+  if (failedSteps.length === 0) return;
+  
+  const container = document.createElement('div');
+  container.className = 'retry-steps';
+  for (const entry of failedSteps) {
+    const button = document.createElement('button');
+    button.className = 'retry-step-btn';
+    button.title = entry.error || 'Run this step again';
+    const icon = document.createElement('i');
+    icon.className = 'fas fa-redo';
+    button.append(icon, ` Retry step ${entry.step} (${entry.agent}.${entry.action})`);
+    button.addEventListener('click', () => retryFailedStep(messageElement, coordinationResult, entry, agentType, page));
+    container.appendChild(button);
   }
+  bubble.appendChild(container);
+}
+
+// Re-run one failed plan step and replace the message with the updated result
+async function retryFailedStep(messageElement, coordinationResult, entry, agentType, page = null) {
+  if (activeRequest || !aiAgents) return;
+  
+  const controller = beginActiveRequest();
+  const stream = { message: messageElement, texts: new Map() };
+  messageElement.querySelectorAll('.retry-step-btn').forEach(button => { button.disabled = true; });
+  messageElement.classList.add('streaming');
+  
+  try {
+    const retried = await aiAgents.retryPlanStep(coordinationResult, entry.output, createStreamCallbacks(stream, controller.signal));
+    const response = aiAgents.getDisplayableResult(retried);
+    updateStreamingMessage(messageElement, response, true);
+    addRetryControls(messageElement, retried, agentType, page);
+    
+    const stats = retried.processingStats;
+    if (stats.failedSteps > 0) {
+      updateStatus(`Partially completed (${stats.successfulSteps}/${stats.totalSteps} steps)`, 'warning');
+    } else {
+      updateStatus('Retried step completed', 'success');
+    }
+    
+    // The retried answer is stored as a new assistant message. saveConversation reports storage
+    // errors itself, so a failed save never reverts the retried result below
+    await saveConversation(null, response, agentType, page, { retriedStep: entry.step });
+  } catch (error) {
+    // The previous result stays in place, so the step can be retried again
+    const stopped = AIUtils.isAbortError(error);
+    console.error('Step retry failed:', error);
+    updateStreamingMessage(messageElement, aiAgents.getDisplayableResult(coordinationResult), true);
+    addRetryControls(messageElement, coordinationResult, agentType, page);
+    updateStatus(stopped ? 'Stopped' : `Retry failed: ${error.message}`, stopped ? 'warning' : 'error');
+  } finally {
+    endActiveRequest(controller);
+  }
+}
+
+// Regenerate button under an answer that used cached summaries or translations
+function addRegenerateControl(messageElement, userMessage, response, agentType = 'prompter') {
+  if (!messageElement) return;
+  const bubble = messageElement.querySelector('.message-bubble');
+  const existing = bubble.querySelector('.regenerate-control');
+  if (existing) existing.remove();
+  
+  const container = document.createElement('div');
+  container.className = 'regenerate-control';
+  const button = document.createElement('button');
+  button.className = 'regenerate-btn';
+  button.title = 'Run the agents again instead of using the cached result';
+  const icon = document.createElement('i');
+  icon.className = 'fas fa-redo';
+  button.append(icon, ' Regenerate');
+  button.addEventListener('click', () => regenerateResponse(messageElement, userMessage, response, agentType));
+  container.appendChild(button);
+  bubble.appendChild(container);
+}
+
+// Answer the same message again without the result cache and replace the cached answer
+async function regenerateResponse(messageElement, userMessage, previousResponse, agentType) {
+  if (activeRequest || !aiAgents) return;
+  
+  const controller = beginActiveRequest();
+  const stream = { message: messageElement, texts: new Map() };
+  messageElement.querySelectorAll('.regenerate-btn').forEach(button => { button.disabled = true; });
+  messageElement.classList.add('streaming');
+  
+  try {
+    const result = await processMessage(userMessage, { ...createStreamCallbacks(stream, controller.signal), regenerate: true });
+    const response = result.response || result;
+    updateStreamingMessage(messageElement, response, true);
+    addRetryControls(messageElement, result.coordinationResult, agentType, result.page);
+    
+    // The fresh answer is stored as a new assistant message (and replaces the cached one)
+    await saveConversation(null, response, result.agentType || agentType, result.page, { regenerated: true });
+  } catch (error) {
+    // The cached answer stays in place, so it can be regenerated again
+    const stopped = AIUtils.isAbortError(error);
+    console.error('Regenerate failed:', error);
+    updateStreamingMessage(messageElement, previousResponse, true);
+    addRegenerateControl(messageElement, userMessage, previousResponse, agentType);
+    updateStatus(stopped ? 'Stopped' : `Regenerate failed: ${error.message}`, stopped ? 'warning' : 'error');
+  } finally {
+    endActiveRequest(controller);
+  }
+}
+
+// Combine partial streamed text from one or more plan steps into markdown
+function formatStreamTexts(streamTexts) {
+  const entries = Array.from(streamTexts.values());
+  if (entries.length === 1) {
+    return entries[0].text;
+  }
+  return entries.map(entry => {
+    const header = `### ${entry.agent.charAt(0).toUpperCase() + entry.agent.slice(1)} Result\n\n`;
+    return header + entry.text;
+  }).join('\n\n---\n\n');
 }
 
 // Process message with appropriate AI agent
-async function processMessage(message) {
+async function processMessage(message, streamCallbacks = {}) {
   console.log('🚀 Starting message processing:', message);
   updateStatus('Initializing AI agents...', 'processing');
   
@@ -654,15 +1625,29 @@ async function processMessage(message) {
   // Get current page context for better AI intent detection
   updateStatus('Gathering page context...', 'processing');
   let pageContext = null;
+  let page = null;
   try {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (tab && tab.url && !tab.url.startsWith('chrome://') && !tab.url.startsWith('chrome-extension://')) {
+    // In the side panel this is the tab the user is looking at now, not the one the panel opened on
+    const tab = await getActiveTab();
+    if (isPageTab(tab)) {
+      // Extracted content lets questions about the page be answered from the page itself
+      const pageData = await getPageContent(tab);
       pageContext = {
         title: tab.title,
         url: tab.url,
-        contentPreview: null // We'll add content preview later if needed
+        contentPreview: pageData ? (pageData.excerpt || pageData.content).slice(0, PAGE_PREVIEW_LENGTH) : null,
+        content: pageData ? pageData.content : null,
+        contentType: pageData ? pageData.contentType || null : null,
+        outline: pageData ? pageData.outline || [] : []
+      };
+      console.log('📄 Page context gathered:', { ...pageContext, content: pageContext.content ? `${pageContext.content.length} characters` : null });
+      
+      // Saved with the messages: links the conversation to the page and records what the page said
+      page = {
+        pageUrl: tab.url,
+        pageTitle: tab.title,
+        ...(pageData && pageData.content ? await PageHistory.fingerprint(pageData.content) : {})
       };
-      console.log('📄 Page context gathered:', pageContext);
     } else {
       console.log('📄 No valid page context available');
     }
@@ -670,6 +1655,14 @@ async function processMessage(message) {
     console.log('⚠️ Could not get page context:', error);
   }
   
+  // Selected tabs are read in full; the agents summarize each one and compare them
+  if (selectedTabIds.size > 0) {
+    updateStatus(`Reading ${selectedTabIds.size} selected tab(s)...`, 'processing');
+    const pages = await ChromeIntegration.extractTabsContent([...selectedTabIds]);
+    pageContext = { ...(pageContext || { title: 'Selected tabs', url: '' }), pages };
+    console.log('🗂️ Selected tabs extracted:', pages.map(page => ({ title: page.title, error: page.error || null })));
+  }
+  
   // Use Enhanced Smart Multi-Agent Coordination System
   updateStatus('Starting smart multi-agent coordination...', 'processing');
   let coordinationResult;
@@ -678,10 +1671,10 @@ async function processMessage(message) {
     console.log('🧠 Initiating smart multi-agent coordination with enhanced triage...');
     // Use smart triage if available, fallback to regular coordination
     if (typeof aiAgents.smartTriage === 'function') {
-      coordinationResult = await aiAgents.smartTriage(message, pageContext);
+      coordinationResult = await aiAgents.smartTriage(message, pageContext, streamCallbacks);
     } else {
       console.warn('⚠️ Smart triage not available, using regular coordination');
-      coordinationResult = await aiAgents.coordinateTask(message, pageContext);
+      coordinationResult = await aiAgents.coordinateTask(message, pageContext, streamCallbacks);
     }
     console.log('✅ Smart multi-agent coordination completed:', coordinationResult);
     
@@ -725,10 +1718,15 @@ async function processMessage(message) {
       coordinationResult: coordinationResult,
       multiAgent: true,
       stats: stats,
-      intentAnalysis: intentInfo
+      intentAnalysis: intentInfo,
+      page: page
     };
     
   } catch (error) {
+    // A stopped request must not be answered by the fallback handlers
+    if (AIUtils.isAbortError(error) || (streamCallbacks.signal && streamCallbacks.signal.aborted)) {
+      throw error;
+    }
     console.error('AI coordination failed, falling back to simple processing:', error);
     
     // Fallback to simple intent detection and processing
@@ -759,7 +1757,8 @@ async function processMessage(message) {
     return {
       response: `*⚠️ Fallback mode: ${intent.reasoning}*\n\n${response}`,
       agentType: intent.primary === 'research' ? 'prompter' : intent.primary,
-      intentAnalysis: intent
+      intentAnalysis: intent,
+      page: page
     };
   }
 }
@@ -886,7 +1885,7 @@ async function handleSummarizeRequest(message, intent) {
       updateStatus('Checking Summarizer API availability...', 'processing');
       
       try {
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const tab = await getActiveTab();
         if (!tab) {
           throw new Error('No active tab found');
         }
@@ -1135,13 +2134,73 @@ function handleQuickAction(action) {
   document.getElementById('sendBtn').disabled = false;
 }
 
+// Render the quick-action accordion from the agents registered in AgentRegistry
+function renderAgentAccordion() {
+  const container = document.getElementById('agentAccordion');
+  if (!container || typeof AgentRegistry === 'undefined') {
+    return;
+  }
+  
+  container.innerHTML = '';
+  AgentRegistry.getUIEntries().forEach(entry => {
+    const definition = AgentRegistry.get(entry.name);
+    const action = Object.keys(definition.intents)[0] || entry.name;
+    
+    const item = document.createElement('div');
+    item.className = 'accordion-item';
+    
+    const header = document.createElement('button');
+    header.className = 'accordion-header';
+    header.dataset.agent = entry.name;
+    const headerContent = document.createElement('div');
+    headerContent.className = 'accordion-header-content';
+    const headerIcon = document.createElement('i');
+    headerIcon.className = entry.icon;
+    const title = document.createElement('span');
+    title.className = 'accordion-title';
+    title.textContent = entry.title;
+    headerContent.append(headerIcon, title);
+    const chevron = document.createElement('i');
+    chevron.className = 'fas fa-chevron-down accordion-icon';
+    header.append(headerContent, chevron);
+    
+    const content = document.createElement('div');
+    content.className = 'accordion-content';
+    entry.prompts.forEach(promptDef => {
+      const btn = document.createElement('button');
+      btn.className = 'prompt-btn';
+      btn.dataset.action = promptDef.action || action;
+      btn.dataset.prompt = promptDef.prompt;
+      if (promptDef.send === false) {
+        btn.dataset.send = 'false';
+      }
+      const icon = document.createElement('i');
+      icon.className = promptDef.icon || 'fas fa-comment';
+      btn.append(icon, document.createTextNode(` ${promptDef.label}`));
+      content.appendChild(btn);
+    });
+    
+    item.appendChild(header);
+    item.appendChild(content);
+    container.appendChild(item);
+  });
+}
+
 // Handle prompt action from accordion buttons
-function handlePromptAction(action, prompt) {
+// Prompts that need the user's own text (send = false) are only placed in the input
+function handlePromptAction(action, prompt, send = true) {
   const messageInput = document.getElementById('messageInput');
   
   // Set the message input to the prompt
   messageInput.value = prompt;
   
+  if (!send) {
+    messageInput.focus();
+    messageInput.setSelectionRange(messageInput.value.length, messageInput.value.length);
+    messageInput.dispatchEvent(new Event('input'));
+    return;
+  }
+  
   // Auto-send the request after a brief delay
   setTimeout(() => {
     sendMessage();
@@ -1149,7 +2208,8 @@ function handlePromptAction(action, prompt) {
 }
 
 // Add message to chat
-function addMessageToChat(message, sender, agentType = 'prompter') {
+// Returns the message element so streaming responses can be updated in place
+function addMessageToChat(message, sender, agentType = 'prompter', options = {}) {
   const messagesContainer = document.getElementById('messagesContainer');
   
   // Hide welcome message if it exists
@@ -1165,6 +2225,9 @@ function addMessageToChat(message, sender, agentType = 'prompter') {
   
   const messageElement = document.createElement('div');
   messageElement.className = `message ${sender}`;
+  if (options.streaming) {
+    messageElement.classList.add('streaming');
+  }
   
   const avatar = document.createElement('div');
   avatar.className = 'message-avatar';
@@ -1177,15 +2240,9 @@ function addMessageToChat(message, sender, agentType = 'prompter') {
   const contentDiv = document.createElement('div');
   contentDiv.className = 'markdown-content';
   
-  // Render markdown for agent messages, keep plain text for user messages
-  if (sender === 'agent' && window.MarkdownRenderer) {
-    try {
-      const renderedHtml = MarkdownRenderer.render(message);
-      contentDiv.innerHTML = renderedHtml;
-    } catch (error) {
-      console.warn('Markdown rendering failed, using plain text:', error);
-      contentDiv.textContent = message;
-    }
+  // Render markdown for agent messages, keep plain text for user messages
+  if (sender === 'agent') {
+    renderMarkdownInto(contentDiv, message);
   } else {
     contentDiv.textContent = message;
   }
@@ -1216,6 +2273,56 @@ function addMessageToChat(message, sender, agentType = 'prompter') {
     top: messagesContainer.scrollHeight,
     behavior: 'smooth'
   });
+  
+  return messageElement;
+}
+
+// Render markdown into a content element, falling back to plain text
+function renderMarkdownInto(contentDiv, message) {
+  if (!window.MarkdownRenderer) {
+    contentDiv.textContent = message;
+    return;
+  }
+  try {
+    contentDiv.innerHTML = MarkdownRenderer.render(message);
+  } catch (error) {
+    console.warn('Markdown rendering failed, using plain text:', error);
+    contentDiv.textContent = message;
+  }
+}
+
+// Progressively re-render a streaming agent message (throttled to one render per frame)
+function updateStreamingMessage(messageElement, markdown, isFinal = false) {
+  if (!messageElement) return;
+  
+  messageElement._pendingMarkdown = markdown;
+  
+  const render = () => {
+    messageElement._renderScheduled = false;
+    const contentDiv = messageElement.querySelector('.markdown-content');
+    if (!contentDiv) return;
+    
+    const messagesContainer = document.getElementById('messagesContainer');
+    // Only keep following the stream if the user hasn't scrolled up
+    const nearBottom = messagesContainer.scrollHeight - messagesContainer.scrollTop - messagesContainer.clientHeight < 60;
+    
+    renderMarkdownInto(contentDiv, messageElement._pendingMarkdown || '');
+    
+    if (nearBottom) {
+      messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
+  };
+  
+  if (isFinal) {
+    messageElement.classList.remove('streaming');
+    render();
+    return;
+  }
+  
+  if (!messageElement._renderScheduled) {
+    messageElement._renderScheduled = true;
+    requestAnimationFrame(render);
+  }
 }
 
 // Show/hide typing indicator
@@ -1423,7 +2530,8 @@ async function loadSettings() {
         translator: settings.translatorEnabled ?? true,
         writer: settings.writerEnabled ?? true,
         prompter: settings.prompterEnabled ?? true,
-        language: validLanguage // CRITICAL FIX: Include language in aiSettings
+        language: validLanguage, // CRITICAL FIX: Include language in aiSettings
+        stepTimeout: settings.stepTimeoutSeconds ?? 120
       }
     };
     
@@ -1458,12 +2566,14 @@ function updateUIWithSettings(settings) {
     const writerToggle = document.getElementById('writerToggle');
     const prompterToggle = document.getElementById('prompterToggle');
     const aiLanguageSelect = document.getElementById('aiLanguageSelect');
+    const stepTimeoutSelect = document.getElementById('stepTimeoutSelect');
     
     if (summarizerToggle) summarizerToggle.checked = settings.aiSettings.summarizer ?? true;
     if (translatorToggle) translatorToggle.checked = settings.aiSettings.translator ?? true;
     if (writerToggle) writerToggle.checked = settings.aiSettings.writer ?? true;
     if (prompterToggle) prompterToggle.checked = settings.aiSettings.prompter ?? true;
     if (aiLanguageSelect) aiLanguageSelect.value = settings.aiSettings.language ?? 'en';
+    if (stepTimeoutSelect) stepTimeoutSelect.value = String(settings.aiSettings.stepTimeout ?? 120);
   }
 }
 
@@ -1477,6 +2587,8 @@ async function saveSettings() {
     const writerToggle = document.getElementById('writerToggle');
     const prompterToggle = document.getElementById('prompterToggle');
     const aiLanguageSelect = document.getElementById('aiLanguageSelect');
+    const stepTimeoutSelect = document.getElementById('stepTimeoutSelect');
+    const stepTimeout = stepTimeoutSelect ? Number(stepTimeoutSelect.value) : 120;
     
     // Save individual settings to database
     const settingsToSave = [
@@ -1486,7 +2598,8 @@ async function saveSettings() {
       { key: 'translatorEnabled', value: translatorToggle ? translatorToggle.checked : true },
       { key: 'writerEnabled', value: writerToggle ? writerToggle.checked : true },
       { key: 'prompterEnabled', value: prompterToggle ? prompterToggle.checked : true },
-      { key: 'aiLanguage', value: aiLanguageSelect ? aiLanguageSelect.value : 'en' }
+      { key: 'aiLanguage', value: aiLanguageSelect ? aiLanguageSelect.value : 'en' },
+      { key: 'stepTimeoutSeconds', value: stepTimeout }
     ];
     
     // Save each setting
@@ -1503,7 +2616,8 @@ async function saveSettings() {
         translator: translatorToggle ? translatorToggle.checked : true,
         writer: writerToggle ? writerToggle.checked : true,
         prompter: prompterToggle ? prompterToggle.checked : true,
-        language: aiLanguageSelect ? aiLanguageSelect.value : 'en'
+        language: aiLanguageSelect ? aiLanguageSelect.value : 'en',
+        stepTimeout: stepTimeout
       }
     };
     
@@ -1575,6 +2689,21 @@ async function handleLanguageChange(e) {
   await saveSettings();
 }
 
+// Handle step timeout change
+async function handleStepTimeoutChange(e) {
+  const seconds = Number(e.target.value);
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    return;
+  }
+  
+  if (aiAgents) {
+    aiAgents.stepTimeoutMs = seconds * 1000;
+  }
+  
+  await saveSettingToDB('stepTimeoutSeconds', seconds);
+  await saveSettings();
+}
+
 // Apply theme to document
 function applyTheme(theme) {
   if (!theme) theme = 'light'; // Default to light theme
@@ -1614,6 +2743,25 @@ async function getSavedLanguagePreference() {
   }
 }
 
+// Get saved step timeout in seconds (default 2 minutes)
+async function getSavedStepTimeout() {
+  try {
+    if (agenWorkDB && agenWorkDB.isInitialized) {
+      const seconds = await agenWorkDB.getSetting('stepTimeoutSeconds');
+      if (seconds) return Number(seconds);
+    }
+    
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['aiSettings'], (result) => {
+        resolve(Number(result.aiSettings?.stepTimeout) || 120);
+      });
+    });
+  } catch (error) {
+    console.warn('Error getting saved step timeout:', error);
+    return 120;
+  }
+}
+
 // Clear all data
 async function clearAllData() {
   if (confirm('Are you sure you want to clear all conversations and settings? This action cannot be undone.')) {
@@ -1622,10 +2770,14 @@ async function clearAllData() {
       if (agenWorkDB.isInitialized) {
         await agenWorkDB.db.conversations.clear();
         await agenWorkDB.db.messages.clear();
+        await agenWorkDB.db.searchIndex.clear();
+        await agenWorkDB.db.resultCache.clear();
         await agenWorkDB.db.settings.clear();
         
         // Reinitialize default settings
         await agenWorkDB.initializeDefaultSettings();
+        await agenWorkDB.loadEncryption();
+        await updateEncryptionStatus();
       }
       
       // Clear Chrome storage as well
@@ -1633,6 +2785,7 @@ async function clearAllData() {
       
       // Reset global variables
       currentConversationId = null;
+      resetConversationMemory();
       
       updateStatus('All data cleared', 'success');
       showNotification('All data cleared successfully', 'success');
@@ -1644,6 +2797,7 @@ async function clearAllData() {
       
       // Reload settings and conversation history
       await loadSettings();
+      await loadSettingsFromDB();
       await loadConversationHistory();
       
     } catch (error) {
@@ -1661,6 +2815,17 @@ async function initializeDatabase() {
     db = agenWorkDB.db;
     console.log('Database initialized successfully');
     
+    // Agents keep finished summaries and translations here (see ResultCache)
+    ResultCache.shared.setStore(agenWorkDB);
+    
+    // Encrypted conversations stay unreadable until the passphrase is entered
+    await updateEncryptionStatus();
+    if (agenWorkDB.isLocked()) {
+      showLockScreen();
+    } else {
+      updatePageHistory(activePageTab);
+    }
+    
     // Load settings after database is ready
     await loadSettingsFromDB();
     
@@ -1675,8 +2840,22 @@ async function initializeDatabase() {
   }
 }
 
-async function saveConversation(userMessage, aiResponse, agentType = 'prompter') {
+// Every chat message is stored through here, so "Save Conversations" applies to all of them.
+// userMessage: null to add only an answer (a retried or regenerated one) to the current conversation
+// page: optional { pageUrl, pageTitle, contentHash, blockHashes } stored in the metadata of both messages
+// metadata: extra fields for the answer's metadata
+async function saveConversation(userMessage, aiResponse, agentType = 'prompter', page = null, metadata = {}) {
   try {
+    // With "Save Conversations" off the chat only lives on screen
+    if (!(await agenWorkDB.getSetting('autoSave', true))) {
+      return false;
+    }
+    
+    // A lone answer belongs to the conversation of the message it answers
+    if (!userMessage && !currentConversationId) {
+      return false;
+    }
+    
     // Create a new conversation if none exists
     if (!currentConversationId) {
       const title = generateConversationTitle(userMessage);
@@ -1688,22 +2867,29 @@ async function saveConversation(userMessage, aiResponse, agentType = 'prompter')
     }
     
     // Add user message
-    await agenWorkDB.addMessage(currentConversationId, 'user', userMessage, agentType);
+    if (userMessage) {
+      await agenWorkDB.addMessage(currentConversationId, 'user', userMessage, agentType, { ...page });
+    }
     
     // Add AI response
     await agenWorkDB.addMessage(currentConversationId, 'assistant', aiResponse, agentType, {
-      timestamp: new Date().toISOString()
+      ...page,
+      timestamp: new Date().toISOString(),
+      ...metadata
     });
     
     // Refresh conversation history in the background
     setTimeout(() => {
       loadConversationHistory();
+      updatePageHistory(activePageTab);
     }, 100);
     
     console.log('Conversation saved successfully');
     return true;
   } catch (error) {
+    // The answer stays on screen; only storing it failed (for example while the database is locked)
     console.error('Failed to save conversation:', error);
+    updateStatus(`Answer not saved: ${error.message}`, 'warning');
     return false;
   }
 }
@@ -1733,6 +2919,8 @@ async function loadConversationHistory() {
       conversationsList.appendChild(conversationItem);
     });
     
+    await refreshHistorySearchAgents();
+    
   } catch (error) {
     console.error('Failed to load conversation history:', error);
     const conversationsList = document.getElementById('conversationsList');
@@ -1764,6 +2952,114 @@ function updateActiveConversationTitle(title) {
   }
 }
 
+// Search box and filters of the history view; results replace the conversation list while a query is typed
+function initializeHistorySearch() {
+  const input = document.getElementById('historySearchInput');
+  const scheduleSearch = () => {
+    clearTimeout(historySearchTimer);
+    historySearchTimer = setTimeout(runHistorySearch, 200);
+  };
+  
+  input.addEventListener('input', scheduleSearch);
+  document.getElementById('historySearchPage').addEventListener('input', scheduleSearch);
+  document.getElementById('historySearchAgent').addEventListener('change', runHistorySearch);
+  document.getElementById('historySearchDate').addEventListener('change', runHistorySearch);
+  
+  document.getElementById('searchResults').addEventListener('click', (e) => {
+    const item = e.target.closest('.search-result');
+    if (item) {
+      loadConversation(Number(item.dataset.conversationId), { focusMessageId: Number(item.dataset.messageId) });
+    }
+  });
+}
+
+async function runHistorySearch() {
+  const container = document.querySelector('.history-container');
+  const resultsList = document.getElementById('searchResults');
+  const query = document.getElementById('historySearchInput').value.trim();
+  
+  if (!query) {
+    container.classList.remove('searching');
+    resultsList.innerHTML = '';
+    return;
+  }
+  
+  const days = Number(document.getElementById('historySearchDate').value);
+  const filters = {
+    agentType: document.getElementById('historySearchAgent').value || null,
+    from: days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null,
+    pageUrl: document.getElementById('historySearchPage').value.trim() || null
+  };
+  
+  const results = await agenWorkDB.searchMessages(query, filters);
+  // A newer query may have finished first
+  if (document.getElementById('historySearchInput').value.trim() !== query) {
+    return;
+  }
+  
+  container.classList.add('searching');
+  resultsList.innerHTML = '';
+  if (results.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.textContent = 'No messages match your search';
+    resultsList.appendChild(empty);
+    return;
+  }
+  results.forEach(result => resultsList.appendChild(createSearchResultItem(result)));
+}
+
+function createSearchResultItem(result) {
+  const item = document.createElement('div');
+  item.className = 'search-result';
+  item.dataset.conversationId = result.conversationId;
+  item.dataset.messageId = result.messageId;
+  if (result.pageUrl) {
+    item.title = result.pageUrl;
+  }
+  
+  const meta = document.createElement('div');
+  meta.className = 'search-result-meta';
+  const title = document.createElement('span');
+  title.className = 'search-result-title';
+  title.textContent = result.conversationTitle;
+  const details = document.createElement('span');
+  details.textContent = `${result.role === 'user' ? 'You' : result.agentType} · ${formatDate(result.timestamp)}`;
+  meta.append(title, details);
+  
+  // Snippet text with the matched words wrapped in <mark>
+  const snippet = document.createElement('div');
+  snippet.className = 'search-result-snippet';
+  let position = 0;
+  result.snippet.highlights.forEach(([start, end]) => {
+    snippet.append(result.snippet.text.slice(position, start));
+    const mark = document.createElement('mark');
+    mark.textContent = result.snippet.text.slice(start, end);
+    snippet.append(mark);
+    position = end;
+  });
+  snippet.append(result.snippet.text.slice(position));
+  
+  item.append(meta, snippet);
+  return item;
+}
+
+// Agent filter options from the agent types that have saved messages
+async function refreshHistorySearchAgents() {
+  const select = document.getElementById('historySearchAgent');
+  const selected = select.value;
+  const agentTypes = await agenWorkDB.getMessageAgentTypes();
+  
+  select.length = 1; // Keep "All agents"
+  agentTypes.filter(Boolean).forEach(agentType => {
+    const option = document.createElement('option');
+    option.value = agentType;
+    option.textContent = agentType.charAt(0).toUpperCase() + agentType.slice(1).replace(/_/g, ' ');
+    select.appendChild(option);
+  });
+  select.value = agentTypes.includes(selected) ? selected : '';
+}
+
 function createConversationItem(conversation) {
   const item = document.createElement('div');
   item.className = 'conversation-item';
@@ -1785,6 +3081,12 @@ function createConversationItem(conversation) {
         <button class="conversation-action-btn edit-title-btn" title="Edit title">
           <i class="fas fa-edit"></i>
         </button>
+        <button class="conversation-action-btn copy-markdown-btn" title="Copy as Markdown">
+          <i class="fas fa-copy"></i>
+        </button>
+        <button class="conversation-action-btn export-btn" title="Export conversation">
+          <i class="fas fa-file-alt"></i>
+        </button>
         <button class="conversation-action-btn delete-btn" title="Delete conversation">
           <i class="fas fa-trash"></i>
         </button>
@@ -1801,6 +3103,16 @@ function createConversationItem(conversation) {
     editConversationTitle(conversation.id);
   });
   
+  item.querySelector('.copy-markdown-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    copyConversationMarkdown(conversation.id);
+  });
+  
+  item.querySelector('.export-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleConversationExportMenu(item, conversation.id);
+  });
+  
   deleteBtn.addEventListener('click', (e) => {
     e.stopPropagation();
     deleteConversation(conversation.id);
@@ -1809,7 +3121,7 @@ function createConversationItem(conversation) {
   // Add click handler to load conversation
   item.addEventListener('click', (e) => {
     // Don't load conversation if clicking on actions or title edit
-    if (!e.target.closest('.conversation-actions') && !e.target.closest('.conversation-title-edit')) {
+    if (!e.target.closest('.conversation-actions') && !e.target.closest('.conversation-title-edit') && !e.target.closest('.conversation-export-menu')) {
       loadConversation(conversation.id);
     }
   });
@@ -1837,7 +3149,8 @@ function formatDate(date) {
   }
 }
 
-async function loadConversation(conversationId) {
+// options.focusMessageId: message to scroll to and mark (opened from a search result)
+async function loadConversation(conversationId, options = {}) {
   try {
     // Validate conversationId
     if (!conversationId) {
@@ -1864,18 +3177,35 @@ async function loadConversation(conversationId) {
     messagesContainer.innerHTML = '';
     
     // Load messages safely
+    let focusElement = null;
     if (conversation.messages && Array.isArray(conversation.messages)) {
       conversation.messages.forEach(message => {
         const sender = message.role === 'user' ? 'user' : 'agent';
-        addMessageToChat(message.content, sender, message.agentType);
+        const element = addMessageToChat(message.content, sender, message.agentType);
+        element.dataset.messageId = message.id;
+        if (message.id === options.focusMessageId) {
+          focusElement = element;
+        }
       });
     } else {
       console.warn('No messages found for conversation');
     }
     
+    // Restore the Prompter's conversation memory from the stored messages
+    await restoreConversationMemory(conversationId, conversation.messages || []);
+    
     // Switch to chat view
     switchView('chat');
     
+    if (focusElement) {
+      // After the view transition, which would otherwise leave the chat scrolled to the bottom
+      setTimeout(() => {
+        focusElement.classList.add('search-hit');
+        focusElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        setTimeout(() => focusElement.classList.remove('search-hit'), 3000);
+      }, 400);
+    }
+    
     // Update header title
     updateActiveConversationTitle(conversation.title);
     
@@ -1996,8 +3326,29 @@ async function deleteConversation(conversationId) {
   }
 }
 
+// Seed the Prompter's conversation session with previously stored messages
+async function restoreConversationMemory(conversationId, messages) {
+  if (!aiAgents || typeof aiAgents.startConversation !== 'function') {
+    return;
+  }
+  try {
+    const storedMessages = messages.length > 0 ? messages : await agenWorkDB.getMessages(conversationId);
+    await aiAgents.startConversation(conversationId, storedMessages);
+  } catch (error) {
+    console.warn('Failed to restore conversation memory:', error);
+  }
+}
+
+// Forget the Prompter's conversation memory
+function resetConversationMemory() {
+  if (aiAgents && typeof aiAgents.resetConversation === 'function') {
+    aiAgents.resetConversation().catch(error => console.warn('Failed to reset conversation memory:', error));
+  }
+}
+
 function startNewConversation() {
   currentConversationId = null;
+  resetConversationMemory();
   const messagesContainer = document.getElementById('messagesContainer');
   messagesContainer.innerHTML = '';
   showWelcomeMessage();
@@ -2054,29 +3405,34 @@ async function saveSettingToDB(key, value) {
 
 // Data export and import functions
 async function exportData() {
+  await exportConversations(document.getElementById('exportFormatSelect').value);
+}
+
+// Download all conversations, or only conversationId, as 'json', 'markdown' or 'html'
+async function exportConversations(format, conversationId = null) {
   try {
     updateStatus('Exporting data...', 'processing');
     
-    const data = await agenWorkDB.exportData();
+    const data = await agenWorkDB.exportData(conversationId ? { conversationIds: [conversationId] } : {});
+    if (data.conversations.length === 0 && format !== 'json') {
+      showNotification('No conversations to export', 'info');
+      updateStatus('Ready', 'success');
+      return;
+    }
     
-    // Create downloadable file
-    const blob = new Blob([JSON.stringify(data, null, 2)], { 
-      type: 'application/json' 
+    // Backups of an encrypted database are encrypted too; the other formats are for reading
+    if (agenWorkDB.isEncrypted() && format !== 'json' &&
+        !confirm('Your conversations are encrypted, but this file will contain them as plain text. Continue?')) {
+      updateStatus('Export cancelled', 'info');
+      return;
+    }
+    const file = await ConversationExport.build(format, data, {
+      seal: agenWorkDB.isEncrypted() ? backup => agenWorkDB.sealBundle(backup) : null
     });
-    const url = URL.createObjectURL(blob);
-    
-    // Create download link
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `agenwork-backup-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    
-    URL.revokeObjectURL(url);
+    await ConversationExport.download(file);
     
     updateStatus('Data exported successfully', 'success');
-    showNotification('Data exported successfully', 'success');
+    showNotification(`Exported ${file.filename}`, 'success');
   } catch (error) {
     console.error('Failed to export data:', error);
     updateStatus('Export failed', 'error');
@@ -2084,6 +3440,42 @@ async function exportData() {
   }
 }
 
+async function copyConversationMarkdown(conversationId) {
+  try {
+    const data = await agenWorkDB.exportData({ conversationIds: [conversationId] });
+    await navigator.clipboard.writeText(ConversationExport.toMarkdown(data.conversations));
+    showNotification('Conversation copied as Markdown', 'success');
+  } catch (error) {
+    console.error('Failed to copy conversation:', error);
+    showNotification('Failed to copy conversation', 'error');
+  }
+}
+
+// Format menu under a conversation in the history list
+function toggleConversationExportMenu(item, conversationId) {
+  const existing = item.querySelector('.conversation-export-menu');
+  document.querySelectorAll('.conversation-export-menu').forEach(menu => menu.remove());
+  if (existing) {
+    return;
+  }
+  
+  const menu = document.createElement('div');
+  menu.className = 'conversation-export-menu';
+  Object.entries(ConversationExport.FORMATS).forEach(([format, spec]) => {
+    const button = document.createElement('button');
+    button.className = 'conversation-export-option';
+    button.textContent = spec.label;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      menu.remove();
+      exportConversations(format, conversationId);
+    });
+    menu.appendChild(button);
+  });
+  item.appendChild(menu);
+}
+
+// Import a backup: a dry run first, so the user sees what the chosen mode will do before anything is written
 async function importData(event) {
   const file = event.target.files[0];
   if (!file) return;
@@ -2093,32 +3485,62 @@ async function importData(event) {
     
     const fileContent = await file.text();
     const data = JSON.parse(fileContent);
+    const mode = document.getElementById('importModeSelect').value;
+    
+    // Encrypted backups from this database open with its key; others need the passphrase they were made with
+    let passphrase = null;
+    if (data.encrypted && !agenWorkDB.canOpenBundle(data)) {
+      passphrase = await requestPassphrase('This backup is encrypted. Enter the passphrase it was made with.');
+      if (passphrase === null) {
+        updateStatus('Import cancelled', 'info');
+        return;
+      }
+    }
     
-    // Validate data structure
-    if (!data.conversations && !data.settings) {
-      throw new Error('Invalid backup file format');
+    const preview = await agenWorkDB.importData(data, { mode, dryRun: true, passphrase });
+    if (preview.conversations.added === 0 && preview.settings === 0 && mode === 'merge') {
+      updateStatus('Nothing to import', 'info');
+      showNotification('Everything in this backup is already in your history', 'info');
+      return;
     }
     
     // Confirm import
-    const confirmMessage = `This will replace all current data with the backup from ${data.exportDate}. Continue?`;
-    if (!confirm(confirmMessage)) {
+    const lines = [
+      mode === 'replace'
+        ? '⚠️ This will DELETE all current conversations and settings and replace them with the backup.'
+        : 'This will add the backup to your current history.',
+      '',
+      `Backup from ${preview.exportDate ? new Date(preview.exportDate).toLocaleString() : 'an unknown date'}:`,
+      `• ${preview.conversations.added} conversations (${preview.messages} messages) to import`,
+      `• ${preview.conversations.duplicates} already in your history, skipped`,
+      `• ${preview.settings} settings to ${mode === 'replace' ? 'restore' : 'add'}`
+    ];
+    if (preview.problems.length > 0) {
+      lines.push('', `${preview.problems.length} problems:`, ...preview.problems.slice(0, 5).map(problem => `• ${problem}`));
+    }
+    lines.push('', 'Continue?');
+    if (!confirm(lines.join('\n'))) {
       updateStatus('Import cancelled', 'info');
       return;
     }
     
     // Import data
-    await agenWorkDB.importData(data);
+    const report = await agenWorkDB.importData(data, { mode, passphrase });
     
     // Reset current conversation
-    currentConversationId = null;
+    if (mode === 'replace') {
+      currentConversationId = null;
+    }
     
     // Refresh UI
     await loadSettings();
     await loadConversationHistory();
-    startNewConversation();
+    if (mode === 'replace') {
+      startNewConversation();
+    }
     
     updateStatus('Data imported successfully', 'success');
-    showNotification('Data imported successfully', 'success');
+    showNotification(`Imported ${report.conversations.added} conversations`, 'success');
   } catch (error) {
     console.error('Failed to import data:', error);
     updateStatus('Import failed', 'error');
@@ -2130,6 +3552,130 @@ async function importData(event) {
 }
 
 // Database statistics
+// Result cache size in the settings
+async function updateResultCacheStatus() {
+  const status = document.getElementById('resultCacheStatus');
+  if (!status || !agenWorkDB.isInitialized) return;
+  const stats = await agenWorkDB.getResultCacheStats();
+  status.textContent = stats.entries > 0
+    ? `${stats.entries} cached ${stats.entries === 1 ? 'result' : 'results'} (${formatByteSize(stats.bytes)}), reused for unchanged content`
+    : 'Summaries and translations are reused for unchanged content';
+}
+
+async function clearResultCache() {
+  if (await agenWorkDB.clearResultCache()) {
+    showNotification('Result cache cleared', 'success');
+  } else {
+    showNotification('Failed to clear the result cache', 'error');
+  }
+  await updateResultCacheStatus();
+}
+
+// Retention: the background service worker enforces the saved limits on a schedule (see background.js);
+// the preview runs the same plan on the current data, so the settings show what will be deleted
+function initializeRetentionControls() {
+  document.getElementById('autoSaveSetting').addEventListener('change', (e) => saveSettingToDB('autoSave', e.target.checked));
+  document.getElementById('retentionEnabledSetting').addEventListener('change', handleRetentionToggle);
+  document.querySelectorAll('.retention-control').forEach(select => {
+    select.addEventListener('change', async (e) => {
+      await saveSettingToDB(e.target.id.replace(/Setting$/, ''), Number(e.target.value));
+      await updateRetentionPreview();
+    });
+  });
+  document.getElementById('runRetentionBtn').addEventListener('click', runRetentionNow);
+}
+
+// Turning cleanup on asks first when it would delete anything
+async function handleRetentionToggle(e) {
+  const toggle = e.target;
+  if (toggle.checked) {
+    const plan = await agenWorkDB.planRetention({ ...(await agenWorkDB.getRetentionPolicy()), enabled: true });
+    if (!RetentionPolicy.isEmpty(plan) && !confirm(`Automatic cleanup will delete ${describeRetentionPlan(plan)}. Turn it on?`)) {
+      toggle.checked = false;
+      return;
+    }
+  }
+  await saveSettingToDB('retentionEnabled', toggle.checked);
+  await updateRetentionPreview();
+}
+
+async function updateRetentionPreview() {
+  if (!agenWorkDB.isInitialized) return;
+  const preview = document.getElementById('retentionPreview');
+  const list = document.getElementById('retentionPreviewList');
+  const runButton = document.getElementById('runRetentionBtn');
+  
+  try {
+    const policy = await agenWorkDB.getRetentionPolicy();
+    const plan = await agenWorkDB.planRetention(policy);
+    list.innerHTML = '';
+    runButton.hidden = !policy.enabled || RetentionPolicy.isEmpty(plan);
+    
+    if (RetentionPolicy.isEmpty(plan)) {
+      preview.textContent = `Nothing to delete with these limits. Saved messages use ${formatByteSize(plan.bytesBefore)}`;
+    } else {
+      preview.textContent = `${policy.enabled ? 'The next cleanup deletes' : 'When turned on, cleanup deletes'} ${describeRetentionPlan(plan)}:`;
+      const items = [
+        ...plan.conversations.map(conv => `"${conv.title}" (${conv.reason === 'age'
+          ? `not updated since ${new Date(conv.updatedAt).toLocaleDateString()}`
+          : 'over the storage limit'})`),
+        ...plan.messages.map(entry => `${entry.ids.length} oldest ${entry.ids.length === 1 ? 'message' : 'messages'} of "${entry.title}"`)
+      ];
+      if (items.length > RETENTION_PREVIEW_LIMIT) {
+        items.splice(RETENTION_PREVIEW_LIMIT, items.length, `...and ${items.length - RETENTION_PREVIEW_LIMIT} more`);
+      }
+      items.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        list.appendChild(item);
+      });
+    }
+    
+    const lastRun = await agenWorkDB.getSetting(AgenWorkDatabase.RETENTION_REPORT_SETTING, null);
+    document.getElementById('retentionStatus').textContent = lastRun
+      ? `Last cleanup ${new Date(lastRun.at).toLocaleString()}: ${lastRun.conversations} conversations and ${lastRun.messages} messages deleted. Pinned conversations are always kept`
+      : 'Delete old history in the background. Pinned conversations are always kept';
+  } catch (error) {
+    console.error('Failed to preview retention:', error);
+    preview.textContent = 'Could not check what these limits would delete';
+  }
+}
+
+// "3 conversations and 40 old messages from 2 conversations, about 120 KB"
+function describeRetentionPlan(plan) {
+  const messages = plan.messages.reduce((sum, entry) => sum + entry.ids.length, 0);
+  const parts = [];
+  if (plan.conversations.length > 0) {
+    parts.push(`${plan.conversations.length} ${plan.conversations.length === 1 ? 'conversation' : 'conversations'}`);
+  }
+  if (messages > 0) {
+    parts.push(`${messages} old ${messages === 1 ? 'message' : 'messages'} from ${plan.messages.length} ${plan.messages.length === 1 ? 'conversation' : 'conversations'}`);
+  }
+  return `${parts.join(' and ')}, about ${formatByteSize(plan.bytesBefore - plan.bytesAfter)}`;
+}
+
+async function runRetentionNow() {
+  try {
+    const report = await agenWorkDB.enforceRetention();
+    showNotification(`Deleted ${report.conversations} conversations and ${report.messages} messages`, 'success');
+    
+    // The open conversation may have been deleted
+    if (currentConversationId && !(await agenWorkDB.db.conversations.get(currentConversationId))) {
+      startNewConversation();
+    }
+    await loadConversationHistory();
+    await updateRetentionPreview();
+    await updateDatabaseStats();
+  } catch (error) {
+    console.error('Cleanup failed:', error);
+    showNotification('Cleanup failed', 'error');
+  }
+}
+
+function formatByteSize(bytes) {
+  return bytes < 1024 * 1024 ? `${Math.round(bytes / 1024)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
 async function updateDatabaseStats() {
   try {
     const statsContainer = document.getElementById('databaseStats');
@@ -2204,6 +3750,230 @@ async function updateDatabaseStats() {
   }
 }
 
+// Check the database for orphaned messages and broken references, and repair them after confirmation
+async function checkDatabaseIntegrity() {
+  if (!agenWorkDB || !agenWorkDB.isInitialized) {
+    showNotification('Database not initialized', 'error');
+    return;
+  }
+  
+  try {
+    const report = await agenWorkDB.checkIntegrity();
+    if (report.problems === 0) {
+      showNotification('No problems found in your data', 'success');
+      return;
+    }
+    
+    const findings = [
+      [report.orphanedMessages.length, 'messages without a conversation'],
+      [report.invalidConversations.length + report.invalidMessages.length, 'records in an outdated format'],
+      [report.unencryptedMessages.length, 'messages not yet encrypted'],
+      [report.stalePostings, 'broken search index entries'],
+      [report.unindexedMessages.length, 'messages missing from search'],
+      [report.duplicateSettings.length, 'duplicate settings']
+    ].filter(([count]) => count > 0).map(([count, label]) => `• ${count} ${label}`);
+    
+    if (!confirm(`Found ${report.problems} problems:\n\n${findings.join('\n')}\n\nRepair them now? Messages without a conversation are moved to "Recovered messages".`)) {
+      return;
+    }
+    
+    await agenWorkDB.checkIntegrity({ repair: true });
+    showNotification(`Repaired ${report.problems} problems`, 'success');
+    await loadConversationHistory();
+    await updateDatabaseStats();
+  } catch (error) {
+    console.error('Failed to check database integrity:', error);
+    showNotification('Failed to check data integrity', 'error');
+  }
+}
+
+// Encryption at rest and the lock screen
+function initializeEncryptionControls() {
+  document.getElementById('encryptionBtn').addEventListener('click', () => showEncryptionForm());
+  document.getElementById('encryptionCancelBtn').addEventListener('click', hideEncryptionForm);
+  document.getElementById('encryptionForm').addEventListener('submit', handleEncryptionSubmit);
+  document.getElementById('autoLockSelect').addEventListener('change', (e) => {
+    autoLockMinutes = Number(e.target.value);
+    saveSettingToDB('autoLockMinutes', autoLockMinutes);
+  });
+  document.getElementById('lockNowBtn').addEventListener('click', lockApp);
+  document.getElementById('unlockForm').addEventListener('submit', handleUnlockSubmit);
+  document.getElementById('unlockCancelBtn').addEventListener('click', () => resolvePassphraseRequest(null));
+  
+  // Any interaction with the popup counts as activity
+  ['keydown', 'mousedown', 'wheel', 'touchstart'].forEach(type => {
+    document.addEventListener(type, () => {
+      lastActivityAt = Date.now();
+    }, { capture: true, passive: true });
+  });
+  setInterval(checkAutoLock, AUTO_LOCK_CHECK_MS);
+}
+
+async function updateEncryptionStatus() {
+  const encrypted = agenWorkDB.isEncrypted();
+  document.getElementById('encryptionStatus').textContent = encrypted
+    ? 'Messages are encrypted with your passphrase'
+    : 'Messages are stored unencrypted';
+  document.getElementById('encryptionBtn').textContent = encrypted ? 'Disable' : 'Enable';
+  document.getElementById('autoLockSetting').hidden = !encrypted;
+  
+  autoLockMinutes = Number(await agenWorkDB.getSetting('autoLockMinutes', 15)) || 15;
+  document.getElementById('autoLockSelect').value = String(autoLockMinutes);
+}
+
+// Enabling asks for a new passphrase twice; disabling asks for the current one
+function showEncryptionForm() {
+  const enabling = !agenWorkDB.isEncrypted();
+  const form = document.getElementById('encryptionForm');
+  form.reset();
+  document.getElementById('encryptionFormHint').textContent = enabling
+    ? 'Choose a passphrase. It cannot be recovered: without it your conversations cannot be read.'
+    : 'Enter your passphrase to decrypt your conversations and store them unencrypted.';
+  document.getElementById('encryptionPassphraseConfirm').hidden = !enabling;
+  document.getElementById('encryptionConfirmBtn').textContent = enabling ? 'Encrypt' : 'Decrypt';
+  document.getElementById('encryptionFormError').textContent = '';
+  form.hidden = false;
+  document.getElementById('encryptionPassphrase').focus();
+}
+
+function hideEncryptionForm() {
+  const form = document.getElementById('encryptionForm');
+  form.reset();
+  form.hidden = true;
+}
+
+async function handleEncryptionSubmit(event) {
+  event.preventDefault();
+  const enabling = !agenWorkDB.isEncrypted();
+  const passphrase = document.getElementById('encryptionPassphrase').value;
+  const errorElement = document.getElementById('encryptionFormError');
+  const confirmBtn = document.getElementById('encryptionConfirmBtn');
+  
+  if (enabling && passphrase.length < StorageCrypto.MIN_PASSPHRASE_LENGTH) {
+    errorElement.textContent = `Use at least ${StorageCrypto.MIN_PASSPHRASE_LENGTH} characters`;
+    return;
+  }
+  if (enabling && passphrase !== document.getElementById('encryptionPassphraseConfirm').value) {
+    errorElement.textContent = 'The passphrases do not match';
+    return;
+  }
+  
+  confirmBtn.disabled = true;
+  errorElement.textContent = '';
+  updateStatus(enabling ? 'Encrypting conversations...' : 'Decrypting conversations...', 'processing');
+  try {
+    if (enabling) {
+      await agenWorkDB.enableEncryption(passphrase);
+    } else {
+      await agenWorkDB.disableEncryption(passphrase);
+    }
+    lastActivityAt = Date.now();
+    hideEncryptionForm();
+    await updateEncryptionStatus();
+    updateStatus('Ready', 'success');
+    showNotification(enabling ? 'Your conversations are now encrypted' : 'Encryption turned off', 'success');
+  } catch (error) {
+    errorElement.textContent = error.message;
+    updateStatus(enabling ? 'Encryption failed' : 'Decryption failed', 'error');
+  } finally {
+    confirmBtn.disabled = false;
+  }
+}
+
+// options: { title, message, cancellable } to reuse the screen for other passphrase prompts
+function showLockScreen({ title = 'AgenWork is locked', message = 'Enter your passphrase to read your conversations', cancellable = false } = {}) {
+  document.getElementById('lockTitle').textContent = title;
+  document.getElementById('lockMessage').textContent = message;
+  document.getElementById('unlockCancelBtn').hidden = !cancellable;
+  document.getElementById('unlockError').textContent = '';
+  document.getElementById('unlockForm').reset();
+  document.getElementById('lockScreen').hidden = false;
+  document.getElementById('unlockPassphrase').focus();
+}
+
+function hideLockScreen() {
+  document.getElementById('unlockForm').reset();
+  document.getElementById('lockScreen').hidden = true;
+}
+
+// Forget the keys and remove decrypted messages from the page; the open conversation is reloaded on unlock
+function lockApp() {
+  if (!agenWorkDB.isEncrypted()) return;
+  
+  agenWorkDB.lock();
+  resolvePassphraseRequest(null);
+  resetConversationMemory();
+  document.getElementById('messagesContainer').innerHTML = '';
+  document.getElementById('historySearchInput').value = '';
+  runHistorySearch();
+  updatePageHistory(activePageTab);
+  loadConversationHistory(); // titles are encrypted too
+  showLockScreen();
+  console.log('AgenWork locked');
+}
+
+function checkAutoLock() {
+  if (!agenWorkDB.isInitialized || !agenWorkDB.isEncrypted() || agenWorkDB.isLocked()) return;
+  // Never lock while an answer is still being generated: it could not be saved
+  if (activeRequest) {
+    lastActivityAt = Date.now();
+    return;
+  }
+  if (Date.now() - lastActivityAt >= autoLockMinutes * 60 * 1000) {
+    lockApp();
+  }
+}
+
+async function handleUnlockSubmit(event) {
+  event.preventDefault();
+  const passphrase = document.getElementById('unlockPassphrase').value;
+  if (passphraseRequest) {
+    resolvePassphraseRequest(passphrase);
+    return;
+  }
+  
+  const unlockBtn = document.getElementById('unlockBtn');
+  unlockBtn.disabled = true;
+  try {
+    if (!(await agenWorkDB.unlock(passphrase))) {
+      document.getElementById('unlockError').textContent = 'Wrong passphrase';
+      document.getElementById('unlockPassphrase').select();
+      return;
+    }
+    lastActivityAt = Date.now();
+    hideLockScreen();
+    updatePageHistory(activePageTab);
+    loadConversationHistory();
+    if (currentConversationId) {
+      await loadConversation(currentConversationId);
+    } else {
+      showWelcomeMessage();
+    }
+  } catch (error) {
+    console.error('Failed to unlock:', error);
+    document.getElementById('unlockError').textContent = 'Failed to unlock: ' + error.message;
+  } finally {
+    unlockBtn.disabled = false;
+  }
+}
+
+// Ask for a passphrase on the lock screen; resolves to null when cancelled
+function requestPassphrase(message) {
+  resolvePassphraseRequest(null);
+  return new Promise(resolve => {
+    passphraseRequest = resolve;
+    showLockScreen({ title: 'Passphrase required', message, cancellable: true });
+  });
+}
+
+function resolvePassphraseRequest(passphrase) {
+  if (!passphraseRequest) return;
+  const resolve = passphraseRequest;
+  passphraseRequest = null;
+  hideLockScreen();
+  resolve(passphrase);
+}
+
 // Notification function
 function showNotification(message, type = 'info') {
   // Create notification element
@@ -0,0 +1,119 @@
+// AgenWork Retention Policy Module
+// Decides what the retention settings remove from saved history: conversations older than the age
+// limit, the oldest messages of conversations over the per-conversation cap, and then the least
+// recently updated conversations while saved messages use more than the storage quota. Pinned
+// conversations are never touched. Planning only needs stored records (ids, dates, sizes), so it
+// works on encrypted messages without the passphrase, in the popup preview and in the background.
+
+class RetentionPolicy {
+  // { enabled, maxAgeDays, maxMessages, maxBytes } from the settings object (see getAllSettings);
+  // a limit of 0 means no limit
+  static fromSettings(settings = {}) {
+    return {
+      enabled: settings.retentionEnabled === true,
+      maxAgeDays: Number(settings.conversationRetention) || 0,
+      maxMessages: Math.max(0, Number(settings.maxMessagesPerConversation) || 0),
+      maxBytes: Math.max(0, Number(settings.storageQuotaMB) || 0) * 1024 * 1024
+    };
+  }
+
+  // What the policy removes from stored conversations and messages:
+  // { conversations: [{ id, title, updatedAt, reason: 'age' | 'storage', messageCount, bytes }],
+  //   messages: [{ conversationId, title, ids, bytes }], bytesBefore, bytesAfter }
+  static plan(conversations, messages, policy, now = new Date()) {
+    const byConversation = new Map();
+    messages.forEach(message => {
+      const list = byConversation.get(message.conversationId) || [];
+      list.push({ id: message.id, timestamp: new Date(message.timestamp), bytes: RetentionPolicy.recordSize(message) });
+      byConversation.set(message.conversationId, list);
+    });
+
+    const entries = conversations.map(conv => {
+      const list = (byConversation.get(conv.id) || []).sort((a, b) => a.timestamp - b.timestamp);
+      return { conv, messages: list, bytes: list.reduce((sum, message) => sum + message.bytes, 0) };
+    });
+    const bytesBefore = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    const deleted = [];
+    const trimmed = [];
+
+    // Age: conversations not updated within maxAgeDays
+    const cutoff = new Date(now.getTime() - policy.maxAgeDays * RetentionPolicy.DAY_MS);
+    let kept = entries.filter(entry => {
+      if (policy.maxAgeDays !== 0 && !entry.conv.pinned && new Date(entry.conv.updatedAt) < cutoff) {
+        deleted.push(RetentionPolicy.describe(entry, 'age'));
+        return false;
+      }
+      return true;
+    });
+
+    // Message cap: the oldest messages beyond maxMessages
+    if (policy.maxMessages > 0) {
+      kept.forEach(entry => {
+        if (entry.conv.pinned || entry.messages.length <= policy.maxMessages) {
+          return;
+        }
+        const removed = entry.messages.slice(0, entry.messages.length - policy.maxMessages);
+        const bytes = removed.reduce((sum, message) => sum + message.bytes, 0);
+        trimmed.push({ conversationId: entry.conv.id, title: entry.conv.title, ids: removed.map(message => message.id), bytes });
+        entry.messages = entry.messages.slice(removed.length);
+        entry.bytes -= bytes;
+      });
+    }
+
+    // Storage quota: least recently updated conversations first
+    let total = kept.reduce((sum, entry) => sum + entry.bytes, 0);
+    if (policy.maxBytes > 0 && total > policy.maxBytes) {
+      const oldestFirst = kept
+        .filter(entry => !entry.conv.pinned)
+        .sort((a, b) => new Date(a.conv.updatedAt) - new Date(b.conv.updatedAt));
+      const evicted = new Set();
+      for (const entry of oldestFirst) {
+        if (total <= policy.maxBytes) {
+          break;
+        }
+        evicted.add(entry);
+        total -= entry.bytes;
+        deleted.push(RetentionPolicy.describe(entry, 'storage'));
+      }
+      kept = kept.filter(entry => !evicted.has(entry));
+    }
+
+    // Messages trimmed from a conversation that is deleted anyway go with the conversation
+    const deletedIds = new Set(deleted.map(conv => conv.id));
+    return {
+      conversations: deleted,
+      messages: trimmed.filter(entry => !deletedIds.has(entry.conversationId)),
+      bytesBefore,
+      bytesAfter: total
+    };
+  }
+
+  static describe(entry, reason) {
+    return {
+      id: entry.conv.id,
+      title: entry.conv.title,
+      updatedAt: entry.conv.updatedAt,
+      reason,
+      messageCount: entry.messages.length,
+      bytes: entry.bytes
+    };
+  }
+
+  // Approximate stored size of a record (its JSON, encrypted envelopes included)
+  static recordSize(record) {
+    return new TextEncoder().encode(JSON.stringify(record)).length;
+  }
+
+  static isEmpty(plan) {
+    return plan.conversations.length === 0 && plan.messages.length === 0;
+  }
+}
+
+RetentionPolicy.DAY_MS = 24 * 60 * 60 * 1000;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RetentionPolicy;
+} else if (typeof window !== 'undefined') {
+  window.RetentionPolicy = RetentionPolicy;
+}
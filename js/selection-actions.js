@@ -0,0 +1,400 @@
+// AgenWork Selection Actions
+// Inline toolbar for selected text (Summarize, Translate to..., Rewrite, Explain, Ask)
+// Results are produced through AIAgents.executeAgentStep and shown in a popover next to the selection
+
+class SelectionActions {
+  // loadAgents: resolves once window.aiAgents is available (the content script injects it on demand)
+  constructor({ loadAgents = async () => {} } = {}) {
+    this.loadAgents = loadAgents;
+    this.toolbar = null;
+    this.popover = null;
+    this.selectionText = '';
+    this.selectionRect = null;
+    this.minSelectionLength = 3;
+    this.maxSelectionLength = 20000;
+    this.runId = 0;
+
+    // Target languages offered in the "Translate to..." menu
+    this.translateLanguages = [
+      { code: 'en', name: 'English' },
+      { code: 'es', name: 'Spanish' },
+      { code: 'fr', name: 'French' },
+      { code: 'de', name: 'German' },
+      { code: 'it', name: 'Italian' },
+      { code: 'pt', name: 'Portuguese' },
+      { code: 'ja', name: 'Japanese' },
+      { code: 'ko', name: 'Korean' },
+      { code: 'zh', name: 'Chinese' },
+      { code: 'hi', name: 'Hindi' },
+      { code: 'ar', name: 'Arabic' },
+      { code: 'ru', name: 'Russian' }
+    ];
+
+    // Action definitions: label, icon and how they map onto agent steps
+    this.actions = {
+      summarize: { label: 'Summarize', icon: '📝', agent: 'summarizer', action: 'summarize_text' },
+      translate: { label: 'Translate', icon: '🌐', agent: 'translator', action: 'translate_text' },
+      rewrite: { label: 'Rewrite', icon: '✍️', agent: 'rewriter', action: 'rewrite_text' },
+      explain: { label: 'Explain', icon: '💡', agent: 'prompter', action: 'explain_text' },
+      ask: { label: 'Ask', icon: '❓', agent: 'prompter', action: 'ask_about_text' }
+    };
+  }
+
+  // Start listening for selections
+  initialize() {
+    document.addEventListener('mouseup', (event) => this.handleSelectionEvent(event));
+    document.addEventListener('keyup', (event) => {
+      if (event.shiftKey || event.key === 'Shift') {
+        this.handleSelectionEvent(event);
+      }
+    });
+    document.addEventListener('mousedown', (event) => {
+      if (!this.isOwnElement(event.target)) {
+        this.hideToolbar();
+      }
+    });
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        this.hideToolbar();
+        this.hidePopover();
+      }
+    });
+    window.addEventListener('scroll', () => this.hideToolbar(), { passive: true });
+  }
+
+  // Check whether an element belongs to the toolbar or popover
+  isOwnElement(element) {
+    return !!(element && element.closest && element.closest('[data-agenwork-ui]'));
+  }
+
+  // Show the toolbar after the user finishes a selection
+  handleSelectionEvent(event) {
+    if (this.isOwnElement(event.target)) {
+      return;
+    }
+
+    // Wait for the browser to update the selection
+    setTimeout(() => {
+      const selection = this.getCurrentSelection();
+      if (!selection) {
+        this.hideToolbar();
+        return;
+      }
+      this.selectionText = selection.text;
+      this.selectionRect = selection.rect;
+      this.showToolbar();
+    }, 10);
+  }
+
+  // Read the current selection text and its position
+  getCurrentSelection() {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) {
+      return null;
+    }
+
+    const text = selection.toString().trim();
+    if (text.length < this.minSelectionLength) {
+      return null;
+    }
+
+    // Ignore selections inside form fields and editable areas
+    const anchor = selection.anchorNode && (selection.anchorNode.nodeType === Node.ELEMENT_NODE
+      ? selection.anchorNode
+      : selection.anchorNode.parentElement);
+    if (anchor && (anchor.isContentEditable || anchor.closest('input, textarea') || this.isOwnElement(anchor))) {
+      return null;
+    }
+
+    const rect = selection.getRangeAt(0).getBoundingClientRect();
+    return {
+      text: text.substring(0, this.maxSelectionLength),
+      rect
+    };
+  }
+
+  // Create the toolbar element once
+  createToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.id = 'agenwork-selection-toolbar';
+    toolbar.setAttribute('data-agenwork-ui', 'true');
+
+    Object.entries(this.actions).forEach(([key, definition]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'agenwork-selection-btn';
+      button.dataset.action = key;
+      button.title = key === 'translate' ? 'Translate to...' : definition.label;
+      button.textContent = `${definition.icon} ${definition.label}`;
+      button.addEventListener('mousedown', (event) => event.preventDefault()); // Keep the selection
+      button.addEventListener('click', () => this.handleToolbarAction(key));
+      toolbar.appendChild(button);
+    });
+
+    // Language menu for "Translate to..."
+    const languageMenu = document.createElement('div');
+    languageMenu.className = 'agenwork-selection-languages';
+    this.translateLanguages.forEach(language => {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.textContent = language.name;
+      option.addEventListener('mousedown', (event) => event.preventDefault());
+      option.addEventListener('click', () => {
+        languageMenu.classList.remove('open');
+        this.runAction('translate', this.selectionText, { targetLanguage: language.code });
+      });
+      languageMenu.appendChild(option);
+    });
+    toolbar.appendChild(languageMenu);
+
+    document.documentElement.appendChild(toolbar);
+    return toolbar;
+  }
+
+  // Position and show the toolbar above the selection
+  showToolbar() {
+    if (!this.toolbar) {
+      this.toolbar = this.createToolbar();
+    }
+
+    const rect = this.selectionRect;
+    this.toolbar.classList.add('visible');
+    this.toolbar.querySelector('.agenwork-selection-languages').classList.remove('open');
+
+    const toolbarHeight = this.toolbar.offsetHeight || 36;
+    const top = rect.top > toolbarHeight + 12 ? rect.top - toolbarHeight - 8 : rect.bottom + 8;
+    const left = Math.min(Math.max(8, rect.left), window.innerWidth - this.toolbar.offsetWidth - 8);
+
+    this.toolbar.style.top = `${top}px`;
+    this.toolbar.style.left = `${left}px`;
+  }
+
+  hideToolbar() {
+    if (this.toolbar) {
+      this.toolbar.classList.remove('visible');
+    }
+  }
+
+  // Toolbar button clicked
+  handleToolbarAction(actionKey) {
+    if (actionKey === 'translate') {
+      this.toolbar.querySelector('.agenwork-selection-languages').classList.toggle('open');
+      return;
+    }
+    if (actionKey === 'ask') {
+      this.hideToolbar();
+      this.showAskForm(this.selectionText);
+      return;
+    }
+    this.runAction(actionKey, this.selectionText);
+  }
+
+  // Entry point for context menu clicks (routed from the background script)
+  handleContextMenuAction(actionKey, text, options = {}) {
+    const selection = this.getCurrentSelection();
+    this.selectionText = text || (selection && selection.text) || '';
+    this.selectionRect = selection ? selection.rect : null;
+
+    if (!this.selectionText) {
+      return { success: false, error: 'No text selected' };
+    }
+
+    if (actionKey === 'ask') {
+      this.showAskForm(this.selectionText);
+    } else {
+      this.runAction(actionKey, this.selectionText, options);
+    }
+    return { success: true };
+  }
+
+  // Ask: collect a question about the selection first
+  showAskForm(text) {
+    const body = this.showPopover('❓ Ask about the selection');
+    body.innerHTML = '';
+
+    const form = document.createElement('form');
+    form.className = 'agenwork-selection-ask';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'What would you like to know about this text?';
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.textContent = 'Ask';
+    form.appendChild(input);
+    form.appendChild(submit);
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const question = input.value.trim();
+      if (question) {
+        this.runAction('ask', text, { question });
+      }
+    });
+
+    body.appendChild(form);
+    input.focus();
+  }
+
+  // Run an action on the selected text and show the result
+  async runAction(actionKey, text, options = {}) {
+    const definition = this.actions[actionKey];
+    if (!definition || !text) {
+      return;
+    }
+
+    this.hideToolbar();
+    const runId = ++this.runId;
+    const title = actionKey === 'translate' && options.targetLanguage
+      ? `${definition.icon} Translate to ${this.getLanguageName(options.targetLanguage)}`
+      : `${definition.icon} ${definition.label}`;
+    const body = this.showPopover(title);
+    body.innerHTML = '<div class="agenwork-selection-loading">Working on it...</div>';
+
+    try {
+      await this.loadAgents();
+      if (!window.aiAgents || typeof window.aiAgents.executeAgentStep !== 'function') {
+        throw new Error('AI agents are not ready on this page yet. Please try again in a moment.');
+      }
+
+      const params = {
+        target_language: options.targetLanguage,
+        source_language: 'auto',
+        question: options.question,
+        type: 'key-points',
+        length: 'short'
+      };
+      const pageContext = {
+        title: document.title,
+        url: window.location.href
+      };
+
+      console.log(`✂️ Selection action: ${definition.agent}.${definition.action} (${text.length} characters)`);
+      const result = await window.aiAgents.executeAgentStep(definition.agent, definition.action, text, params, pageContext);
+
+      // Ignore results from an older run the user has replaced
+      if (runId !== this.runId) {
+        return;
+      }
+      this.renderResult(body, typeof result === 'string' ? result : JSON.stringify(result, null, 2));
+    } catch (error) {
+      console.error('❌ Selection action failed:', error);
+      if (runId === this.runId) {
+        body.innerHTML = '';
+        const errorElement = document.createElement('div');
+        errorElement.className = 'agenwork-selection-error';
+        errorElement.textContent = error.message;
+        body.appendChild(errorElement);
+      }
+    }
+  }
+
+  getLanguageName(code) {
+    const language = this.translateLanguages.find(item => item.code === code);
+    return language ? language.name : code;
+  }
+
+  // Create (or reuse) the popover and position it next to the selection
+  showPopover(title) {
+    if (!this.popover) {
+      this.popover = document.createElement('div');
+      this.popover.id = 'agenwork-selection-popover';
+      this.popover.setAttribute('data-agenwork-ui', 'true');
+      this.popover.innerHTML = `
+        <div class="agenwork-selection-popover-header">
+          <span class="agenwork-selection-popover-title"></span>
+          <button type="button" class="agenwork-selection-copy" title="Copy result">Copy</button>
+          <button type="button" class="agenwork-selection-close" title="Close">&times;</button>
+        </div>
+        <div class="agenwork-selection-popover-body agenwork-message"></div>
+      `;
+      this.popover.querySelector('.agenwork-selection-close').addEventListener('click', () => this.hidePopover());
+      this.popover.querySelector('.agenwork-selection-copy').addEventListener('click', () => this.copyResult());
+      document.documentElement.appendChild(this.popover);
+    }
+
+    this.popover.querySelector('.agenwork-selection-popover-title').textContent = title;
+    this.popover.classList.add('visible');
+
+    // Place below the selection, or above it when there is no room
+    const rect = this.selectionRect || { top: 80, bottom: 80, left: window.innerWidth - 440 };
+    const popoverWidth = Math.min(420, window.innerWidth - 16);
+    const left = Math.min(Math.max(8, rect.left), window.innerWidth - popoverWidth - 8);
+    const spaceBelow = window.innerHeight - rect.bottom;
+    this.popover.style.width = `${popoverWidth}px`;
+    this.popover.style.left = `${left}px`;
+    if (spaceBelow > 240 || spaceBelow > rect.top) {
+      this.popover.style.top = `${rect.bottom + 8}px`;
+      this.popover.style.bottom = '';
+    } else {
+      this.popover.style.top = '';
+      this.popover.style.bottom = `${window.innerHeight - rect.top + 8}px`;
+    }
+
+    return this.popover.querySelector('.agenwork-selection-popover-body');
+  }
+
+  hidePopover() {
+    if (this.popover) {
+      this.popover.classList.remove('visible');
+      this.runId++; // Drop any pending result
+    }
+  }
+
+  // Render markdown output safely into the page
+  renderResult(body, markdown) {
+    body.dataset.rawResult = markdown;
+    if (window.MarkdownRenderer) {
+      try {
+        body.innerHTML = this.sanitizeHtml(MarkdownRenderer.render(markdown));
+        return;
+      } catch (error) {
+        console.warn('Markdown rendering failed, using plain text:', error);
+      }
+    }
+    body.textContent = markdown;
+  }
+
+  // Strip scripts, event handlers and javascript: URLs before inserting into a web page
+  sanitizeHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    template.content.querySelectorAll('script, style, iframe, object, embed, link, meta, form').forEach(element => element.remove());
+    template.content.querySelectorAll('*').forEach(element => {
+      Array.from(element.attributes).forEach(attribute => {
+        const name = attribute.name.toLowerCase();
+        const value = attribute.value.trim().toLowerCase();
+        if (name.startsWith('on') || ((name === 'href' || name === 'src') && value.startsWith('javascript:'))) {
+          element.removeAttribute(attribute.name);
+        }
+      });
+    });
+    const container = document.createElement('div');
+    container.appendChild(template.content);
+    return container.innerHTML;
+  }
+
+  // Copy the raw markdown result
+  async copyResult() {
+    const body = this.popover && this.popover.querySelector('.agenwork-selection-popover-body');
+    const text = body && (body.dataset.rawResult || body.textContent);
+    if (!text) return;
+
+    const button = this.popover.querySelector('.agenwork-selection-copy');
+    try {
+      await navigator.clipboard.writeText(text);
+      button.textContent = 'Copied!';
+    } catch (error) {
+      console.warn('Failed to copy selection result:', error);
+      button.textContent = 'Failed';
+    }
+    setTimeout(() => {
+      button.textContent = 'Copy';
+    }, 2000);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SelectionActions;
+} else if (typeof window !== 'undefined') {
+  window.SelectionActions = SelectionActions;
+}
@@ -0,0 +1,125 @@
+// AgenWork Storage Crypto Module
+// WebCrypto helpers for encrypting conversations at rest. A passphrase is stretched with PBKDF2 into
+// two keys: an AES-GCM key that encrypts message content and metadata, and an HMAC key that turns
+// search terms into opaque tokens so the full-text index does not store words in plaintext.
+// Keys are never extractable and only live in memory while the database is unlocked.
+
+class StorageCrypto {
+  // New key derivation parameters (stored with the encrypted data; the salt is not secret)
+  static createKdf() {
+    return {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      iterations: StorageCrypto.PBKDF2_ITERATIONS,
+      salt: StorageCrypto.toBase64(crypto.getRandomValues(new Uint8Array(16)))
+    };
+  }
+
+  // { encryptionKey, indexKey } derived from a passphrase and kdf parameters
+  static async deriveKeys(passphrase, kdf) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = new Uint8Array(await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: StorageCrypto.fromBase64(kdf.salt) },
+      material,
+      512
+    ));
+    const [encryptionKey, indexKey] = await Promise.all([
+      crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+      crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+    ]);
+    return { encryptionKey, indexKey };
+  }
+
+  // Encrypt a string; context (e.g. the field name) is authenticated, so a ciphertext cannot be
+  // moved to another field. Returns an envelope { v, iv, ct } that can be stored in IndexedDB
+  static async encrypt(key, plaintext, context = '') {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(context) },
+      key,
+      new TextEncoder().encode(plaintext)
+    );
+    return { v: 1, iv: StorageCrypto.toBase64(iv), ct: StorageCrypto.toBase64(new Uint8Array(ciphertext)) };
+  }
+
+  // Throws when the key or context is wrong or the envelope was modified
+  static async decrypt(key, envelope, context = '') {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: StorageCrypto.fromBase64(envelope.iv), additionalData: new TextEncoder().encode(context) },
+      key,
+      StorageCrypto.fromBase64(envelope.ct)
+    );
+    return new TextDecoder().decode(plaintext);
+  }
+
+  static isEnvelope(value) {
+    return Boolean(value) && typeof value === 'object' && value.v === 1 &&
+      typeof value.iv === 'string' && typeof value.ct === 'string';
+  }
+
+  // Encrypted known value, stored with the kdf parameters to check a passphrase on unlock
+  static createVerifier(encryptionKey) {
+    return StorageCrypto.encrypt(encryptionKey, StorageCrypto.VERIFIER_TEXT, 'verifier');
+  }
+
+  static async checkVerifier(encryptionKey, verifier) {
+    try {
+      return await StorageCrypto.decrypt(encryptionKey, verifier, 'verifier') === StorageCrypto.VERIFIER_TEXT;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Opaque search index token for a term (equal terms give equal tokens under the same key)
+  static async blindTerm(indexKey, term) {
+    const signature = await crypto.subtle.sign('HMAC', indexKey, new TextEncoder().encode(term));
+    return StorageCrypto.toBase64(new Uint8Array(signature).slice(0, 16));
+  }
+
+  // Encrypted export bundle: the whole backup object encrypted under the database key, with the kdf
+  // parameters needed to derive that key again from the passphrase on another device
+  static async sealBundle(encryptionKey, kdf, value) {
+    return {
+      format: ConversationExport.FORMAT_NAME,
+      formatVersion: ConversationExport.FORMAT_VERSION,
+      encrypted: true,
+      kdf,
+      payload: await StorageCrypto.encrypt(encryptionKey, JSON.stringify(value), 'bundle')
+    };
+  }
+
+  // Backup object from an encrypted bundle; throws 'Wrong passphrase' when it cannot be decrypted
+  static async openBundle(bundle, { passphrase = null, encryptionKey = null } = {}) {
+    const key = encryptionKey || (await StorageCrypto.deriveKeys(passphrase, bundle.kdf)).encryptionKey;
+    try {
+      return JSON.parse(await StorageCrypto.decrypt(key, bundle.payload, 'bundle'));
+    } catch (error) {
+      throw new Error('Wrong passphrase for this encrypted backup');
+    }
+  }
+
+  static toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
+  static fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+}
+
+StorageCrypto.PBKDF2_ITERATIONS = 600000;
+StorageCrypto.VERIFIER_TEXT = 'agenwork-encryption-check';
+StorageCrypto.MIN_PASSPHRASE_LENGTH = 8;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StorageCrypto;
+} else if (typeof window !== 'undefined') {
+  window.StorageCrypto = StorageCrypto;
+}